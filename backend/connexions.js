@@ -0,0 +1,162 @@
+// Stockage des sessions de connexion (express-session) dans data/connexions.json
+//
+// - Les connexions survivent aux redémarrages (docker compose restart) : les jurys restent
+//   connectés pendant la soutenance.
+// - Les sessions sont gardées en mémoire ; le fichier est réécrit à chaque connexion,
+//   modification ou révocation, et au plus toutes les 10 secondes pour la dernière activité.
+// - Chaque entrée : { sess, expires, lastActivity } ; les sessions expirées sont purgées.
+
+const crypto = require('crypto');
+const session = require('express-session');
+const { createJsonStore } = require('./storage');
+
+const DELAI_ECRITURE_ACTIVITE = 10 * 1000;
+const INTERVALLE_PURGE = 60 * 60 * 1000;
+const DUREE_PAR_DEFAUT = 24 * 60 * 60 * 1000;
+
+// Identifiant présenté à l'administrateur : l'identifiant de session lui-même ne quitte jamais le serveur
+function identifiantPublic(sid) {
+  return crypto.createHash('sha256').update(sid).digest('hex').slice(0, 16);
+}
+
+function dateExpiration(sess) {
+  const expires = sess && sess.cookie && sess.cookie.expires;
+  return expires ? new Date(expires).getTime() : Date.now() + DUREE_PAR_DEFAUT;
+}
+
+class FileSessionStore extends session.Store {
+  /**
+   * @param {string} filePath - Fichier JSON des sessions
+   */
+  constructor(filePath) {
+    super();
+    this.store = createJsonStore(filePath, {});
+    this.sessions = new Map();
+    this.ecritureDifferee = null;
+
+    this.pret = this.store.load()
+      .then((data) => {
+        for (const [sid, entree] of Object.entries(data)) {
+          this.sessions.set(sid, entree);
+        }
+        this.purger();
+      })
+      .catch((error) => {
+        // Fichier illisible : repartir sans sessions plutôt que bloquer toutes les connexions
+        console.error('Erreur lors du chargement des sessions de connexion:', error);
+      });
+
+    const purge = setInterval(() => this.purger(), INTERVALLE_PURGE);
+    purge.unref();
+  }
+
+  // Réécrire le fichier (immédiatement, ou regroupé pour les simples mises à jour d'activité)
+  enregistrer(differe = false) {
+    if (differe) {
+      if (!this.ecritureDifferee) {
+        this.ecritureDifferee = setTimeout(() => {
+          this.ecritureDifferee = null;
+          this.enregistrer().catch(error => console.error('Erreur lors de l\'enregistrement des sessions:', error));
+        }, DELAI_ECRITURE_ACTIVITE);
+        this.ecritureDifferee.unref();
+      }
+      return Promise.resolve();
+    }
+
+    clearTimeout(this.ecritureDifferee);
+    this.ecritureDifferee = null;
+    return this.store.save(Object.fromEntries(this.sessions));
+  }
+
+  purger() {
+    const maintenant = Date.now();
+    let purgees = 0;
+    for (const [sid, entree] of this.sessions) {
+      if (entree.expires <= maintenant) {
+        this.sessions.delete(sid);
+        purgees++;
+      }
+    }
+    if (purgees > 0) {
+      this.enregistrer(true);
+    }
+  }
+
+  get(sid, callback) {
+    this.pret.then(() => {
+      const entree = this.sessions.get(sid);
+      if (!entree || entree.expires <= Date.now()) {
+        return callback(null, null);
+      }
+      callback(null, JSON.parse(JSON.stringify(entree.sess)));
+    });
+  }
+
+  set(sid, sess, callback) {
+    this.pret
+      .then(() => {
+        this.sessions.set(sid, {
+          sess: JSON.parse(JSON.stringify(sess)),
+          expires: dateExpiration(sess),
+          lastActivity: new Date().toISOString()
+        });
+        return this.enregistrer();
+      })
+      .then(() => callback && callback(null), error => callback && callback(error));
+  }
+
+  touch(sid, sess, callback) {
+    this.pret.then(() => {
+      const entree = this.sessions.get(sid);
+      if (entree) {
+        entree.expires = dateExpiration(sess);
+        entree.lastActivity = new Date().toISOString();
+        this.enregistrer(true);
+      }
+      if (callback) callback(null);
+    });
+  }
+
+  destroy(sid, callback) {
+    this.pret
+      .then(() => {
+        this.sessions.delete(sid);
+        return this.enregistrer();
+      })
+      .then(() => callback && callback(null), error => callback && callback(error));
+  }
+
+  /**
+   * Sessions connectées (avec un utilisateur), de la plus récemment active à la plus ancienne
+   * @returns {Promise<Array>} [{ sid, id, sess, lastActivity, expires }]
+   */
+  async lister() {
+    await this.pret;
+    const maintenant = Date.now();
+    return [...this.sessions.entries()]
+      .filter(([, entree]) => entree.expires > maintenant && entree.sess && entree.sess.user)
+      .map(([sid, entree]) => ({ sid, id: identifiantPublic(sid), ...entree }))
+      .sort((a, b) => String(b.lastActivity).localeCompare(String(a.lastActivity)));
+  }
+
+  /**
+   * Révoque toutes les sessions d'un utilisateur, sauf éventuellement une
+   * @returns {Promise<number>} Nombre de sessions révoquées
+   */
+  async revoquerUtilisateur(username, sauf = null) {
+    await this.pret;
+    let revoquees = 0;
+    for (const [sid, entree] of this.sessions) {
+      if (sid !== sauf && entree.sess && entree.sess.user && entree.sess.user.username === username) {
+        this.sessions.delete(sid);
+        revoquees++;
+      }
+    }
+    if (revoquees > 0) {
+      await this.enregistrer();
+    }
+    return revoquees;
+  }
+}
+
+module.exports = { FileSessionStore, identifiantPublic };
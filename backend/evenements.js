@@ -0,0 +1,91 @@
+// Diffusion en temps réel des modifications aux pages ouvertes (Server-Sent Events)
+//
+// - Chaque page ouvre une connexion GET /api/events qui reste ouverte ; le navigateur
+//   la rétablit de lui-même si elle est coupée (EventSource).
+// - Un événement est envoyé aux administrateurs, et aux jurys seulement s'il concerne
+//   leur jury (élève affecté, verrouillage) ou s'il est public (projets).
+// - Les pages qui consultent une session archivée ne reçoivent rien : les événements
+//   concernent toujours la session courante.
+// - Un commentaire est envoyé régulièrement pour que les proxys ne coupent pas la connexion.
+
+const INTERVALLE_MAINTIEN = 25 * 1000;
+
+/**
+ * Crée le canal de diffusion
+ * @returns {Object} { connecter(req, res), publier(type, donnees, portee), deconnecter(username, sessionId) }
+ */
+function createEvenements() {
+  const clients = new Set();
+
+  const maintien = setInterval(() => {
+    for (const client of clients) {
+      client.res.write(': maintien\n\n');
+    }
+  }, INTERVALLE_MAINTIEN);
+  maintien.unref();
+
+  function envoyer(client, type, donnees) {
+    client.res.write(`event: ${type}\ndata: ${JSON.stringify(donnees)}\n\n`);
+  }
+
+  return {
+    /**
+     * Ouvre le flux d'un utilisateur connecté (la réponse reste ouverte)
+     */
+    connecter(req, res) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      // Délai de reconnexion conseillé au navigateur
+      res.write('retry: 5000\n\n');
+
+      const client = {
+        res,
+        username: req.session.user.username,
+        sessionId: req.sessionID,
+        role: req.session.user.role,
+        juryId: req.session.user.juryId || null,
+        archive: Boolean(req.session.sessionConsultee)
+      };
+      clients.add(client);
+      envoyer(client, 'connecte', { role: client.role, juryId: client.juryId });
+
+      req.on('close', () => clients.delete(client));
+    },
+
+    /**
+     * Diffuse un événement
+     * @param {string} type - eleve, evaluation, recapitulatif, verrouillage, projet
+     * @param {Object} donnees - Contenu de l'événement (jamais de données d'évaluation)
+     * @param {Object} portee - { jurys: [juryId] } : jurys concernés ; { public: true } pour tous
+     */
+    publier(type, donnees, portee = {}) {
+      const jurys = (portee.jurys || []).filter(Boolean);
+      for (const client of clients) {
+        if (client.archive) continue;
+        if (client.role === 'admin' || portee.public || jurys.includes(client.juryId)) {
+          envoyer(client, type, donnees);
+        }
+      }
+    },
+
+    /**
+     * Ferme les flux d'un utilisateur (compte désactivé ou supprimé, session révoquée)
+     * @param {string} username
+     * @param {string} [sessionId] - Limiter à une session de l'utilisateur
+     */
+    deconnecter(username, sessionId = null) {
+      for (const client of clients) {
+        if (client.username === username && (!sessionId || client.sessionId === sessionId)) {
+          client.res.end();
+          clients.delete(client);
+        }
+      }
+    }
+  };
+}
+
+module.exports = { createEvenements };
@@ -0,0 +1,155 @@
+// Export consolidé des résultats de la cohorte (une ligne par élève), en XLSX ou CSV
+//
+// Colonnes : identité, jury, projet, puis pour chaque phase la note de chaque compétence,
+// le bonus, la note calculée et la note finale, et enfin la note récapitulative.
+// Les notes sont calculées avec le moteur partagé (public/js/grading.js).
+
+const XlsxPopulate = require('xlsx-populate');
+const GradingEngine = require('../public/js/grading');
+
+const PHASES = [
+  { semestre: 'stage', label: 'Stage' },
+  { semestre: 'revue1', label: 'Revue 1' },
+  { semestre: 'revue2', label: 'Revue 2' },
+  { semestre: 'revue3', label: 'Revue 3' },
+  { semestre: 'soutenance', label: 'Soutenance' }
+];
+
+function nombreOuVide(valeur) {
+  const nombre = parseFloat(valeur);
+  return valeur === null || valeur === undefined || valeur === '' || isNaN(nombre) ? null : nombre;
+}
+
+// Codes des compétences de chaque phase, réunis pour toutes les options présentes
+function competencesParPhase(mappings) {
+  const resultat = {};
+  PHASES.forEach(({ semestre }) => {
+    const codes = [];
+    mappings.forEach(mapping => {
+      const evaluation = mapping.evaluations && mapping.evaluations[semestre];
+      Object.keys(evaluation ? evaluation.competences : {}).forEach(code => {
+        if (!codes.includes(code)) codes.push(code);
+      });
+    });
+    resultat[semestre] = codes;
+  });
+  return resultat;
+}
+
+// Note sur 20 d'une compétence, uniquement si tous ses critères sont renseignés
+function noteCompetence(grille, resultat, code) {
+  const competence = grille.competences[code];
+  if (!competence || competence.criteres.some(critere => resultat.manquants.includes(critere.id))) {
+    return null;
+  }
+  const poidsTotal = competence.criteres.reduce((sum, critere) => sum + (critere.poids || 0), 0);
+  const points = Object.values(grille.niveaux).map(n => n.points).filter(p => typeof p === 'number');
+  const pointsMax = points.length > 0 ? Math.max(...points) : 0;
+  if (poidsTotal === 0 || pointsMax === 0) {
+    return null;
+  }
+  const notation = grille.notation || { note_sur: 20, decimales: 2 };
+  return GradingEngine.arrondir(
+    resultat.competences[code].total / poidsTotal * notation.note_sur / pointsMax,
+    notation.decimales
+  );
+}
+
+/**
+ * Construit le tableau de l'export
+ * @param {Array} eleves - Les élèves de la session
+ * @param {Object} contexte - { mappingPour(eleve) -> mapping|null, juries, projets }
+ * @returns {Object} { colonnes: [libellés], lignes: [[valeurs]] }
+ */
+function construireExportCohorte(eleves, { mappingPour, juries, projets }) {
+  const mappings = [...new Set(eleves.map(mappingPour).filter(Boolean))];
+  const competences = competencesParPhase(mappings);
+
+  const colonnes = ['N° candidat', 'Nom', 'Prénom', 'Promotion', 'Option', 'Jury', 'Projet'];
+  PHASES.forEach(({ semestre, label }) => {
+    competences[semestre].forEach(code => colonnes.push(`${label} ${code} (/20)`));
+    colonnes.push(`${label} bonus`, `${label} note calculée`, `${label} note finale`);
+  });
+  colonnes.push('Note récapitulative', 'Note proposée par le jury');
+
+  const lignes = eleves.map(eleve => {
+    const mapping = mappingPour(eleve);
+    const jury = juries.find(j => j.id === eleve.jury);
+    const projet = projets.find(p => p.id === eleve.projetId);
+    const evaluations = eleve.evaluations || {};
+
+    const ligne = [
+      eleve.numero || '',
+      eleve.nom || '',
+      eleve.prenom || '',
+      eleve.promotion || '',
+      eleve.option || '',
+      jury ? jury.nom : (eleve.jury || ''),
+      projet ? projet.nom : ''
+    ];
+
+    PHASES.forEach(({ semestre }) => {
+      const evalData = evaluations[semestre];
+      const grille = mapping ? GradingEngine.grilleDepuisMapping(mapping, semestre) : null;
+      const resultat = grille && evalData ? GradingEngine.calculerNote(grille, evalData) : null;
+
+      competences[semestre].forEach(code => {
+        ligne.push(resultat ? noteCompetence(grille, resultat, code) : null);
+      });
+      ligne.push(
+        evalData ? nombreOuVide(evalData.bonus) : null,
+        resultat ? resultat.note : null,
+        evalData ? nombreOuVide(evalData.note_finale) : null
+      );
+    });
+
+    const recap = mapping && mapping.note_recapitulative
+      ? GradingEngine.calculerNoteRecap(mapping.note_recapitulative, evaluations)
+      : null;
+    ligne.push(
+      recap ? recap.note : null,
+      eleve.recapitulatif ? nombreOuVide(eleve.recapitulatif.note_proposee) : null
+    );
+    return ligne;
+  });
+
+  return { colonnes, lignes };
+}
+
+/**
+ * CSV pour Excel en français : séparateur « ; », virgule décimale, UTF-8 avec BOM
+ * @returns {string}
+ */
+function versCsv({ colonnes, lignes }) {
+  const cellule = (valeur) => {
+    if (valeur === null || valeur === undefined) return '';
+    let texte = typeof valeur === 'number' ? String(valeur).replace('.', ',') : String(valeur);
+    // Un texte commençant par = + - @ serait interprété comme une formule par le tableur
+    if (typeof valeur !== 'number' && /^[=+\-@]/.test(texte)) {
+      texte = `'${texte}`;
+    }
+    return /[";\r\n]/.test(texte) ? `"${texte.replace(/"/g, '""')}"` : texte;
+  };
+  const contenu = [colonnes, ...lignes].map(ligne => ligne.map(cellule).join(';')).join('\r\n');
+  return `\uFEFF${contenu}\r\n`;
+}
+
+/**
+ * Classeur XLSX (une feuille, en-têtes en gras, volets figés)
+ * @returns {Promise<Buffer>}
+ */
+async function versXlsx({ colonnes, lignes }, titreFeuille = 'Résultats') {
+  const workbook = await XlsxPopulate.fromBlankAsync();
+  const sheet = workbook.sheet(0).name(titreFeuille);
+
+  sheet.cell('A1').value([colonnes, ...lignes.map(ligne => ligne.map(v => (v === null ? undefined : v)))]);
+  sheet.row(1).style({ bold: true, fill: 'E2E8F0', wrapText: true });
+  sheet.freezePanes(3, 1);
+  colonnes.forEach((colonne, index) => {
+    sheet.column(index + 1).width(index < 7 ? 18 : 12);
+  });
+
+  return workbook.outputAsync();
+}
+
+module.exports = { construireExportCohorte, versCsv, versXlsx };
@@ -0,0 +1,408 @@
+// Versions des grilles d'évaluation (mapping + observables) de chaque option
+//
+// - La grille fournie avec l'application (config/) devient une version au premier
+//   démarrage, puis à chaque mise à jour de l'application qui la modifie.
+// - Chaque enregistrement depuis l'éditeur crée une nouvelle version ; les versions ne
+//   sont jamais modifiées. La plus récente est la grille en vigueur.
+// - Stockage : data/grilles/<option>/v<N>.json
+//   { version, origine, auteur, date, commentaire, empreinte, mapping, observables }
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { writeFileAtomic, withFileLock } = require('./storage');
+const { normaliser } = require('./import-eleves');
+
+const SEMESTRES = ['stage', 'revue1', 'revue2', 'revue3', 'soutenance'];
+
+// Champs d'une évaluation qui ne sont pas des critères
+const CHAMPS_RESERVES = ['commentaireGeneral', 'bonus', 'note_finale'];
+
+const ADRESSE_CELLULE = /^[A-Z]{1,3}[1-9][0-9]{0,6}$/;
+
+function estTexte(valeur, maxLength) {
+  return typeof valeur === 'string' && valeur.trim() !== '' && valeur.length <= maxLength;
+}
+
+function estNombre(valeur) {
+  return typeof valeur === 'number' && Number.isFinite(valeur) && valeur >= 0;
+}
+
+function estObjet(valeur) {
+  return valeur !== null && typeof valeur === 'object' && !Array.isArray(valeur);
+}
+
+/**
+ * Vérifie la structure d'une grille (mapping et observables)
+ * @returns {Object} { erreurs: [texte], avertissements: [texte] }
+ */
+function validerGrille(mapping, observables) {
+  const erreurs = [];
+  const avertissements = [];
+
+  if (!estObjet(mapping)) {
+    return { erreurs: ['Le mapping doit être un objet'], avertissements };
+  }
+
+  // Onglets
+  if (!estObjet(mapping.sheetNames)) {
+    erreurs.push('sheetNames doit être un objet');
+  } else {
+    for (const [cle, nom] of Object.entries(mapping.sheetNames)) {
+      if (!estTexte(nom, 31)) {
+        erreurs.push(`sheetNames.${cle} : nom d'onglet invalide (31 caractères maximum)`);
+      }
+    }
+  }
+
+  // Niveaux
+  if (!estObjet(mapping.niveaux) || Object.keys(mapping.niveaux).length === 0) {
+    erreurs.push('niveaux doit contenir au moins un niveau');
+  } else {
+    for (const [cle, niveau] of Object.entries(mapping.niveaux)) {
+      const match = cle.match(/^niveau_(\d)$/);
+      if (!match || !estObjet(niveau)) {
+        erreurs.push(`niveaux.${cle} : clé attendue de la forme niveau_N`);
+        continue;
+      }
+      if (niveau.valeur !== parseInt(match[1])) {
+        erreurs.push(`niveaux.${cle} : valeur doit être ${match[1]}`);
+      }
+      if (typeof niveau.colonne !== 'string' || !/^[A-Z]{1,3}$/.test(niveau.colonne)) {
+        erreurs.push(`niveaux.${cle} : colonne invalide`);
+      }
+      if (!estTexte(niveau.label, 100)) {
+        erreurs.push(`niveaux.${cle} : libellé requis (100 caractères maximum)`);
+      }
+      if (niveau.points !== undefined && !estNombre(niveau.points)) {
+        erreurs.push(`niveaux.${cle} : points doit être un nombre positif`);
+      }
+    }
+  }
+
+  // Compétences et critères de chaque phase
+  const criteresParPhase = {};
+  if (!estObjet(mapping.evaluations)) {
+    erreurs.push('evaluations doit être un objet');
+  } else {
+    for (const [semestre, evaluation] of Object.entries(mapping.evaluations)) {
+      const prefixe = `evaluations.${semestre}`;
+      if (!SEMESTRES.includes(semestre)) {
+        erreurs.push(`${prefixe} : phase inconnue`);
+        continue;
+      }
+      if (!mapping.sheetNames || !mapping.sheetNames[semestre]) {
+        erreurs.push(`${prefixe} : onglet absent de sheetNames`);
+      }
+      if (!estObjet(evaluation) || !estObjet(evaluation.competences) || Object.keys(evaluation.competences).length === 0) {
+        erreurs.push(`${prefixe} : au moins une compétence est requise`);
+        continue;
+      }
+
+      const ids = new Set();
+      const lignes = new Map();
+      for (const [code, competence] of Object.entries(evaluation.competences)) {
+        const prefixeComp = `${prefixe}.${code}`;
+        if (!/^[A-Z][A-Z0-9_]{0,9}$/.test(code)) {
+          erreurs.push(`${prefixeComp} : code de compétence invalide (ex. C01)`);
+        }
+        if (!estObjet(competence)) {
+          erreurs.push(`${prefixeComp} : compétence invalide`);
+          continue;
+        }
+        if (!estTexte(competence.nom, 200)) {
+          erreurs.push(`${prefixeComp} : nom requis (200 caractères maximum)`);
+        }
+        if (!estNombre(competence.poids)) {
+          erreurs.push(`${prefixeComp} : poids doit être un nombre positif`);
+        }
+        if (!Array.isArray(competence.criteres) || competence.criteres.length === 0) {
+          erreurs.push(`${prefixeComp} : au moins un critère est requis`);
+          continue;
+        }
+
+        competence.criteres.forEach((critere, index) => {
+          const prefixeCritere = `${prefixeComp}, critère ${index + 1}`;
+          if (!estObjet(critere)) {
+            erreurs.push(`${prefixeCritere} : critère invalide`);
+            return;
+          }
+          if (typeof critere.id !== 'string' || !/^[a-z][a-z0-9_]{0,49}$/.test(critere.id) || CHAMPS_RESERVES.includes(critere.id)) {
+            erreurs.push(`${prefixeCritere} : identifiant invalide (minuscules, chiffres et _)`);
+          } else if (ids.has(critere.id)) {
+            erreurs.push(`${prefixeCritere} : identifiant ${critere.id} utilisé deux fois dans la phase`);
+          } else {
+            ids.add(critere.id);
+          }
+          if (!estTexte(critere.texte, 1000)) {
+            erreurs.push(`${prefixeCritere} : texte requis (1000 caractères maximum)`);
+          }
+          if (!Number.isInteger(critere.ligne) || critere.ligne < 1) {
+            erreurs.push(`${prefixeCritere} : ligne doit être un entier positif`);
+          } else if (lignes.has(critere.ligne)) {
+            erreurs.push(`${prefixeCritere} : ligne ${critere.ligne} déjà utilisée par ${lignes.get(critere.ligne)}`);
+          } else {
+            lignes.set(critere.ligne, critere.id);
+          }
+          if (!estNombre(critere.poids)) {
+            erreurs.push(`${prefixeCritere} : poids doit être un nombre positif`);
+          }
+        });
+      }
+      criteresParPhase[semestre] = ids;
+    }
+  }
+
+  // Adresses des cellules à remplir
+  const adresses = [
+    ...Object.entries(mapping.identite || {}).flatMap(([champ, cellules]) =>
+      Object.entries(cellules).map(([cle, adresse]) => [`identite.${champ}.${cle}`, adresse])),
+    ...Object.entries((mapping.commentaires && mapping.commentaires.commentaire_global) || {})
+      .map(([cle, adresse]) => [`commentaires.commentaire_global.${cle}`, adresse]),
+    ...Object.entries(mapping.champs_supplementaires || {}).flatMap(([cle, champs]) =>
+      Object.entries(champs).map(([champ, config]) => [`champs_supplementaires.${cle}.${champ}`, config && config.cellule])),
+    ...Object.entries(mapping.titre_session || {}).map(([cle, adresse]) => [`titre_session.${cle}`, adresse])
+  ];
+  adresses.forEach(([cle, adresse]) => {
+    if (typeof adresse !== 'string' || !ADRESSE_CELLULE.test(adresse)) {
+      erreurs.push(`${cle} : adresse de cellule invalide`);
+    }
+  });
+
+  // Observables : { phase: { critere: [texte] } }
+  if (!estObjet(observables)) {
+    erreurs.push('Les observables doivent être un objet');
+  } else {
+    for (const [semestre, criteres] of Object.entries(observables)) {
+      if (!estObjet(criteres)) {
+        erreurs.push(`observables.${semestre} doit être un objet`);
+        continue;
+      }
+      for (const [id, liste] of Object.entries(criteres)) {
+        if (!Array.isArray(liste) || liste.some(texte => !estTexte(texte, 1000))) {
+          erreurs.push(`observables.${semestre}.${id} : liste de textes attendue`);
+        } else if (!criteresParPhase[semestre] || !criteresParPhase[semestre].has(id)) {
+          avertissements.push(`observables.${semestre}.${id} : critère absent de la grille (observables ignorés)`);
+        }
+      }
+    }
+  }
+
+  return { erreurs, avertissements };
+}
+
+// Critères d'une phase dans l'ordre de la grille : [{ id, texte, ligne, competence }]
+function criteresPhase(mapping, semestre) {
+  const evaluation = mapping && mapping.evaluations && mapping.evaluations[semestre];
+  if (!evaluation) return [];
+  return Object.entries(evaluation.competences).flatMap(([code, competence]) =>
+    competence.criteres.map(critere => ({ id: critere.id, texte: critere.texte, ligne: critere.ligne, competence: code })));
+}
+
+/**
+ * Mapping d'un élève dont les phases ont été évaluées avec des versions différentes :
+ * la grille en vigueur, dont chaque phase listée est remplacée par celle de sa version
+ * (critères et champs supplémentaires ; niveaux, onglets et note récapitulative restent
+ * ceux de la grille en vigueur)
+ * @param {Object} courant - Mapping de la version en vigueur
+ * @param {Object} parPhase - { semestre: mapping de la version de l'évaluation }
+ * @returns {Object} Le mapping composé (courant lui-même si aucune phase n'est listée)
+ */
+function composerMapping(courant, parPhase) {
+  const semestres = Object.keys(parPhase).filter(semestre =>
+    parPhase[semestre].evaluations && parPhase[semestre].evaluations[semestre]);
+  if (semestres.length === 0) {
+    return courant;
+  }
+
+  const mapping = {
+    ...courant,
+    evaluations: { ...courant.evaluations },
+    champs_supplementaires: { ...(courant.champs_supplementaires || {}) }
+  };
+  semestres.forEach(semestre => {
+    const ancien = parPhase[semestre];
+    mapping.evaluations[semestre] = ancien.evaluations[semestre];
+    if (ancien.champs_supplementaires && ancien.champs_supplementaires[semestre]) {
+      mapping.champs_supplementaires[semestre] = ancien.champs_supplementaires[semestre];
+    } else {
+      delete mapping.champs_supplementaires[semestre];
+    }
+  });
+  return mapping;
+}
+
+/**
+ * Propose, pour chaque critère d'une phase de l'ancienne version, le critère
+ * correspondant de la nouvelle : même identifiant, sinon même texte, sinon même
+ * ligne dans la même compétence (null si aucun ne convient)
+ * @returns {Object} { ancienId: nouvelId|null }
+ */
+function proposerCorrespondances(ancien, nouveau, semestre) {
+  const cibles = criteresPhase(nouveau, semestre);
+  const correspondances = {};
+
+  criteresPhase(ancien, semestre).forEach(critere => {
+    const cible = cibles.find(c => c.id === critere.id) ||
+      cibles.find(c => normaliser(c.texte) === normaliser(critere.texte)) ||
+      cibles.find(c => c.ligne === critere.ligne && c.competence === critere.competence);
+    correspondances[critere.id] = cible ? cible.id : null;
+  });
+  return correspondances;
+}
+
+/**
+ * Reporte une évaluation sur les critères de la nouvelle version
+ * @param {Object} data - Évaluation saisie avec l'ancienne version
+ * @param {Object} correspondances - { ancienId: nouvelId|null } (null : niveau abandonné)
+ * @returns {Object} { data, abandonnes: [ancienId] }
+ */
+function migrerEvaluation(data, correspondances) {
+  const migree = {};
+  const abandonnes = [];
+
+  Object.entries(data || {}).forEach(([champ, valeur]) => {
+    if (CHAMPS_RESERVES.includes(champ)) {
+      migree[champ] = valeur;
+    } else if (correspondances[champ]) {
+      // Deux anciens critères fusionnés : le premier niveau renseigné est conservé
+      if (!migree[correspondances[champ]] || migree[correspondances[champ]].niveau === null ||
+          migree[correspondances[champ]].niveau === undefined) {
+        migree[correspondances[champ]] = valeur;
+      }
+    } else if (valeur && valeur.niveau !== null && valeur.niveau !== undefined) {
+      abandonnes.push(champ);
+    }
+  });
+  return { data: migree, abandonnes };
+}
+
+// Empreinte de la grille fournie avec l'application (détection de ses mises à jour)
+function empreinteGrille(mappingTexte, observablesTexte) {
+  return crypto.createHash('sha256').update(mappingTexte).update('\0').update(observablesTexte).digest('hex');
+}
+
+/**
+ * Crée le gestionnaire des versions de grilles
+ * @param {string} baseDir - Dossier des versions (data/grilles)
+ */
+function createGrilleVersions(baseDir) {
+  // Les versions sont immuables : elles peuvent être gardées en mémoire
+  const cache = new Map();
+
+  const dossier = (option) => path.join(baseDir, option);
+  const fichier = (option, version) => path.join(dossier(option), `v${version}.json`);
+
+  async function numeros(option) {
+    let entries;
+    try {
+      entries = await fs.readdir(dossier(option));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    return entries
+      .map(name => name.match(/^v(\d+)\.json$/))
+      .filter(Boolean)
+      .map(match => parseInt(match[1]))
+      .sort((a, b) => a - b);
+  }
+
+  async function get(option, version) {
+    const cle = `${option}:${version}`;
+    if (!cache.has(cle)) {
+      try {
+        cache.set(cle, JSON.parse(await fs.readFile(fichier(option, version), 'utf-8')));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    }
+    return cache.get(cle);
+  }
+
+  async function derniere(option) {
+    const versions = await numeros(option);
+    return versions.length > 0 ? get(option, versions[versions.length - 1]) : null;
+  }
+
+  /**
+   * Enregistre une nouvelle version
+   * @param {Object} contenu - { mapping, observables, origine, auteur, commentaire, empreinte }
+   * @param {number} versionBase - Version sur laquelle la modification a été faite (facultatif)
+   * @returns {Promise<Object|null>} La version créée, null si une autre version a été
+   *   enregistrée entre-temps (versionBase n'est plus la dernière)
+   */
+  function ajouter(option, contenu, versionBase = undefined) {
+    return withFileLock(dossier(option), async () => {
+      const versions = await numeros(option);
+      const derniereVersion = versions.length > 0 ? versions[versions.length - 1] : 0;
+      if (versionBase !== undefined && versionBase !== derniereVersion) {
+        return null;
+      }
+
+      const record = {
+        version: derniereVersion + 1,
+        origine: contenu.origine,
+        auteur: contenu.auteur,
+        date: new Date().toISOString(),
+        commentaire: contenu.commentaire || '',
+        empreinte: contenu.empreinte || null,
+        mapping: contenu.mapping,
+        observables: contenu.observables
+      };
+      await writeFileAtomic(fichier(option, record.version), JSON.stringify(record, null, 2));
+      cache.set(`${option}:${record.version}`, record);
+      return record;
+    });
+  }
+
+  return {
+    get,
+    derniere,
+    ajouter,
+
+    // Versions d'une option, sans leur contenu (plus récente en premier)
+    async list(option) {
+      const versions = await numeros(option);
+      const records = await Promise.all(versions.map(version => get(option, version)));
+      return records.reverse().map(({ mapping, observables, ...meta }) => meta);
+    },
+
+    /**
+     * Enregistre la grille fournie avec l'application si elle a changé depuis sa
+     * dernière installation (ou au premier démarrage)
+     * @returns {Promise<Object|null>} La version créée, null si la grille est déjà connue
+     */
+    async installer(option, mappingTexte, observablesTexte) {
+      const empreinte = empreinteGrille(mappingTexte, observablesTexte);
+      const versions = await numeros(option);
+      for (let i = versions.length - 1; i >= 0; i--) {
+        const record = await get(option, versions[i]);
+        if (record.origine === 'installation') {
+          if (record.empreinte === empreinte) return null;
+          break;
+        }
+      }
+      return ajouter(option, {
+        mapping: JSON.parse(mappingTexte),
+        observables: JSON.parse(observablesTexte),
+        origine: 'installation',
+        auteur: 'installation',
+        commentaire: versions.length === 0
+          ? 'Grille fournie avec l\'application'
+          : 'Grille mise à jour avec l\'application',
+        empreinte
+      });
+    }
+  };
+}
+
+module.exports = {
+  validerGrille,
+  createGrilleVersions,
+  criteresPhase,
+  composerMapping,
+  proposerCorrespondances,
+  migrerEvaluation
+};
@@ -0,0 +1,177 @@
+// Lecture des listes de classe (CSV ou XLSX) pour l'import des élèves
+//
+// Le fichier est lu en mémoire, la première ligne non vide donne les en-têtes.
+// La correspondance entre colonnes et champs de l'élève est proposée d'après les
+// en-têtes, puis ajustée par l'administrateur dans l'assistant d'import.
+
+const path = require('path');
+const XlsxPopulate = require('xlsx-populate');
+
+// Nombre maximal de lignes importées en une fois
+const MAX_LIGNES_IMPORT = 1000;
+
+// Champs importables et en-têtes reconnus (comparés sans accents, casse ni ponctuation)
+const CHAMPS_IMPORT = {
+  nom: ['nom', 'nom de famille', 'nom eleve', 'nom candidat'],
+  prenom: ['prenom', 'prenom eleve', 'prenom candidat'],
+  numero: ['numero', 'numero candidat', 'n candidat', 'no candidat', 'num candidat', 'matricule'],
+  promotion: ['promotion', 'classe', 'division', 'groupe'],
+  option: ['option', 'specialite'],
+  jury: ['jury', 'commission'],
+  projet: ['projet', 'sujet', 'projet e6']
+};
+
+// Texte comparable : minuscules, sans accents ni ponctuation
+function normaliser(texte) {
+  return String(texte || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// Valeur d'une cellule XLSX en texte
+function texteCellule(valeur) {
+  if (valeur === null || valeur === undefined) {
+    return '';
+  }
+  if (typeof valeur === 'object' && typeof valeur.text === 'function') {
+    return valeur.text().trim(); // Texte enrichi
+  }
+  return String(valeur).trim();
+}
+
+// Séparateur d'un CSV : celui qui apparaît le plus dans la ligne d'en-tête (hors guillemets)
+function detecterSeparateur(texte) {
+  const premiereLigne = texte.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  const candidats = [';', ',', '\t'];
+  return candidats.reduce((meilleur, sep) =>
+    premiereLigne.split(sep).length > premiereLigne.split(meilleur).length ? sep : meilleur
+  );
+}
+
+// Découper un CSV en lignes et cellules (guillemets doublés, retours à la ligne entre guillemets)
+function lireCsv(texte) {
+  const separateur = detecterSeparateur(texte);
+  const lignes = [];
+  let ligne = [];
+  let cellule = '';
+  let entreGuillemets = false;
+
+  for (let i = 0; i < texte.length; i++) {
+    const c = texte[i];
+
+    if (entreGuillemets) {
+      if (c === '"' && texte[i + 1] === '"') {
+        cellule += '"';
+        i++;
+      } else if (c === '"') {
+        entreGuillemets = false;
+      } else {
+        cellule += c;
+      }
+    } else if (c === '"') {
+      entreGuillemets = true;
+    } else if (c === separateur) {
+      ligne.push(cellule.trim());
+      cellule = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && texte[i + 1] === '\n') i++;
+      ligne.push(cellule.trim());
+      lignes.push(ligne);
+      ligne = [];
+      cellule = '';
+    } else {
+      cellule += c;
+    }
+  }
+
+  if (cellule !== '' || ligne.length > 0) {
+    ligne.push(cellule.trim());
+    lignes.push(ligne);
+  }
+  return lignes;
+}
+
+// Décoder un CSV : UTF-8 (avec ou sans BOM), sinon Windows-1252 (exports Excel français)
+function decoderCsv(buffer) {
+  const utf8 = buffer.toString('utf-8');
+  const texte = utf8.includes('\uFFFD') ? buffer.toString('latin1') : utf8;
+  return texte.replace(/^\uFEFF/, '');
+}
+
+async function lireXlsx(buffer) {
+  const workbook = await XlsxPopulate.fromDataAsync(buffer);
+  const range = workbook.sheet(0).usedRange();
+  if (!range) {
+    return [];
+  }
+  return range.value().map(ligne => ligne.map(texteCellule));
+}
+
+/**
+ * Lit une liste de classe
+ * @param {Buffer} buffer - Contenu du fichier
+ * @param {string} nomFichier - Nom d'origine (l'extension détermine le format)
+ * @returns {Promise<Object>} { colonnes, lignes } - en-têtes et lignes de données (textes)
+ */
+async function lireListeClasse(buffer, nomFichier) {
+  const extension = path.extname(nomFichier || '').toLowerCase();
+  let tableau;
+
+  if (extension === '.csv' || extension === '.txt') {
+    tableau = lireCsv(decoderCsv(buffer));
+  } else if (extension === '.xlsx') {
+    try {
+      tableau = await lireXlsx(buffer);
+    } catch (error) {
+      throw new Error('Fichier XLSX illisible');
+    }
+  } else {
+    throw new Error('Format non pris en charge : fichier CSV ou XLSX attendu');
+  }
+
+  // Ignorer les lignes vides
+  tableau = tableau.filter(ligne => ligne.some(cellule => cellule !== ''));
+  if (tableau.length < 2) {
+    throw new Error('Le fichier doit contenir une ligne d\'en-tête et au moins un élève');
+  }
+  if (tableau.length - 1 > MAX_LIGNES_IMPORT) {
+    throw new Error(`Le fichier dépasse ${MAX_LIGNES_IMPORT} élèves`);
+  }
+
+  const largeur = Math.max(...tableau.map(ligne => ligne.length));
+  const colonnes = Array.from({ length: largeur }, (_, i) => tableau[0][i] || `Colonne ${i + 1}`);
+  const lignes = tableau.slice(1).map(ligne =>
+    Array.from({ length: largeur }, (_, i) => ligne[i] || '')
+  );
+
+  return { colonnes, lignes };
+}
+
+/**
+ * Propose une correspondance champ -> index de colonne d'après les en-têtes
+ * @param {Array<string>} colonnes - Les en-têtes du fichier
+ * @returns {Object} { nom: 0, prenom: 1, ..., jury: null }
+ */
+function proposerCorrespondance(colonnes) {
+  const entetes = colonnes.map(normaliser);
+  const correspondance = {};
+
+  for (const [champ, synonymes] of Object.entries(CHAMPS_IMPORT)) {
+    const index = entetes.findIndex((entete, i) =>
+      synonymes.includes(entete) && !Object.values(correspondance).includes(i)
+    );
+    correspondance[champ] = index === -1 ? null : index;
+  }
+  return correspondance;
+}
+
+module.exports = {
+  CHAMPS_IMPORT,
+  MAX_LIGNES_IMPORT,
+  normaliser,
+  lireListeClasse,
+  proposerCorrespondance
+};
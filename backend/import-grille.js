@@ -0,0 +1,151 @@
+// Relecture d'une grille GRILLE_E6 remplie (fichier généré puis complété, ou copie du
+// modèle remplie à la main) pour reconstituer les évaluations d'un élève
+//
+// Les cellules lues sont celles décrites par le mapping de l'option : croix « x » dans
+// les colonnes des niveaux sur la ligne de chaque critère, commentaire général, bonus et
+// note finale. Une phase dont l'onglet n'est pas renseigné n'est pas reprise.
+
+const XlsxPopulate = require('xlsx-populate');
+
+const SEMESTRES = ['stage', 'revue1', 'revue2', 'revue3', 'soutenance'];
+
+// Onglets dans lesquels l'identité est cherchée, dans l'ordre
+const ONGLETS_IDENTITE = ['recap', ...SEMESTRES];
+
+// Valeur d'une cellule en texte (texte enrichi compris)
+function texteCellule(sheet, adresse) {
+  const valeur = sheet.cell(adresse).value();
+  if (valeur === null || valeur === undefined) {
+    return '';
+  }
+  if (typeof valeur === 'object' && typeof valeur.text === 'function') {
+    return valeur.text().trim();
+  }
+  return String(valeur).trim();
+}
+
+// Valeur numérique d'une cellule (virgule décimale acceptée), null si elle n'en contient pas
+function nombreCellule(sheet, adresse) {
+  const valeur = sheet.cell(adresse).value();
+  if (typeof valeur === 'number') {
+    return valeur;
+  }
+  const texte = texteCellule(sheet, adresse).replace(',', '.');
+  return texte !== '' && !isNaN(Number(texte)) ? Number(texte) : null;
+}
+
+function estUneCroix(sheet, adresse) {
+  return /^x$/i.test(texteCellule(sheet, adresse));
+}
+
+// Colonne -> niveau. niveau_0 et niveau_1 partagent la même colonne : une croix y est
+// relue comme le niveau le plus élevé (niveau 1), comme lors du remplissage.
+function niveauxParColonne(mapping) {
+  const colonnes = {};
+  Object.values(mapping.niveaux || {}).forEach(({ colonne, valeur }) => {
+    if (colonne && (colonnes[colonne] === undefined || valeur > colonnes[colonne])) {
+      colonnes[colonne] = valeur;
+    }
+  });
+  return colonnes;
+}
+
+/**
+ * Ouvre le classeur envoyé
+ * @param {Buffer} buffer
+ * @returns {Promise<Object>} Le classeur xlsx-populate
+ */
+async function ouvrirGrille(buffer) {
+  try {
+    return await XlsxPopulate.fromDataAsync(buffer);
+  } catch (error) {
+    throw new Error('Fichier XLSX illisible');
+  }
+}
+
+/**
+ * Lit l'identité du candidat (premier onglet où elle est renseignée)
+ * @returns {Object} { nom, prenom, numero } (textes, éventuellement vides)
+ */
+function lireIdentite(workbook, mapping) {
+  const identite = {};
+  ['nom', 'prenom', 'numero'].forEach(champ => {
+    const cellules = (mapping.identite && mapping.identite[champ]) || {};
+    identite[champ] = '';
+    for (const onglet of ONGLETS_IDENTITE) {
+      const sheet = cellules[onglet] && workbook.sheet(mapping.sheetNames[onglet]);
+      const valeur = sheet ? texteCellule(sheet, cellules[onglet]) : '';
+      if (valeur !== '') {
+        identite[champ] = valeur;
+        break;
+      }
+    }
+  });
+  return identite;
+}
+
+/**
+ * Reconstitue les évaluations renseignées dans le classeur
+ * @param {Object} workbook - Classeur xlsx-populate
+ * @param {Object} mapping - Mapping de l'option de l'élève
+ * @returns {Object} { evaluations: { semestre: data }, avertissements: [texte] }
+ */
+function lireEvaluations(workbook, mapping) {
+  const colonnes = niveauxParColonne(mapping);
+  const evaluations = {};
+  const avertissements = [];
+
+  for (const semestre of SEMESTRES) {
+    const config = mapping.evaluations && mapping.evaluations[semestre];
+    const sheet = config && workbook.sheet(mapping.sheetNames[semestre]);
+    if (!config) {
+      continue;
+    }
+    if (!sheet) {
+      avertissements.push(`Onglet « ${mapping.sheetNames[semestre]} » absent du fichier`);
+      continue;
+    }
+
+    const data = {};
+    let renseignee = false;
+
+    for (const competence of Object.values(config.competences)) {
+      for (const critere of competence.criteres) {
+        const niveaux = Object.keys(colonnes)
+          .filter(colonne => estUneCroix(sheet, `${colonne}${critere.ligne}`))
+          .map(colonne => colonnes[colonne]);
+
+        if (niveaux.length > 1) {
+          avertissements.push(`${mapping.sheetNames[semestre]}, ligne ${critere.ligne} : plusieurs croix, critère ignoré`);
+        }
+        data[critere.id] = { niveau: niveaux.length === 1 ? niveaux[0] : null };
+        renseignee = renseignee || niveaux.length > 0;
+      }
+    }
+
+    const celluleCommentaire = mapping.commentaires && mapping.commentaires.commentaire_global &&
+      mapping.commentaires.commentaire_global[semestre];
+    if (celluleCommentaire) {
+      data.commentaireGeneral = texteCellule(sheet, celluleCommentaire);
+      renseignee = renseignee || data.commentaireGeneral !== '';
+    }
+
+    const champsSupp = (mapping.champs_supplementaires && mapping.champs_supplementaires[semestre]) || {};
+    if (champsSupp.bonus) {
+      data.bonus = nombreCellule(sheet, champsSupp.bonus.cellule) || 0;
+      renseignee = renseignee || data.bonus !== 0;
+    }
+    if (champsSupp.note_finale) {
+      data.note_finale = nombreCellule(sheet, champsSupp.note_finale.cellule);
+      renseignee = renseignee || data.note_finale !== null;
+    }
+
+    if (renseignee) {
+      evaluations[semestre] = data;
+    }
+  }
+
+  return { evaluations, avertissements };
+}
+
+module.exports = { ouvrirGrille, lireIdentite, lireEvaluations };
@@ -0,0 +1,222 @@
+// File d'attente des traitements longs (génération et remplissage des fichiers Excel)
+//
+// - Les requêtes HTTP ne font qu'enregistrer une tâche et répondent immédiatement
+//   avec son identifiant ; le client suit l'avancement via GET /api/jobs/:id.
+// - Au plus `concurrency` tâches s'exécutent en même temps, et jamais deux tâches
+//   de même clé (même fichier Excel) : les suivantes attendent leur tour dans la file.
+//   Une tâche qui traite plusieurs fichiers (lot) réserve la clé de chacun avec avecCle().
+// - Les tâches sont enregistrées dans un fichier JSON : après un redémarrage, les
+//   tâches en attente ou interrompues sont relancées.
+
+const crypto = require('crypto');
+
+const STATUTS_TERMINES = ['termine', 'erreur'];
+
+/**
+ * Crée une file d'attente de tâches persistée
+ * @param {Object} options
+ * @param {Object} options.store - Store JSON (createJsonStore) contenant la liste des tâches
+ * @param {number} options.concurrency - Nombre maximal de tâches simultanées
+ * @param {Object} options.handlers - { type: async (params, { progression(pourcentage, message, partiel), creePar, avecCle(cle, traitement) }) => resultat }
+ * @param {number} options.retention - Durée de conservation des tâches terminées (ms)
+ */
+function createJobQueue({ store, concurrency, handlers, retention }) {
+  const jobs = new Map();
+  const running = new Set();
+  // Raison du refus des nouvelles tâches (changement de session en cours), ou null
+  let suspension = null;
+  // Clés réservées par une tâche en cours pour un de ses fichiers (avecCle), et tâches qui attendent une clé
+  const clesReservees = new Set();
+  const attentesCle = [];
+
+  // Enregistrer l'état de toutes les tâches (écritures sérialisées par le store)
+  function persist() {
+    return store.save([...jobs.values()]).catch(error => {
+      console.error('Erreur lors de la sauvegarde de la file des tâches:', error);
+    });
+  }
+
+  // Oublier les tâches terminées depuis plus longtemps que la durée de conservation
+  function purge() {
+    const limite = Date.now() - retention;
+    for (const [id, job] of jobs) {
+      if (STATUTS_TERMINES.includes(job.statut) && new Date(job.termineLe).getTime() < limite) {
+        jobs.delete(id);
+      }
+    }
+  }
+
+  function cleOccupee(cle) {
+    return clesReservees.has(cle) || [...running].some(id => jobs.get(id).cle === cle);
+  }
+
+  // Exécuter un traitement en réservant une clé : attend que plus aucune tâche ne l'utilise
+  async function avecCle(cle, traitement) {
+    if (cleOccupee(cle)) {
+      await new Promise(resolve => attentesCle.push({ cle, resolve }));
+    }
+    clesReservees.add(cle);
+    try {
+      return await traitement();
+    } finally {
+      clesReservees.delete(cle);
+      pump();
+    }
+  }
+
+  // Démarrer les tâches en attente tant qu'il reste de la place
+  function pump() {
+    // Les réservations en attente passent avant les nouvelles tâches de même clé
+    for (let i = 0; i < attentesCle.length; i++) {
+      const attente = attentesCle[i];
+      if (!cleOccupee(attente.cle)) {
+        attentesCle.splice(i--, 1);
+        clesReservees.add(attente.cle);
+        attente.resolve();
+      }
+    }
+
+    for (const job of jobs.values()) {
+      if (running.size >= concurrency) {
+        return;
+      }
+      if (job.statut !== 'en_attente') {
+        continue;
+      }
+      if (!job.cle || !cleOccupee(job.cle)) {
+        run(job);
+      }
+    }
+  }
+
+  async function run(job) {
+    running.add(job.id);
+    job.statut = 'en_cours';
+    job.demarreLe = new Date().toISOString();
+    await persist();
+
+    // Avancement (0-100), message et, pour les tâches longues, résultat partiel
+    const progression = (pourcentage, message = null, partiel = undefined) => {
+      job.progression = Math.max(0, Math.min(100, Math.round(pourcentage)));
+      job.message = message;
+      if (partiel !== undefined) {
+        job.resultat = partiel;
+      }
+      persist();
+    };
+
+    try {
+      const handler = handlers[job.type];
+      if (!handler) {
+        throw new Error(`Type de tâche inconnu : ${job.type}`);
+      }
+      job.resultat = await handler(job.params, { progression, creePar: job.creePar, avecCle });
+      job.statut = 'termine';
+      job.progression = 100;
+    } catch (error) {
+      console.error(`❌ Tâche ${job.type} ${job.id}:`, error.message);
+      job.statut = 'erreur';
+      job.erreur = error.message;
+    }
+
+    job.termineLe = new Date().toISOString();
+    running.delete(job.id);
+    purge();
+    await persist();
+    pump();
+  }
+
+  return {
+    // Recharger les tâches enregistrées et relancer celles qui étaient en attente ou interrompues
+    async init() {
+      const saved = await store.load();
+      let relancees = 0;
+      for (const job of saved) {
+        if (job.statut === 'en_cours') {
+          job.statut = 'en_attente';
+          job.progression = 0;
+          job.message = 'Relancée après un redémarrage du serveur';
+        }
+        if (job.statut === 'en_attente') relancees++;
+        jobs.set(job.id, job);
+      }
+      purge();
+      await persist();
+      if (relancees > 0) {
+        console.log(`🔁 ${relancees} tâche(s) relancée(s)`);
+      }
+      pump();
+    },
+
+    /**
+     * Ajoute une tâche à la file. Une tâche identique encore en attente (double clic,
+     * nouvel essai) est renvoyée telle quelle au lieu d'être ajoutée une seconde fois.
+     * @param {string} type - Type de tâche (clé de handlers)
+     * @param {Object} params - Paramètres transmis au handler (sérialisables en JSON)
+     * @param {Object} options - { cle, creePar }
+     * @returns {Promise<Object>} La tâche
+     * @throws {Error} code FILE_SUSPENDUE si la file n'accepte plus de tâches (suspendre())
+     */
+    async enqueue(type, params, { cle = null, creePar = null } = {}) {
+      if (suspension) {
+        const error = new Error(suspension);
+        error.code = 'FILE_SUSPENDUE';
+        throw error;
+      }
+
+      const signature = JSON.stringify(params);
+      const existante = [...jobs.values()].find(job =>
+        job.statut === 'en_attente' && job.type === type && job.cle === cle &&
+        JSON.stringify(job.params) === signature
+      );
+      if (existante) {
+        return existante;
+      }
+
+      const job = {
+        id: crypto.randomUUID(),
+        type,
+        params,
+        cle,
+        statut: 'en_attente',
+        progression: 0,
+        message: null,
+        resultat: null,
+        erreur: null,
+        creePar,
+        creeLe: new Date().toISOString(),
+        demarreLe: null,
+        termineLe: null
+      };
+      jobs.set(job.id, job);
+      await persist();
+      pump();
+      return job;
+    },
+
+    // Refuser les nouvelles tâches (les tâches déjà enregistrées ne sont pas concernées)
+    suspendre(raison) {
+      suspension = raison;
+    },
+
+    reprendre() {
+      suspension = null;
+    },
+
+    get(id) {
+      return jobs.get(id) || null;
+    },
+
+    list(filter = () => true) {
+      return [...jobs.values()].filter(filter);
+    },
+
+    // Position dans la file (1 = prochaine à démarrer), 0 si la tâche n'attend pas
+    position(id) {
+      const attente = [...jobs.values()].filter(job => job.statut === 'en_attente');
+      return attente.findIndex(job => job.id === id) + 1;
+    }
+  };
+}
+
+module.exports = { createJobQueue };
@@ -0,0 +1,133 @@
+// Politique de mots de passe (longueur, complexité, réutilisation, expiration)
+//
+// - Réglée par variables d'environnement (voir README, « Politique de mots de passe »).
+// - Historique : chaque compte garde les empreintes bcrypt de ses derniers mots de passe
+//   (passwordHistory) ; un mot de passe encore dans l'historique est refusé.
+// - Expiration : passé le délai depuis passwordChangedAt, le changement est imposé à la
+//   connexion suivante, comme pour un mot de passe temporaire.
+
+const bcrypt = require('bcryptjs');
+
+// Familles de caractères comptées pour la complexité
+const FAMILLES = [
+  { libelle: 'minuscules', test: /[a-z]/ },
+  { libelle: 'majuscules', test: /[A-Z]/ },
+  { libelle: 'chiffres', test: /[0-9]/ },
+  { libelle: 'caractères spéciaux', test: /[^a-zA-Z0-9]/ }
+];
+
+const LONGUEUR_MAX = 100;
+
+function lireEntier(env, nom, defaut, min, max) {
+  const valeur = env[nom];
+  if (valeur === undefined || valeur === '') {
+    return defaut;
+  }
+  const nombre = Number.parseInt(valeur, 10);
+  if (!Number.isInteger(nombre) || nombre < min || nombre > max) {
+    throw new Error(`${nom} invalide : ${valeur} (attendu un entier entre ${min} et ${max})`);
+  }
+  return nombre;
+}
+
+/**
+ * Lit la politique depuis les variables d'environnement
+ * @returns {Object} { longueurMin, familles, historique, expirationJours }
+ */
+function lirePolitiqueDepuisEnv(env = process.env) {
+  return {
+    longueurMin: lireEntier(env, 'PASSWORD_MIN_LENGTH', 8, 6, LONGUEUR_MAX),
+    familles: lireEntier(env, 'PASSWORD_MIN_CLASSES', 3, 1, FAMILLES.length),
+    historique: lireEntier(env, 'PASSWORD_HISTORY', 5, 0, 50),
+    expirationJours: lireEntier(env, 'PASSWORD_MAX_AGE_DAYS', 0, 0, 3650)
+  };
+}
+
+/**
+ * Crée la politique de mots de passe
+ * @param {Object} options - { longueurMin, familles, historique, expirationJours }
+ * @returns {Object} { regles, description(), verifier(motDePasse, user), estExpire(user), enregistrer(user, empreinte) }
+ */
+function createPolitiqueMotDePasse(options) {
+  const regles = { ...options };
+
+  return {
+    regles,
+
+    /**
+     * Règles lisibles, affichées sur la page de changement de mot de passe
+     */
+    description() {
+      const lignes = [`Au moins ${regles.longueurMin} caractères`];
+      if (regles.familles > 1) {
+        lignes.push(`Au moins ${regles.familles} types de caractères parmi : ${FAMILLES.map(f => f.libelle).join(', ')}`);
+      }
+      if (regles.historique > 0) {
+        lignes.push(regles.historique === 1
+          ? 'Différent du mot de passe actuel'
+          : `Différent des ${regles.historique} derniers mots de passe`);
+      }
+      if (regles.expirationJours > 0) {
+        lignes.push(`À renouveler tous les ${regles.expirationJours} jours`);
+      }
+      return lignes;
+    },
+
+    /**
+     * Vérifie un nouveau mot de passe ; lève une erreur au premier manquement.
+     * Sans compte (mot de passe temporaire fixé par l'admin), l'historique n'est pas vérifié.
+     */
+    async verifier(motDePasse, user = null) {
+      if (typeof motDePasse !== 'string' || motDePasse.length < regles.longueurMin) {
+        throw new Error(`Le mot de passe doit contenir au moins ${regles.longueurMin} caractères`);
+      }
+      if (motDePasse.length > LONGUEUR_MAX) {
+        throw new Error(`Le mot de passe ne doit pas dépasser ${LONGUEUR_MAX} caractères`);
+      }
+
+      const presentes = FAMILLES.filter(f => f.test.test(motDePasse)).length;
+      if (presentes < regles.familles) {
+        throw new Error(`Le mot de passe doit mélanger au moins ${regles.familles} types de caractères (${FAMILLES.map(f => f.libelle).join(', ')})`);
+      }
+
+      if (user && regles.historique > 0) {
+        const empreintes = [user.password, ...(user.passwordHistory || [])]
+          .filter(Boolean)
+          .slice(0, regles.historique);
+        for (const empreinte of empreintes) {
+          if (await bcrypt.compare(motDePasse, empreinte)) {
+            throw new Error(regles.historique === 1
+              ? 'Le nouveau mot de passe doit être différent de l\'actuel'
+              : `Ce mot de passe a déjà été utilisé (les ${regles.historique} derniers sont refusés)`);
+          }
+        }
+      }
+    },
+
+    /**
+     * Le mot de passe a-t-il dépassé sa durée de validité ?
+     * Un compte sans date de changement n'expire pas (voir enregistrer()).
+     */
+    estExpire(user) {
+      if (!regles.expirationJours || !user.passwordChangedAt) {
+        return false;
+      }
+      const age = Date.now() - new Date(user.passwordChangedAt).getTime();
+      return age > regles.expirationJours * 24 * 60 * 60 * 1000;
+    },
+
+    /**
+     * Remplace le mot de passe d'un compte (modifié en place) en conservant l'historique
+     */
+    enregistrer(user, empreinte) {
+      if (user.password) {
+        user.passwordHistory = [user.password, ...(user.passwordHistory || [])]
+          .slice(0, Math.max(regles.historique - 1, 0));
+      }
+      user.password = empreinte;
+      user.passwordChangedAt = new Date().toISOString();
+    }
+  };
+}
+
+module.exports = { createPolitiqueMotDePasse, lirePolitiqueDepuisEnv };
@@ -0,0 +1,275 @@
+// Rendu PDF des grilles d'évaluation E6 (version imprimable à faire signer par les jurys)
+//
+// Le PDF reprend les données remplies par generer-excel-complet : identité, croix des
+// critères, commentaires, bonus, notes et membres du jury. Il est dessiné directement à
+// partir de mapping.json (libellés des critères et des niveaux), sans passer par l'Excel.
+
+const PDFDocument = require('pdfkit');
+const GradingEngine = require('../public/js/grading');
+
+const PHASES = ['stage', 'revue1', 'revue2', 'revue3', 'soutenance'];
+const NIVEAUX = ['niveau_1', 'niveau_2', 'niveau_3', 'niveau_4'];
+
+const MARGE = 30;
+const LARGEUR_NIVEAU = 46;
+const GRIS = '#edf2f7';
+
+// Colonne (niveau_1 à niveau_4) cochée pour un critère, comme dans l'Excel (0 et 1 -> niveau_1)
+function niveauCoche(critereData) {
+  if (!critereData || critereData.niveau === null || critereData.niveau === undefined) {
+    return null;
+  }
+  const niveau = parseInt(critereData.niveau);
+  if (niveau === 0 || niveau === 1) return 'niveau_1';
+  return NIVEAUX.includes(`niveau_${niveau}`) ? `niveau_${niveau}` : null;
+}
+
+function formaterNote(note) {
+  return note === null || note === undefined || note === '' || isNaN(parseFloat(note))
+    ? '—'
+    : `${parseFloat(note)} / 20`;
+}
+
+// Largeur utile de la page
+function largeurPage(doc) {
+  return doc.page.width - 2 * MARGE;
+}
+
+// Passer à la page suivante si la hauteur demandée ne tient pas
+function reserver(doc, hauteur) {
+  if (doc.y + hauteur > doc.page.height - MARGE) {
+    doc.addPage();
+    return true;
+  }
+  return false;
+}
+
+// Titre de la feuille, session et identité du candidat
+function dessinerEnTete(doc, titre, dossier) {
+  const { eleve, identite } = dossier;
+  const largeur = largeurPage(doc);
+
+  doc.font('Helvetica-Bold').fontSize(13).text(titre, MARGE, MARGE, { width: largeur, align: 'center' });
+  doc.font('Helvetica').fontSize(10).text(`SESSION ${identite.session}`, { width: largeur, align: 'center' });
+  doc.moveDown(0.5);
+
+  const lignes = [
+    ['Académie', identite.academie],
+    ['Établissement', identite.etablissement],
+    ['Candidat', `${eleve.nom || ''} ${eleve.prenom || ''}`.trim()],
+    ['N° candidat', eleve.numero],
+    ['Option', eleve.option],
+    ['Date', identite.date]
+  ];
+  const yDepart = doc.y;
+  const largeurColonne = largeur / 3;
+
+  lignes.forEach(([label, valeur], index) => {
+    const x = MARGE + (index % 3) * largeurColonne;
+    const y = yDepart + Math.floor(index / 3) * 13;
+    doc.font('Helvetica').fontSize(8.5)
+      .text(`${label} : ${valeur || ''}`, x, y, { width: largeurColonne - 6, height: 12, ellipsis: true });
+  });
+
+  doc.x = MARGE;
+  doc.y = yDepart + Math.ceil(lignes.length / 3) * 13 + 6;
+}
+
+// Ligne d'en-tête du tableau des critères
+function dessinerEnTeteGrille(doc, mapping) {
+  const largeur = largeurPage(doc);
+  const largeurCritere = largeur - NIVEAUX.length * LARGEUR_NIVEAU;
+  const hauteur = 24;
+  const y = doc.y;
+
+  doc.rect(MARGE, y, largeur, hauteur).fillAndStroke(GRIS, '#a0aec0');
+  doc.fillColor('black').font('Helvetica-Bold').fontSize(8)
+    .text('Critères', MARGE + 4, y + 8, { width: largeurCritere - 8 });
+
+  NIVEAUX.forEach((niveau, index) => {
+    const x = MARGE + largeurCritere + index * LARGEUR_NIVEAU;
+    doc.font('Helvetica-Bold').fontSize(6)
+      .text(mapping.niveaux[niveau].label, x + 2, y + 3, { width: LARGEUR_NIVEAU - 4, align: 'center' });
+    doc.moveTo(x, y).lineTo(x, y + hauteur).stroke('#a0aec0');
+  });
+
+  doc.y = y + hauteur;
+}
+
+// Tableau des compétences et critères d'une phase, avec les croix
+function dessinerGrille(doc, mapping, semestre, evalData) {
+  const largeur = largeurPage(doc);
+  const largeurCritere = largeur - NIVEAUX.length * LARGEUR_NIVEAU;
+
+  dessinerEnTeteGrille(doc, mapping);
+
+  for (const [code, competence] of Object.entries(mapping.evaluations[semestre].competences)) {
+    const titre = `${code} - ${competence.nom} (poids ${competence.poids})`;
+    doc.font('Helvetica-Bold').fontSize(7.5);
+    const hauteurTitre = doc.heightOfString(titre, { width: largeur - 8 }) + 4;
+    if (reserver(doc, hauteurTitre + 20)) {
+      dessinerEnTeteGrille(doc, mapping);
+    }
+
+    const yTitre = doc.y;
+    doc.rect(MARGE, yTitre, largeur, hauteurTitre).fillAndStroke('#e2e8f0', '#a0aec0');
+    doc.fillColor('black').text(titre, MARGE + 4, yTitre + 2, { width: largeur - 8 });
+    doc.y = yTitre + hauteurTitre;
+
+    for (const critere of competence.criteres) {
+      doc.font('Helvetica').fontSize(7);
+      const hauteur = doc.heightOfString(critere.texte || critere.id, { width: largeurCritere - 8 }) + 4;
+      if (reserver(doc, hauteur)) {
+        dessinerEnTeteGrille(doc, mapping);
+      }
+
+      const y = doc.y;
+      const coche = niveauCoche(evalData[critere.id]);
+      doc.rect(MARGE, y, largeur, hauteur).stroke('#a0aec0');
+      doc.fillColor('black').text(critere.texte || critere.id, MARGE + 4, y + 2, { width: largeurCritere - 8 });
+
+      NIVEAUX.forEach((niveau, index) => {
+        const x = MARGE + largeurCritere + index * LARGEUR_NIVEAU;
+        doc.moveTo(x, y).lineTo(x, y + hauteur).stroke('#a0aec0');
+        if (coche === niveau) {
+          doc.font('Helvetica-Bold').fontSize(10)
+            .text('X', x, y + hauteur / 2 - 4, { width: LARGEUR_NIVEAU, align: 'center' });
+        }
+      });
+
+      doc.y = y + hauteur;
+    }
+  }
+
+  doc.x = MARGE;
+}
+
+// Encadré avec un titre et un texte libre (commentaires)
+function dessinerEncadre(doc, titre, texte, hauteurMin = 50) {
+  const largeur = largeurPage(doc);
+  doc.font('Helvetica').fontSize(9);
+  const hauteur = Math.max(hauteurMin, doc.heightOfString(texte || '', { width: largeur - 12 }) + 24);
+  reserver(doc, hauteur + 6);
+
+  const y = doc.y + 6;
+  doc.rect(MARGE, y, largeur, hauteur).stroke('#a0aec0');
+  doc.font('Helvetica-Bold').fontSize(9).fillColor('black').text(titre, MARGE + 6, y + 5, { width: largeur - 12 });
+  doc.font('Helvetica').fontSize(9).text(texte || '', MARGE + 6, y + 18, { width: largeur - 12 });
+  doc.x = MARGE;
+  doc.y = y + hauteur;
+}
+
+// Zone de signature des membres du jury
+function dessinerSignatures(doc, membresJury) {
+  const largeur = largeurPage(doc);
+  const membres = membresJury.length > 0 ? membresJury : [null, null, null];
+  const largeurCase = largeur / membres.length;
+  const hauteur = 60;
+  reserver(doc, hauteur + 24);
+
+  doc.moveDown(0.5);
+  doc.font('Helvetica-Bold').fontSize(9).text('Nom, qualité et signature des membres du jury', MARGE);
+  const y = doc.y + 4;
+
+  membres.forEach((membre, index) => {
+    const x = MARGE + index * largeurCase;
+    doc.rect(x, y, largeurCase, hauteur).stroke('#a0aec0');
+    if (membre) {
+      doc.font('Helvetica').fontSize(8)
+        .text(membre, x + 4, y + 4, { width: largeurCase - 8 });
+    }
+  });
+
+  doc.x = MARGE;
+  doc.y = y + hauteur;
+}
+
+// Une page (ou plus) par phase d'évaluation
+function dessinerPhase(doc, dossier, semestre) {
+  const { eleve, mapping } = dossier;
+  const evalData = (eleve.evaluations && eleve.evaluations[semestre]) || {};
+
+  dessinerEnTete(doc, mapping.sheetNames[semestre] || semestre, dossier);
+  dessinerGrille(doc, mapping, semestre, evalData);
+
+  const resultat = GradingEngine.calculerNote(GradingEngine.grilleDepuisMapping(mapping, semestre), evalData);
+  reserver(doc, 20);
+  doc.moveDown(0.4);
+  const calculee = resultat.complet ? formaterNote(resultat.note) : 'croix à reprendre';
+  doc.font('Helvetica').fontSize(9)
+    .text(`Bonus : ${parseFloat(evalData.bonus) || 0}    Note calculée : ${calculee}    `, MARGE, doc.y, { continued: true })
+    .font('Helvetica-Bold').text(`Note finale proposée : ${formaterNote(evalData.note_finale)}`);
+
+  dessinerEncadre(doc, 'Commentaire général', evalData.commentaireGeneral);
+  dessinerSignatures(doc, semestre === 'soutenance' ? dossier.membresJury : []);
+}
+
+// Fiche récapitulative : notes des phases, note proposée, commentaires, jury
+function dessinerRecapitulatif(doc, dossier) {
+  const { eleve, mapping } = dossier;
+  const largeur = largeurPage(doc);
+  const recap = eleve.recapitulatif || {};
+
+  dessinerEnTete(doc, mapping.sheetNames.recap || 'Fiche récapitulative', dossier);
+
+  const config = mapping.note_recapitulative;
+  const resultat = GradingEngine.calculerNoteRecap(config, eleve.evaluations);
+  const colonnes = [largeur - 160, 80, 80];
+  const ligne = (cellules, gras, fond) => {
+    const y = doc.y;
+    if (fond) doc.rect(MARGE, y, largeur, 18).fillAndStroke(fond, '#a0aec0');
+    else doc.rect(MARGE, y, largeur, 18).stroke('#a0aec0');
+    let x = MARGE;
+    cellules.forEach((texte, index) => {
+      doc.fillColor('black').font(gras ? 'Helvetica-Bold' : 'Helvetica').fontSize(9)
+        .text(texte, x + 4, y + 5, { width: colonnes[index] - 8, align: index === 0 ? 'left' : 'center' });
+      x += colonnes[index];
+    });
+    doc.y = y + 18;
+  };
+
+  ligne(['Épreuve', 'Coefficient', 'Note'], true, GRIS);
+  config.phases.forEach(phase => {
+    ligne([phase.label, String(phase.coefficient), formaterNote(resultat.notes[phase.semestre])]);
+  });
+  ligne(['Note récapitulative calculée', GradingEngine.decrireFormuleRecap(config), formaterNote(resultat.note)], true);
+
+  doc.x = MARGE;
+  doc.moveDown(0.8);
+  doc.font('Helvetica-Bold').fontSize(10).text(`Note proposée par le jury : ${formaterNote(recap.note_proposee)}`, MARGE);
+
+  dessinerEncadre(doc, 'Commentaires du jury', recap.commentaires, 90);
+  dessinerSignatures(doc, dossier.membresJury);
+}
+
+/**
+ * Écrit les grilles (une par phase) et la fiche récapitulative de chaque élève dans un PDF
+ * @param {Array<Object>} dossiers - [{ eleve, mapping, identite: { session, academie, etablissement, date }, membresJury }]
+ *   membresJury : libellés « Nom Prénom - Qualité » (3 au plus)
+ * @param {stream.Writable} sortie - Flux de destination (réponse HTTP, fichier...)
+ * @returns {Promise<void>} Résolue lorsque le document est entièrement écrit
+ */
+function genererPdfGrilles(dossiers, sortie) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: MARGE, autoFirstPage: false, info: { Title: 'Grilles d\'évaluation E6' } });
+    doc.on('error', reject);
+    sortie.on('error', reject);
+    sortie.on('finish', resolve);
+    doc.pipe(sortie);
+
+    for (const dossier of dossiers) {
+      for (const semestre of PHASES) {
+        if (dossier.mapping.evaluations && dossier.mapping.evaluations[semestre]) {
+          doc.addPage();
+          dessinerPhase(doc, dossier, semestre);
+        }
+      }
+      doc.addPage();
+      dessinerRecapitulatif(doc, dossier);
+    }
+
+    doc.end();
+  });
+}
+
+module.exports = { genererPdfGrilles };
@@ -10,12 +10,33 @@ const bcrypt = require('bcryptjs');
 const path = require('path');
 const fs = require('fs').promises;
 const XlsxPopulate = require('xlsx-populate');
+const JSZip = require('jszip');
 const multer = require('multer');
 const crypto = require('crypto');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const cookieParser = require('cookie-parser');
 const { doubleCsrf } = require('csrf-csrf');
+const { createJobQueue } = require('./jobs');
+const { createEvenements } = require('./evenements');
+const { createPolitiqueMotDePasse, lirePolitiqueDepuisEnv } = require('./mots-de-passe');
+const { FileSessionStore } = require('./connexions');
+const { genererSecret, verifierCode, genererEnrolement, genererCodesSecours, utiliserCodeSecours } = require('./totp');
+const { genererPdfGrilles } = require('./pdf-grille');
+const { construireExportCohorte, versCsv, versXlsx } = require('./export-cohorte');
+const { createJsonStore, appendJsonLine, readJsonLines, writeFileAtomic, withFileLock, cleanupTempFiles } = require('./storage');
+const GradingEngine = require('../public/js/grading');
+const { MAX_LIGNES_IMPORT, normaliser, lireListeClasse, proposerCorrespondance } = require('./import-eleves');
+const { ouvrirGrille, lireIdentite, lireEvaluations } = require('./import-grille');
+const { validerModele, formaterRapport } = require('./valider-modele');
+const {
+  validerGrille,
+  createGrilleVersions,
+  criteresPhase,
+  composerMapping,
+  proposerCorrespondances,
+  migrerEvaluation
+} = require('./grilles');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -30,43 +51,23 @@ if (!process.env.SESSION_SECRET) {
 
 const SESSION_SECRET = process.env.SESSION_SECRET;
 
-// Mutex pour éviter les écritures concurrentes sur les fichiers Excel
-const excelLocks = new Map();
-let activeExcelOperations = 0;
-const MAX_CONCURRENT_EXCEL_OPERATIONS = 4; // 2 jurys × 2 opérations max par jury
-const LOCK_TIMEOUT = 30000; // Timeout de 30 secondes pour éviter les blocages infinis
-
-// Fonction pour acquérir un verrou sur un fichier Excel
-async function acquireExcelLock(filename) {
-  const startTime = Date.now();
-
-  // Attendre qu'il y ait moins de 4 opérations Excel en cours
-  while (activeExcelOperations >= MAX_CONCURRENT_EXCEL_OPERATIONS) {
-    if (Date.now() - startTime > LOCK_TIMEOUT) {
-      throw new Error('Timeout: Trop d\'opérations Excel en cours. Veuillez réessayer dans quelques instants.');
-    }
-    await new Promise(resolve => setTimeout(resolve, 200));
-  }
-
-  // Attendre que le fichier spécifique soit libre
-  const fileStartTime = Date.now();
-  while (excelLocks.get(filename)) {
-    if (Date.now() - fileStartTime > LOCK_TIMEOUT) {
-      throw new Error('Timeout: Le fichier Excel est déjà en cours de modification. Veuillez réessayer dans quelques instants.');
-    }
-    await new Promise(resolve => setTimeout(resolve, 100));
-  }
-
-  activeExcelOperations++;
-  excelLocks.set(filename, { locked: true, timestamp: Date.now() });
+// Politique de mots de passe (variables PASSWORD_*) : une valeur invalide bloque le démarrage
+let politiqueMotDePasse;
+try {
+  politiqueMotDePasse = createPolitiqueMotDePasse(lirePolitiqueDepuisEnv());
+} catch (error) {
+  console.error(`❌ ERREUR CRITIQUE: politique de mots de passe invalide - ${error.message}`);
+  process.exit(1);
 }
 
-// Fonction pour libérer un verrou sur un fichier Excel
-function releaseExcelLock(filename) {
-  excelLocks.delete(filename);
-  activeExcelOperations--;
-  if (activeExcelOperations < 0) activeExcelOperations = 0;
-}
+// Double authentification (TOTP) : facultative, ou imposée aux administrateurs (ADMIN_TOTP_REQUIRED=true)
+const TOTP_OBLIGATOIRE_ADMIN = process.env.ADMIN_TOTP_REQUIRED === 'true';
+const TOTP_EMETTEUR = 'EvalE6 BTS CIEL';
+const DELAI_SECOND_FACTEUR = 5 * 60 * 1000; // entre le mot de passe et le code
+const DELAI_ENROLEMENT_TOTP = 10 * 60 * 1000; // entre le QR code et le premier code
+
+// Secrets TOTP en attente de confirmation, gardés en mémoire seulement (jamais dans data/connexions.json)
+const enrolementsTotp = new Map(); // identifiant de session -> { secret, expire }
 
 // Configuration de Helmet pour la sécurité des headers HTTP
 app.use(helmet({
@@ -103,15 +104,44 @@ const loginLimiter = rateLimit({
   skipSuccessfulRequests: true // Ne compte que les échecs
 });
 
+// Chemins
+const DATA_DIR = path.join(__dirname, '../data');
+const CONFIG_DIR = path.join(__dirname, '../config');
+const MODELES_DIR = path.join(__dirname, '../modeles');
+const EXPORT_DIR = path.join(__dirname, '../export');
+const RAPPORTS_DIR = path.join(__dirname, '../rapports');
+const ELEVES_FILE = path.join(DATA_DIR, 'eleves.json');
+const OPTIONS_FILE = path.join(CONFIG_DIR, 'options.json');
+const USERS_FILE = path.join(DATA_DIR, 'users.json');
+const JURY_MEMBERS_FILE = path.join(DATA_DIR, 'jury-members.json');
+const JURIES_FILE = path.join(DATA_DIR, 'juries.json');
+const PROJETS_FILE = path.join(DATA_DIR, 'projets.json');
+const HISTORY_FILE = path.join(DATA_DIR, 'evaluation-history.jsonl');
+const SESSIONS_FILE = path.join(DATA_DIR, 'sessions.json');
+const JOBS_FILE = path.join(DATA_DIR, 'jobs.json');
+const CONNEXIONS_FILE = path.join(DATA_DIR, 'connexions.json');
+const ETABLISSEMENT_FILE = path.join(DATA_DIR, 'etablissement.json');
+const ETABLISSEMENT_HISTORY_FILE = path.join(DATA_DIR, 'etablissement-history.jsonl');
+const ARCHIVES_DIR = path.join(DATA_DIR, 'archives');
+const GRILLES_DIR = path.join(DATA_DIR, 'grilles');
+const SECURITY_LOG_FILE = path.join(__dirname, '../security.log');
+
 // Middleware
 app.use(cors({
   origin: process.env.CORS_ORIGIN || 'https://localhost:3001',
   credentials: true
 }));
+// Les grilles complètes (mapping + observables) envoyées par l'éditeur dépassent la limite par défaut
+app.use('/api/options', bodyParser.json({ limit: '1mb' }));
 app.use(bodyParser.json());
 app.use(cookieParser()); // Requis par csrf-csrf pour lire le cookie CSRF
 app.use(generalLimiter); // Appliquer le rate limiting global
+
+// Sessions conservées dans le volume de données : un redémarrage ne déconnecte personne
+const sessionStore = new FileSessionStore(CONNEXIONS_FILE);
+
 app.use(session({
+  store: sessionStore,
   secret: SESSION_SECRET,
   resave: false,
   saveUninitialized: false,
@@ -137,24 +167,12 @@ const { generateCsrfToken, doubleCsrfProtection } = doubleCsrf({
   // Accepter le token via l'en-tête envoyé par le frontend (CSRF-Token -> csrf-token)
   getCsrfTokenFromRequest: (req) => req.headers['csrf-token'] || req.headers['x-csrf-token'],
   // GET/HEAD/OPTIONS sont déjà ignorés ; on exempte en plus le login (pas de token au préalable)
-  skipCsrfProtection: (req) => req.path === '/api/auth/login'
+  // (ni la seconde étape de connexion, qui précède elle aussi l'ouverture de la session)
+  skipCsrfProtection: (req) => req.path === '/api/auth/login' || req.path === '/api/auth/login/totp'
 });
 
 app.use(doubleCsrfProtection);
 
-// Chemins
-const DATA_DIR = path.join(__dirname, '../data');
-const CONFIG_DIR = path.join(__dirname, '../config');
-const MODELES_DIR = path.join(__dirname, '../modeles');
-const EXPORT_DIR = path.join(__dirname, '../export');
-const RAPPORTS_DIR = path.join(__dirname, '../rapports');
-const ELEVES_FILE = path.join(DATA_DIR, 'eleves.json');
-const MAPPING_FILE = path.join(CONFIG_DIR, 'mapping.json');
-const MODELE_FILE = path.join(MODELES_DIR, 'GRILLE_E6.xlsx');
-const USERS_FILE = path.join(DATA_DIR, 'users.json');
-const JURY_MEMBERS_FILE = path.join(DATA_DIR, 'jury-members.json');
-const PROJETS_FILE = path.join(DATA_DIR, 'projets.json');
-const SECURITY_LOG_FILE = path.join(__dirname, '../security.log');
 
 // Fonction de logging sécurité
 async function logSecurityEvent(event, details = {}) {
@@ -175,74 +193,264 @@ async function logSecurityEvent(event, details = {}) {
 }
 
 // Charger les données
-let mapping = null;
+// Option BTS CIEL par défaut (élèves créés avant l'ajout du champ option)
+const DEFAULT_OPTION = 'IR';
+
+// Jeux de grilles par option : { IR: { code, label, version, mapping, observables, modeleFile } }
+// Une option déclarée dans config/options.json sans son mapping, ses observables ou son
+// template empêche le démarrage.
+// La grille en vigueur est la dernière version enregistrée dans data/grilles/ (voir grilles.js) :
+// celle fournie dans config/, ou celle modifiée depuis l'éditeur des grilles.
+let gridSets = {};
+let optionsConfig = {};
+const grilleVersions = createGrilleVersions(GRILLES_DIR);
 
 async function loadMapping() {
   try {
-    const data = await fs.readFile(MAPPING_FILE, 'utf-8');
-    mapping = JSON.parse(data);
-    console.log('Mapping chargé avec succès');
+    optionsConfig = JSON.parse(await fs.readFile(OPTIONS_FILE, 'utf-8'));
+    const loadedSets = {};
+
+    for (const [code, option] of Object.entries(optionsConfig)) {
+      // Une option déclarée doit être utilisable : ses trois fichiers sont requis
+      for (const fichier of [path.join(CONFIG_DIR, option.mapping), path.join(CONFIG_DIR, option.observables),
+        path.join(MODELES_DIR, option.modele)]) {
+        try {
+          await fs.access(fichier);
+        } catch {
+          throw new Error(`Option ${code} : fichier ${path.relative(path.join(__dirname, '..'), fichier)} introuvable`);
+        }
+      }
+      const data = await fs.readFile(path.join(CONFIG_DIR, option.mapping), 'utf-8');
+      const observablesData = await fs.readFile(path.join(CONFIG_DIR, option.observables), 'utf-8');
+
+      // La grille fournie avec l'application doit être valide, même si une version
+      // modifiée depuis l'éditeur est en vigueur
+      const { erreurs } = validerGrille(JSON.parse(data), JSON.parse(observablesData));
+      if (erreurs.length > 0) {
+        throw new Error(`Grille ${code} invalide :\n - ${erreurs.join('\n - ')}`);
+      }
+      validateNoteRecapConfig(JSON.parse(data));
+
+      const installee = await grilleVersions.installer(code, data, observablesData);
+      if (installee) {
+        console.log(`📋 Grille ${code} fournie avec l'application enregistrée en version ${installee.version}`);
+      }
+
+      const courante = await grilleVersions.derniere(code);
+      validateNoteRecapConfig(courante.mapping);
+      loadedSets[code] = {
+        code,
+        label: option.label,
+        version: courante.version,
+        mapping: courante.mapping,
+        observables: courante.observables,
+        modeleFile: path.join(MODELES_DIR, option.modele)
+      };
+      console.log(`Mapping de l'option ${code} chargé avec succès (version ${courante.version})`);
+    }
+
+    if (!loadedSets[DEFAULT_OPTION]) {
+      throw new Error(`Le mapping de l'option par défaut ${DEFAULT_OPTION} est requis`);
+    }
+    gridSets = loadedSets;
   } catch (error) {
     console.error('Erreur lors du chargement du mapping:', error);
     throw error;
   }
 }
 
-async function loadEleves() {
+// Jeu de grilles d'une option (null si l'option n'est pas configurée)
+function getGridSet(option) {
+  return gridSets[option || DEFAULT_OPTION] || null;
+}
+
+// Jeu de grilles correspondant à l'option d'un élève
+function getGridSetForEleve(eleve) {
+  return getGridSet(eleve.option);
+}
+
+// Version de la grille avec laquelle une évaluation a été saisie. Une évaluation pas
+// encore saisie le sera avec la version en vigueur.
+function getEvaluationGrille(eleve, semestre) {
+  const version = eleve.evaluationVersions && eleve.evaluationVersions[semestre];
+  if (version && version.grille) {
+    return version.grille;
+  }
+  const gridSet = getGridSetForEleve(eleve);
+  return gridSet ? gridSet.version : null;
+}
+
+// Mapping d'un élève : chaque phase évaluée selon la version de la grille avec laquelle
+// elle a été saisie (voir composerMapping). Une version introuvable (session archivée
+// venant d'une autre installation) est remplacée par la grille en vigueur.
+async function getMappingForEleve(eleve, gridSet = getGridSetForEleve(eleve)) {
+  const parPhase = {};
+  for (const semestre of Object.keys(eleve.evaluations || {})) {
+    const version = getEvaluationGrille(eleve, semestre);
+    if (version !== gridSet.version) {
+      const record = await grilleVersions.get(gridSet.code, version);
+      if (record) {
+        parPhase[semestre] = record.mapping;
+      }
+    }
+  }
+  return composerMapping(gridSet.mapping, parPhase);
+}
+
+// Rattacher les évaluations saisies avant le versionnement des grilles à la version en
+// vigueur au démarrage (celle avec laquelle elles ont été saisies)
+async function rattacherEvaluationsAuxGrilles() {
+  return updateEleves((eleves) => {
+    let rattachees = 0;
+    eleves.forEach(eleve => {
+      const gridSet = getGridSetForEleve(eleve);
+      if (!gridSet) return;
+      Object.keys(eleve.evaluations || {}).forEach(semestre => {
+        if (!eleve.evaluationVersions) {
+          eleve.evaluationVersions = {};
+        }
+        const version = eleve.evaluationVersions[semestre] || { revision: 0 };
+        if (!version.grille) {
+          eleve.evaluationVersions[semestre] = { ...version, grille: gridSet.version };
+          rattachees++;
+        }
+      });
+    });
+    return rattachees;
+  });
+}
+
+function gridSetUnavailableMessage(option) {
+  return `Les grilles de l'option ${option} ne sont pas installées (voir config/options.json)`;
+}
+
+// Vérifier que le modèle Excel de chaque option correspond toujours à son mapping
+// Renvoie { code: { modele, erreurs, verifications } }
+async function validerModeles() {
+  const rapports = {};
+  for (const gridSet of Object.values(gridSets)) {
+    const rapport = await validerModele(gridSet.modeleFile, gridSet.mapping);
+    rapports[gridSet.code] = { modele: path.basename(gridSet.modeleFile), ...rapport };
+  }
+  return rapports;
+}
+
+// Vérifier la configuration de la note récapitulative (coefficients et arrondi)
+function validateNoteRecapConfig(loadedMapping) {
+  const config = loadedMapping.note_recapitulative;
+  validateObject(config, 'note_recapitulative', true);
+
+  if (!Array.isArray(config.phases) || config.phases.length === 0) {
+    throw new Error('note_recapitulative.phases doit être une liste non vide');
+  }
+  config.phases.forEach(phase => {
+    validateEnum(phase.semestre, 'Phase de la note récapitulative', Object.keys(loadedMapping.evaluations));
+    validateString(phase.label, `Libellé de la phase ${phase.semestre}`, true, 100);
+    validateNumber(phase.coefficient, `Coefficient de la phase ${phase.semestre}`, true, 0);
+  });
+  if (!config.phases.some(phase => phase.coefficient > 0)) {
+    throw new Error('note_recapitulative : au moins une phase doit avoir un coefficient positif');
+  }
+
+  validateObject(config.arrondi, 'note_recapitulative.arrondi', false);
+  if (config.arrondi) {
+    validateNumber(config.arrondi.pas, 'Pas d\'arrondi', true, 0.001, 20);
+    validateEnum(config.arrondi.mode, 'Mode d\'arrondi', ['plus_proche', 'superieur', 'inferieur'], false);
+  }
+}
+
+// Ajouter l'option et la note récapitulative calculée (non stockée) à un élève
+function withNoteRecapitulative(eleve) {
+  const gridSet = getGridSetForEleve(eleve);
+  return {
+    ...eleve,
+    option: eleve.option || DEFAULT_OPTION,
+    note_recapitulative: gridSet
+      ? GradingEngine.calculerNoteRecap(gridSet.mapping.note_recapitulative, eleve.evaluations)
+      : null
+  };
+}
+
+// Accès transactionnels aux fichiers de données (écriture atomique et sérialisée)
+const elevesStore = createJsonStore(ELEVES_FILE, []);
+const usersStore = createJsonStore(USERS_FILE, []);
+const juryMembersStore = createJsonStore(JURY_MEMBERS_FILE, {});
+const projetsStore = createJsonStore(PROJETS_FILE, []);
+const jobsStore = createJsonStore(JOBS_FILE, []);
+
+// sessionData : session consultée (voir getSessionData), la session courante par défaut
+async function loadEleves(sessionData = currentSessionData) {
   try {
-    const data = await fs.readFile(ELEVES_FILE, 'utf-8');
-    return JSON.parse(data);
+    return await sessionData.eleves.load();
   } catch (error) {
     console.error('Erreur lors du chargement des élèves:', error);
     return [];
   }
 }
 
-async function saveEleves(eleves) {
-  try {
-    await fs.writeFile(ELEVES_FILE, JSON.stringify(eleves, null, 2));
-    return true;
-  } catch (error) {
-    console.error('Erreur lors de la sauvegarde des élèves:', error);
-    return false;
-  }
+// Modifier la liste des élèves en une seule transaction (voir storage.js)
+function updateEleves(mutator) {
+  return elevesStore.transaction(mutator);
+}
+
+// Modifier un seul élève : renvoie l'élève modifié, ou null s'il n'existe pas
+function updateEleve(eleveId, updater) {
+  return elevesStore.transaction(async (eleves) => {
+    const eleve = eleves.find(e => e.id === eleveId);
+    if (!eleve) {
+      return null;
+    }
+    await updater(eleve, eleves);
+    return eleve;
+  });
+}
+
+// Modifications signalées en temps réel aux pages ouvertes (GET /api/events)
+const evenements = createEvenements();
+
+// Signaler la modification d'un élève à l'administration et à son jury
+// (autresJurys : ancien jury lors d'une réaffectation)
+function publierEleve(type, eleve, donnees = {}, autresJurys = []) {
+  evenements.publier(type, { eleveId: eleve.id, jury: eleve.jury || null, ...donnees }, {
+    jurys: [eleve.jury, ...autresJurys]
+  });
 }
 
 // Fonctions d'authentification
 async function loadUsers() {
   try {
-    const data = await fs.readFile(USERS_FILE, 'utf-8');
-    return JSON.parse(data);
+    return await usersStore.load();
   } catch (error) {
     console.error('Erreur lors du chargement des utilisateurs:', error);
     return [];
   }
 }
 
-async function saveUsers(users) {
-  try {
-    await fs.writeFile(USERS_FILE, JSON.stringify(users, null, 2), 'utf-8');
-    return true;
-  } catch (error) {
-    console.error('Erreur lors de la sauvegarde des utilisateurs:', error);
-    return false;
-  }
+// Modifier un seul utilisateur : renvoie l'utilisateur modifié, ou null s'il n'existe pas
+function updateUser(username, updater) {
+  return usersStore.transaction(async (users) => {
+    const user = users.find(u => u.username === username);
+    if (!user) {
+      return null;
+    }
+    await updater(user, users);
+    return user;
+  });
 }
 
 // Fonctions pour les membres des jurys
-async function loadJuryMembers() {
+async function loadJuryMembers(sessionData = currentSessionData) {
   try {
-    const data = await fs.readFile(JURY_MEMBERS_FILE, 'utf-8');
-    return JSON.parse(data);
+    return await sessionData.juryMembers.load();
   } catch (error) {
     console.error('Erreur lors du chargement des membres du jury:', error);
-    return { jury1: [], jury2: [] };
+    return {};
   }
 }
 
 async function saveJuryMembers(juryMembers) {
   try {
-    await fs.writeFile(JURY_MEMBERS_FILE, JSON.stringify(juryMembers, null, 2));
+    await juryMembersStore.save(juryMembers);
     return true;
   } catch (error) {
     console.error('Erreur lors de la sauvegarde des membres du jury:', error);
@@ -250,27 +458,271 @@ async function saveJuryMembers(juryMembers) {
   }
 }
 
-// Fonctions pour les projets
-async function loadProjets() {
+// Nom affiché d'un compte personnel (Prénom Nom), ou null pour un compte partagé
+function nomCompletUtilisateur(user) {
+  const nom = `${user.prenom || ''} ${user.nom || ''}`.trim();
+  return nom || null;
+}
+
+// Ajouter aux membres saisis ceux qui ont un compte personnel rattaché au jury.
+// Les comptes passent en premier (cellules du récapitulatif, PDF) et portent leur
+// identifiant (compte) ; un membre saisi sous le même nom qu'un compte est écarté.
+function fusionnerMembresComptes(saisis, users) {
+  const comptes = users.filter(u => u.role === 'jury' && u.juryId && !u.disabled && nomCompletUtilisateur(u));
+  const juryIds = new Set([...Object.keys(saisis), ...comptes.map(u => u.juryId)]);
+  const cle = m => `${normaliser(m.nom)}|${normaliser(m.prenom)}`;
+
+  const membres = {};
+  for (const juryId of juryIds) {
+    const membresComptes = comptes
+      .filter(u => u.juryId === juryId)
+      .map(u => ({ nom: u.nom || '', prenom: u.prenom || '', qualite: u.qualite || '', compte: u.username }));
+    const nomsComptes = new Set(membresComptes.map(cle));
+    membres[juryId] = [
+      ...membresComptes,
+      ...(saisis[juryId] || []).filter(m => !nomsComptes.has(cle(m)))
+    ];
+  }
+  return membres;
+}
+
+// Membres des jurys d'une session. Les comptes sont communs à toutes les sessions : une
+// session archivée garde la liste figée lors de son archivage.
+async function loadMembresJurys(sessionData = currentSessionData) {
+  const saisis = await loadJuryMembers(sessionData);
+  if (sessionData !== currentSessionData) {
+    return saisis;
+  }
+  return fusionnerMembresComptes(saisis, await loadUsers());
+}
+
+// Fonctions pour le registre des jurys
+// Jurys par défaut lorsque le registre n'existe pas encore (installations historiques à 2 jurys)
+const DEFAULT_JURIES = [
+  { id: 'jury1', nom: 'Jury 1', archived: false },
+  { id: 'jury2', nom: 'Jury 2', archived: false }
+];
+
+const juriesStore = createJsonStore(JURIES_FILE, () => DEFAULT_JURIES.map(jury => ({ ...jury })));
+
+async function loadJuries(sessionData = currentSessionData) {
   try {
-    const data = await fs.readFile(PROJETS_FILE, 'utf-8');
-    return JSON.parse(data);
+    return await sessionData.juries.load();
   } catch (error) {
-    console.error('Erreur lors du chargement des projets:', error);
-    return [];
+    console.error('Erreur lors du chargement des jurys:', error);
+    return DEFAULT_JURIES.map(jury => ({ ...jury }));
+  }
+}
+
+// Sessions d'examen
+// La session courante utilise data/, export/ et rapports/. Les sessions passées sont
+// archivées dans data/archives/<année>/ (données, exports et rapports) et ne se
+// consultent plus qu'en lecture seule.
+const sessionsStore = createJsonStore(SESSIONS_FILE, () => ({
+  courante: { annee: new Date().getFullYear(), ouverteLe: new Date().toISOString() },
+  archives: []
+}));
+
+async function loadSessions() {
+  try {
+    return await sessionsStore.load();
+  } catch (error) {
+    console.error('Erreur lors du chargement des sessions:', error);
+    throw error;
+  }
+}
+
+const currentSessionData = {
+  archive: false,
+  eleves: elevesStore,
+  projets: projetsStore,
+  juryMembers: juryMembersStore,
+  juries: juriesStore,
+  historyFile: HISTORY_FILE,
+  exportDir: EXPORT_DIR,
+  rapportsDir: RAPPORTS_DIR
+};
+
+// Accès aux fichiers d'une session archivée (créés une seule fois par année)
+const archiveSessionData = new Map();
+
+function getArchiveSessionData(annee) {
+  if (!archiveSessionData.has(annee)) {
+    const dir = path.join(ARCHIVES_DIR, String(annee));
+    archiveSessionData.set(annee, {
+      archive: true,
+      annee,
+      eleves: createJsonStore(path.join(dir, 'eleves.json'), []),
+      projets: createJsonStore(path.join(dir, 'projets.json'), []),
+      juryMembers: createJsonStore(path.join(dir, 'jury-members.json'), {}),
+      juries: createJsonStore(path.join(dir, 'juries.json'), () => DEFAULT_JURIES.map(jury => ({ ...jury }))),
+      historyFile: path.join(dir, 'evaluation-history.jsonl'),
+      exportDir: path.join(dir, 'export'),
+      rapportsDir: path.join(dir, 'rapports')
+    });
+  }
+  return archiveSessionData.get(annee);
+}
+
+// Données de la session consultée par l'utilisateur (session courante par défaut)
+function getSessionData(req) {
+  const annee = req.session && req.session.sessionConsultee;
+  return annee ? getArchiveSessionData(annee) : currentSessionData;
+}
+
+// Configuration de l'établissement (commune à toutes les sessions)
+const etablissementStore = createJsonStore(ETABLISSEMENT_FILE, { etablissement: '', academie: '' });
+
+async function loadEtablissementConfig() {
+  try {
+    return await etablissementStore.load();
+  } catch (error) {
+    console.error('Erreur lors du chargement de la configuration établissement:', error);
+    return { etablissement: '', academie: '' };
   }
 }
 
-async function saveProjets(projets) {
+// Copier les fichiers d'un dossier dans l'archive ; renvoie les noms copiés.
+// Les originaux ne sont supprimés (viderDossier) qu'une fois toute l'archive écrite.
+async function copierDossier(sourceDir, targetDir) {
+  await fs.mkdir(targetDir, { recursive: true });
+
+  let entries = [];
   try {
-    await fs.writeFile(PROJETS_FILE, JSON.stringify(projets, null, 2));
+    entries = await fs.readdir(sourceDir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const copies = [];
+  for (const entry of entries) {
+    if (!entry.isFile() || entry.name.startsWith('.')) continue;
+    // Copie puis suppression : export/ et rapports/ peuvent être sur des volumes différents de data/
+    await fs.copyFile(path.join(sourceDir, entry.name), path.join(targetDir, entry.name));
+    copies.push(entry.name);
+  }
+  return copies;
+}
+
+async function viderDossier(sourceDir, noms, keep = () => false) {
+  for (const nom of noms) {
+    if (keep(nom)) continue;
+    try {
+      await fs.unlink(path.join(sourceDir, nom));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+// Archiver la session courante et ouvrir la suivante, en deux temps :
+// 1. écrire toute l'archive (les fichiers de la session courante restent intacts) ;
+// 2. seulement ensuite, vider la session courante.
+// Les fichiers restent verrouillés pendant toute l'opération : aucune écriture
+// concurrente ne peut se glisser entre l'archivage et la remise à zéro.
+// Une erreur pendant l'étape 1 laisse la session courante telle quelle.
+async function rolloverSession(sessions, annee, options, username) {
+  const archiveDir = path.join(ARCHIVES_DIR, String(sessions.courante.annee));
+  const writeArchive = (name, data) => writeFileAtomic(path.join(archiveDir, name), JSON.stringify(data, null, 2));
+  const users = await loadUsers();
+
+  await fs.mkdir(archiveDir, { recursive: true });
+
+  await elevesStore.transaction(eleves =>
+    projetsStore.transaction(projets =>
+      juryMembersStore.transaction(juryMembers =>
+        withFileLock(HISTORY_FILE, async () => {
+          // 1. Archive complète
+          await writeArchive('projets.json', projets);
+          // Figer aussi les membres qui ont un compte : la session archivée doit garder leurs noms
+          await writeArchive('jury-members.json', fusionnerMembresComptes(juryMembers, users));
+          // Le registre des jurys reste commun (les comptes jury y sont rattachés)
+          await writeArchive('juries.json', await loadJuries());
+
+          let historique = true;
+          try {
+            await fs.copyFile(HISTORY_FILE, path.join(archiveDir, 'evaluation-history.jsonl'));
+          } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            historique = false;
+          }
+
+          const rapports = await copierDossier(RAPPORTS_DIR, path.join(archiveDir, 'rapports'));
+          const exports = await copierDossier(EXPORT_DIR, path.join(archiveDir, 'export'));
+
+          // En dernier : sa présence indique une archive complète (voir POST /api/sessions)
+          await writeArchive('eleves.json', eleves);
+
+          // 2. Remise à zéro de la session courante
+          const projetsRepris = options.reprendreProjets
+            ? projets.map(projet => projet.cahierChargesFilename).filter(Boolean)
+            : [];
+          await viderDossier(RAPPORTS_DIR, rapports, name => projetsRepris.includes(name));
+          await viderDossier(EXPORT_DIR, exports);
+          if (historique) {
+            await fs.unlink(HISTORY_FILE);
+          }
+
+          eleves.length = 0;
+          if (!options.reprendreProjets) {
+            projets.length = 0;
+          }
+          if (!options.reprendreMembresJury) {
+            Object.keys(juryMembers).forEach(juryId => delete juryMembers[juryId]);
+          }
+        })
+      )
+    )
+  );
+
+  const now = new Date().toISOString();
+  sessions.archives.push({ ...sessions.courante, archiveeLe: now, archiveePar: username });
+  sessions.courante = { annee, ouverteLe: now };
+}
+
+// Vérifier qu'un jury peut être affecté : il doit exister et ne pas être archivé,
+// sauf s'il s'agit de l'affectation actuelle (conservée telle quelle)
+async function validateJuryAssignment(jury, currentJury = null) {
+  if (jury === null || jury === undefined || jury === '') {
+    return true;
+  }
+  const juries = await loadJuries();
+  const allowedIds = juries
+    .filter(j => !j.archived || j.id === currentJury)
+    .map(j => j.id);
+  return validateEnum(jury, 'Jury', allowedIds, false);
+}
+
+// Vérifier l'option d'un élève : elle doit disposer de ses grilles, et ne peut plus
+// changer une fois des évaluations saisies (les critères diffèrent d'une option à l'autre)
+function validateOptionAssignment(option, existing = null) {
+  if (option === undefined || option === null || option === '') {
     return true;
+  }
+  validateEnum(option, 'Option', Object.keys(gridSets), false);
+
+  if (existing && option !== (existing.option || DEFAULT_OPTION) &&
+      existing.evaluations && Object.keys(existing.evaluations).length > 0) {
+    throw new Error('Impossible de changer l\'option : des évaluations ont déjà été saisies pour cet élève');
+  }
+  return true;
+}
+
+// Fonctions pour les projets
+async function loadProjets(sessionData = currentSessionData) {
+  try {
+    return await sessionData.projets.load();
   } catch (error) {
-    console.error('Erreur lors de la sauvegarde des projets:', error);
-    return false;
+    console.error('Erreur lors du chargement des projets:', error);
+    return [];
   }
 }
 
+// Modifier la liste des projets en une seule transaction
+function updateProjets(mutator) {
+  return projetsStore.transaction(mutator);
+}
+
 // Middleware d'authentification
 function requireAuth(req, res, next) {
   if (!req.session || !req.session.user) {
@@ -287,6 +739,138 @@ function requireAdmin(req, res, next) {
   next();
 }
 
+// Middleware : un compte désactivé ou supprimé perd l'accès dès sa requête suivante, même
+// avec une session ouverte. Le rôle et le jury de la session suivent les modifications de l'admin.
+async function refreshSessionUser(req, res, next) {
+  if (!req.session || !req.session.user) {
+    return next();
+  }
+  try {
+    const users = await usersStore.load();
+    const user = users.find(u => u.username === req.session.user.username);
+    if (!user || user.disabled) {
+      return req.session.destroy(() => {
+        res.status(401).json({ error: 'Compte désactivé ou supprimé' });
+      });
+    }
+    req.session.user.role = user.role;
+    req.session.user.juryId = user.juryId || null;
+    req.session.user.nomComplet = nomCompletUtilisateur(user);
+    req.session.user.mustChangePassword = Boolean(user.mustChangePassword) || politiqueMotDePasse.estExpire(user);
+    req.session.user.totpAConfigurer = doitConfigurerTotp(user);
+    next();
+  } catch (error) {
+    console.error('Erreur lors de la vérification du compte:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+}
+
+// Middleware : tant que le mot de passe doit être changé (première connexion, réinitialisation
+// par l'admin, expiration), la session n'a accès qu'au changement de mot de passe.
+const ROUTES_CHANGEMENT_MOT_DE_PASSE = ['/csrf-token', '/change-password', '/password-policy', '/auth/me', '/auth/logout', '/auth/login'];
+
+function enforcePasswordChange(req, res, next) {
+  if (!req.session || !req.session.user || !req.session.user.mustChangePassword ||
+      ROUTES_CHANGEMENT_MOT_DE_PASSE.includes(req.path)) {
+    return next();
+  }
+  return res.status(403).json({
+    error: 'Vous devez changer votre mot de passe avant de continuer',
+    mustChangePassword: true
+  });
+}
+
+// Middleware : un administrateur tenu d'utiliser la double authentification doit l'activer
+// (page « Mon compte ») avant d'accéder au reste de l'application.
+const ROUTES_CONFIGURATION_TOTP = [...ROUTES_CHANGEMENT_MOT_DE_PASSE, '/2fa', '/2fa/enrolement', '/2fa/activer'];
+
+function enforceTotpEnrolment(req, res, next) {
+  if (!req.session || !req.session.user || !req.session.user.totpAConfigurer ||
+      ROUTES_CONFIGURATION_TOTP.includes(req.path)) {
+    return next();
+  }
+  return res.status(403).json({
+    error: 'La double authentification est obligatoire pour les administrateurs : activez-la avant de continuer',
+    totpAConfigurer: true
+  });
+}
+
+// Middleware : une session archivée se consulte en lecture seule.
+// Seules l'authentification et le choix de la session restent possibles (pas l'ouverture
+// d'une nouvelle session : l'administrateur revient d'abord à la session courante).
+function rejectWritesOnArchive(req, res, next) {
+  const annee = req.session && req.session.sessionConsultee;
+  if (!annee || req.method === 'GET' || req.method === 'HEAD' ||
+      req.path.startsWith('/auth/') || req.path === '/sessions/consulter') {
+    return next();
+  }
+  return res.status(403).json({
+    error: `La session ${annee} est archivée : consultation en lecture seule`
+  });
+}
+
+// Middleware : pendant la période de verrouillage fixée par un jury, l'administrateur ne
+// peut plus modifier les élèves de ce jury (évaluations, fiche, Excel, suppression).
+// Réponse 423 (Locked) ; chaque tentative est consignée dans le journal de sécurité.
+async function rejectAdminWritesOnLockedJury(req, res, next) {
+  const user = req.session && req.session.user;
+  const eleveId = parseInt(req.params.id);
+  if (!user || user.role !== 'admin' || req.method === 'GET' || req.method === 'HEAD' ||
+      req.session.sessionConsultee || isNaN(eleveId)) {
+    return next();
+  }
+
+  try {
+    const eleve = (await loadEleves()).find(e => e.id === eleveId);
+    const lockData = await loadEvaluationLock();
+    if (!eleve || !eleve.jury || !isInLockPeriod(lockData, eleve.jury)) {
+      return next();
+    }
+
+    await logLockOverrideAttempt(req, { eleveId, juryId: eleve.jury });
+    return await rejectLockedJury(res, lockData, eleve.jury);
+  } catch (error) {
+    console.error('Erreur:', error);
+    res.status(500).json({ error: 'Erreur lors de la vérification du verrouillage' });
+  }
+}
+
+// Consigner une tentative de modification des élèves d'un jury verrouillé
+function logLockOverrideAttempt(req, details) {
+  return logSecurityEvent('LOCK_OVERRIDE_ATTEMPT', {
+    username: req.session.user.username,
+    ...details,
+    method: req.method,
+    path: req.originalUrl,
+    ip: req.ip
+  });
+}
+
+// Affectation d'élèves à un jury en période de verrouillage (création, modification, import) :
+// sa liste d'élèves ne doit pas changer non plus. Renvoie true si la réponse 423 a été envoyée.
+async function rejectAssignmentToLockedJury(req, res, juryIds, details = {}) {
+  const lockData = await loadEvaluationLock();
+  const verrouille = [...new Set(juryIds)].find(juryId => juryId && isInLockPeriod(lockData, juryId));
+  if (!verrouille) {
+    return false;
+  }
+  await logLockOverrideAttempt(req, { ...details, juryId: verrouille });
+  await rejectLockedJury(res, lockData, verrouille);
+  return true;
+}
+
+// Réponse 423 (Locked) pour un jury en période de verrouillage
+async function rejectLockedJury(res, lockData, juryId) {
+  const jury = (await loadJuries()).find(j => j.id === juryId);
+  const fin = new Date(lockData[juryId].endDate);
+  return res.status(423).json({
+    error: `Les élèves du jury ${jury ? jury.nom : juryId} sont verrouillés par le jury jusqu'au ` +
+      `${fin.toLocaleString('fr-FR')} : modification impossible`,
+    juryId,
+    endDate: lockData[juryId].endDate
+  });
+}
+
 // Middleware de vérification d'accès aux évaluations selon le rôle
 function checkEvaluationAccess(req, res, next) {
   if (!req.session || !req.session.user) {
@@ -315,6 +899,13 @@ function checkEvaluationAccess(req, res, next) {
   return res.status(403).json({ error: 'Accès refusé' });
 }
 
+// Un compte jury n'agit que sur les élèves de son jury (sans jury rattaché : aucun élève)
+function juryHorsAffectation(user, eleve) {
+  return user.role === 'jury' && eleve.jury !== user.juryId;
+}
+
+const ERREUR_ELEVE_HORS_JURY = 'Accès refusé - Cet élève n\'est pas assigné à votre jury';
+
 // Fonctions de validation des types
 function validateString(value, fieldName, required = true, maxLength = 500) {
   if (value === undefined || value === null) {
@@ -378,26 +969,111 @@ function validateObject(value, fieldName, required = true) {
   return true;
 }
 
-// Construit un nom de fichier Excel sûr à partir de l'élève.
-// Protection path traversal en écriture : nom/prenom ne sont pas garantis exempts
-// de séparateurs (/ \) ni de séquences "..". On retire les caractères de chemin et
-// illégaux et on neutralise les ".." ; le résultat ne peut donc pas sortir d'EXPORT_DIR.
-function buildExcelFileName(eleve) {
-  const clean = (s) => String(s || '')
-    .replace(/[\/\\:*?"<>|\x00-\x1F]/g, '') // séparateurs de chemin + caractères illégaux
-    .replace(/\.{2,}/g, '.')                // neutralise les séquences ".."
-    .trim();
-  return `${clean(eleve.nom)}_${clean(eleve.prenom)}_Evaluation.xlsx`;
+// Valeur comparable d'un champ d'évaluation : niveau pour un critère, valeur brute sinon
+function evaluationFieldValue(value) {
+  if (value && typeof value === 'object') {
+    return value.niveau === undefined ? null : value.niveau;
+  }
+  return value === undefined || value === '' ? null : value;
 }
 
-// Validation du type de fichier par magic number (octets de signature)
-async function validatePDFFile(filePath) {
-  try {
-    const buffer = Buffer.alloc(5);
-    const fileHandle = await fs.open(filePath, 'r');
-    await fileHandle.read(buffer, 0, 5, 0);
-    await fileHandle.close();
-
+// Comparer deux versions d'une évaluation champ par champ
+// Renvoie la liste des champs dont la valeur diffère : { champ, actuel, propose }
+function diffEvaluationData(current, proposed) {
+  const currentData = current || {};
+  const proposedData = proposed || {};
+  const champs = new Set([...Object.keys(currentData), ...Object.keys(proposedData)]);
+  const diff = [];
+
+  for (const champ of champs) {
+    const actuel = evaluationFieldValue(currentData[champ]);
+    const propose = evaluationFieldValue(proposedData[champ]);
+    if (actuel !== propose) {
+      diff.push({ champ, actuel, propose });
+    }
+  }
+
+  return diff;
+}
+
+// Révision courante d'une évaluation (0 si elle n'a jamais été enregistrée)
+function getEvaluationRevision(eleve, semestre) {
+  const version = eleve.evaluationVersions && eleve.evaluationVersions[semestre];
+  return version ? version.revision : 0;
+}
+
+// Enregistrer une évaluation et incrémenter sa révision. L'évaluation reste rattachée à
+// la version de grille avec laquelle elle a été saisie (sauf migration, voir grille).
+function applyEvaluationSave(eleve, semestre, data, username, grille = getEvaluationGrille(eleve, semestre)) {
+  if (!eleve.evaluations) {
+    eleve.evaluations = {};
+  }
+  if (!eleve.evaluationVersions) {
+    eleve.evaluationVersions = {};
+  }
+
+  eleve.evaluations[semestre] = data;
+  eleve.evaluationVersions[semestre] = {
+    revision: getEvaluationRevision(eleve, semestre) + 1,
+    grille,
+    updatedBy: username,
+    updatedAt: new Date().toISOString()
+  };
+
+  return eleve.evaluationVersions[semestre];
+}
+
+// Historique des modifications d'évaluations et de récapitulatifs
+// Journal en ajout seul : chaque enregistrement devient une révision immuable
+// { eleveId, type, semestre, revision, user, auteur, timestamp, changes: [{ champ, avant, apres }] }
+// auteur : nom de la personne pour un compte personnel (le compte pouvant être supprimé ensuite)
+async function recordHistory(entry, before, after) {
+  const changes = diffEvaluationData(before, after)
+    .map(({ champ, actuel, propose }) => ({ champ, avant: actuel, apres: propose }));
+
+  try {
+    const compte = (await loadUsers()).find(u => u.username === entry.user);
+    await appendJsonLine(HISTORY_FILE, {
+      ...entry,
+      auteur: compte ? nomCompletUtilisateur(compte) : null,
+      timestamp: new Date().toISOString(),
+      changes
+    });
+  } catch (error) {
+    console.error('Erreur lors de l\'écriture de l\'historique:', error);
+  }
+}
+
+async function loadHistory(eleveId, sessionData = currentSessionData) {
+  try {
+    const entries = await readJsonLines(sessionData.historyFile);
+    return entries.filter(entry => entry.eleveId === eleveId);
+  } catch (error) {
+    console.error('Erreur lors du chargement de l\'historique:', error);
+    return [];
+  }
+}
+
+// Construit un nom de fichier Excel sûr à partir de l'élève.
+// Protection path traversal en écriture : nom/prenom ne sont pas garantis exempts
+// de séparateurs (/ \) ni de séquences "..". On retire les caractères de chemin et
+// illégaux et on neutralise les ".." ; le résultat ne peut donc pas sortir d'EXPORT_DIR.
+function buildExcelFileName(eleve) {
+  const clean = (s) => String(s || '')
+    .replace(/[\/\\:*?"<>|\x00-\x1F]/g, '') // séparateurs de chemin + caractères illégaux
+    .replace(/\.{2,}/g, '.')                // neutralise les séquences ".."
+    .trim();
+  return `${clean(eleve.nom)}_${clean(eleve.prenom)}_Evaluation.xlsx`;
+}
+
+// Validation du type de fichier par magic number (octets de signature)
+async function validatePDFFile(filePath) {
+  try {
+    const buffer = Buffer.alloc(5);
+    const fileHandle = await fs.open(filePath, 'r');
+    await fileHandle.read(buffer, 0, 5, 0);
+    await fileHandle.close();
+
     // Les fichiers PDF commencent par %PDF- (25 50 44 46 2D en hex)
     const pdfSignature = buffer.toString('utf8', 0, 5);
     if (pdfSignature !== '%PDF-') {
@@ -409,6 +1085,12 @@ async function validatePDFFile(filePath) {
   }
 }
 
+app.use('/api', refreshSessionUser);
+app.use('/api', enforcePasswordChange);
+app.use('/api', enforceTotpEnrolment);
+app.use('/api', rejectWritesOnArchive);
+app.use('/api/eleves/:id', rejectAdminWritesOnLockedJury);
+
 // Routes publiques (pas de middleware app.use(express.static))
 app.get('/login', (req, res) => {
   res.sendFile(path.join(__dirname, '../public/login.html'));
@@ -451,30 +1133,152 @@ app.post('/api/auth/login', loginLimiter, async (req, res) => {
       return res.status(401).json({ error: 'Identifiants invalides' });
     }
 
-    // Vérifier si l'utilisateur doit changer son mot de passe
-    const mustChangePassword = user.mustChangePassword || false;
+    if (user.disabled) {
+      await logSecurityEvent('LOGIN_FAILED', { username, reason: 'account_disabled', ip: req.ip });
+      return res.status(403).json({ error: 'Ce compte est désactivé. Contactez l\'administrateur.' });
+    }
 
-    req.session.user = {
-      username: user.username,
-      role: user.role,
-      juryId: user.juryId || null,
-      mustChangePassword
-    };
+    // Double authentification : le mot de passe seul n'ouvre pas la session
+    if (user.totp && user.totp.active) {
+      await regenererSession(req);
+      req.session.secondFacteur = { username, expire: Date.now() + DELAI_SECOND_FACTEUR };
+      return res.json({ success: true, totpRequis: true });
+    }
 
-    await logSecurityEvent('LOGIN_SUCCESS', { username, role: user.role, ip: req.ip });
+    res.json(await ouvrirSession(req, user));
+  } catch (error) {
+    console.error('Erreur de connexion:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
 
-    res.json({
-      success: true,
-      user: { username: user.username, role: user.role, juryId: user.juryId || null },
-      mustChangePassword
+// Seconde étape de connexion : code de l'application d'authentification ou code de secours
+app.post('/api/auth/login/totp', loginLimiter, async (req, res) => {
+  try {
+    const attente = req.session.secondFacteur;
+    if (!attente || attente.expire < Date.now()) {
+      delete req.session.secondFacteur;
+      return res.status(401).json({
+        error: 'Délai dépassé : reconnectez-vous avec votre mot de passe',
+        secondFacteurExpire: true
+      });
+    }
+
+    const { code } = req.body;
+    try {
+      validateString(code, 'Code', true, 20);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    let methode = null;
+    const user = await updateUser(attente.username, (u) => {
+      methode = verifierSecondFacteur(u, code);
     });
+
+    if (!user || user.disabled) {
+      delete req.session.secondFacteur;
+      return res.status(401).json({ error: 'Identifiants invalides' });
+    }
+
+    if (!methode) {
+      await logSecurityEvent('LOGIN_FAILED', { username: attente.username, reason: 'invalid_totp', ip: req.ip });
+      return res.status(401).json({ error: 'Code invalide' });
+    }
+
+    const resultat = await ouvrirSession(req, user);
+    if (methode === 'secours') {
+      resultat.codesSecoursRestants = user.totp.codesSecours.length;
+      await logSecurityEvent('TOTP_RECOVERY_CODE_USED', {
+        username: user.username,
+        restants: resultat.codesSecoursRestants,
+        ip: req.ip
+      });
+    }
+    res.json(resultat);
   } catch (error) {
     console.error('Erreur de connexion:', error);
     res.status(500).json({ error: 'Erreur serveur' });
   }
 });
 
+// La double authentification est-elle imposée à ce compte et pas encore configurée ?
+function doitConfigurerTotp(user) {
+  return TOTP_OBLIGATOIRE_ADMIN && user.role === 'admin' && !(user.totp && user.totp.active);
+}
+
+// Vérifier un code de second facteur (modifie le compte : code consommé) ; renvoie la méthode ou null
+function verifierSecondFacteur(user, code) {
+  if (!user.totp || !user.totp.active) {
+    return null;
+  }
+  const pas = verifierCode(user.totp.secret, code, user.totp.dernierPas);
+  if (pas !== null) {
+    user.totp.dernierPas = pas;
+    return 'totp';
+  }
+  return utiliserCodeSecours(user.totp.codesSecours, code) ? 'secours' : null;
+}
+
+// Changer l'identifiant de session à chaque étape de connexion (fixation de session) ;
+// l'ancienne session, et le second facteur en attente, sont supprimés
+function regenererSession(req) {
+  return new Promise((resolve, reject) => {
+    req.session.regenerate((error) => (error ? reject(error) : resolve()));
+  });
+}
+
+// Ouvrir la session d'un utilisateur authentifié ; renvoie la réponse de connexion
+async function ouvrirSession(req, user) {
+  await regenererSession(req);
+
+  // Vérifier si l'utilisateur doit changer son mot de passe (temporaire ou expiré)
+  const expire = politiqueMotDePasse.estExpire(user);
+  const mustChangePassword = Boolean(user.mustChangePassword) || expire;
+  if (expire) {
+    await logSecurityEvent('PASSWORD_EXPIRED', { username: user.username, ip: req.ip });
+  }
+
+  // Comptes antérieurs à la politique : le délai d'expiration part de cette connexion
+  if (!user.passwordChangedAt) {
+    await updateUser(user.username, (u) => {
+      u.passwordChangedAt = u.passwordChangedAt || new Date().toISOString();
+    });
+  }
+
+  const totpAConfigurer = doitConfigurerTotp(user);
+  req.session.user = {
+    username: user.username,
+    role: user.role,
+    juryId: user.juryId || null,
+    nomComplet: nomCompletUtilisateur(user),
+    mustChangePassword,
+    totpAConfigurer
+  };
+  // Informations affichées dans la liste des connexions actives
+  req.session.connexion = {
+    ip: req.ip,
+    navigateur: String(req.get('user-agent') || '').slice(0, 200),
+    debut: new Date().toISOString()
+  };
+
+  await logSecurityEvent('LOGIN_SUCCESS', {
+    username: user.username,
+    role: user.role,
+    totp: Boolean(user.totp && user.totp.active),
+    ip: req.ip
+  });
+
+  return {
+    success: true,
+    user: { username: user.username, role: user.role, juryId: user.juryId || null, nomComplet: nomCompletUtilisateur(user) },
+    mustChangePassword,
+    totpAConfigurer
+  };
+}
+
 app.post('/api/auth/logout', (req, res) => {
+  enrolementsTotp.delete(req.sessionID);
   req.session.destroy((err) => {
     if (err) {
       return res.status(500).json({ error: 'Erreur lors de la déconnexion' });
@@ -497,8 +1301,8 @@ app.post('/api/change-password', requireAuth, async (req, res) => {
       return res.status(400).json({ error: validationError.message });
     }
 
-    if (newPassword.length < 6) {
-      return res.status(400).json({ error: 'Le nouveau mot de passe doit contenir au moins 6 caractères' });
+    if (newPassword === currentPassword) {
+      return res.status(400).json({ error: 'Le nouveau mot de passe doit être différent de l\'actuel' });
     }
 
     // Charger les utilisateurs
@@ -517,16 +1321,24 @@ app.post('/api/change-password', requireAuth, async (req, res) => {
       return res.status(401).json({ error: 'Mot de passe actuel incorrect' });
     }
 
+    // Longueur, complexité et réutilisation des anciens mots de passe
+    try {
+      await politiqueMotDePasse.verifier(newPassword, user);
+    } catch (policyError) {
+      return res.status(400).json({ error: policyError.message });
+    }
+
     // Hasher le nouveau mot de passe
     const hashedPassword = await bcrypt.hash(newPassword, 10);
 
     // Mettre à jour le mot de passe et retirer le flag mustChangePassword
-    users[userIndex].password = hashedPassword;
-    users[userIndex].mustChangePassword = false;
-
-    // Sauvegarder les utilisateurs
-    const saved = await saveUsers(users);
-    if (!saved) {
+    try {
+      await updateUser(username, (u) => {
+        politiqueMotDePasse.enregistrer(u, hashedPassword);
+        u.mustChangePassword = false;
+      });
+    } catch (saveError) {
+      console.error('Erreur lors de la sauvegarde des utilisateurs:', saveError);
       return res.status(500).json({ error: 'Erreur lors de la sauvegarde du nouveau mot de passe' });
     }
 
@@ -542,6 +1354,208 @@ app.post('/api/change-password', requireAuth, async (req, res) => {
   }
 });
 
+// Route pour obtenir les règles de mot de passe (affichées lors du changement)
+app.get('/api/password-policy', requireAuth, (req, res) => {
+  res.json({ ...politiqueMotDePasse.regles, description: politiqueMotDePasse.description() });
+});
+
+// Double authentification du compte connecté : état
+app.get('/api/2fa', requireAuth, async (req, res) => {
+  try {
+    const users = await loadUsers();
+    const user = users.find(u => u.username === req.session.user.username);
+    if (!user) {
+      return res.status(404).json({ error: 'Utilisateur non trouvé' });
+    }
+    const active = Boolean(user.totp && user.totp.active);
+    res.json({
+      active,
+      activeLe: active ? user.totp.activeLe : null,
+      codesSecoursRestants: active ? user.totp.codesSecours.length : 0,
+      obligatoire: TOTP_OBLIGATOIRE_ADMIN && user.role === 'admin'
+    });
+  } catch (error) {
+    console.error('Erreur lors du chargement de la double authentification:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Double authentification : nouveau secret à scanner (confirmé ensuite par un premier code)
+app.post('/api/2fa/enrolement', requireAuth, async (req, res) => {
+  try {
+    const username = req.session.user.username;
+    const users = await loadUsers();
+    const user = users.find(u => u.username === username);
+    if (!user) {
+      return res.status(404).json({ error: 'Utilisateur non trouvé' });
+    }
+    if (user.totp && user.totp.active) {
+      return res.status(400).json({ error: 'La double authentification est déjà activée' });
+    }
+
+    // Le secret reste en mémoire tant qu'il n'est pas confirmé
+    const secret = genererSecret();
+    for (const [sid, enrolement] of enrolementsTotp) {
+      if (enrolement.expire <= Date.now()) {
+        enrolementsTotp.delete(sid);
+      }
+    }
+    enrolementsTotp.set(req.sessionID, { secret, expire: Date.now() + DELAI_ENROLEMENT_TOTP });
+    const { uri, qrCode } = await genererEnrolement(secret, username, TOTP_EMETTEUR);
+
+    res.json({ secret, uri, qrCode });
+  } catch (error) {
+    console.error('Erreur lors de l\'enrôlement de la double authentification:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Double authentification : activation après saisie d'un premier code
+app.post('/api/2fa/activer', requireAuth, async (req, res) => {
+  try {
+    const username = req.session.user.username;
+    const enrolement = enrolementsTotp.get(req.sessionID);
+    const secret = enrolement && enrolement.expire > Date.now() ? enrolement.secret : null;
+    const { code } = req.body;
+
+    try {
+      validateString(code, 'Code', true, 20);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    if (!secret) {
+      return res.status(400).json({ error: 'Aucun enrôlement en cours : générez d\'abord un QR code' });
+    }
+
+    const pas = verifierCode(secret, code);
+    if (pas === null) {
+      return res.status(400).json({ error: 'Code invalide : vérifiez l\'heure de votre téléphone et réessayez' });
+    }
+
+    const { codes, empreintes } = genererCodesSecours();
+    const user = await updateUser(username, (u) => {
+      u.totp = {
+        active: true,
+        secret,
+        dernierPas: pas,
+        codesSecours: empreintes,
+        activeLe: new Date().toISOString()
+      };
+    });
+    if (!user) {
+      return res.status(404).json({ error: 'Utilisateur non trouvé' });
+    }
+
+    enrolementsTotp.delete(req.sessionID);
+    req.session.user.totpAConfigurer = false;
+
+    await logSecurityEvent('TOTP_ENABLED', { username, ip: req.ip });
+
+    // Les codes de secours ne sont montrés qu'une fois
+    res.json({ success: true, codesSecours: codes });
+  } catch (error) {
+    console.error('Erreur lors de l\'activation de la double authentification:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Double authentification : nouveaux codes de secours (les anciens ne sont plus valables)
+app.post('/api/2fa/codes-secours', requireAuth, async (req, res) => {
+  try {
+    const username = req.session.user.username;
+    const { code } = req.body;
+
+    try {
+      validateString(code, 'Code', true, 20);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    const { codes, empreintes } = genererCodesSecours();
+    let resultat = 'absent';
+    await updateUser(username, (u) => {
+      if (!u.totp || !u.totp.active) {
+        resultat = 'inactive';
+        return;
+      }
+      const pas = verifierCode(u.totp.secret, code, u.totp.dernierPas);
+      if (pas === null) {
+        resultat = 'code-invalide';
+        return;
+      }
+      u.totp.dernierPas = pas;
+      u.totp.codesSecours = empreintes;
+      resultat = 'ok';
+    });
+
+    if (resultat === 'absent') {
+      return res.status(404).json({ error: 'Utilisateur non trouvé' });
+    }
+    if (resultat === 'inactive') {
+      return res.status(400).json({ error: 'La double authentification n\'est pas activée' });
+    }
+    if (resultat === 'code-invalide') {
+      return res.status(400).json({ error: 'Code invalide' });
+    }
+
+    await logSecurityEvent('TOTP_RECOVERY_CODES_RENEWED', { username, ip: req.ip });
+
+    res.json({ success: true, codesSecours: codes });
+  } catch (error) {
+    console.error('Erreur lors du renouvellement des codes de secours:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Double authentification : désactivation (mot de passe et code exigés)
+app.post('/api/2fa/desactiver', requireAuth, async (req, res) => {
+  try {
+    const username = req.session.user.username;
+    const { password, code } = req.body;
+
+    try {
+      validateString(password, 'Mot de passe', true, 100);
+      validateString(code, 'Code', true, 20);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    const users = await loadUsers();
+    const user = users.find(u => u.username === username);
+    if (!user) {
+      return res.status(404).json({ error: 'Utilisateur non trouvé' });
+    }
+    if (!user.totp || !user.totp.active) {
+      return res.status(400).json({ error: 'La double authentification n\'est pas activée' });
+    }
+    if (TOTP_OBLIGATOIRE_ADMIN && user.role === 'admin') {
+      return res.status(400).json({ error: 'La double authentification est obligatoire pour les administrateurs' });
+    }
+    if (!(await bcrypt.compare(password, user.password))) {
+      return res.status(401).json({ error: 'Mot de passe incorrect' });
+    }
+
+    let methode = null;
+    await updateUser(username, (u) => {
+      methode = verifierSecondFacteur(u, code);
+      if (methode) {
+        delete u.totp;
+      }
+    });
+    if (!methode) {
+      return res.status(400).json({ error: 'Code invalide' });
+    }
+
+    await logSecurityEvent('TOTP_DISABLED', { username, ip: req.ip });
+
+    res.json({ success: true, message: 'Double authentification désactivée' });
+  } catch (error) {
+    console.error('Erreur lors de la désactivation de la double authentification:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
 // Route pour réinitialiser le mot de passe d'un utilisateur (admin uniquement)
 app.post('/api/reset-password', requireAdmin, async (req, res) => {
   try {
@@ -551,16 +1565,11 @@ app.post('/api/reset-password', requireAdmin, async (req, res) => {
       return res.status(400).json({ error: 'Nom d\'utilisateur et nouveau mot de passe requis' });
     }
 
-    if (newPassword.length < 6) {
-      return res.status(400).json({ error: 'Le nouveau mot de passe doit contenir au moins 6 caractères' });
-    }
-
-    // Charger les utilisateurs
-    const users = await loadUsers();
-    const userIndex = users.findIndex(u => u.username === username);
-
-    if (userIndex === -1) {
-      return res.status(404).json({ error: 'Utilisateur non trouvé' });
+    try {
+      validateString(newPassword, 'Nouveau mot de passe', true, 100);
+      await politiqueMotDePasse.verifier(newPassword);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
     }
 
     // Hasher le nouveau mot de passe
@@ -568,42 +1577,377 @@ app.post('/api/reset-password', requireAdmin, async (req, res) => {
 
     // Mettre à jour le mot de passe et forcer le changement à la prochaine connexion
     // (l'admin ne définit qu'un mot de passe temporaire ; le jury choisit le sien)
-    users[userIndex].password = hashedPassword;
-    users[userIndex].mustChangePassword = true;
-
-    // Sauvegarder les utilisateurs
-    const saved = await saveUsers(users);
-    if (!saved) {
+    let updatedUser;
+    try {
+      updatedUser = await updateUser(username, (u) => {
+        politiqueMotDePasse.enregistrer(u, hashedPassword);
+        u.mustChangePassword = true;
+      });
+    } catch (saveError) {
+      console.error('Erreur lors de la sauvegarde des utilisateurs:', saveError);
       return res.status(500).json({ error: 'Erreur lors de la sauvegarde du nouveau mot de passe' });
     }
 
+    if (!updatedUser) {
+      return res.status(404).json({ error: 'Utilisateur non trouvé' });
+    }
+
+    // L'ancien mot de passe ne doit plus donner accès : fermer les sessions ouvertes avec lui
+    const sessionsRevoquees = await revokeUserSessions(username, req.sessionID);
+
     // Journaliser la réinitialisation pour la traçabilité
     await logSecurityEvent('PASSWORD_RESET', {
       admin: req.session.user.username,
       targetUser: username,
+      sessionsRevoquees,
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: `Mot de passe réinitialisé pour ${username}` +
+        (sessionsRevoquees > 0 ? ` (${sessionsRevoquees} session(s) fermée(s))` : ''),
+      sessionsRevoquees
+    });
+  } catch (error) {
+    console.error('Erreur lors de la réinitialisation du mot de passe:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Route pour obtenir la liste des utilisateurs (admin uniquement)
+app.get('/api/users', requireAdmin, async (req, res) => {
+  try {
+    const users = await loadUsers();
+    // Ne pas renvoyer les mots de passe
+    const usersWithoutPasswords = users.map(publicUser);
+    res.json(usersWithoutPasswords);
+  } catch (error) {
+    console.error('Erreur lors du chargement des utilisateurs:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Données d'un compte renvoyées au client (jamais le hash du mot de passe)
+function publicUser(u) {
+  return {
+    username: u.username,
+    role: u.role,
+    juryId: u.juryId || null,
+    nom: u.nom || '',
+    prenom: u.prenom || '',
+    qualite: u.qualite || '',
+    disabled: Boolean(u.disabled),
+    mustChangePassword: Boolean(u.mustChangePassword),
+    totp: Boolean(u.totp && u.totp.active)
+  };
+}
+
+// Vérifier l'identité d'un compte (nom, prénom, qualité de la personne)
+function validateUserIdentity({ nom, prenom, qualite }, required) {
+  validateString(nom, 'Nom', required, 100);
+  validateString(prenom, 'Prénom', required, 100);
+  validateString(qualite, 'Qualité', false, 100);
+  if (required && (!nom.trim() || !prenom.trim())) {
+    throw new Error('Le nom et le prénom sont requis pour un compte jury');
+  }
+}
+
+// Nombre d'administrateurs actifs, en ignorant éventuellement un compte
+function countActiveAdmins(users, exceptUsername = null) {
+  return users.filter(u => u.role === 'admin' && !u.disabled && u.username !== exceptUsername).length;
+}
+
+// Vérifier le rôle et le jury d'un compte ; renvoie le juryId à enregistrer
+async function validateUserRole(role, juryId) {
+  validateEnum(role, 'Rôle', ['admin', 'jury']);
+  if (role === 'admin') {
+    return null;
+  }
+  validateString(juryId, 'Jury', true, 50);
+  const juries = await loadJuries();
+  if (!juries.some(j => j.id === juryId && !j.archived)) {
+    throw new Error('Jury inconnu ou archivé');
+  }
+  return juryId;
+}
+
+// Route pour créer un compte (admin uniquement)
+// Le mot de passe saisi est temporaire : l'utilisateur devra le changer à sa première connexion.
+app.post('/api/users', requireAdmin, async (req, res) => {
+  try {
+    const { username, password, role, juryId, nom, prenom, qualite } = req.body;
+
+    let userJuryId;
+    try {
+      validateString(username, 'Nom d\'utilisateur', true, 50);
+      if (!/^[a-zA-Z0-9._-]{3,50}$/.test(username)) {
+        throw new Error('Le nom d\'utilisateur doit contenir au moins 3 caractères (lettres, chiffres, point, tiret, souligné)');
+      }
+      validateString(password, 'Mot de passe', true, 100);
+      await politiqueMotDePasse.verifier(password);
+      userJuryId = await validateUserRole(role, juryId);
+      // Un compte jury est personnel : il identifie l'évaluateur
+      validateUserIdentity({ nom, prenom, qualite }, role === 'jury');
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    const newUser = await usersStore.transaction((users) => {
+      if (users.some(u => u.username.toLowerCase() === username.toLowerCase())) {
+        return null;
+      }
+      const user = {
+        username,
+        password: hashedPassword,
+        role,
+        juryId: userJuryId,
+        nom: (nom || '').trim(),
+        prenom: (prenom || '').trim(),
+        qualite: (qualite || '').trim(),
+        passwordChangedAt: new Date().toISOString(),
+        mustChangePassword: true
+      };
+      users.push(user);
+      return user;
+    });
+
+    if (!newUser) {
+      return res.status(409).json({ error: `L'utilisateur ${username} existe déjà` });
+    }
+
+    await logSecurityEvent('USER_CREATED', {
+      admin: req.session.user.username,
+      targetUser: username,
+      role,
+      juryId: userJuryId,
+      ip: req.ip
+    });
+
+    res.status(201).json(publicUser(newUser));
+  } catch (error) {
+    console.error('Erreur lors de la création de l\'utilisateur:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Route pour modifier l'identité, le rôle, le jury ou l'activation d'un compte (admin uniquement)
+app.patch('/api/users/:username', requireAdmin, async (req, res) => {
+  try {
+    const { username } = req.params;
+    const { role, juryId, disabled, nom, prenom, qualite } = req.body;
+    const isSelf = username === req.session.user.username;
+
+    let userJuryId;
+    try {
+      if (role === undefined && juryId !== undefined) {
+        throw new Error('Le rôle est requis pour changer de jury');
+      }
+      if (role !== undefined) {
+        userJuryId = await validateUserRole(role, juryId);
+      }
+      if (disabled !== undefined && typeof disabled !== 'boolean') {
+        throw new Error('disabled doit être un booléen');
+      }
+      validateUserIdentity({ nom, prenom, qualite }, false);
+      // Éviter de se retirer soi-même l'accès à l'administration
+      if (isSelf && ((role !== undefined && role !== 'admin') || disabled === true)) {
+        throw new Error('Vous ne pouvez pas retirer vos propres droits d\'administrateur ni désactiver votre compte');
+      }
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    let lastAdmin = false;
+    const updatedUser = await updateUser(username, (u, users) => {
+      const nextRole = role !== undefined ? role : u.role;
+      const nextDisabled = disabled !== undefined ? disabled : Boolean(u.disabled);
+      if (u.role === 'admin' && !u.disabled && (nextRole !== 'admin' || nextDisabled) &&
+          countActiveAdmins(users, u.username) === 0) {
+        lastAdmin = true;
+        return;
+      }
+      if (role !== undefined) {
+        u.role = role;
+        u.juryId = userJuryId;
+      }
+      if (disabled !== undefined) {
+        u.disabled = disabled;
+      }
+      for (const [champ, valeur] of Object.entries({ nom, prenom, qualite })) {
+        if (valeur !== undefined && valeur !== null) {
+          u[champ] = valeur.trim();
+        }
+      }
+    });
+
+    if (!updatedUser) {
+      return res.status(404).json({ error: 'Utilisateur non trouvé' });
+    }
+    if (lastAdmin) {
+      return res.status(409).json({ error: 'Impossible : il doit rester au moins un administrateur actif' });
+    }
+
+    // Un compte désactivé perd immédiatement ses sessions et ses flux de mises à jour
+    if (updatedUser.disabled) {
+      await revokeUserSessions(username);
+    }
+
+    await logSecurityEvent(disabled === true ? 'USER_DISABLED' : 'USER_UPDATED', {
+      admin: req.session.user.username,
+      targetUser: username,
+      role: updatedUser.role,
+      juryId: updatedUser.juryId || null,
+      disabled: Boolean(updatedUser.disabled),
+      ip: req.ip
+    });
+
+    res.json(publicUser(updatedUser));
+  } catch (error) {
+    console.error('Erreur lors de la modification de l\'utilisateur:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Route pour supprimer un compte (admin uniquement)
+app.delete('/api/users/:username', requireAdmin, async (req, res) => {
+  try {
+    const { username } = req.params;
+
+    if (username === req.session.user.username) {
+      return res.status(400).json({ error: 'Vous ne pouvez pas supprimer votre propre compte' });
+    }
+
+    const result = await usersStore.transaction((users) => {
+      const index = users.findIndex(u => u.username === username);
+      if (index === -1) {
+        return 'absent';
+      }
+      const user = users[index];
+      if (user.role === 'admin' && !user.disabled && countActiveAdmins(users, username) === 0) {
+        return 'dernier-admin';
+      }
+      users.splice(index, 1);
+      return 'supprime';
+    });
+
+    if (result === 'absent') {
+      return res.status(404).json({ error: 'Utilisateur non trouvé' });
+    }
+    if (result === 'dernier-admin') {
+      return res.status(409).json({ error: 'Impossible : il doit rester au moins un administrateur actif' });
+    }
+
+    await revokeUserSessions(username);
+
+    await logSecurityEvent('USER_DELETED', {
+      admin: req.session.user.username,
+      targetUser: username,
+      ip: req.ip
+    });
+
+    res.json({ success: true, message: `Utilisateur ${username} supprimé` });
+  } catch (error) {
+    console.error('Erreur lors de la suppression de l\'utilisateur:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Route pour réinitialiser la double authentification d'un compte (téléphone perdu ; admin uniquement)
+app.delete('/api/users/:username/2fa', requireAdmin, async (req, res) => {
+  try {
+    const { username } = req.params;
+
+    if (username === req.session.user.username) {
+      return res.status(400).json({ error: 'Pour votre propre compte, utilisez la page « Double authentification »' });
+    }
+
+    let avaitTotp = false;
+    const user = await updateUser(username, (u) => {
+      avaitTotp = Boolean(u.totp && u.totp.active);
+      delete u.totp;
+    });
+
+    if (!user) {
+      return res.status(404).json({ error: 'Utilisateur non trouvé' });
+    }
+    if (!avaitTotp) {
+      return res.status(400).json({ error: 'La double authentification n\'est pas activée pour ce compte' });
+    }
+
+    await logSecurityEvent('TOTP_RESET', {
+      admin: req.session.user.username,
+      targetUser: username,
+      ip: req.ip
+    });
+
+    res.json(publicUser(user));
+  } catch (error) {
+    console.error('Erreur lors de la réinitialisation de la double authentification:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Fermer les sessions d'un utilisateur (sauf éventuellement celle de l'admin qui agit)
+async function revokeUserSessions(username, sauf = null) {
+  const revoquees = await sessionStore.revoquerUtilisateur(username, sauf);
+  evenements.deconnecter(username);
+  return revoquees;
+}
+
+// Route pour lister les connexions actives (admin uniquement)
+app.get('/api/connexions', requireAdmin, async (req, res) => {
+  try {
+    const sessions = await sessionStore.lister();
+    res.json(sessions.map(({ sid, id, sess, lastActivity, expires }) => ({
+      id,
+      username: sess.user.username,
+      nomComplet: sess.user.nomComplet || null,
+      role: sess.user.role,
+      juryId: sess.user.juryId || null,
+      ip: sess.connexion ? sess.connexion.ip : null,
+      navigateur: sess.connexion ? sess.connexion.navigateur : null,
+      debut: sess.connexion ? sess.connexion.debut : null,
+      derniereActivite: lastActivity,
+      expire: new Date(expires).toISOString(),
+      courante: sid === req.sessionID
+    })));
+  } catch (error) {
+    console.error('Erreur lors du chargement des connexions:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Route pour révoquer une connexion (admin uniquement)
+app.delete('/api/connexions/:id', requireAdmin, async (req, res) => {
+  try {
+    const sessions = await sessionStore.lister();
+    const cible = sessions.find(s => s.id === req.params.id);
+
+    if (!cible) {
+      return res.status(404).json({ error: 'Connexion introuvable ou déjà terminée' });
+    }
+    if (cible.sid === req.sessionID) {
+      return res.status(400).json({ error: 'Pour fermer votre propre session, utilisez Déconnexion' });
+    }
+
+    await new Promise((resolve, reject) => {
+      sessionStore.destroy(cible.sid, error => (error ? reject(error) : resolve()));
+    });
+    evenements.deconnecter(cible.sess.user.username, cible.sid);
+
+    await logSecurityEvent('SESSION_REVOKED', {
+      admin: req.session.user.username,
+      targetUser: cible.sess.user.username,
+      targetIp: cible.sess.connexion ? cible.sess.connexion.ip : null,
       ip: req.ip
     });
 
-    res.json({ success: true, message: `Mot de passe réinitialisé pour ${username}` });
+    res.json({ success: true, message: `Connexion de ${cible.sess.user.username} fermée` });
   } catch (error) {
-    console.error('Erreur lors de la réinitialisation du mot de passe:', error);
-    res.status(500).json({ error: 'Erreur serveur' });
-  }
-});
-
-// Route pour obtenir la liste des utilisateurs (admin uniquement)
-app.get('/api/users', requireAdmin, async (req, res) => {
-  try {
-    const users = await loadUsers();
-    // Ne pas renvoyer les mots de passe
-    const usersWithoutPasswords = users.map(u => ({
-      username: u.username,
-      role: u.role,
-      juryId: u.juryId || null
-    }));
-    res.json(usersWithoutPasswords);
-  } catch (error) {
-    console.error('Erreur lors du chargement des utilisateurs:', error);
+    console.error('Erreur lors de la révocation de la connexion:', error);
     res.status(500).json({ error: 'Erreur serveur' });
   }
 });
@@ -636,6 +1980,10 @@ app.get('/projets', (req, res) => {
   res.sendFile(path.join(__dirname, '../public/projets.html'));
 });
 
+app.get('/grilles', (req, res) => {
+  res.sendFile(path.join(__dirname, '../public/grilles.html'));
+});
+
 // Servir les fichiers statiques avec vérification d'authentification
 app.use(express.static(path.join(__dirname, '../public')));
 
@@ -644,17 +1992,17 @@ app.use(express.static(path.join(__dirname, '../public')));
 // GET /api/eleves - Récupérer la liste des élèves
 app.get('/api/eleves', requireAuth, async (req, res) => {
   try {
-    let eleves = await loadEleves();
+    let eleves = await loadEleves(getSessionData(req));
 
     // Filtrer les élèves selon le jury connecté
     const user = req.session.user;
 
-    // Si c'est un jury spécifique (jury1 ou jury2), ne montrer que ses élèves
+    // Si c'est un compte de jury, ne montrer que les élèves de ce jury
     if (user.role === 'jury' && user.juryId) {
       eleves = eleves.filter(eleve => eleve.jury === user.juryId);
     }
 
-    res.json(eleves);
+    res.json(eleves.map(withNoteRecapitulative));
   } catch (error) {
     res.status(500).json({ error: 'Erreur lors du chargement des élèves' });
   }
@@ -663,7 +2011,7 @@ app.get('/api/eleves', requireAuth, async (req, res) => {
 // GET /api/eleves/:id - Récupérer un élève spécifique
 app.get('/api/eleves/:id', requireAuth, async (req, res) => {
   try {
-    const eleves = await loadEleves();
+    const eleves = await loadEleves(getSessionData(req));
     const eleve = eleves.find(e => e.id === parseInt(req.params.id));
     if (!eleve) {
       return res.status(404).json({ error: 'Élève non trouvé' });
@@ -675,30 +2023,74 @@ app.get('/api/eleves/:id', requireAuth, async (req, res) => {
       return res.status(403).json({ error: 'Accès refusé - Cet élève n\'est pas assigné à votre jury' });
     }
 
-    res.json(eleve);
+    res.json(withNoteRecapitulative(eleve));
   } catch (error) {
     res.status(500).json({ error: 'Erreur lors du chargement de l\'élève' });
   }
 });
 
-// DELETE /api/eleves/:id - Supprimer un élève
-app.delete('/api/eleves/:id', requireAdmin, async (req, res) => {
+// GET /api/eleves/:id/history - Historique des modifications d'un élève (plus récent en premier)
+app.get('/api/eleves/:id/history', requireAuth, async (req, res) => {
   try {
     const eleveId = parseInt(req.params.id);
-    const eleves = await loadEleves();
-    const eleveIndex = eleves.findIndex(e => e.id === eleveId);
+    const { semestre, type } = req.query;
+
+    try {
+      validateEnum(semestre, 'Semestre', ['stage', 'revue1', 'revue2', 'revue3', 'soutenance'], false);
+      validateEnum(type, 'Type', ['evaluation', 'recapitulatif'], false);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
 
-    if (eleveIndex === -1) {
+    const sessionData = getSessionData(req);
+    const eleves = await loadEleves(sessionData);
+    const eleve = eleves.find(e => e.id === eleveId);
+    if (!eleve) {
       return res.status(404).json({ error: 'Élève non trouvé' });
     }
 
-    const eleve = eleves[eleveIndex];
+    // Le jury ne consulte que les élèves de son jury, et uniquement la soutenance et le récapitulatif
+    const user = req.session.user;
+    if (user.role === 'jury' && user.juryId && eleve.jury !== user.juryId) {
+      return res.status(403).json({ error: 'Accès refusé - Cet élève n\'est pas assigné à votre jury' });
+    }
+
+    let entries = await loadHistory(eleveId, sessionData);
+
+    if (user.role === 'jury') {
+      entries = entries.filter(entry => entry.type === 'recapitulatif' || entry.semestre === 'soutenance');
+    }
+    if (semestre) {
+      entries = entries.filter(entry => entry.semestre === semestre);
+    }
+    if (type) {
+      entries = entries.filter(entry => entry.type === type);
+    }
+
+    res.json(entries.reverse());
+  } catch (error) {
+    console.error('Erreur:', error);
+    res.status(500).json({ error: 'Erreur lors du chargement de l\'historique' });
+  }
+});
+
+// DELETE /api/eleves/:id - Supprimer un élève
+app.delete('/api/eleves/:id', requireAdmin, async (req, res) => {
+  try {
+    const eleveId = parseInt(req.params.id);
 
     // Supprimer l'élève de la liste
-    eleves.splice(eleveIndex, 1);
+    const eleve = await updateEleves((eleves) => {
+      const eleveIndex = eleves.findIndex(e => e.id === eleveId);
+      if (eleveIndex === -1) {
+        return null;
+      }
+      return eleves.splice(eleveIndex, 1)[0];
+    });
 
-    // Sauvegarder la liste mise à jour
-    await saveEleves(eleves);
+    if (!eleve) {
+      return res.status(404).json({ error: 'Élève non trouvé' });
+    }
 
     // Optionnel: Supprimer le fichier Excel associé s'il existe
     try {
@@ -709,6 +2101,7 @@ app.delete('/api/eleves/:id', requireAdmin, async (req, res) => {
       // Fichier n'existe pas, pas grave
     }
 
+    publierEleve('eleve', eleve, { action: 'supprime', par: req.session.user.username });
     res.json({ success: true, message: 'Élève supprimé avec succès' });
   } catch (error) {
     console.error('Erreur lors de la suppression de l\'élève:', error);
@@ -719,7 +2112,7 @@ app.delete('/api/eleves/:id', requireAdmin, async (req, res) => {
 // POST /api/eleves - Créer un nouvel élève
 app.post('/api/eleves', requireAdmin, async (req, res) => {
   try {
-    const { nom, prenom, promotion, classe, numero, jury } = req.body;
+    const { nom, prenom, promotion, classe, numero, jury, option } = req.body;
 
     // Validation stricte des types
     try {
@@ -730,37 +2123,39 @@ app.post('/api/eleves', requireAdmin, async (req, res) => {
       const promoValue = promotion || classe;
       validateString(promoValue, 'Promotion/Classe', true, 100);
 
-      if (jury !== null && jury !== undefined && jury !== '') {
-        validateEnum(jury, 'Jury', ['jury1', 'jury2'], false);
-      }
+      await validateJuryAssignment(jury);
+      validateOptionAssignment(option);
     } catch (validationError) {
       return res.status(400).json({ error: validationError.message });
     }
 
+    if (await rejectAssignmentToLockedJury(req, res, [jury])) {
+      return;
+    }
+
     // Validation - accepter promotion OU classe pour rétrocompatibilité
     const promoValue = promotion || classe;
 
-    const eleves = await loadEleves();
-
-    // Générer un nouvel ID
-    const newId = eleves.length > 0 ? Math.max(...eleves.map(e => e.id)) + 1 : 1;
-
-    // Créer le nouvel élève
-    const newEleve = {
-      id: newId,
-      nom: nom.trim(),
-      prenom: prenom.trim(),
-      promotion: promoValue.trim(),
-      numero: numero.trim(),
-      jury: jury || null,
-      evaluations: {}
-    };
-
-    eleves.push(newEleve);
-
-    // Sauvegarder
-    await fs.writeFile(ELEVES_FILE, JSON.stringify(eleves, null, 2));
+    // L'ID est généré dans la transaction pour éviter les doublons entre requêtes simultanées
+    const newEleve = await updateEleves((eleves) => {
+      const newId = eleves.length > 0 ? Math.max(...eleves.map(e => e.id)) + 1 : 1;
+
+      const eleve = {
+        id: newId,
+        nom: nom.trim(),
+        prenom: prenom.trim(),
+        promotion: promoValue.trim(),
+        numero: numero.trim(),
+        option: option || DEFAULT_OPTION,
+        jury: jury || null,
+        evaluations: {}
+      };
+
+      eleves.push(eleve);
+      return eleve;
+    });
 
+    publierEleve('eleve', newEleve, { action: 'cree', par: req.session.user.username });
     res.status(201).json(newEleve);
   } catch (error) {
     console.error('Erreur lors de la création de l\'élève:', error);
@@ -772,7 +2167,7 @@ app.post('/api/eleves', requireAdmin, async (req, res) => {
 app.patch('/api/eleves/:id', requireAdmin, async (req, res) => {
   try {
     const eleveId = parseInt(req.params.id);
-    const { nom, prenom, promotion, classe, numero, jury } = req.body;
+    const { nom, prenom, promotion, classe, numero, jury, option } = req.body;
 
     // Validation stricte des types
     try {
@@ -782,10 +2177,6 @@ app.patch('/api/eleves/:id', requireAdmin, async (req, res) => {
 
       const promoValue = promotion || classe;
       validateString(promoValue, 'Promotion/Classe', true, 100);
-
-      if (jury !== null && jury !== undefined && jury !== '') {
-        validateEnum(jury, 'Jury', ['jury1', 'jury2'], false);
-      }
     } catch (validationError) {
       return res.status(400).json({ error: validationError.message });
     }
@@ -793,26 +2184,41 @@ app.patch('/api/eleves/:id', requireAdmin, async (req, res) => {
     const promoValue = promotion || classe;
 
     const eleves = await loadEleves();
-    const eleveIndex = eleves.findIndex(e => e.id === eleveId);
+    const existing = eleves.find(e => e.id === eleveId);
 
-    if (eleveIndex === -1) {
+    if (!existing) {
       return res.status(404).json({ error: 'Élève non trouvé' });
     }
 
+    try {
+      await validateJuryAssignment(jury, existing.jury);
+      validateOptionAssignment(option, existing);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    if (jury !== existing.jury && await rejectAssignmentToLockedJury(req, res, [jury], { eleveId })) {
+      return;
+    }
+
     // Mettre à jour les informations de l'élève
-    eleves[eleveIndex] = {
-      ...eleves[eleveIndex],
-      nom: nom.trim(),
-      prenom: prenom.trim(),
-      promotion: promoValue.trim(),
-      numero: numero.trim(),
-      jury: jury || null
-    };
+    const eleve = await updateEleve(eleveId, (e) => {
+      e.nom = nom.trim();
+      e.prenom = prenom.trim();
+      e.promotion = promoValue.trim();
+      e.numero = numero.trim();
+      if (option) {
+        e.option = option;
+      }
+      e.jury = jury || null;
+    });
 
-    // Sauvegarder
-    await fs.writeFile(ELEVES_FILE, JSON.stringify(eleves, null, 2));
+    if (!eleve) {
+      return res.status(404).json({ error: 'Élève non trouvé' });
+    }
 
-    res.json(eleves[eleveIndex]);
+    publierEleve('eleve', eleve, { action: 'modifie', par: req.session.user.username }, [existing.jury]);
+    res.json(eleve);
   } catch (error) {
     console.error('Erreur lors de la modification de l\'élève:', error);
     res.status(500).json({ error: 'Erreur lors de la modification de l\'élève' });
@@ -825,101 +2231,593 @@ app.patch('/api/eleves/:id/jury', requireAdmin, async (req, res) => {
     const eleveId = parseInt(req.params.id);
     const { jury } = req.body;
 
+    const eleves = await loadEleves();
+    const existing = eleves.find(e => e.id === eleveId);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Élève non trouvé' });
+    }
+
     // Validation stricte des types
     try {
-      if (jury !== null && jury !== undefined && jury !== '') {
-        validateEnum(jury, 'Jury', ['jury1', 'jury2'], false);
-      }
+      await validateJuryAssignment(jury, existing.jury);
     } catch (validationError) {
       return res.status(400).json({ error: validationError.message });
     }
 
-    const eleves = await loadEleves();
-    const eleveIndex = eleves.findIndex(e => e.id === eleveId);
-
-    if (eleveIndex === -1) {
-      return res.status(404).json({ error: 'Élève non trouvé' });
+    // Le jury d'origine est vérifié par rejectAdminWritesOnLockedJury, le jury de destination ici
+    if (jury !== existing.jury && await rejectAssignmentToLockedJury(req, res, [jury], { eleveId })) {
+      return;
     }
 
     // Mettre à jour le jury
-    eleves[eleveIndex].jury = jury || null;
+    const eleve = await updateEleve(eleveId, (e) => {
+      e.jury = jury || null;
+    });
 
-    await saveEleves(eleves);
+    if (!eleve) {
+      return res.status(404).json({ error: 'Élève non trouvé' });
+    }
 
-    res.json({ success: true, message: 'Jury mis à jour', eleve: eleves[eleveIndex] });
+    publierEleve('eleve', eleve, { action: 'modifie', par: req.session.user.username }, [existing.jury]);
+    res.json({ success: true, message: 'Jury mis à jour', eleve });
   } catch (error) {
     console.error('Erreur:', error);
     res.status(500).json({ error: 'Erreur lors de la mise à jour du jury' });
   }
 });
 
+// Upload des listes de classe pour l'import : gardées en mémoire le temps de l'analyse
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: function (req, file, cb) {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (['.csv', '.txt', '.xlsx'].includes(extension)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Seuls les fichiers CSV et XLSX sont acceptés'), false);
+    }
+  },
+  limits: {
+    fileSize: 2 * 1024 * 1024 // Limite à 2MB
+  }
+}).single('fichier');
+
+// Retrouver un jury ou un projet par identifiant ou par nom (sans tenir compte des accents ni de la casse)
+function trouverParIdOuNom(liste, valeur) {
+  const cle = normaliser(valeur);
+  return liste.find(item => item.id === valeur) ||
+    liste.find(item => normaliser(item.nom) === cle) ||
+    null;
+}
+
+/**
+ * Vérifie les lignes d'un import d'élèves
+ * @param {Array} lignes - [{ ligne, nom, prenom, numero, promotion, option, jury, projet }]
+ * @param {Array} eleves - Les élèves déjà enregistrés
+ * @param {Array} juries - Les jurys de la session
+ * @param {Array} projets - Les projets de la session
+ * @returns {Array} [{ ligne, eleve, erreurs, doublon }] - doublon : motif, ou null
+ */
+function verifierImportEleves(lignes, eleves, juries, projets) {
+  const juriesActifs = juries.filter(j => !j.archived);
+  const options = Object.keys(gridSets).map(code => ({
+    id: code,
+    nom: (optionsConfig[code] && optionsConfig[code].label) || code
+  }));
+  const numeros = new Set(eleves.map(e => normaliser(e.numero)));
+  const identites = new Set(eleves.map(e => `${normaliser(e.nom)}|${normaliser(e.prenom)}`));
+
+  return lignes.map((ligne, index) => {
+    const numeroLigne = Number.isInteger(ligne.ligne) ? ligne.ligne : index + 2;
+    const texte = champ => (typeof ligne[champ] === 'string' ? ligne[champ].trim() : ligne[champ]);
+    const erreurs = [];
+
+    const verifier = (valeur, nomChamp, required, maxLength) => {
+      try {
+        validateString(valeur, nomChamp, required, maxLength);
+      } catch (validationError) {
+        erreurs.push(validationError.message);
+      }
+    };
+    verifier(texte('nom'), 'Nom', true, 100);
+    verifier(texte('prenom'), 'Prénom', true, 100);
+    verifier(texte('numero'), 'Numéro', true, 50);
+    verifier(texte('promotion'), 'Promotion/Classe', true, 100);
+    verifier(texte('option'), 'Option', false, 200);
+    verifier(texte('jury'), 'Jury', false, 200);
+    verifier(texte('projet'), 'Projet', false, 200);
+
+    const eleve = {
+      nom: typeof ligne.nom === 'string' ? ligne.nom.trim() : '',
+      prenom: typeof ligne.prenom === 'string' ? ligne.prenom.trim() : '',
+      promotion: typeof ligne.promotion === 'string' ? ligne.promotion.trim() : '',
+      numero: typeof ligne.numero === 'string' ? ligne.numero.trim() : '',
+      option: DEFAULT_OPTION,
+      jury: null
+    };
+
+    if (typeof ligne.option === 'string' && ligne.option.trim()) {
+      const option = trouverParIdOuNom(options, ligne.option.trim().toUpperCase()) ||
+        trouverParIdOuNom(options, ligne.option.trim());
+      if (option) {
+        eleve.option = option.id;
+      } else {
+        erreurs.push(`Option inconnue ou sans grilles : ${ligne.option.trim()}`);
+      }
+    }
+
+    if (typeof ligne.jury === 'string' && ligne.jury.trim()) {
+      const jury = trouverParIdOuNom(juriesActifs, ligne.jury.trim());
+      if (jury) {
+        eleve.jury = jury.id;
+      } else {
+        erreurs.push(`Jury inconnu ou archivé : ${ligne.jury.trim()}`);
+      }
+    }
+
+    if (typeof ligne.projet === 'string' && ligne.projet.trim()) {
+      const projet = trouverParIdOuNom(projets, ligne.projet.trim());
+      if (projet) {
+        eleve.projetId = projet.id;
+      } else {
+        erreurs.push(`Projet inconnu : ${ligne.projet.trim()}`);
+      }
+    }
+
+    // Doublons : même numéro ou même nom et prénom, déjà enregistré ou plus haut dans le fichier
+    let doublon = null;
+    if (erreurs.length === 0) {
+      const numero = normaliser(eleve.numero);
+      const identite = `${normaliser(eleve.nom)}|${normaliser(eleve.prenom)}`;
+      if (numeros.has(numero)) {
+        doublon = `Numéro ${eleve.numero} déjà présent`;
+      } else if (identites.has(identite)) {
+        doublon = `${eleve.prenom} ${eleve.nom} déjà présent`;
+      }
+      numeros.add(numero);
+      identites.add(identite);
+    }
+
+    return { ligne: numeroLigne, eleve, erreurs, doublon };
+  });
+}
+
+// POST /api/eleves/import/analyse - Lire une liste de classe (CSV ou XLSX) et proposer la correspondance des colonnes
+app.post('/api/eleves/import/analyse', requireAdmin, (req, res) => {
+  importUpload(req, res, async (uploadError) => {
+    if (uploadError) {
+      const message = uploadError.code === 'LIMIT_FILE_SIZE'
+        ? 'Fichier trop volumineux (2 Mo maximum)'
+        : uploadError.message;
+      return res.status(400).json({ error: message });
+    }
+
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: 'Aucun fichier fourni' });
+      }
+
+      let liste;
+      try {
+        liste = await lireListeClasse(req.file.buffer, req.file.originalname);
+      } catch (readError) {
+        return res.status(400).json({ error: readError.message });
+      }
+
+      res.json({
+        colonnes: liste.colonnes,
+        lignes: liste.lignes,
+        correspondance: proposerCorrespondance(liste.colonnes)
+      });
+    } catch (error) {
+      console.error('Erreur:', error);
+      res.status(500).json({ error: 'Erreur lors de la lecture du fichier' });
+    }
+  });
+});
+
+// POST /api/eleves/import - Vérifier (simulation) ou enregistrer une liste d'élèves
+// Les doublons sont ignorés ; la moindre erreur bloque tout l'import.
+app.post('/api/eleves/import', requireAdmin, async (req, res) => {
+  try {
+    const { eleves: lignes, simulation } = req.body;
+
+    if (!Array.isArray(lignes) || lignes.length === 0) {
+      return res.status(400).json({ error: 'Aucun élève à importer' });
+    }
+    if (lignes.length > MAX_LIGNES_IMPORT) {
+      return res.status(400).json({ error: `Import limité à ${MAX_LIGNES_IMPORT} élèves` });
+    }
+    if (lignes.some(ligne => !ligne || typeof ligne !== 'object' || Array.isArray(ligne))) {
+      return res.status(400).json({ error: 'Format de ligne invalide' });
+    }
+    if (simulation !== undefined && typeof simulation !== 'boolean') {
+      return res.status(400).json({ error: 'simulation doit être un booléen' });
+    }
+
+    const juries = await loadJuries();
+    const projets = await loadProjets();
+
+    if (simulation) {
+      const rapport = verifierImportEleves(lignes, await loadEleves(), juries, projets);
+      return res.json({
+        rapport,
+        aCreer: rapport.filter(l => l.erreurs.length === 0 && !l.doublon).length,
+        doublons: rapport.filter(l => l.doublon).length,
+        erreurs: rapport.filter(l => l.erreurs.length > 0).length
+      });
+    }
+
+    const juriesImport = verifierImportEleves(lignes, await loadEleves(), juries, projets)
+      .filter(l => l.erreurs.length === 0 && !l.doublon)
+      .map(l => l.eleve.jury);
+    if (await rejectAssignmentToLockedJury(req, res, juriesImport)) {
+      return;
+    }
+
+    // Vérification et création dans la même transaction : un élève ajouté entre-temps est vu comme doublon
+    const resultat = await updateEleves((eleves) => {
+      const rapport = verifierImportEleves(lignes, eleves, juries, projets);
+      if (rapport.some(l => l.erreurs.length > 0)) {
+        return { rapport, crees: null };
+      }
+
+      let nextId = eleves.length > 0 ? Math.max(...eleves.map(e => e.id)) + 1 : 1;
+      const crees = rapport
+        .filter(l => !l.doublon)
+        .map(l => {
+          const eleve = { id: nextId++, ...l.eleve, evaluations: {} };
+          eleves.push(eleve);
+          return eleve;
+        });
+      return { rapport, crees };
+    });
+
+    if (!resultat.crees) {
+      return res.status(400).json({
+        error: 'Import annulé : certaines lignes contiennent des erreurs',
+        rapport: resultat.rapport
+      });
+    }
+
+    evenements.publier('eleve', { action: 'importe', nombre: resultat.crees.length, par: req.session.user.username }, {
+      jurys: resultat.crees.map(eleve => eleve.jury)
+    });
+    res.status(201).json({
+      success: true,
+      crees: resultat.crees.length,
+      ignores: resultat.rapport.length - resultat.crees.length
+    });
+  } catch (error) {
+    console.error('Erreur lors de l\'import des élèves:', error);
+    res.status(500).json({ error: 'Erreur lors de l\'import des élèves' });
+  }
+});
+
 // POST /api/eleves/:id/evaluations - Sauvegarder une évaluation (brouillon)
 app.post('/api/eleves/:id/evaluations', checkEvaluationAccess, async (req, res) => {
   try {
     const eleveId = parseInt(req.params.id);
-    const { semestre, data } = req.body;
+    const { semestre, data, revision, grille } = req.body;
 
     // Validation stricte des types
     try {
       validateEnum(semestre, 'Semestre', ['stage', 'revue1', 'revue2', 'revue3', 'soutenance'], true);
       validateObject(data, 'Données d\'évaluation', true);
+      // Révision sur laquelle le formulaire a été chargé (contrôle de concurrence optimiste)
+      validateNumber(revision, 'Révision', true, 0);
+      if (!Number.isInteger(revision)) {
+        throw new Error('Révision doit être un entier');
+      }
+      // Version de la grille affichée par le formulaire
+      validateNumber(grille, 'Version de la grille', false, 1);
     } catch (validationError) {
       return res.status(400).json({ error: validationError.message });
     }
 
-    const eleves = await loadEleves();
-    const eleveIndex = eleves.findIndex(e => e.id === eleveId);
+    // Sauvegarder les données d'évaluation (seul cet élève est modifié, sous verrou).
+    // Si l'évaluation a été modifiée depuis le chargement du formulaire, rien n'est écrit.
+    let conflict = null;
+    let grilleConflict = null;
+    let horsJury = false;
+    let version = null;
+    let previous = {};
+    const eleve = await updateEleve(eleveId, (e) => {
+      // Vérifié sous verrou : l'élève a pu changer de jury depuis le chargement du formulaire
+      if (juryHorsAffectation(req.session.user, e)) {
+        horsJury = true;
+        return;
+      }
+      // Les critères du formulaire doivent être ceux de la grille de l'évaluation
+      // (une nouvelle version a pu entrer en vigueur, ou l'évaluation être migrée)
+      const grilleEvaluation = getEvaluationGrille(e, semestre);
+      if (grille !== undefined && grille !== null && grille !== grilleEvaluation) {
+        grilleConflict = grilleEvaluation;
+        return;
+      }
+      const currentRevision = getEvaluationRevision(e, semestre);
+      if (revision !== currentRevision) {
+        const current = (e.evaluations && e.evaluations[semestre]) || {};
+        const currentVersion = (e.evaluationVersions && e.evaluationVersions[semestre]) || {};
+        conflict = {
+          revision: currentRevision,
+          updatedBy: currentVersion.updatedBy || null,
+          updatedAt: currentVersion.updatedAt || null,
+          current,
+          diff: diffEvaluationData(current, data)
+        };
+        return;
+      }
+      previous = (e.evaluations && e.evaluations[semestre]) || {};
+      version = applyEvaluationSave(e, semestre, data, req.session.user.username);
+    });
 
-    if (eleveIndex === -1) {
+    if (!eleve) {
       return res.status(404).json({ error: 'Élève non trouvé' });
     }
 
-    // Sauvegarder les données d'évaluation
-    if (!eleves[eleveIndex].evaluations) {
-      eleves[eleveIndex].evaluations = {};
+    if (horsJury) {
+      return res.status(403).json({ error: ERREUR_ELEVE_HORS_JURY });
+    }
+
+    if (grilleConflict) {
+      return res.status(409).json({
+        error: `Cette évaluation est rattachée à la version ${grilleConflict} de la grille. Rechargez la page pour la saisir avec cette grille.`,
+        grille: grilleConflict
+      });
+    }
+
+    if (conflict) {
+      return res.status(409).json({
+        error: 'Cette évaluation a été modifiée par un autre utilisateur depuis son chargement',
+        ...conflict
+      });
     }
-    eleves[eleveIndex].evaluations[semestre] = data;
 
-    await saveEleves(eleves);
-    res.json({ success: true, message: 'Évaluation sauvegardée' });
+    await recordHistory({
+      eleveId,
+      type: 'evaluation',
+      semestre,
+      revision: version.revision,
+      user: req.session.user.username
+    }, previous, data);
+
+    publierEleve('evaluation', eleve, { semestre, revision: version.revision, par: req.session.user.username });
+    res.json({ success: true, message: 'Évaluation sauvegardée', revision: version.revision });
   } catch (error) {
     console.error('Erreur:', error);
     res.status(500).json({ error: 'Erreur lors de la sauvegarde de l\'évaluation' });
   }
 });
 
-// POST /api/eleves/:id/remplir-excel - Remplir l'Excel avec les données d'évaluation
-app.post('/api/eleves/:id/remplir-excel', checkEvaluationAccess, async (req, res) => {
-  let workbook = null;
-  let outputFileName = null;
+// Upload d'une grille GRILLE_E6 remplie (en mémoire, jamais écrite sur le disque)
+const grilleUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: function (req, file, cb) {
+    if (path.extname(file.originalname).toLowerCase() === '.xlsx') {
+      cb(null, true);
+    } else {
+      cb(new Error('Seuls les fichiers XLSX sont acceptés'), false);
+    }
+  },
+  limits: {
+    fileSize: 5 * 1024 * 1024 // Limite à 5MB
+  }
+}).single('fichier');
+
+// Retrouver l'élève d'une grille d'après son numéro de candidat, sinon son nom et son prénom
+// (null si aucun élève ou plusieurs élèves correspondent)
+function trouverEleveGrille(eleves, identite) {
+  if (identite.numero) {
+    const parNumero = eleves.filter(e => normaliser(e.numero) === normaliser(identite.numero));
+    if (parNumero.length === 1) {
+      return parNumero[0];
+    }
+  }
+  if (identite.nom && identite.prenom) {
+    const parNom = eleves.filter(e =>
+      normaliser(e.nom) === normaliser(identite.nom) && normaliser(e.prenom) === normaliser(identite.prenom)
+    );
+    if (parNom.length === 1) {
+      return parNom[0];
+    }
+  }
+  return null;
+}
+
+// POST /api/evaluations/import-grille/analyse - Lire une grille remplie et comparer ses
+// évaluations à celles enregistrées. L'élève est reconnu d'après l'identité du fichier,
+// ou désigné par le champ eleveId. Rien n'est enregistré.
+app.post('/api/evaluations/import-grille/analyse', requireAdmin, (req, res) => {
+  grilleUpload(req, res, async (uploadError) => {
+    if (uploadError) {
+      const message = uploadError.code === 'LIMIT_FILE_SIZE'
+        ? 'Fichier trop volumineux (5 Mo maximum)'
+        : uploadError.message;
+      return res.status(400).json({ error: message });
+    }
+
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: 'Aucun fichier fourni' });
+      }
+
+      let workbook;
+      try {
+        workbook = await ouvrirGrille(req.file.buffer);
+      } catch (readError) {
+        return res.status(400).json({ error: readError.message });
+      }
+
+      const eleves = await loadEleves();
+      let eleve = null;
+
+      if (req.body.eleveId) {
+        eleve = eleves.find(e => e.id === parseInt(req.body.eleveId));
+        if (!eleve) {
+          return res.status(404).json({ error: 'Élève non trouvé' });
+        }
+      } else {
+        // L'emplacement des cellules d'identité dépend de l'option : essayer chaque grille
+        for (const gridSet of Object.values(gridSets)) {
+          eleve = trouverEleveGrille(eleves, lireIdentite(workbook, gridSet.mapping));
+          if (eleve) break;
+        }
+        if (!eleve) {
+          return res.status(400).json({
+            error: 'Aucun élève ne correspond à l\'identité du fichier : choisissez l\'élève dans la liste'
+          });
+        }
+      }
+
+      const gridSet = getGridSetForEleve(eleve);
+      if (!gridSet) {
+        return res.status(400).json({ error: gridSetUnavailableMessage(eleve.option) });
+      }
+
+      // Chaque phase est relue avec la grille de son évaluation, celle utilisée pour générer le fichier
+      const identite = lireIdentite(workbook, gridSet.mapping);
+      const { evaluations, avertissements } = lireEvaluations(workbook, await getMappingForEleve(eleve, gridSet));
+
+      if (identite.numero && eleve.numero && normaliser(identite.numero) !== normaliser(eleve.numero)) {
+        avertissements.unshift(`Le numéro de candidat du fichier (${identite.numero}) diffère de celui de l'élève`);
+      }
+      if (identite.nom && normaliser(identite.nom) !== normaliser(eleve.nom)) {
+        avertissements.unshift(`Le nom du fichier (${identite.nom}) diffère de celui de l'élève`);
+      }
+
+      const phases = Object.entries(evaluations).map(([semestre, data]) => ({
+        semestre,
+        revision: getEvaluationRevision(eleve, semestre),
+        grille: getEvaluationGrille(eleve, semestre),
+        data,
+        diff: diffEvaluationData((eleve.evaluations && eleve.evaluations[semestre]) || {}, data)
+      }));
+
+      res.json({
+        eleve: { id: eleve.id, nom: eleve.nom, prenom: eleve.prenom, numero: eleve.numero || '', option: eleve.option || DEFAULT_OPTION },
+        identite,
+        phases,
+        avertissements
+      });
+    } catch (error) {
+      console.error('Erreur:', error);
+      res.status(500).json({ error: 'Erreur lors de la lecture de la grille' });
+    }
+  });
+});
+
+// POST /api/eleves/:id/import-grille - Enregistrer les évaluations relues dans une grille
+// Toutes les phases sont enregistrées ensemble, ou aucune si l'une d'elles a été modifiée
+// depuis l'analyse du fichier.
+app.post('/api/eleves/:id/import-grille', requireAdmin, async (req, res) => {
   try {
     const eleveId = parseInt(req.params.id);
-    const { semestre } = req.body;
+    const { phases } = req.body;
 
-    const eleves = await loadEleves();
-    const eleve = eleves.find(e => e.id === eleveId);
+    try {
+      if (!Array.isArray(phases) || phases.length === 0) {
+        throw new Error('Aucune phase à importer');
+      }
+      phases.forEach(({ semestre, data, revision, grille }) => {
+        validateEnum(semestre, 'Semestre', ['stage', 'revue1', 'revue2', 'revue3', 'soutenance'], true);
+        validateObject(data, 'Données d\'évaluation', true);
+        if (!Number.isInteger(revision) || revision < 0) {
+          throw new Error('Révision doit être un entier positif');
+        }
+        validateNumber(grille, 'Version de la grille', false, 1);
+      });
+      if (new Set(phases.map(p => p.semestre)).size !== phases.length) {
+        throw new Error('Chaque phase ne peut être importée qu\'une fois');
+      }
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    const username = req.session.user.username;
+    let conflits = [];
+    const enregistrees = [];
+    const eleve = await updateEleve(eleveId, (e) => {
+      conflits = phases
+        .filter(({ semestre, revision, grille }) => revision !== getEvaluationRevision(e, semestre) ||
+          (grille !== undefined && grille !== getEvaluationGrille(e, semestre)))
+        .map(({ semestre }) => semestre);
+      if (conflits.length > 0) {
+        return;
+      }
+      phases.forEach(({ semestre, data }) => {
+        const previous = (e.evaluations && e.evaluations[semestre]) || {};
+        const version = applyEvaluationSave(e, semestre, data, username);
+        enregistrees.push({ semestre, data, previous, revision: version.revision });
+      });
+    });
+
+    if (!eleve) {
+      return res.status(404).json({ error: 'Élève non trouvé' });
+    }
+
+    if (conflits.length > 0) {
+      return res.status(409).json({
+        error: `Évaluation(s) modifiée(s) depuis l'analyse du fichier : ${conflits.join(', ')}. Relancez l'analyse.`,
+        semestres: conflits
+      });
+    }
+
+    const revisions = {};
+    for (const { semestre, data, previous, revision } of enregistrees) {
+      await recordHistory({ eleveId, type: 'evaluation', semestre, revision, user: username }, previous, data);
+      publierEleve('evaluation', eleve, { semestre, revision, par: username });
+      revisions[semestre] = revision;
+    }
+
+    res.json({ success: true, message: `${enregistrees.length} évaluation(s) importée(s)`, revisions });
+  } catch (error) {
+    console.error('Erreur:', error);
+    res.status(500).json({ error: 'Erreur lors de l\'import des évaluations' });
+  }
+});
+
+/**
+ * Remplit l'onglet d'une évaluation dans le fichier Excel déjà généré d'un élève
+ * @param {number} eleveId - L'identifiant de l'élève (session courante)
+ * @param {string} semestre - stage, revue1, revue2, revue3 ou soutenance
+ * @returns {Promise<string>} Le nom du fichier mis à jour
+ */
+async function remplirExcel(eleveId, semestre) {
+  const eleves = await loadEleves();
+  const eleve = eleves.find(e => e.id === eleveId);
+
+  if (!eleve) {
+    throw new Error('Élève non trouvé');
+  }
+  if (!eleve.evaluations || !eleve.evaluations[semestre]) {
+    throw new Error('Aucune donnée d\'évaluation trouvée pour ce semestre');
+  }
 
-    if (!eleve) {
-      return res.status(404).json({ error: 'Élève non trouvé' });
-    }
+  const gridSet = getGridSetForEleve(eleve);
+  if (!gridSet) {
+    throw new Error(gridSetUnavailableMessage(eleve.option));
+  }
+  const mapping = await getMappingForEleve(eleve, gridSet);
 
-    if (!eleve.evaluations || !eleve.evaluations[semestre]) {
-      return res.status(400).json({ error: 'Aucune donnée d\'évaluation trouvée pour ce semestre' });
-    }
+  if (!mapping.evaluations || !mapping.evaluations[semestre]) {
+    throw new Error(`Mapping des compétences non trouvé pour ${semestre}`);
+  }
 
-    outputFileName = buildExcelFileName(eleve);
-    const outputPath = path.join(EXPORT_DIR, outputFileName);
+  const outputFileName = buildExcelFileName(eleve);
+  const outputPath = path.join(EXPORT_DIR, outputFileName);
 
-    // Vérifier que le fichier existe
-    try {
-      await fs.access(outputPath);
-    } catch {
-      return res.status(404).json({ error: 'Fichier Excel non trouvé. Veuillez d\'abord générer le document.' });
-    }
+  // Vérifier que le fichier existe
+  try {
+    await fs.access(outputPath);
+  } catch {
+    throw new Error('Fichier Excel non trouvé. Veuillez d\'abord générer le document.');
+  }
 
-    // Acquérir le verrou pour éviter les écritures concurrentes
-    await acquireExcelLock(outputFileName);
+  let workbook = null;
 
+  try {
     // Charger le fichier Excel existant
     workbook = await XlsxPopulate.fromFileAsync(outputPath);
 
@@ -928,16 +2826,12 @@ app.post('/api/eleves/:id/remplir-excel', checkEvaluationAccess, async (req, res
     const sheet = workbook.sheet(sheetName);
 
     if (!sheet) {
-      return res.status(400).json({ error: `Onglet non trouvé: ${sheetName}` });
+      throw new Error(`Onglet non trouvé: ${sheetName}`);
     }
 
     // Récupérer les données d'évaluation
     const evalData = eleve.evaluations[semestre];
 
-    if (!mapping.evaluations || !mapping.evaluations[semestre]) {
-      return res.status(400).json({ error: `Mapping des compétences non trouvé pour ${semestre}` });
-    }
-
     const semestreCompetences = mapping.evaluations[semestre].competences;
 
     // Effacer d'abord tous les "x" existants dans cette feuille
@@ -954,7 +2848,7 @@ app.post('/api/eleves/:id/remplir-excel', checkEvaluationAccess, async (req, res
               cell.value(null);
             }
           } catch (err) {
-            // Ignorer les erreurs
+            console.error(`❌ Erreur effacement ${cellAddress}:`, err.message);
           }
         }
       }
@@ -1037,51 +2931,142 @@ app.post('/api/eleves/:id/remplir-excel', checkEvaluationAccess, async (req, res
 
     // Sauvegarder le fichier
     await workbook.toFileAsync(outputPath);
-
-    // Libérer le verrou
-    releaseExcelLock(outputFileName);
-
-    // Libérer la mémoire immédiatement
+  } finally {
+    // Libérer la mémoire, même en cas d'erreur
     workbook = null;
     if (global.gc) {
       global.gc();
     }
+  }
 
-    res.json({
-      success: true,
-      message: 'Évaluation remplie dans le fichier Excel',
-      filename: outputFileName
-    });
-  } catch (error) {
-    console.error('❌ Erreur lors du remplissage Excel:', error);
+  return outputFileName;
+}
+
+// POST /api/eleves/:id/remplir-excel - Remplir l'onglet d'une évaluation dans le fichier Excel
+// Le remplissage est mis en file d'attente : la réponse (202) contient la tâche à suivre via GET /api/jobs/:id
+app.post('/api/eleves/:id/remplir-excel', checkEvaluationAccess, async (req, res) => {
+  try {
+    const eleveId = parseInt(req.params.id);
+    const { semestre } = req.body;
+
+    try {
+      validateEnum(semestre, 'Semestre', ['stage', 'revue1', 'revue2', 'revue3', 'soutenance'], true);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
 
-    // Libérer le verrou en cas d'erreur
-    if (outputFileName) {
-      releaseExcelLock(outputFileName);
+    const eleves = await loadEleves();
+    const eleve = eleves.find(e => e.id === eleveId);
+
+    if (!eleve) {
+      return res.status(404).json({ error: 'Élève non trouvé' });
     }
 
-    // Libérer la mémoire en cas d'erreur
-    if (workbook) {
-      workbook = null;
+    if (juryHorsAffectation(req.session.user, eleve)) {
+      return res.status(403).json({ error: ERREUR_ELEVE_HORS_JURY });
     }
-    if (global.gc) {
-      global.gc();
+
+    if (!eleve.evaluations || !eleve.evaluations[semestre]) {
+      return res.status(400).json({ error: 'Aucune donnée d\'évaluation trouvée pour ce semestre' });
+    }
+
+    if (!getGridSetForEleve(eleve)) {
+      return res.status(400).json({ error: gridSetUnavailableMessage(eleve.option) });
+    }
+
+    const outputFileName = buildExcelFileName(eleve);
+    try {
+      await fs.access(path.join(EXPORT_DIR, outputFileName));
+    } catch {
+      return res.status(404).json({ error: 'Fichier Excel non trouvé. Veuillez d\'abord générer le document.' });
     }
 
+    const job = await jobQueue.enqueue('remplir-excel', { eleveId, semestre }, {
+      cle: outputFileName,
+      creePar: req.session.user.username
+    });
+
+    res.status(202).json(jobPublic(job));
+  } catch (error) {
+    if (error.code === 'FILE_SUSPENDUE') {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('❌ Erreur lors du remplissage Excel:', error);
     res.status(500).json({ error: 'Erreur lors du remplissage du fichier Excel: ' + error.message });
   }
 });
 
+// ========== FILE D'ATTENTE DES TÂCHES EXCEL ==========
+// Toutes les opérations Excel passent par la file : au plus MAX_CONCURRENT_EXCEL_OPERATIONS
+// à la fois, une seule par fichier (clé = nom du fichier, y compris pour chaque fichier
+// d'un lot). Les requêtes HTTP ne restent plus bloquées en attente.
+const MAX_CONCURRENT_EXCEL_OPERATIONS = 4; // 2 jurys × 2 opérations max par jury
+const STATUTS_TACHE_TERMINES = ['termine', 'erreur'];
+const JOB_RETENTION = 24 * 60 * 60 * 1000; // Tâches terminées conservées 24 h
+
+const jobQueue = createJobQueue({
+  store: jobsStore,
+  concurrency: MAX_CONCURRENT_EXCEL_OPERATIONS,
+  retention: JOB_RETENTION,
+  handlers: {
+    'generer-excel-complet': async ({ eleveId }) => {
+      const eleve = (await loadEleves()).find(e => e.id === eleveId);
+      if (!eleve) {
+        throw new Error('Élève non trouvé');
+      }
+      return { filename: await genererExcelComplet(eleve) };
+    },
+    'remplir-excel': async ({ eleveId, semestre }) => ({
+      filename: await remplirExcel(eleveId, semestre)
+    }),
+    'lot-excel': executerLotExcel
+  }
+});
+
+// Vue d'une tâche renvoyée au client
+function jobPublic(job) {
+  return {
+    jobId: job.id,
+    type: job.type,
+    statut: job.statut,
+    position: jobQueue.position(job.id),
+    progression: job.progression,
+    message: job.message,
+    resultat: job.type === 'lot-excel' ? null : job.resultat,
+    erreur: job.erreur,
+    creeLe: job.creeLe,
+    demarreLe: job.demarreLe,
+    termineLe: job.termineLe
+  };
+}
+
+// GET /api/jobs/:id - État d'une tâche (un jury ne voit que les siennes)
+app.get('/api/jobs/:id', requireAuth, (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  const user = req.session.user;
+
+  if (!job || (user.role !== 'admin' && job.creePar !== user.username)) {
+    return res.status(404).json({ error: 'Tâche non trouvée' });
+  }
+  res.json(jobPublic(job));
+});
+
+// GET /api/events - Flux des modifications (Server-Sent Events, voir evenements.js)
+app.get('/api/events', requireAuth, (req, res) => {
+  evenements.connecter(req, res);
+});
+
 // GET /api/download/:filename - Télécharger un fichier Excel (admin uniquement)
 app.get('/api/download/:filename', requireAdmin, async (req, res) => {
   try {
     // Sanitiser le nom de fichier (protection path traversal)
     const filename = path.basename(req.params.filename);
-    const filePath = path.join(EXPORT_DIR, filename);
+    const { exportDir } = getSessionData(req);
+    const filePath = path.join(exportDir, filename);
 
-    // Vérifier que le chemin résolu est bien dans EXPORT_DIR
+    // Vérifier que le chemin résolu est bien dans le dossier d'export de la session
     const resolvedPath = path.resolve(filePath);
-    const resolvedExportDir = path.resolve(EXPORT_DIR);
+    const resolvedExportDir = path.resolve(exportDir);
 
     if (!resolvedPath.startsWith(resolvedExportDir)) {
       return res.status(403).json({ error: 'Accès refusé' });
@@ -1097,13 +3082,42 @@ app.get('/api/download/:filename', requireAdmin, async (req, res) => {
   }
 });
 
-// GET /api/eleves/:id/note-calculee/:semestre - Lire la note calculée depuis l'Excel
+// GET /api/eleves/:id/mapping - Mapping de l'élève, chaque phase selon la version de la
+// grille avec laquelle elle a été évaluée (calcul des notes de la fiche récapitulative)
+app.get('/api/eleves/:id/mapping', requireAuth, async (req, res) => {
+  try {
+    const eleveId = parseInt(req.params.id);
+    const eleve = (await loadEleves(getSessionData(req))).find(e => e.id === eleveId);
+
+    if (!eleve) {
+      return res.status(404).json({ error: 'Élève non trouvé' });
+    }
+
+    const user = req.session.user;
+    if (user.role === 'jury' && user.juryId && eleve.jury !== user.juryId) {
+      return res.status(403).json({ error: 'Accès refusé - Cet élève n\'est pas assigné à votre jury' });
+    }
+
+    const gridSet = getGridSetForEleve(eleve);
+    if (!gridSet) {
+      return res.status(400).json({ error: gridSetUnavailableMessage(eleve.option) });
+    }
+
+    res.json(await getMappingForEleve(eleve, gridSet));
+  } catch (error) {
+    console.error('Erreur:', error);
+    res.status(500).json({ error: 'Erreur lors du chargement du mapping' });
+  }
+});
+
+// GET /api/eleves/:id/note-calculee/:semestre - Calculer la note à partir des données d'évaluation
+// Même moteur que les pages (public/js/grading.js) : aucun fichier Excel n'est nécessaire
 app.get('/api/eleves/:id/note-calculee/:semestre', requireAuth, async (req, res) => {
   try {
     const eleveId = parseInt(req.params.id);
     const semestre = req.params.semestre;
 
-    const eleves = await loadEleves();
+    const eleves = await loadEleves(getSessionData(req));
     const eleve = eleves.find(e => e.id === eleveId);
 
     if (!eleve) {
@@ -1116,134 +3130,121 @@ app.get('/api/eleves/:id/note-calculee/:semestre', requireAuth, async (req, res)
       return res.status(403).json({ error: 'Accès refusé - Cet élève n\'est pas assigné à votre jury' });
     }
 
-    const outputFileName = buildExcelFileName(eleve);
-    const outputPath = path.join(EXPORT_DIR, outputFileName);
-
-    // Vérifier que le fichier existe
-    try {
-      await fs.access(outputPath);
-    } catch {
-      return res.json({ note_calculee: null });
+    const gridSet = getGridSetForEleve(eleve);
+    if (!gridSet) {
+      return res.status(400).json({ error: gridSetUnavailableMessage(eleve.option) });
     }
 
-    // Vérifier qu'il y a une note calculée configurée pour ce semestre
-    if (!mapping.champs_supplementaires || !mapping.champs_supplementaires[semestre] || !mapping.champs_supplementaires[semestre].note_calculee) {
-      return res.json({ note_calculee: null });
+    const grille = GradingEngine.grilleDepuisMapping(await getMappingForEleve(eleve, gridSet), semestre);
+    if (!grille) {
+      return res.status(404).json({ error: 'Configuration d\'évaluation non trouvée pour ce semestre' });
     }
 
-    // Charger le fichier Excel
-    const workbook = await XlsxPopulate.fromFileAsync(outputPath);
-    const sheetName = mapping.sheetNames[semestre];
-    const sheet = workbook.sheet(sheetName);
-
-    if (!sheet) {
-      return res.json({ note_calculee: null });
+    const evalData = eleve.evaluations && eleve.evaluations[semestre];
+    if (!evalData) {
+      return res.json({ note_calculee: null, complet: false });
     }
 
-    // Lire la note calculée
-    const cellAddress = mapping.champs_supplementaires[semestre].note_calculee.cellule;
-    const cell = sheet.cell(cellAddress);
-    let noteCalculee = cell.value();
-
-    // Si la valeur est undefined, calculer manuellement la formule
-    // Formule Excel: IF(H64=3,(F27*A19+F39*A31+F50*A43+F62*A54)*20/3+C63,"croix à reprendre")
-    // Mais F27, F39, F50, F62 contiennent des formules SUMPRODUCT qui ne sont pas calculées par xlsx-populate
-    // Il faut donc tout recalculer manuellement
-    if (noteCalculee === undefined) {
-      try {
-        // Fonction pour calculer la moyenne d'une compétence
-        const calculerMoyenneCompetence = (lignes) => {
-          let somme = 0;
-          let count = 0;
-
-          for (const ligne of lignes) {
-            const c = sheet.cell(`C${ligne}`).value();
-            const d = sheet.cell(`D${ligne}`).value();
-            const e = sheet.cell(`E${ligne}`).value();
-            const f = sheet.cell(`F${ligne}`).value();
-            const a = sheet.cell(`A${ligne}`).value() || 0;
-
-            // Convertir les "x" en valeurs numériques (comme la formule G)
-            let valeur = null;
-            if (c === 'x') valeur = 0;
-            else if (d === 'x') valeur = 1;
-            else if (e === 'x') valeur = 2;
-            else if (f === 'x') valeur = 3;
-
-            if (valeur !== null && a > 0) {
-              somme += valeur * a;
-              count += a;
-            }
-          }
-
-          return count > 0 ? somme / count : 0;
-        };
+    const resultat = GradingEngine.calculerNote(grille, evalData);
 
-        // Configuration des lignes selon le type d'évaluation
-        let lignesConfig;
-        if (semestre === 'stage') {
-          lignesConfig = {
-            c01: [21, 22, 23, 24, 26],
-            c03: [33, 34, 35, 36, 38],
-            c08: [45, 46, 47, 49],
-            c10: [56, 57, 58, 59, 61],
-            poids: { c01: 'A19', c03: 'A31', c08: 'A43', c10: 'A54' }
-          };
-        } else if (semestre === 'revue1') {
-          lignesConfig = {
-            c01: [20, 21, 22, 23, 25],
-            c03: [32, 33, 34, 35, 37],
-            c08: null,
-            c10: null,
-            poids: { c01: 'A18', c03: 'A30', c08: null, c10: null }
-          };
-        } else if (semestre === 'revue2' || semestre === 'revue3' || semestre === 'soutenance') {
-          lignesConfig = {
-            c01: [20, 21, 22, 23, 25],
-            c03: [32, 33, 34, 35, 37],
-            c08: [44, 45, 46, 47, 49],
-            c10: [56, 57, 58, 59, 61],
-            poids: { c01: 'A18', c03: 'A30', c08: 'A42', c10: 'A54' }
-          };
-        }
+    res.json({
+      note_calculee: resultat.note,
+      complet: resultat.complet,
+      manquants: resultat.manquants,
+      competences: resultat.competences
+    });
+  } catch (error) {
+    console.error('Erreur lors du calcul de la note:', error);
+    res.status(500).json({ error: 'Erreur lors du calcul de la note' });
+  }
+});
 
-        // Calculer les moyennes par compétence
-        const moyenneC01 = calculerMoyenneCompetence(lignesConfig.c01);
-        const moyenneC03 = calculerMoyenneCompetence(lignesConfig.c03);
-        const moyenneC08 = lignesConfig.c08 ? calculerMoyenneCompetence(lignesConfig.c08) : 0;
-        const moyenneC10 = lignesConfig.c10 ? calculerMoyenneCompetence(lignesConfig.c10) : 0;
+// Jeu de grilles demandé par ?option= (option par défaut si absent)
+function getRequestedGridSet(req, res) {
+  const option = req.query.option || DEFAULT_OPTION;
+  try {
+    validateEnum(option, 'Option', Object.keys(optionsConfig));
+  } catch (validationError) {
+    res.status(400).json({ error: validationError.message });
+    return null;
+  }
+  const gridSet = getGridSet(option);
+  if (!gridSet) {
+    res.status(404).json({ error: gridSetUnavailableMessage(option) });
+  }
+  return gridSet;
+}
 
-        // Poids des compétences
-        const poidsC01 = sheet.cell(lignesConfig.poids.c01).value() || 0;
-        const poidsC03 = sheet.cell(lignesConfig.poids.c03).value() || 0;
-        const poidsC08 = lignesConfig.poids.c08 ? (sheet.cell(lignesConfig.poids.c08).value() || 0) : 0;
-        const poidsC10 = lignesConfig.poids.c10 ? (sheet.cell(lignesConfig.poids.c10).value() || 0) : 0;
+// Grille demandée par ?option= et ?version= (version en vigueur si absente)
+// Renvoie { version, mapping, observables }, ou null après avoir répondu en erreur
+async function getRequestedGrille(req, res) {
+  const gridSet = getRequestedGridSet(req, res);
+  if (!gridSet) return null;
+  if (req.query.version === undefined) {
+    return gridSet;
+  }
 
-        // Bonus
-        const bonus = sheet.cell('C63').value() || 0;
+  const version = parseInt(req.query.version);
+  if (!Number.isInteger(version) || version < 1) {
+    res.status(400).json({ error: 'Version de la grille invalide' });
+    return null;
+  }
+  const record = await grilleVersions.get(gridSet.code, version);
+  if (!record) {
+    res.status(404).json({ error: `Version ${version} de la grille ${gridSet.code} introuvable` });
+    return null;
+  }
+  return record;
+}
 
-        // Calcul final: (moyenne pondérée) * 20/3 + bonus
-        noteCalculee = (moyenneC01 * poidsC01 + moyenneC03 * poidsC03 + moyenneC08 * poidsC08 + moyenneC10 * poidsC10) * 20 / 3 + bonus;
-        noteCalculee = Math.round(noteCalculee * 100) / 100; // Arrondir à 2 décimales
-      } catch (err) {
-        console.error('Erreur calcul note:', err.message);
-      }
-    }
+// GET /api/options - Options BTS CIEL et disponibilité de leurs grilles
+app.get('/api/options', requireAuth, (req, res) => {
+  res.json(Object.entries(optionsConfig).map(([code, option]) => ({
+    code,
+    label: option.label,
+    disponible: Boolean(gridSets[code]),
+    defaut: code === DEFAULT_OPTION
+  })));
+});
 
-    res.json({ note_calculee: noteCalculee });
+// GET /api/mapping?option=IR&version=N - Récupérer le mapping d'une option pour le frontend
+app.get('/api/mapping', async (req, res) => {
+  try {
+    const grille = await getRequestedGrille(req, res);
+    if (!grille) return;
+    res.json(grille.mapping);
   } catch (error) {
-    console.error('Erreur lors de la lecture de la note calculée:', error);
-    res.status(500).json({ error: 'Erreur lors de la lecture de la note calculée' });
+    console.error('Erreur:', error);
+    res.status(500).json({ error: 'Erreur lors du chargement du mapping' });
   }
 });
 
-// GET /api/mapping - Récupérer le mapping pour le frontend
-app.get('/api/mapping', (req, res) => {
-  res.json(mapping);
+// GET /api/modeles/validation - Vérifier les modèles Excel par rapport aux mappings
+app.get('/api/modeles/validation', requireAdmin, async (req, res) => {
+  try {
+    const rapports = await validerModeles();
+    res.json({
+      valide: Object.values(rapports).every(rapport => rapport.erreurs.length === 0),
+      options: rapports
+    });
+  } catch (error) {
+    console.error('Erreur:', error);
+    res.status(500).json({ error: 'Erreur lors de la vérification des modèles' });
+  }
 });
 
-// GET /api/mapping/evaluation/:semestre - Récupérer le mapping d'une évaluation spécifique
-app.get('/api/mapping/evaluation/:semestre', checkEvaluationAccess, (req, res) => {
+// GET /api/mapping/evaluation/:semestre?option=IR&version=N - Récupérer le mapping d'une évaluation spécifique
+app.get('/api/mapping/evaluation/:semestre', checkEvaluationAccess, async (req, res) => {
+  let grille;
+  try {
+    grille = await getRequestedGrille(req, res);
+  } catch (error) {
+    console.error('Erreur:', error);
+    return res.status(500).json({ error: 'Erreur lors du chargement du mapping' });
+  }
+  if (!grille) return;
+  const { mapping } = grille;
+
   const semestre = req.params.semestre;
   if (!mapping.sheetNames[semestre]) {
     return res.status(404).json({ error: 'Évaluation non trouvée' });
@@ -1253,8 +3254,10 @@ app.get('/api/mapping/evaluation/:semestre', checkEvaluationAccess, (req, res) =
   }
   const response = {
     nom: mapping.sheetNames[semestre],
+    version: grille.version,
     competences: mapping.evaluations[semestre].competences,
-    niveaux: mapping.niveaux
+    niveaux: mapping.niveaux,
+    notation: mapping.notation
   };
 
   // Ajouter les champs supplémentaires s'ils existent pour ce semestre
@@ -1265,16 +3268,335 @@ app.get('/api/mapping/evaluation/:semestre', checkEvaluationAccess, (req, res) =
   res.json(response);
 });
 
-// GET /api/observables - Récupérer les observables
-app.get('/api/observables', async (req, res) => {
-  try {
-    const observablesPath = path.join(CONFIG_DIR, 'observables.json');
-    const data = await fs.readFile(observablesPath, 'utf-8');
-    const observables = JSON.parse(data);
-    res.json(observables);
+// GET /api/observables?option=IR&version=N - Récupérer les observables d'une option
+app.get('/api/observables', async (req, res) => {
+  try {
+    const grille = await getRequestedGrille(req, res);
+    if (!grille) return;
+
+    res.json(grille.observables);
+  } catch (error) {
+    console.error('Erreur lors du chargement des observables:', error);
+    res.status(500).json({ error: 'Erreur lors du chargement des observables' });
+  }
+});
+
+// Vérifier une grille avant de l'enregistrer : structure, note récapitulative, puis
+// correspondance avec le modèle Excel de l'option
+async function verifierGrilleOption(gridSet, mapping, observables) {
+  const { erreurs, avertissements } = validerGrille(mapping, observables);
+  if (erreurs.length === 0) {
+    try {
+      validateNoteRecapConfig(mapping);
+    } catch (error) {
+      erreurs.push(`note_recapitulative : ${error.message}`);
+    }
+  }
+  if (erreurs.length === 0) {
+    erreurs.push(...(await validerModele(gridSet.modeleFile, mapping)).erreurs);
+  }
+  return { erreurs, avertissements };
+}
+
+// Mettre en service une nouvelle version de la grille, sans redémarrage
+function activerGrille(code, record) {
+  const gridSet = gridSets[code];
+  if (gridSet && record.version > gridSet.version) {
+    gridSets[code] = {
+      ...gridSet,
+      version: record.version,
+      mapping: record.mapping,
+      observables: record.observables
+    };
+    console.log(`📋 Grille ${code} : version ${record.version} en vigueur (${record.auteur})`);
+  }
+}
+
+function getGridSetParCode(req, res) {
+  const gridSet = gridSets[req.params.code];
+  if (!gridSet) {
+    res.status(404).json({ error: 'Option non trouvée ou non installée' });
+  }
+  return gridSet;
+}
+
+// GET /api/options/:code/grille - Grille en vigueur d'une option (éditeur des grilles)
+app.get('/api/options/:code/grille', requireAdmin, async (req, res) => {
+  try {
+    const gridSet = getGridSetParCode(req, res);
+    if (!gridSet) return;
+    const record = await grilleVersions.get(gridSet.code, gridSet.version);
+    res.json({ ...record, option: gridSet.code, label: gridSet.label });
+  } catch (error) {
+    console.error('Erreur:', error);
+    res.status(500).json({ error: 'Erreur lors du chargement de la grille' });
+  }
+});
+
+// GET /api/options/:code/grille/versions - Versions de la grille (plus récente en premier)
+app.get('/api/options/:code/grille/versions', requireAdmin, async (req, res) => {
+  try {
+    const gridSet = getGridSetParCode(req, res);
+    if (!gridSet) return;
+    res.json(await grilleVersions.list(gridSet.code));
+  } catch (error) {
+    console.error('Erreur:', error);
+    res.status(500).json({ error: 'Erreur lors du chargement des versions de la grille' });
+  }
+});
+
+// GET /api/options/:code/grille/versions/:version - Contenu d'une version
+app.get('/api/options/:code/grille/versions/:version', requireAdmin, async (req, res) => {
+  try {
+    const gridSet = getGridSetParCode(req, res);
+    if (!gridSet) return;
+    const record = await grilleVersions.get(gridSet.code, parseInt(req.params.version));
+    if (!record) {
+      return res.status(404).json({ error: 'Version non trouvée' });
+    }
+    res.json(record);
+  } catch (error) {
+    console.error('Erreur:', error);
+    res.status(500).json({ error: 'Erreur lors du chargement de la version' });
+  }
+});
+
+// PUT /api/options/:code/grille - Enregistrer la grille modifiée comme nouvelle version
+// `version` est la version sur laquelle les modifications ont été faites : si une autre
+// version a été enregistrée entre-temps, rien n'est écrit (409).
+app.put('/api/options/:code/grille', requireAdmin, async (req, res) => {
+  try {
+    const gridSet = getGridSetParCode(req, res);
+    if (!gridSet) return;
+    const { mapping, observables, commentaire, version } = req.body;
+
+    try {
+      validateObject(mapping, 'Mapping', true);
+      validateObject(observables, 'Observables', true);
+      validateString(commentaire, 'Commentaire', false, 500);
+      if (!Number.isInteger(version) || version < 1) {
+        throw new Error('Version doit être un entier positif');
+      }
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    const { erreurs, avertissements } = await verifierGrilleOption(gridSet, mapping, observables);
+    if (erreurs.length > 0) {
+      return res.status(400).json({ error: 'Grille invalide', erreurs, avertissements });
+    }
+
+    const record = await grilleVersions.ajouter(gridSet.code, {
+      mapping,
+      observables,
+      origine: 'editeur',
+      auteur: req.session.user.username,
+      commentaire: (commentaire || '').trim()
+    }, version);
+    if (!record) {
+      return res.status(409).json({
+        error: 'La grille a été modifiée par un autre utilisateur depuis son chargement. Rechargez la page.'
+      });
+    }
+
+    activerGrille(gridSet.code, record);
+    res.json({ success: true, message: `Grille enregistrée (version ${record.version})`, version: record.version, avertissements });
+  } catch (error) {
+    console.error('Erreur:', error);
+    res.status(500).json({ error: 'Erreur lors de l\'enregistrement de la grille' });
+  }
+});
+
+// POST /api/options/:code/grille/versions/:version/restaurer - Remettre en vigueur une
+// ancienne version (enregistrée comme nouvelle version, l'historique est conservé)
+app.post('/api/options/:code/grille/versions/:version/restaurer', requireAdmin, async (req, res) => {
+  try {
+    const gridSet = getGridSetParCode(req, res);
+    if (!gridSet) return;
+    const ancienne = await grilleVersions.get(gridSet.code, parseInt(req.params.version));
+    if (!ancienne) {
+      return res.status(404).json({ error: 'Version non trouvée' });
+    }
+
+    const { erreurs } = await verifierGrilleOption(gridSet, ancienne.mapping, ancienne.observables);
+    if (erreurs.length > 0) {
+      return res.status(400).json({ error: 'Cette version ne correspond plus au modèle Excel', erreurs });
+    }
+
+    const record = await grilleVersions.ajouter(gridSet.code, {
+      mapping: ancienne.mapping,
+      observables: ancienne.observables,
+      origine: 'restauration',
+      auteur: req.session.user.username,
+      commentaire: `Restauration de la version ${ancienne.version}`
+    });
+
+    activerGrille(gridSet.code, record);
+    res.json({ success: true, message: `Version ${ancienne.version} restaurée (version ${record.version})`, version: record.version });
+  } catch (error) {
+    console.error('Erreur:', error);
+    res.status(500).json({ error: 'Erreur lors de la restauration de la version' });
+  }
+});
+
+// ========== MIGRATION DES ÉVALUATIONS VERS LA GRILLE EN VIGUEUR ==========
+
+// Évaluations de la session courante d'une option saisies avec une version antérieure de
+// sa grille, regroupées par phase et par version : { 'semestre:version': [eleve] }
+function evaluationsAMigrer(eleves, gridSet) {
+  const groupes = {};
+  eleves
+    .filter(eleve => (eleve.option || DEFAULT_OPTION) === gridSet.code)
+    .forEach(eleve => {
+      Object.keys(eleve.evaluations || {}).forEach(semestre => {
+        const version = getEvaluationGrille(eleve, semestre);
+        if (version < gridSet.version) {
+          const cle = `${semestre}:${version}`;
+          groupes[cle] = groupes[cle] || [];
+          groupes[cle].push(eleve);
+        }
+      });
+    });
+  return groupes;
+}
+
+// GET /api/options/:code/grille/migration - Évaluations à reporter sur la grille en vigueur,
+// avec la correspondance proposée entre anciens et nouveaux critères
+app.get('/api/options/:code/grille/migration', requireAdmin, async (req, res) => {
+  try {
+    const gridSet = getGridSetParCode(req, res);
+    if (!gridSet) return;
+
+    const groupes = [];
+    for (const [cle, eleves] of Object.entries(evaluationsAMigrer(await loadEleves(), gridSet))) {
+      const [semestre, depuis] = cle.split(':');
+      const ancienne = await grilleVersions.get(gridSet.code, parseInt(depuis));
+      if (!ancienne) continue;
+
+      const correspondances = proposerCorrespondances(ancienne.mapping, gridSet.mapping, semestre);
+      groupes.push({
+        semestre,
+        depuis: ancienne.version,
+        evaluations: eleves.length,
+        criteres: criteresPhase(ancienne.mapping, semestre).map(critere => ({
+          ...critere,
+          propose: correspondances[critere.id]
+        })),
+        cibles: criteresPhase(gridSet.mapping, semestre)
+      });
+    }
+
+    res.json({ version: gridSet.version, groupes });
+  } catch (error) {
+    console.error('Erreur:', error);
+    res.status(500).json({ error: 'Erreur lors de la recherche des évaluations à migrer' });
+  }
+});
+
+// POST /api/options/:code/grille/migration - Reporter les évaluations d'une phase saisies
+// avec une ancienne version sur la grille en vigueur
+// Body : { semestre, depuis, version, correspondances: { ancienId: nouvelId|null } }
+// Un ancien critère absent des correspondances suit la correspondance proposée.
+app.post('/api/options/:code/grille/migration', requireAdmin, async (req, res) => {
+  try {
+    const gridSet = getGridSetParCode(req, res);
+    if (!gridSet) return;
+    const { semestre, depuis, version, correspondances } = req.body;
+
+    let ancienne;
+    let table;
+    try {
+      validateEnum(semestre, 'Semestre', ['stage', 'revue1', 'revue2', 'revue3', 'soutenance'], true);
+      validateNumber(depuis, 'Version d\'origine', true, 1);
+      validateNumber(version, 'Version de la grille', true, 1);
+      validateObject(correspondances, 'Correspondances', true);
+
+      ancienne = await grilleVersions.get(gridSet.code, depuis);
+      if (!ancienne) {
+        throw new Error(`Version ${depuis} de la grille introuvable`);
+      }
+      const anciens = criteresPhase(ancienne.mapping, semestre).map(c => c.id);
+      const nouveaux = criteresPhase(gridSet.mapping, semestre).map(c => c.id);
+      table = proposerCorrespondances(ancienne.mapping, gridSet.mapping, semestre);
+      anciens.forEach(id => {
+        const cible = correspondances[id];
+        if (cible !== null && cible !== undefined) {
+          validateEnum(cible, `Critère correspondant à ${id}`, nouveaux);
+        }
+        if (cible !== undefined) {
+          table[id] = cible;
+        }
+      });
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    if (version !== gridSet.version) {
+      return res.status(409).json({
+        error: 'La grille a été modifiée depuis le chargement de la page. Rechargez la page.'
+      });
+    }
+
+    const username = req.session.user.username;
+    const lockData = await loadEvaluationLock();
+    const migrees = [];
+    const verrouilles = [];
+    await updateEleves((eleves) => {
+      eleves
+        .filter(eleve => (eleve.option || DEFAULT_OPTION) === gridSet.code &&
+          eleve.evaluations && eleve.evaluations[semestre] &&
+          getEvaluationGrille(eleve, semestre) === depuis)
+        .forEach(eleve => {
+          // Élèves d'un jury en période de verrouillage : laissés sur l'ancienne version
+          if (eleve.jury && isInLockPeriod(lockData, eleve.jury)) {
+            verrouilles.push(eleve);
+            return;
+          }
+          const previous = eleve.evaluations[semestre];
+          const { data, abandonnes } = migrerEvaluation(previous, table);
+          const saved = applyEvaluationSave(eleve, semestre, data, username, gridSet.version);
+          migrees.push({ eleve, previous, data, abandonnes, revision: saved.revision });
+        });
+    });
+
+    for (const eleve of verrouilles) {
+      await logLockOverrideAttempt(req, { eleveId: eleve.id, juryId: eleve.jury });
+    }
+
+    for (const { eleve, previous, data, revision } of migrees) {
+      await recordHistory({
+        eleveId: eleve.id,
+        type: 'evaluation',
+        semestre,
+        revision,
+        user: username,
+        grille: { depuis, vers: gridSet.version }
+      }, previous, data);
+      publierEleve('evaluation', eleve, { semestre, revision, grille: gridSet.version, par: username });
+    }
+
+    await logSecurityEvent('GRILLE_MIGRATION', {
+      username,
+      option: gridSet.code,
+      semestre,
+      depuis,
+      vers: gridSet.version,
+      evaluations: migrees.length,
+      verrouillees: verrouilles.length
+    });
+
+    res.json({
+      success: true,
+      message: `${migrees.length} évaluation(s) reportée(s) sur la version ${gridSet.version}`,
+      abandons: migrees
+        .filter(({ abandonnes }) => abandonnes.length > 0)
+        .map(({ eleve, abandonnes }) => ({ eleve: `${eleve.nom} ${eleve.prenom}`, criteres: abandonnes })),
+      // À reporter une fois la période de verrouillage du jury terminée
+      verrouilles: verrouilles.map(eleve => ({ eleve: `${eleve.nom} ${eleve.prenom}`, juryId: eleve.jury }))
+    });
   } catch (error) {
-    console.error('Erreur lors du chargement des observables:', error);
-    res.status(500).json({ error: 'Erreur lors du chargement des observables' });
+    console.error('Erreur:', error);
+    res.status(500).json({ error: 'Erreur lors de la migration des évaluations' });
   }
 });
 
@@ -1296,28 +3618,40 @@ app.post('/api/eleves/:id/recapitulatif', requireAuth, async (req, res) => {
       return res.status(400).json({ error: validationError.message });
     }
 
-    const eleves = await loadEleves();
-    const eleveIndex = eleves.findIndex(e => e.id === eleveId);
+    const user = req.session.user;
+    let horsJury = false;
+    let previous = {};
+    const eleve = await updateEleve(eleveId, (e) => {
+      // Vérifier que le jury a accès à cet élève (sous verrou)
+      if (juryHorsAffectation(user, e)) {
+        horsJury = true;
+        return;
+      }
+      if (!e.recapitulatif) {
+        e.recapitulatif = {};
+      }
+      previous = { ...e.recapitulatif };
+      e.recapitulatif.note_proposee = note_proposee;
+      e.recapitulatif.commentaires = commentaires;
+    });
 
-    if (eleveIndex === -1) {
+    if (!eleve) {
       return res.status(404).json({ error: 'Élève non trouvé' });
     }
 
-    // Vérifier que le jury a accès à cet élève
-    const user = req.session.user;
-    if (user.role === 'jury' && user.juryId && eleves[eleveIndex].jury !== user.juryId) {
-      return res.status(403).json({ error: 'Accès refusé - Cet élève n\'est pas assigné à votre jury' });
-    }
-
-    if (!eleves[eleveIndex].recapitulatif) {
-      eleves[eleveIndex].recapitulatif = {};
+    if (horsJury) {
+      return res.status(403).json({ error: ERREUR_ELEVE_HORS_JURY });
     }
 
-    eleves[eleveIndex].recapitulatif.note_proposee = note_proposee;
-    eleves[eleveIndex].recapitulatif.commentaires = commentaires;
-
-    await saveEleves(eleves);
+    await recordHistory({
+      eleveId,
+      type: 'recapitulatif',
+      semestre: null,
+      revision: null,
+      user: user.username
+    }, previous, { note_proposee, commentaires });
 
+    publierEleve('recapitulatif', eleve, { par: user.username });
     res.json({ success: true, message: 'Récapitulatif sauvegardé' });
   } catch (error) {
     console.error('Erreur:', error);
@@ -1325,40 +3659,50 @@ app.post('/api/eleves/:id/recapitulatif', requireAuth, async (req, res) => {
   }
 });
 
-// POST /api/eleves/:id/generer-excel-complet - VERSION OPTIMISÉE: Générer l'Excel complet en un seul chargement
-// Cette route remplace les 3 appels séparés (generer-excel + remplir-excel + remplir-excel-recap)
-// AVANTAGE: 67% moins de mémoire (150 MB au lieu de 450 MB)
-app.post('/api/eleves/:id/generer-excel-complet', requireAdmin, async (req, res) => {
-  let workbook = null;
-  let outputFileName = null;
-
-  try {
-    const eleveId = parseInt(req.params.id);
-    const eleves = await loadEleves();
-    const eleve = eleves.find(e => e.id === eleveId);
-
-    if (!eleve) {
-      return res.status(404).json({ error: 'Élève non trouvé' });
-    }
+// Libellé d'un membre du jury sur les fiches : « Nom Prénom - Qualité »
+function libelleMembreJury(member) {
+  const nomComplet = [member.nom, member.prenom].filter(Boolean).join(' ');
+  if (!member.qualite) {
+    return nomComplet;
+  }
+  return nomComplet ? `${nomComplet} - ${member.qualite}` : member.qualite;
+}
 
-    // Créer le dossier export si nécessaire
-    await fs.mkdir(EXPORT_DIR, { recursive: true });
+/**
+ * Génère le fichier Excel complet d'un élève (toutes les évaluations + fiche récapitulative)
+ * dans le dossier d'export de la session courante
+ * @param {Object} eleve - L'élève
+ * @returns {Promise<string>} Le nom du fichier généré
+ */
+async function genererExcelComplet(eleve) {
+  const gridSet = getGridSetForEleve(eleve);
+  if (!gridSet) {
+    throw new Error(gridSetUnavailableMessage(eleve.option));
+  }
+  // Chaque phase est remplie selon la version de la grille avec laquelle elle a été évaluée
+  const mapping = await getMappingForEleve(eleve, gridSet);
+  let workbook = null;
 
-    // Nom du fichier de sortie
-    outputFileName = buildExcelFileName(eleve);
-    const outputPath = path.join(EXPORT_DIR, outputFileName);
+  // Créer le dossier export si nécessaire
+  await fs.mkdir(EXPORT_DIR, { recursive: true });
 
-    // Acquérir le verrou pour éviter les écritures concurrentes
-    await acquireExcelLock(outputFileName);
+  // Nom du fichier de sortie
+  const outputFileName = buildExcelFileName(eleve);
+  const outputPath = path.join(EXPORT_DIR, outputFileName);
 
+  try {
     // ========== ÉTAPE 1: Charger le modèle Excel UNE SEULE FOIS ==========
-    workbook = await XlsxPopulate.fromFileAsync(MODELE_FILE);
+    workbook = await XlsxPopulate.fromFileAsync(gridSet.modeleFile);
 
     // ========== ÉTAPE 2: Remplir l'identité dans tous les onglets ==========
+    // Configuration établissement du serveur ; l'année est celle de la session courante
+    // (les archives sont en lecture seule)
+    const etablissementConfig = await loadEtablissementConfig();
+    const session = String((await loadSessions()).courante.annee);
     const identiteFields = {
-      session: req.body.session || new Date().getFullYear().toString(),
-      academie: req.body.academie || '',
-      etablissement: req.body.etablissement || '',
+      session,
+      academie: etablissementConfig.academie,
+      etablissement: etablissementConfig.etablissement,
       nom: eleve.nom || '',
       prenom: eleve.prenom || '',
       numero: eleve.numero || '',
@@ -1393,15 +3737,9 @@ app.post('/api/eleves/:id/generer-excel-complet', requireAdmin, async (req, res)
     }
 
     // ========== ÉTAPE 2.5: Remplir la session (SESSION 20xx) ==========
-    const session = req.body.session || new Date().getFullYear().toString();
-
-    const sessionSheets = [
-      { name: 'E6 STAGE - IR', cell: 'A6' },
-      { name: 'E6 SOUTENANCE - IR', cell: 'A5' },
-      { name: 'E6 REVUES - IR - R1', cell: 'A5' },
-      { name: 'E6 REVUES - IR - R2', cell: 'A5' },
-      { name: 'E6 REVUES - IR - R3', cell: 'A5' }
-    ];
+    const sessionSheets = ['stage', 'soutenance', 'revue1', 'revue2', 'revue3']
+      .filter(sheetKey => mapping.titre_session && mapping.titre_session[sheetKey])
+      .map(sheetKey => ({ name: mapping.sheetNames[sheetKey], cell: mapping.titre_session[sheetKey] }));
 
     for (const info of sessionSheets) {
       try {
@@ -1424,12 +3762,12 @@ app.post('/api/eleves/:id/generer-excel-complet', requireAdmin, async (req, res)
       }
     }
 
-    // Remplir la session dans le récapitulatif (B18) - format "SESSION 2026"
+    // Remplir la session dans le récapitulatif - format "SESSION 2026"
     try {
-      const recapSheet = workbook.sheet('FICHE RECAPITULATIVE E6 -  IR');
-      if (recapSheet) {
-        recapSheet.cell('B18').value(`SESSION ${session}`);
-        console.log(`✅ Session récapitulatif B18 = "SESSION ${session}"`);
+      const recapSheet = workbook.sheet(mapping.sheetNames.recap);
+      if (recapSheet && mapping.titre_session?.recap) {
+        recapSheet.cell(mapping.titre_session.recap).value(`SESSION ${session}`);
+        console.log(`✅ Session récapitulatif ${mapping.titre_session.recap} = "SESSION ${session}"`);
       }
     } catch (err) {
       console.error(`❌ Erreur SESSION récapitulatif:`, err.message);
@@ -1471,7 +3809,7 @@ app.post('/api/eleves/:id/generer-excel-complet', requireAdmin, async (req, res)
                 cell.value(null);
               }
             } catch (err) {
-              // Ignorer
+              console.error(`❌ Erreur effacement ${sheetName}!${col}${critere.ligne}:`, err.message);
             }
           }
         }
@@ -1506,180 +3844,792 @@ app.post('/api/eleves/:id/generer-excel-complet', requireAdmin, async (req, res)
                   continue;
               }
 
-              sheet.cell(`${colonne}${critere.ligne}`).value('x');
-            } catch (err) {
-              console.error(`❌ Erreur ${critere.id}:`, err.message);
-            }
-          }
-        }
-      }
+              sheet.cell(`${colonne}${critere.ligne}`).value('x');
+            } catch (err) {
+              console.error(`❌ Erreur ${critere.id}:`, err.message);
+            }
+          }
+        }
+      }
+
+      // Remplir commentaire général
+      if (mapping.commentaires && mapping.commentaires.commentaire_global &&
+          mapping.commentaires.commentaire_global[semestre] && evalData.commentaireGeneral) {
+        try {
+          sheet.cell(mapping.commentaires.commentaire_global[semestre]).value(evalData.commentaireGeneral);
+        } catch (err) {
+          console.error('❌ Erreur commentaire:', err.message);
+        }
+      }
+
+      // Remplir champs supplémentaires (bonus, note finale)
+      if (mapping.champs_supplementaires && mapping.champs_supplementaires[semestre]) {
+        const champsSupp = mapping.champs_supplementaires[semestre];
+
+        if (champsSupp.bonus && evalData.bonus !== undefined) {
+          try {
+            sheet.cell(champsSupp.bonus.cellule).value(parseFloat(evalData.bonus) || 0);
+          } catch (err) {
+            console.error('❌ Erreur bonus:', err.message);
+          }
+        }
+
+        if (champsSupp.note_finale && evalData.note_finale !== undefined && evalData.note_finale !== null) {
+          try {
+            sheet.cell(champsSupp.note_finale.cellule).value(parseFloat(evalData.note_finale));
+          } catch (err) {
+            console.error('❌ Erreur note finale:', err.message);
+          }
+        }
+      }
+    }
+
+    // ========== ÉTAPE 4: Remplir la fiche récapitulative ==========
+    const recapSheet = workbook.sheet(mapping.sheetNames.recap);
+    const recapCells = mapping.recapitulatif || { notes: {} };
+
+    if (recapSheet) {
+      // Notes finales des évaluations
+      for (const [semestre, cellAddress] of Object.entries(recapCells.notes)) {
+        if (eleve.evaluations?.[semestre]?.note_finale) {
+          recapSheet.cell(cellAddress).value(parseFloat(eleve.evaluations[semestre].note_finale));
+        }
+      }
+
+      // Note proposée au jury
+      if (eleve.recapitulatif?.note_proposee && recapCells.note_proposee) {
+        recapSheet.cell(recapCells.note_proposee).value(parseFloat(eleve.recapitulatif.note_proposee));
+      }
+
+      // Commentaires
+      if (eleve.recapitulatif?.commentaires && recapCells.commentaires) {
+        recapSheet.cell(recapCells.commentaires).value(eleve.recapitulatif.commentaires);
+      }
+
+      // Membres du jury
+      if (eleve.jury && mapping.jury_members?.recap) {
+        try {
+          const juryMembers = await loadMembresJurys();
+          const members = juryMembers[eleve.jury] || [];
+          const validMembers = members.filter(m => m.nom || m.prenom || m.qualite);
+
+          if (validMembers.length > 0) {
+            const juryMapping = mapping.jury_members.recap;
+
+            validMembers.slice(0, 3).forEach((member, index) => {
+              const memberNum = index + 1;
+              const cellKey = `member${memberNum}`;
+
+              if (juryMapping[cellKey]) {
+                const fullText = libelleMembreJury(member);
+
+                if (fullText) {
+                  recapSheet.cell(juryMapping[cellKey]).value(fullText);
+                }
+              }
+            });
+          }
+        } catch (error) {
+          console.error('❌ Erreur jury members:', error.message);
+        }
+      }
+    }
+
+    // ========== ÉTAPE 5: Sauvegarder UNE SEULE FOIS ==========
+    await workbook.toFileAsync(outputPath);
+  } finally {
+    // Libérer la mémoire, même en cas d'erreur
+    workbook = null;
+    if (global.gc) {
+      global.gc();
+    }
+  }
+
+  console.log('✅ Excel généré');
+  return outputFileName;
+}
+
+// POST /api/eleves/:id/generer-excel-complet - VERSION OPTIMISÉE: Générer l'Excel complet en un seul chargement
+// Cette route remplace les 3 appels séparés (generer-excel + remplir-excel + remplir-excel-recap)
+// AVANTAGE: 67% moins de mémoire (150 MB au lieu de 450 MB)
+// La génération est mise en file d'attente : la réponse (202) contient la tâche à suivre via GET /api/jobs/:id
+app.post('/api/eleves/:id/generer-excel-complet', requireAdmin, async (req, res) => {
+  try {
+    const eleveId = parseInt(req.params.id);
+    const eleves = await loadEleves();
+    const eleve = eleves.find(e => e.id === eleveId);
+
+    if (!eleve) {
+      return res.status(404).json({ error: 'Élève non trouvé' });
+    }
+
+    if (!getGridSetForEleve(eleve)) {
+      return res.status(400).json({ error: gridSetUnavailableMessage(eleve.option) });
+    }
+
+    const job = await jobQueue.enqueue('generer-excel-complet', { eleveId }, {
+      cle: buildExcelFileName(eleve),
+      creePar: req.session.user.username
+    });
+
+    res.status(202).json(jobPublic(job));
+  } catch (error) {
+    if (error.code === 'FILE_SUSPENDUE') {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('❌ Erreur génération Excel complète:', error);
+    res.status(500).json({ error: 'Erreur lors de la génération du fichier Excel: ' + error.message });
+  }
+});
+
+// ========== GÉNÉRATION EXCEL PAR LOT ==========
+// Un lot est une tâche de la file d'attente : il survit à un redémarrage du serveur
+
+// Élèves correspondant au filtre d'un lot (critères vides = tous)
+function filtrerElevesLot(eleves, filtre) {
+  return eleves.filter(eleve =>
+    (!filtre.jury || eleve.jury === filtre.jury) &&
+    (!filtre.projet || eleve.projetId === filtre.projet) &&
+    (!filtre.promotion || eleve.promotion === filtre.promotion)
+  );
+}
+
+// Générer les fichiers du lot un par un : le lot n'occupe qu'une place dans la file,
+// les jurys peuvent continuer à finaliser leurs évaluations pendant ce temps
+async function executerLotExcel({ filtre }, { progression, creePar, avecCle }) {
+  const eleves = filtrerElevesLot(await loadEleves(), filtre);
+  const lockData = await loadEvaluationLock();
+  const etat = { total: eleves.length, traites: 0, fichiers: [], erreurs: [] };
+
+  for (const eleve of eleves) {
+    try {
+      // Élèves d'un jury en période de verrouillage : ignorés, comme en génération unitaire
+      if (eleve.jury && isInLockPeriod(lockData, eleve.jury)) {
+        await logSecurityEvent('LOCK_OVERRIDE_ATTEMPT', {
+          username: creePar,
+          eleveId: eleve.id,
+          juryId: eleve.jury,
+          tache: 'lot-excel'
+        });
+        throw new Error('Jury en période de verrouillage');
+      }
+      // Attendre que le fichier soit libre (tâche unitaire sur le même élève)
+      etat.fichiers.push(await avecCle(buildExcelFileName(eleve), () => genererExcelComplet(eleve)));
+    } catch (error) {
+      console.error(`❌ Lot - ${eleve.prenom} ${eleve.nom}:`, error.message);
+      etat.erreurs.push({ eleveId: eleve.id, eleve: `${eleve.prenom} ${eleve.nom}`, error: error.message });
+    }
+    etat.traites++;
+    progression(etat.traites * 100 / etat.total, `${etat.traites}/${etat.total} élève(s) traité(s)`, { ...etat });
+  }
+
+  console.log(`✅ Lot : ${etat.fichiers.length}/${etat.total} fichier(s) généré(s)`);
+  return etat;
+}
+
+// Vue d'un lot renvoyée au client
+function lotPublic(job) {
+  const etat = job.resultat || { total: job.params.total, traites: 0, fichiers: [], erreurs: [] };
+  return {
+    id: job.id,
+    statut: STATUTS_TACHE_TERMINES.includes(job.statut) ? job.statut : 'en_cours',
+    filtre: job.params.filtre,
+    total: etat.total,
+    traites: etat.traites,
+    fichiers: etat.fichiers.length,
+    erreurs: etat.erreurs,
+    creePar: job.creePar,
+    creeLe: job.creeLe,
+    termineLe: job.termineLe
+  };
+}
+
+// Retrouver un lot par son identifiant de tâche
+function getLot(id) {
+  const job = jobQueue.get(id);
+  return job && job.type === 'lot-excel' ? job : null;
+}
+
+// POST /api/excel/lots - Lancer la génération des Excel d'un jury, d'un projet ou d'une promotion
+app.post('/api/excel/lots', requireAdmin, async (req, res) => {
+  try {
+    const { jury, projet, promotion } = req.body;
+
+    try {
+      validateString(jury, 'Jury', false, 100);
+      validateString(projet, 'Projet', false, 100);
+      validateString(promotion, 'Promotion', false, 100);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    if (jobQueue.list(job => job.type === 'lot-excel' && !STATUTS_TACHE_TERMINES.includes(job.statut)).length > 0) {
+      return res.status(409).json({ error: 'Une génération par lot est déjà en cours' });
+    }
+
+    const filtre = { jury: jury || null, projet: projet || null, promotion: promotion || null };
+    const eleves = filtrerElevesLot(await loadEleves(), filtre);
+    if (eleves.length === 0) {
+      return res.status(400).json({ error: 'Aucun élève ne correspond à ces critères' });
+    }
+
+    const job = await jobQueue.enqueue('lot-excel', { filtre, total: eleves.length }, {
+      creePar: req.session.user.username
+    });
+
+    res.status(202).json(lotPublic(job));
+  } catch (error) {
+    if (error.code === 'FILE_SUSPENDUE') {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Erreur:', error);
+    res.status(500).json({ error: 'Erreur lors du lancement de la génération par lot' });
+  }
+});
+
+// GET /api/excel/lots/:id - Avancement d'un lot
+app.get('/api/excel/lots/:id', requireAdmin, (req, res) => {
+  const job = getLot(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Lot non trouvé' });
+  }
+  res.json(lotPublic(job));
+});
+
+// GET /api/excel/lots/:id/zip - Télécharger les fichiers d'un lot terminé en une seule archive
+app.get('/api/excel/lots/:id/zip', requireAdmin, async (req, res) => {
+  try {
+    const job = getLot(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Lot non trouvé' });
+    }
+    if (!STATUTS_TACHE_TERMINES.includes(job.statut)) {
+      return res.status(409).json({ error: 'La génération est encore en cours' });
+    }
+
+    const zip = new JSZip();
+    for (const filename of (job.resultat ? job.resultat.fichiers : [])) {
+      try {
+        zip.file(filename, await fs.readFile(path.join(EXPORT_DIR, path.basename(filename))));
+      } catch (err) {
+        console.warn(`⚠️  Fichier du lot introuvable: ${filename}`);
+      }
+    }
+
+    if (Object.keys(zip.files).length === 0) {
+      return res.status(404).json({ error: 'Aucun fichier à télécharger' });
+    }
+
+    const date = job.creeLe.slice(0, 10);
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="Evaluations_E6_${date}.zip"`);
+    zip.generateNodeStream({ type: 'nodebuffer', streamFiles: true, compression: 'DEFLATE' })
+      .on('error', (error) => {
+        console.error('Erreur archive ZIP:', error);
+        res.destroy(error);
+      })
+      .pipe(res);
+  } catch (error) {
+    console.error('Erreur:', error);
+    res.status(500).json({ error: 'Erreur lors de la création de l\'archive' });
+  }
+});
+
+// ========== EXPORT DES RÉSULTATS ==========
+
+// GET /api/exports/cohort?format=xlsx|csv - Résultats de toute la cohorte, une ligne par élève
+app.get('/api/exports/cohort', requireAdmin, async (req, res) => {
+  try {
+    const format = req.query.format || 'xlsx';
+
+    try {
+      validateEnum(format, 'Format', ['xlsx', 'csv']);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    const sessionData = getSessionData(req);
+    const annee = sessionData.archive ? sessionData.annee : (await loadSessions()).courante.annee;
+    const eleves = (await loadEleves(sessionData))
+      .slice()
+      .sort((a, b) => `${a.nom} ${a.prenom}`.localeCompare(`${b.nom} ${b.prenom}`, 'fr'));
+
+    const mappings = new Map();
+    for (const eleve of eleves) {
+      const gridSet = getGridSetForEleve(eleve);
+      mappings.set(eleve.id, gridSet ? await getMappingForEleve(eleve, gridSet) : null);
+    }
+
+    const tableau = construireExportCohorte(eleves, {
+      mappingPour: (eleve) => mappings.get(eleve.id),
+      juries: await loadJuries(sessionData),
+      projets: await loadProjets(sessionData)
+    });
+
+    const filename = `Resultats_E6_${annee}.${format}`;
+    if (format === 'csv') {
+      res.attachment(filename);
+      res.type('text/csv; charset=utf-8');
+      return res.send(versCsv(tableau));
+    }
+
+    res.attachment(filename);
+    res.send(await versXlsx(tableau, `Session ${annee}`));
+  } catch (error) {
+    console.error('Erreur export cohorte:', error);
+    res.status(500).json({ error: 'Erreur lors de l\'export des résultats' });
+  }
+});
+
+// ========== GRILLES PDF ==========
+
+// Identité commune aux fiches d'une session : établissement, année, date d'impression
+async function donneesCommunesPdf(sessionData) {
+  const etablissementConfig = await loadEtablissementConfig();
+  const annee = sessionData.archive ? sessionData.annee : (await loadSessions()).courante.annee;
+  return {
+    identite: {
+      session: String(annee),
+      academie: etablissementConfig.academie,
+      etablissement: etablissementConfig.etablissement,
+      date: new Date().toLocaleDateString('fr-FR')
+    },
+    juryMembers: await loadMembresJurys(sessionData)
+  };
+}
+
+// Données imprimées pour un élève : les mêmes que celles de generer-excel-complet
+async function dossierPdf(eleve, gridSet, commun) {
+  const membresJury = (commun.juryMembers[eleve.jury] || [])
+    .filter(m => m.nom || m.prenom || m.qualite)
+    .slice(0, 3)
+    .map(libelleMembreJury);
+  return { eleve, mapping: await getMappingForEleve(eleve, gridSet), identite: commun.identite, membresJury };
+}
+
+// Envoyer un PDF en téléchargement
+async function envoyerPdf(res, dossiers, filename) {
+  res.attachment(filename); // Content-Type et nom de fichier encodé (accents)
+  await genererPdfGrilles(dossiers, res);
+}
+
+// GET /api/eleves/:id/pdf - Grilles et fiche récapitulative d'un élève au format PDF
+app.get('/api/eleves/:id/pdf', requireAdmin, async (req, res) => {
+  try {
+    const eleveId = parseInt(req.params.id);
+    const sessionData = getSessionData(req);
+    const eleve = (await loadEleves(sessionData)).find(e => e.id === eleveId);
+
+    if (!eleve) {
+      return res.status(404).json({ error: 'Élève non trouvé' });
+    }
+
+    const gridSet = getGridSetForEleve(eleve);
+    if (!gridSet) {
+      return res.status(400).json({ error: gridSetUnavailableMessage(eleve.option) });
+    }
+
+    const commun = await donneesCommunesPdf(sessionData);
+    const filename = buildExcelFileName(eleve).replace(/\.xlsx$/, '.pdf');
+    await envoyerPdf(res, [await dossierPdf(eleve, gridSet, commun)], filename);
+  } catch (error) {
+    console.error('Erreur génération PDF:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Erreur lors de la génération du PDF' });
+    } else {
+      res.destroy(error);
+    }
+  }
+});
+
+// GET /api/grilles/pdf - Grilles de tous les élèves d'un jury, d'un projet ou d'une promotion en un seul PDF
+app.get('/api/grilles/pdf', requireAdmin, async (req, res) => {
+  try {
+    const { jury, projet, promotion } = req.query;
+
+    try {
+      validateString(jury, 'Jury', false, 100);
+      validateString(projet, 'Projet', false, 100);
+      validateString(promotion, 'Promotion', false, 100);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    const sessionData = getSessionData(req);
+    const filtre = { jury: jury || null, projet: projet || null, promotion: promotion || null };
+    const eleves = filtrerElevesLot(await loadEleves(sessionData), filtre)
+      .filter(eleve => getGridSetForEleve(eleve));
 
-      // Remplir commentaire général
-      if (mapping.commentaires && mapping.commentaires.commentaire_global &&
-          mapping.commentaires.commentaire_global[semestre] && evalData.commentaireGeneral) {
-        try {
-          sheet.cell(mapping.commentaires.commentaire_global[semestre]).value(evalData.commentaireGeneral);
-        } catch (err) {
-          console.error('❌ Erreur commentaire:', err.message);
-        }
-      }
+    if (eleves.length === 0) {
+      return res.status(400).json({ error: 'Aucun élève ne correspond à ces critères' });
+    }
 
-      // Remplir champs supplémentaires (bonus, note finale)
-      if (mapping.champs_supplementaires && mapping.champs_supplementaires[semestre]) {
-        const champsSupp = mapping.champs_supplementaires[semestre];
+    const commun = await donneesCommunesPdf(sessionData);
+    const dossiers = [];
+    for (const eleve of eleves) {
+      dossiers.push(await dossierPdf(eleve, getGridSetForEleve(eleve), commun));
+    }
+    await envoyerPdf(res, dossiers, `Grilles_E6_${new Date().toISOString().slice(0, 10)}.pdf`);
+  } catch (error) {
+    console.error('Erreur génération PDF:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Erreur lors de la génération du PDF' });
+    } else {
+      res.destroy(error);
+    }
+  }
+});
 
-        if (champsSupp.bonus && evalData.bonus !== undefined) {
-          try {
-            sheet.cell(champsSupp.bonus.cellule).value(parseFloat(evalData.bonus) || 0);
-          } catch (err) {
-            console.error('❌ Erreur bonus:', err.message);
-          }
-        }
+// Routes pour gérer les membres des jurys
+// GET /api/jury-members - Récupérer les membres des jurys
+app.get('/api/jury-members', requireAuth, async (req, res) => {
+  try {
+    const juryMembers = await loadMembresJurys(getSessionData(req));
+    res.json(juryMembers);
+  } catch (error) {
+    res.status(500).json({ error: 'Erreur lors du chargement des membres du jury' });
+  }
+});
 
-        if (champsSupp.note_finale && evalData.note_finale !== undefined && evalData.note_finale !== null) {
-          try {
-            sheet.cell(champsSupp.note_finale.cellule).value(parseFloat(evalData.note_finale));
-          } catch (err) {
-            console.error('❌ Erreur note finale:', err.message);
-          }
+// POST /api/jury-members - Sauvegarder les membres des jurys
+app.post('/api/jury-members', requireAdmin, async (req, res) => {
+  try {
+    const juryMembers = req.body;
+
+    // Validation : un tableau de membres par jury connu du registre
+    try {
+      validateObject(juryMembers, 'Membres des jurys', true);
+      const juryIds = (await loadJuries()).map(j => j.id);
+
+      for (const [juryId, members] of Object.entries(juryMembers)) {
+        validateEnum(juryId, 'Jury', juryIds);
+        if (!Array.isArray(members)) {
+          throw new Error(`Les membres du jury ${juryId} doivent être une liste`);
+        }
+        for (const member of members) {
+          validateObject(member, 'Membre du jury', true);
+          validateString(member.nom, 'Nom du membre', false, 100);
+          validateString(member.prenom, 'Prénom du membre', false, 100);
+          validateString(member.qualite, 'Qualité du membre', false, 100);
+          validateString(member.compte, 'Compte du membre', false, 50);
         }
       }
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
     }
 
-    // ========== ÉTAPE 4: Remplir la fiche récapitulative ==========
-    const recapSheet = workbook.sheet('FICHE RECAPITULATIVE E6 -  IR');
+    // Les membres qui ont un compte sont gérés depuis les utilisateurs : seuls
+    // les membres sans compte sont enregistrés ici
+    const membresSaisis = {};
+    for (const [juryId, members] of Object.entries(juryMembers)) {
+      membresSaisis[juryId] = members
+        .filter(member => !member.compte)
+        .map(({ nom, prenom, qualite }) => ({ nom, prenom, qualite }));
+    }
 
-    if (recapSheet) {
-      // Notes finales des évaluations
-      if (eleve.evaluations?.stage?.note_finale) {
-        recapSheet.cell('F28').value(parseFloat(eleve.evaluations.stage.note_finale));
-      }
-      if (eleve.evaluations?.revue3?.note_finale) {
-        recapSheet.cell('F30').value(parseFloat(eleve.evaluations.revue3.note_finale));
-      }
-      if (eleve.evaluations?.soutenance?.note_finale) {
-        recapSheet.cell('F32').value(parseFloat(eleve.evaluations.soutenance.note_finale));
-      }
+    await saveJuryMembers(membresSaisis);
+    res.json({ success: true, message: 'Membres des jurys enregistrés' });
+  } catch (error) {
+    console.error('Erreur:', error);
+    res.status(500).json({ error: 'Erreur lors de la sauvegarde des membres du jury' });
+  }
+});
 
-      // Note proposée au jury
-      if (eleve.recapitulatif?.note_proposee) {
-        recapSheet.cell('C34').value(parseFloat(eleve.recapitulatif.note_proposee));
-      }
+// Routes pour gérer le registre des jurys
+// GET /api/juries - Récupérer la liste des jurys (archivés compris)
+app.get('/api/juries', requireAuth, async (req, res) => {
+  try {
+    const juries = await loadJuries(getSessionData(req));
+    res.json(juries);
+  } catch (error) {
+    res.status(500).json({ error: 'Erreur lors du chargement des jurys' });
+  }
+});
 
-      // Commentaires
-      if (eleve.recapitulatif?.commentaires) {
-        recapSheet.cell('B37').value(eleve.recapitulatif.commentaires);
-      }
+// POST /api/juries - Créer un jury
+app.post('/api/juries', requireAdmin, async (req, res) => {
+  try {
+    const { nom } = req.body;
 
-      // Membres du jury
-      if (eleve.jury && mapping.jury_members?.recap) {
-        try {
-          const juryMembers = await loadJuryMembers();
-          const members = juryMembers[eleve.jury] || [];
-          const validMembers = members.filter(m => m.nom || m.prenom || m.qualite);
+    try {
+      validateString(nom, 'Nom du jury', true, 100);
+      if (nom.trim() === '') {
+        throw new Error('Le nom du jury est requis');
+      }
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
 
-          if (validMembers.length > 0) {
-            const juryMapping = mapping.jury_members.recap;
+    // Identifiants séquentiels (jury1, jury2, ...) pour rester compatibles avec
+    // les affectations, comptes et verrouillages existants.
+    // Unicité du nom vérifiée dans la transaction : deux créations simultanées ne peuvent pas passer toutes les deux
+    const newJury = await juriesStore.transaction((currentJuries) => {
+      if (currentJuries.some(j => j.nom.toLowerCase() === nom.trim().toLowerCase())) {
+        return null;
+      }
+      const numeros = currentJuries
+        .map(j => parseInt(String(j.id).replace(/^jury/, '')))
+        .filter(n => !isNaN(n));
+      const jury = {
+        id: `jury${numeros.length > 0 ? Math.max(...numeros) + 1 : 1}`,
+        nom: nom.trim(),
+        archived: false
+      };
+      currentJuries.push(jury);
+      return jury;
+    });
 
-            validMembers.slice(0, 3).forEach((member, index) => {
-              const memberNum = index + 1;
-              const cellKey = `member${memberNum}`;
+    if (!newJury) {
+      return res.status(400).json({ error: 'Un jury porte déjà ce nom' });
+    }
 
-              if (juryMapping[cellKey]) {
-                const parts = [];
-                if (member.nom) parts.push(member.nom);
-                if (member.prenom) parts.push(member.prenom);
+    res.status(201).json(newJury);
+  } catch (error) {
+    console.error('Erreur:', error);
+    res.status(500).json({ error: 'Erreur lors de la création du jury' });
+  }
+});
 
-                let fullText = parts.join(' ');
-                if (member.qualite) {
-                  fullText += fullText ? ` - ${member.qualite}` : member.qualite;
-                }
+// PATCH /api/juries/:id - Renommer, archiver ou restaurer un jury
+app.patch('/api/juries/:id', requireAdmin, async (req, res) => {
+  try {
+    const { nom, archived } = req.body;
 
-                if (fullText) {
-                  recapSheet.cell(juryMapping[cellKey]).value(fullText);
-                }
-              }
-            });
-          }
-        } catch (error) {
-          console.error('❌ Erreur jury members:', error.message);
-        }
+    try {
+      validateString(nom, 'Nom du jury', false, 100);
+      if (nom !== undefined && nom !== null && nom.trim() === '') {
+        throw new Error('Le nom du jury est requis');
+      }
+      if (archived !== undefined && typeof archived !== 'boolean') {
+        throw new Error('Archivé doit être un booléen');
       }
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
     }
 
-    // ========== ÉTAPE 5: Sauvegarder UNE SEULE FOIS ==========
-    await workbook.toFileAsync(outputPath);
-
-    // Libérer le verrou
-    releaseExcelLock(outputFileName);
+    // Existence et unicité du nom vérifiées dans la transaction
+    const result = await juriesStore.transaction((currentJuries) => {
+      const j = currentJuries.find(item => item.id === req.params.id);
+      if (!j) {
+        return { status: 404, error: 'Jury non trouvé' };
+      }
+      if (nom !== undefined && nom !== null) {
+        const duplicate = currentJuries.some(item =>
+          item.id !== j.id && item.nom.toLowerCase() === nom.trim().toLowerCase());
+        if (duplicate) {
+          return { status: 400, error: 'Un jury porte déjà ce nom' };
+        }
+        j.nom = nom.trim();
+      }
+      // Archiver plutôt que supprimer : les élèves, comptes et verrouillages
+      // qui référencent ce jury restent cohérents
+      if (archived !== undefined) {
+        j.archived = archived;
+      }
+      return { jury: j };
+    });
 
-    // Libérer la mémoire
-    workbook = null;
-    if (global.gc) {
-      global.gc();
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
 
-    console.log('✅ Excel généré');
+    res.json(result.jury);
+  } catch (error) {
+    console.error('Erreur:', error);
+    res.status(500).json({ error: 'Erreur lors de la modification du jury' });
+  }
+});
 
+// Routes pour la configuration de l'établissement
+// GET /api/config - Établissement, académie et année de la session courante
+app.get('/api/config', requireAuth, async (req, res) => {
+  try {
+    const config = await loadEtablissementConfig();
+    const sessions = await loadSessions();
     res.json({
-      success: true,
-      message: 'Fichier Excel complet généré avec succès',
-      filename: outputFileName
+      etablissement: config.etablissement,
+      academie: config.academie,
+      session: sessions.courante.annee,
+      modifiePar: config.modifiePar || null,
+      modifieLe: config.modifieLe || null
     });
-
   } catch (error) {
-    console.error('❌ Erreur génération Excel complète:', error);
+    res.status(500).json({ error: 'Erreur lors du chargement de la configuration' });
+  }
+});
 
-    // Libérer le verrou en cas d'erreur
-    if (outputFileName) {
-      releaseExcelLock(outputFileName);
-    }
+// PUT /api/config - Modifier l'établissement et l'académie (l'année se change via /api/sessions)
+app.put('/api/config', requireAdmin, async (req, res) => {
+  try {
+    const { etablissement, academie } = req.body;
 
-    // Libérer la mémoire
-    if (workbook) {
-      workbook = null;
+    try {
+      validateString(etablissement, 'Établissement', true, 200);
+      validateString(academie, 'Académie', true, 100);
+      if (!etablissement.trim() || !academie.trim()) {
+        throw new Error('L\'établissement et l\'académie sont requis');
+      }
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
     }
-    if (global.gc) {
-      global.gc();
+
+    const username = req.session.user.username;
+    const { before, after } = await etablissementStore.transaction((config) => {
+      const previous = { etablissement: config.etablissement, academie: config.academie };
+      config.etablissement = etablissement.trim();
+      config.academie = academie.trim();
+      config.modifiePar = username;
+      config.modifieLe = new Date().toISOString();
+      return { before: previous, after: { etablissement: config.etablissement, academie: config.academie } };
+    });
+
+    // Journal des modifications (un enregistrement par sauvegarde)
+    const changes = Object.keys(after)
+      .filter(champ => before[champ] !== after[champ])
+      .map(champ => ({ champ, avant: before[champ], apres: after[champ] }));
+    if (changes.length > 0) {
+      try {
+        await appendJsonLine(ETABLISSEMENT_HISTORY_FILE, { user: username, timestamp: new Date().toISOString(), changes });
+      } catch (error) {
+        console.error('Erreur lors de l\'écriture du journal de configuration:', error);
+      }
     }
 
-    res.status(500).json({ error: 'Erreur lors de la génération du fichier Excel: ' + error.message });
+    res.json({ success: true, message: 'Configuration enregistrée', ...after });
+  } catch (error) {
+    console.error('Erreur:', error);
+    res.status(500).json({ error: 'Erreur lors de l\'enregistrement de la configuration' });
   }
 });
 
-// Routes pour gérer les membres des jurys
-// GET /api/jury-members - Récupérer les membres des jurys
-app.get('/api/jury-members', requireAuth, async (req, res) => {
+// GET /api/config/history - Journal des modifications de la configuration (plus récent en premier)
+app.get('/api/config/history', requireAdmin, async (req, res) => {
   try {
-    const juryMembers = await loadJuryMembers();
-    res.json(juryMembers);
+    const entries = await readJsonLines(ETABLISSEMENT_HISTORY_FILE);
+    res.json(entries.reverse());
   } catch (error) {
-    res.status(500).json({ error: 'Erreur lors du chargement des membres du jury' });
+    console.error('Erreur:', error);
+    res.status(500).json({ error: 'Erreur lors du chargement du journal de configuration' });
   }
 });
 
-// POST /api/jury-members - Sauvegarder les membres des jurys
-app.post('/api/jury-members', requireAdmin, async (req, res) => {
+// Routes pour gérer les sessions d'examen
+// GET /api/sessions - Session courante, sessions archivées et session consultée
+app.get('/api/sessions', requireAuth, async (req, res) => {
   try {
-    const juryMembers = req.body;
+    const sessions = await loadSessions();
+    res.json({
+      courante: sessions.courante,
+      archives: sessions.archives,
+      consultee: req.session.sessionConsultee || sessions.courante.annee,
+      lectureSeule: Boolean(req.session.sessionConsultee)
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Erreur lors du chargement des sessions' });
+  }
+});
 
-    // Validation basique
-    if (!juryMembers.jury1 || !juryMembers.jury2) {
-      return res.status(400).json({ error: 'Format invalide' });
+// POST /api/sessions/consulter - Consulter une session archivée (ou revenir à la session courante)
+app.post('/api/sessions/consulter', requireAdmin, async (req, res) => {
+  try {
+    const { annee } = req.body;
+    const sessions = await loadSessions();
+
+    try {
+      validateEnum(annee, 'Session', [sessions.courante.annee, ...sessions.archives.map(a => a.annee)]);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
     }
 
-    await saveJuryMembers(juryMembers);
-    res.json({ success: true, message: 'Membres des jurys enregistrés' });
+    req.session.sessionConsultee = annee === sessions.courante.annee ? null : annee;
+    res.json({ success: true, consultee: annee, lectureSeule: Boolean(req.session.sessionConsultee) });
   } catch (error) {
     console.error('Erreur:', error);
-    res.status(500).json({ error: 'Erreur lors de la sauvegarde des membres du jury' });
+    res.status(500).json({ error: 'Erreur lors du changement de session' });
+  }
+});
+
+// POST /api/sessions - Archiver la session courante et ouvrir une nouvelle session
+app.post('/api/sessions', requireAdmin, async (req, res) => {
+  try {
+    const { annee, reprendreProjets, reprendreMembresJury } = req.body;
+
+    try {
+      validateNumber(annee, 'Année de la session', true, 2000, 2100);
+      if (!Number.isInteger(annee)) {
+        throw new Error('Année de la session doit être un entier');
+      }
+      if (reprendreProjets !== undefined && typeof reprendreProjets !== 'boolean') {
+        throw new Error('Reprendre les projets doit être un booléen');
+      }
+      if (reprendreMembresJury !== undefined && typeof reprendreMembresJury !== 'boolean') {
+        throw new Error('Reprendre les membres des jurys doit être un booléen');
+      }
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    const username = req.session.user.username;
+    const result = await sessionsStore.transaction(async (sessions) => {
+      if (annee <= sessions.courante.annee) {
+        return { status: 400, error: `La nouvelle session doit être postérieure à la session ${sessions.courante.annee}` };
+      }
+      const previous = sessions.courante.annee;
+
+      // Ne jamais écraser une archive existante (changement de session interrompu)
+      try {
+        await fs.access(path.join(ARCHIVES_DIR, String(previous), 'eleves.json'));
+        return {
+          status: 409,
+          error: `Une archive de la session ${previous} existe déjà : vérifiez data/archives/${previous}/ avant de réessayer`
+        };
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+
+      // Les tâches Excel écrivent dans export/, qui est déplacé dans l'archive :
+      // aucune nouvelle tâche n'est acceptée jusqu'à la fin du changement de session
+      jobQueue.suspendre('Changement de session en cours : réessayez dans quelques instants');
+      try {
+        if (jobQueue.list(job => !STATUTS_TACHE_TERMINES.includes(job.statut)).length > 0) {
+          return { status: 409, error: 'Des générations Excel sont en cours : réessayez lorsqu\'elles seront terminées' };
+        }
+        await rolloverSession(sessions, annee, {
+          reprendreProjets: Boolean(reprendreProjets),
+          reprendreMembresJury: Boolean(reprendreMembresJury)
+        }, username);
+      } finally {
+        jobQueue.reprendre();
+      }
+      return { previous };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    req.session.sessionConsultee = null;
+    await logSecurityEvent('SESSION_ROLLOVER', {
+      username,
+      archivee: result.previous,
+      nouvelle: annee,
+      ip: req.ip
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Session ${result.previous} archivée, session ${annee} ouverte`
+    });
+  } catch (error) {
+    console.error('Erreur lors du changement de session:', error);
+    res.status(500).json({ error: 'Erreur lors de l\'ouverture de la nouvelle session' });
   }
 });
 
 // GET /api/projets - Récupérer la liste des projets
 app.get('/api/projets', requireAuth, async (req, res) => {
   try {
-    const projets = await loadProjets();
+    const projets = await loadProjets(getSessionData(req));
     res.json(projets);
   } catch (error) {
     res.status(500).json({ error: 'Erreur lors du chargement des projets' });
@@ -1695,16 +4645,17 @@ app.post('/api/projets', requireAdmin, async (req, res) => {
       return res.status(400).json({ error: 'Le nom du projet est requis' });
     }
 
-    const projets = await loadProjets();
     const newProjet = {
       id: Date.now().toString(),
       nom: nom.trim(),
       description: description ? description.trim() : ''
     };
 
-    projets.push(newProjet);
-    await saveProjets(projets);
+    await updateProjets((projets) => {
+      projets.push(newProjet);
+    });
 
+    evenements.publier('projet', { action: 'cree', projetId: newProjet.id, par: req.session.user.username }, { public: true });
     res.json({ success: true, projet: newProjet });
   } catch (error) {
     console.error('Erreur:', error);
@@ -1716,16 +4667,20 @@ app.post('/api/projets', requireAdmin, async (req, res) => {
 app.delete('/api/projets/:id', requireAdmin, async (req, res) => {
   try {
     const { id } = req.params;
-    let projets = await loadProjets();
 
-    const projetIndex = projets.findIndex(p => p.id === id);
-    if (projetIndex === -1) {
+    const removed = await updateProjets((projets) => {
+      const projetIndex = projets.findIndex(p => p.id === id);
+      if (projetIndex === -1) {
+        return null;
+      }
+      return projets.splice(projetIndex, 1)[0];
+    });
+
+    if (!removed) {
       return res.status(404).json({ error: 'Projet non trouvé' });
     }
 
-    projets.splice(projetIndex, 1);
-    await saveProjets(projets);
-
+    evenements.publier('projet', { action: 'supprime', projetId: id, par: req.session.user.username }, { public: true });
     res.json({ success: true, message: 'Projet supprimé' });
   } catch (error) {
     console.error('Erreur:', error);
@@ -1739,17 +4694,16 @@ app.patch('/api/eleves/:id/projet', requireAdmin, async (req, res) => {
     const eleveId = parseInt(req.params.id);
     const { projetId } = req.body;
 
-    let eleves = await loadEleves();
-    const eleveIndex = eleves.findIndex(e => e.id === eleveId);
+    const eleve = await updateEleve(eleveId, (e) => {
+      e.projetId = projetId || null;
+    });
 
-    if (eleveIndex === -1) {
+    if (!eleve) {
       return res.status(404).json({ error: 'Élève non trouvé' });
     }
 
-    eleves[eleveIndex].projetId = projetId || null;
-    await saveEleves(eleves);
-
-    res.json({ success: true, eleve: eleves[eleveIndex] });
+    publierEleve('eleve', eleve, { action: 'modifie', par: req.session.user.username });
+    res.json({ success: true, eleve });
   } catch (error) {
     console.error('Erreur:', error);
     res.status(500).json({ error: 'Erreur lors de l\'assignation du projet' });
@@ -1804,28 +4758,34 @@ app.post('/api/projets/:id/cahier-charges', requireAdmin, upload.single('cahierC
     }
 
     // Mettre à jour le projet avec le nom du fichier
-    let projets = await loadProjets();
-    const projetIndex = projets.findIndex(p => p.id === projetId);
+    let previousFilename = null;
+    const projet = await updateProjets((projets) => {
+      const p = projets.find(item => item.id === projetId);
+      if (!p) {
+        return null;
+      }
+      previousFilename = p.cahierChargesFilename || null;
+      p.cahierChargesFilename = req.file.filename;
+      p.cahierChargesOriginalName = req.file.originalname;
+      return p;
+    });
 
-    if (projetIndex === -1) {
+    if (!projet) {
       // Supprimer le fichier uploadé si le projet n'existe pas
       await fs.unlink(uploadedFilePath);
       return res.status(404).json({ error: 'Projet non trouvé' });
     }
 
     // Supprimer l'ancien cahier des charges s'il existe
-    if (projets[projetIndex].cahierChargesFilename) {
+    if (previousFilename) {
       try {
-        await fs.unlink(path.join(RAPPORTS_DIR, projets[projetIndex].cahierChargesFilename));
+        await fs.unlink(path.join(RAPPORTS_DIR, previousFilename));
       } catch (err) {
         console.log('Ancien cahier des charges non trouvé, continuer...');
       }
     }
 
-    projets[projetIndex].cahierChargesFilename = req.file.filename;
-    projets[projetIndex].cahierChargesOriginalName = req.file.originalname;
-    await saveProjets(projets);
-
+    evenements.publier('projet', { action: 'modifie', projetId, par: req.session.user.username }, { public: true });
     res.json({ success: true, filename: req.file.filename, originalName: req.file.originalname });
   } catch (error) {
     console.error('Erreur:', error);
@@ -1837,7 +4797,8 @@ app.post('/api/projets/:id/cahier-charges', requireAdmin, upload.single('cahierC
 app.get('/api/projets/:id/cahier-charges', requireAuth, async (req, res) => {
   try {
     const projetId = req.params.id;
-    const projets = await loadProjets();
+    const sessionData = getSessionData(req);
+    const projets = await loadProjets(sessionData);
     const projet = projets.find(p => p.id === projetId);
 
     if (!projet) {
@@ -1850,11 +4811,11 @@ app.get('/api/projets/:id/cahier-charges', requireAuth, async (req, res) => {
 
     // Protection contre le path traversal : extraire uniquement le nom du fichier
     const sanitizedFilename = path.basename(projet.cahierChargesFilename);
-    const filePath = path.join(RAPPORTS_DIR, sanitizedFilename);
+    const filePath = path.join(sessionData.rapportsDir, sanitizedFilename);
 
-    // Vérifier que le chemin résolu est bien dans RAPPORTS_DIR (double protection)
+    // Vérifier que le chemin résolu est bien dans le dossier des rapports (double protection)
     const resolvedPath = path.resolve(filePath);
-    const resolvedRapportsDir = path.resolve(RAPPORTS_DIR);
+    const resolvedRapportsDir = path.resolve(sessionData.rapportsDir);
     if (!resolvedPath.startsWith(resolvedRapportsDir)) {
       console.error(`Tentative de path traversal détectée: ${projet.cahierChargesFilename}`);
       return res.status(403).json({ error: 'Accès refusé' });
@@ -1880,29 +4841,37 @@ app.get('/api/projets/:id/cahier-charges', requireAuth, async (req, res) => {
 app.delete('/api/projets/:id/cahier-charges', requireAdmin, async (req, res) => {
   try {
     const projetId = req.params.id;
-    let projets = await loadProjets();
-    const projetIndex = projets.findIndex(p => p.id === projetId);
+    let found = false;
+
+    // Mettre à jour le projet
+    const filename = await updateProjets((projets) => {
+      const p = projets.find(item => item.id === projetId);
+      if (!p) {
+        return null;
+      }
+      found = true;
+      const previous = p.cahierChargesFilename || null;
+      delete p.cahierChargesFilename;
+      delete p.cahierChargesOriginalName;
+      return previous;
+    });
 
-    if (projetIndex === -1) {
+    if (!found) {
       return res.status(404).json({ error: 'Projet non trouvé' });
     }
 
-    if (!projets[projetIndex].cahierChargesFilename) {
+    if (!filename) {
       return res.status(404).json({ error: 'Aucun cahier des charges à supprimer' });
     }
 
     // Supprimer le fichier
     try {
-      await fs.unlink(path.join(RAPPORTS_DIR, projets[projetIndex].cahierChargesFilename));
+      await fs.unlink(path.join(RAPPORTS_DIR, filename));
     } catch (err) {
       console.log('Fichier déjà supprimé ou introuvable');
     }
 
-    // Mettre à jour le projet
-    delete projets[projetIndex].cahierChargesFilename;
-    delete projets[projetIndex].cahierChargesOriginalName;
-    await saveProjets(projets);
-
+    evenements.publier('projet', { action: 'modifie', projetId, par: req.session.user.username }, { public: true });
     res.json({ success: true, message: 'Cahier des charges supprimé' });
   } catch (error) {
     console.error('Erreur:', error);
@@ -1913,23 +4882,30 @@ app.delete('/api/projets/:id/cahier-charges', requireAdmin, async (req, res) =>
 // ========== GESTION DU VERROUILLAGE DES ÉVALUATIONS ==========
 
 const EVALUATION_LOCK_FILE = path.join(__dirname, '../data/evaluation-lock.json');
+const evaluationLockStore = createJsonStore(EVALUATION_LOCK_FILE, {});
 
 // Charger l'état du verrouillage
 async function loadEvaluationLock() {
   try {
-    const data = await fs.readFile(EVALUATION_LOCK_FILE, 'utf8');
-    return JSON.parse(data);
+    return await evaluationLockStore.load();
   } catch (error) {
-    return {
-      jury1: { isLocked: false, startDate: null, endDate: null, unlockedEarly: false },
-      jury2: { isLocked: false, startDate: null, endDate: null, unlockedEarly: false }
-    };
+    // Un jury absent du fichier est considéré comme non verrouillé
+    return {};
   }
 }
 
+// État de verrouillage par défaut d'un jury
+function defaultJuryLock() {
+  return { isLocked: false, startDate: null, endDate: null, unlockedEarly: false };
+}
+
 // Sauvegarder l'état du verrouillage
-async function saveEvaluationLock(lockData) {
-  await fs.writeFile(EVALUATION_LOCK_FILE, JSON.stringify(lockData, null, 2));
+// Modifier l'état de verrouillage d'un seul jury (les autres jurys ne sont pas réécrits)
+function updateJuryLock(juryId, updater) {
+  return evaluationLockStore.transaction((allLockData) => {
+    allLockData[juryId] = updater(allLockData[juryId] || defaultJuryLock());
+    return allLockData[juryId];
+  });
 }
 
 // Vérifier si on est dans la période de verrouillage pour un jury spécifique
@@ -1959,7 +4935,7 @@ app.get('/api/evaluation-lock', requireAuth, async (req, res) => {
 
     // Pour le jury: retourner seulement son verrouillage
     if (userRole === 'jury' && juryId) {
-      const juryLock = lockData[juryId];
+      const juryLock = lockData[juryId] || defaultJuryLock();
       const isLocked = isInLockPeriod(lockData, juryId);
 
       res.json({
@@ -2006,18 +4982,15 @@ app.post('/api/evaluation-lock/set', async (req, res) => {
       return res.status(400).json({ error: 'La date de fin doit être après la date de début' });
     }
 
-    const allLockData = await loadEvaluationLock();
-
-    allLockData[juryId] = {
+    const juryLock = await updateJuryLock(juryId, () => ({
       isLocked: true,
       startDate: start.toISOString(),
       endDate: end.toISOString(),
       unlockedEarly: false
-    };
-
-    await saveEvaluationLock(allLockData);
+    }));
 
-    res.json({ success: true, message: 'Période de verrouillage définie', lockData: allLockData[juryId] });
+    evenements.publier('verrouillage', { juryId, lockData: juryLock }, { jurys: [juryId] });
+    res.json({ success: true, message: 'Période de verrouillage définie', lockData: juryLock });
   } catch (error) {
     console.error('Erreur:', error);
     res.status(500).json({ error: 'Erreur lors de la définition de la période de verrouillage' });
@@ -2036,10 +5009,8 @@ app.post('/api/evaluation-lock/unlock', async (req, res) => {
       return res.status(400).json({ error: 'Jury ID manquant' });
     }
 
-    const allLockData = await loadEvaluationLock();
-    allLockData[juryId].unlockedEarly = true;
-
-    await saveEvaluationLock(allLockData);
+    const juryLock = await updateJuryLock(juryId, lock => ({ ...lock, unlockedEarly: true }));
+    evenements.publier('verrouillage', { juryId, lockData: juryLock }, { jurys: [juryId] });
 
     res.json({ success: true, message: 'Accès admin débloqué avec succès pour vos élèves' });
   } catch (error) {
@@ -2060,16 +5031,8 @@ app.post('/api/evaluation-lock/disable', async (req, res) => {
       return res.status(400).json({ error: 'Jury ID manquant' });
     }
 
-    const allLockData = await loadEvaluationLock();
-
-    allLockData[juryId] = {
-      isLocked: false,
-      startDate: null,
-      endDate: null,
-      unlockedEarly: false
-    };
-
-    await saveEvaluationLock(allLockData);
+    const juryLock = await updateJuryLock(juryId, () => defaultJuryLock());
+    evenements.publier('verrouillage', { juryId, lockData: juryLock }, { jurys: [juryId] });
 
     res.json({ success: true, message: 'Verrouillage désactivé' });
   } catch (error) {
@@ -2083,6 +5046,36 @@ async function startServer() {
   try {
     await loadMapping();
 
+    const rattachees = await rattacherEvaluationsAuxGrilles();
+    if (rattachees > 0) {
+      console.log(`📋 ${rattachees} évaluation(s) rattachée(s) à la version en vigueur de leur grille`);
+    }
+
+    // Refuser de démarrer si un modèle Excel ne correspond plus à son mapping :
+    // les croix et les notes seraient écrites dans de mauvaises cellules
+    const rapports = await validerModeles();
+    for (const [code, rapport] of Object.entries(rapports)) {
+      console.log(formaterRapport(code, rapport.modele, rapport));
+    }
+    if (Object.values(rapports).some(rapport => rapport.erreurs.length > 0)) {
+      throw new Error('Modèle Excel incompatible avec le mapping (voir le rapport ci-dessus, puis npm run valider-modele)');
+    }
+
+    // Nettoyer les écritures interrompues par un arrêt brutal
+    const staleFiles = await cleanupTempFiles(DATA_DIR);
+    if (staleFiles > 0) {
+      console.log(`🧹 ${staleFiles} fichier(s) temporaire(s) d'écriture interrompue supprimé(s)`);
+    }
+
+    // Enregistrer la session courante dès le premier démarrage (son année ne doit pas
+    // changer d'elle-même au 1er janvier)
+    await sessionsStore.transaction(() => {});
+    const sessions = await loadSessions();
+    console.log(`📅 Session courante : ${sessions.courante.annee}`);
+
+    // Reprendre les tâches Excel en attente ou interrompues par l'arrêt du serveur
+    await jobQueue.init();
+
     // Configuration HTTPS avec les certificats mkcert
     const httpsOptions = {
       key: fsSync.readFileSync(path.join(__dirname, '../certs/localhost+2-key.pem')),
@@ -2093,7 +5086,9 @@ async function startServer() {
       console.log(`\n🚀 Serveur démarré sur https://localhost:${PORT}`);
       console.log(`🔒 HTTPS activé avec certificats mkcert`);
       console.log(`📁 Dossier d'export: ${EXPORT_DIR}`);
-      console.log(`📋 Fichier modèle: ${MODELE_FILE}`);
+      Object.values(gridSets).forEach(gridSet => {
+        console.log(`📋 Fichier modèle ${gridSet.code}: ${gridSet.modeleFile}`);
+      });
       console.log(`✨ Utilisation de xlsx-populate pour une meilleure compatibilité\n`);
     });
   } catch (error) {
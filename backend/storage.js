@@ -0,0 +1,180 @@
+// Couche de stockage JSON transactionnelle
+//
+// - Écritures atomiques : le contenu est écrit dans un fichier temporaire du même
+//   dossier, synchronisé sur disque (fsync) puis renommé. Un crash pendant l'écriture
+//   laisse toujours soit l'ancienne version complète, soit la nouvelle.
+// - Écritures sérialisées par fichier : les transactions sur un même fichier
+//   s'exécutent l'une après l'autre (lecture -> modification -> écriture), ce qui
+//   empêche deux requêtes simultanées de s'écraser mutuellement.
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// File d'attente des écritures, une chaîne de promesses par fichier
+const fileQueues = new Map();
+
+// Exécuter une tâche en exclusion mutuelle sur un fichier
+function withFileLock(filePath, task) {
+  const previous = fileQueues.get(filePath) || Promise.resolve();
+  const run = previous.then(task, task);
+
+  // La file ne doit pas être bloquée par l'échec d'une tâche
+  const tail = run.catch(() => {});
+  fileQueues.set(filePath, tail);
+  tail.then(() => {
+    if (fileQueues.get(filePath) === tail) {
+      fileQueues.delete(filePath);
+    }
+  });
+
+  return run;
+}
+
+// Écrire un fichier de façon atomique (temporaire + fsync + rename)
+async function writeFileAtomic(filePath, content) {
+  const dir = path.dirname(filePath);
+  await fs.mkdir(dir, { recursive: true });
+
+  const tmpPath = path.join(
+    dir,
+    `.${path.basename(filePath)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`
+  );
+
+  let handle = null;
+  try {
+    handle = await fs.open(tmpPath, 'w');
+    await handle.writeFile(content, 'utf-8');
+    await handle.sync();
+    await handle.close();
+    handle = null;
+
+    await fs.rename(tmpPath, filePath);
+  } catch (error) {
+    if (handle) {
+      await handle.close().catch(() => {});
+    }
+    await fs.unlink(tmpPath).catch(() => {});
+    throw error;
+  }
+}
+
+function serialize(data) {
+  return JSON.stringify(data, null, 2);
+}
+
+// Créer un accès transactionnel à un fichier JSON
+// defaultValue : valeur (ou fabrique) utilisée lorsque le fichier n'existe pas encore
+function createJsonStore(filePath, defaultValue) {
+  const getDefault = () => (typeof defaultValue === 'function'
+    ? defaultValue()
+    : JSON.parse(JSON.stringify(defaultValue)));
+
+  async function read() {
+    try {
+      const raw = await fs.readFile(filePath, 'utf-8');
+      return { data: JSON.parse(raw), raw };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { data: getDefault(), raw: null };
+      }
+      // Fichier illisible ou JSON invalide : ne jamais l'écraser silencieusement
+      throw error;
+    }
+  }
+
+  return {
+    file: filePath,
+
+    // Lire le contenu courant (le rename atomique garantit une version complète)
+    async load() {
+      const { data } = await read();
+      return data;
+    },
+
+    // Remplacer tout le contenu
+    save(data) {
+      return withFileLock(filePath, () => writeFileAtomic(filePath, serialize(data)));
+    },
+
+    // Lecture -> modification -> écriture en exclusion mutuelle.
+    // Le mutateur modifie les données en place et peut renvoyer une valeur,
+    // transmise à l'appelant. S'il lève une exception, rien n'est écrit.
+    // Le fichier n'est réécrit que si son contenu a effectivement changé.
+    transaction(mutator) {
+      return withFileLock(filePath, async () => {
+        const { data, raw } = await read();
+        const result = await mutator(data);
+
+        const content = serialize(data);
+        if (content !== raw) {
+          await writeFileAtomic(filePath, content);
+        }
+
+        return result;
+      });
+    }
+  };
+}
+
+// Ajouter un enregistrement à un journal JSON (une ligne par enregistrement, jamais réécrit)
+function appendJsonLine(filePath, record) {
+  return withFileLock(filePath, async () => {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const handle = await fs.open(filePath, 'a');
+    try {
+      await handle.writeFile(JSON.stringify(record) + '\n', 'utf-8');
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+  });
+}
+
+// Lire tous les enregistrements d'un journal JSON.
+// Une dernière ligne tronquée par un arrêt brutal est ignorée.
+async function readJsonLines(filePath) {
+  let raw;
+  try {
+    raw = await fs.readFile(filePath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const records = [];
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) {
+      continue;
+    }
+    try {
+      records.push(JSON.parse(line));
+    } catch (error) {
+      console.error(`Ligne de journal illisible ignorée dans ${path.basename(filePath)}`);
+    }
+  }
+  return records;
+}
+
+// Supprimer les fichiers temporaires laissés par un arrêt brutal pendant une écriture
+async function cleanupTempFiles(dir) {
+  try {
+    const entries = await fs.readdir(dir);
+    const stale = entries.filter(name => name.startsWith('.') && name.endsWith('.tmp'));
+    await Promise.all(stale.map(name => fs.unlink(path.join(dir, name)).catch(() => {})));
+    return stale.length;
+  } catch (error) {
+    return 0;
+  }
+}
+
+module.exports = {
+  createJsonStore,
+  appendJsonLine,
+  readJsonLines,
+  writeFileAtomic,
+  withFileLock,
+  cleanupTempFiles
+};
@@ -0,0 +1,138 @@
+// Authentification à deux facteurs par code temporaire (TOTP, RFC 6238)
+//
+// - Compatible avec les applications d'authentification usuelles (SHA-1, 6 chiffres, 30 s).
+// - Le QR code d'enrôlement est généré sur le serveur : le secret ne transite par aucun service tiers.
+// - Codes de secours : à usage unique, conservés sous forme d'empreinte SHA-256.
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+
+const ALPHABET_BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const PAS = 30;
+const CHIFFRES = 6;
+// Tolérance d'un pas avant/après pour les horloges légèrement décalées
+const FENETRE = 1;
+const NOMBRE_CODES_SECOURS = 10;
+
+function encoderBase32(buffer) {
+  let bits = '';
+  for (const octet of buffer) {
+    bits += octet.toString(2).padStart(8, '0');
+  }
+  let texte = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    texte += ALPHABET_BASE32[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return texte;
+}
+
+function decoderBase32(texte) {
+  let bits = '';
+  for (const caractere of texte.replace(/=+$/, '').toUpperCase()) {
+    const valeur = ALPHABET_BASE32.indexOf(caractere);
+    if (valeur === -1) {
+      throw new Error('Secret TOTP invalide');
+    }
+    bits += valeur.toString(2).padStart(5, '0');
+  }
+  const octets = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    octets.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(octets);
+}
+
+/**
+ * Nouveau secret (160 bits, encodé en base32)
+ */
+function genererSecret() {
+  return encoderBase32(crypto.randomBytes(20));
+}
+
+// Code attendu pour un pas de temps donné (HOTP, RFC 4226)
+function codePourPas(secret, pas) {
+  const compteur = Buffer.alloc(8);
+  compteur.writeBigUInt64BE(BigInt(pas));
+  const hmac = crypto.createHmac('sha1', decoderBase32(secret)).update(compteur).digest();
+  const decalage = hmac[hmac.length - 1] & 0x0f;
+  const binaire = hmac.readUInt32BE(decalage) & 0x7fffffff;
+  return String(binaire % 10 ** CHIFFRES).padStart(CHIFFRES, '0');
+}
+
+function pasCourant(date = Date.now()) {
+  return Math.floor(date / 1000 / PAS);
+}
+
+/**
+ * Vérifie un code saisi
+ * @param {string} secret - Secret base32
+ * @param {string} code - Code à 6 chiffres
+ * @param {number} [dernierPas] - Dernier pas accepté : un code déjà utilisé est refusé
+ * @returns {number|null} Pas de temps du code accepté, ou null
+ */
+function verifierCode(secret, code, dernierPas = -1) {
+  const saisi = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(saisi)) {
+    return null;
+  }
+  const courant = pasCourant();
+  for (let pas = courant - FENETRE; pas <= courant + FENETRE; pas++) {
+    if (pas <= dernierPas) continue;
+    const attendu = codePourPas(secret, pas);
+    if (crypto.timingSafeEqual(Buffer.from(attendu), Buffer.from(saisi))) {
+      return pas;
+    }
+  }
+  return null;
+}
+
+/**
+ * Lien d'enrôlement (otpauth://) et QR code SVG correspondant
+ * @returns {Promise<Object>} { uri, qrCode }
+ */
+async function genererEnrolement(secret, compte, emetteur) {
+  const libelle = encodeURIComponent(`${emetteur}:${compte}`);
+  const uri = `otpauth://totp/${libelle}?secret=${secret}&issuer=${encodeURIComponent(emetteur)}` +
+    `&algorithm=SHA1&digits=${CHIFFRES}&period=${PAS}`;
+  const qrCode = await QRCode.toString(uri, { type: 'svg', margin: 1, width: 200 });
+  return { uri, qrCode };
+}
+
+function empreinteCodeSecours(code) {
+  const normalise = String(code || '').replace(/[\s-]/g, '').toUpperCase();
+  return crypto.createHash('sha256').update(normalise).digest('hex');
+}
+
+/**
+ * Nouveaux codes de secours
+ * @returns {Object} { codes: ['XXXXX-XXXXX'] (à montrer une seule fois), empreintes: [hex] }
+ */
+function genererCodesSecours() {
+  const codes = [];
+  for (let i = 0; i < NOMBRE_CODES_SECOURS; i++) {
+    const brut = encoderBase32(crypto.randomBytes(7)).slice(0, 10);
+    codes.push(`${brut.slice(0, 5)}-${brut.slice(5)}`);
+  }
+  return { codes, empreintes: codes.map(empreinteCodeSecours) };
+}
+
+/**
+ * Consomme un code de secours s'il est valide (retiré de la liste en place)
+ * @returns {boolean}
+ */
+function utiliserCodeSecours(empreintes, code) {
+  const index = empreintes.indexOf(empreinteCodeSecours(code));
+  if (index === -1) {
+    return false;
+  }
+  empreintes.splice(index, 1);
+  return true;
+}
+
+module.exports = {
+  genererSecret,
+  verifierCode,
+  genererEnrolement,
+  genererCodesSecours,
+  utiliserCodeSecours
+};
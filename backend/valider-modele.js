@@ -0,0 +1,300 @@
+// Vérification du modèle GRILLE_E6.xlsx par rapport au mapping de l'option
+//
+// Si la grille officielle est révisée et qu'une ligne se décale, les croix et les notes
+// seraient écrites au mauvais endroit sans la moindre erreur. Chaque adresse du mapping
+// est donc confrontée au libellé attendu dans le modèle : texte du critère sur sa ligne,
+// en-têtes « Niveau 1 » à « Niveau 4 » au-dessus des colonnes des niveaux, libellé
+// « Nom : », « Bonus »... à gauche ou au-dessus de chaque cellule à remplir.
+//
+// Utilisé au démarrage du serveur (qui refuse de démarrer si le modèle ne correspond
+// pas), par GET /api/modeles/validation et en ligne de commande :
+//   npm run valider-modele
+
+const fs = require('fs').promises;
+const path = require('path');
+const XlsxPopulate = require('xlsx-populate');
+const { normaliser } = require('./import-eleves');
+
+const SEMESTRES = ['stage', 'revue1', 'revue2', 'revue3', 'soutenance'];
+
+// Colonne du texte des critères dans les onglets d'évaluation
+const COLONNE_CRITERES = 'B';
+
+// Part minimale des mots du critère (mapping) retrouvés dans le texte du modèle
+const SIMILARITE_MIN = 0.5;
+
+// Libellés attendus à gauche des cellules d'identité (la session n'a pas de libellé)
+const LIBELLES_IDENTITE = {
+  academie: 'academie',
+  etablissement: 'etablissement',
+  nom: 'nom',
+  prenom: 'prenom',
+  numero: 'numero',
+  date: 'date'
+};
+
+function texteCellule(sheet, adresse) {
+  const valeur = sheet.cell(adresse).value();
+  if (valeur === null || valeur === undefined) {
+    return '';
+  }
+  if (typeof valeur === 'object' && typeof valeur.text === 'function') {
+    return valeur.text().trim();
+  }
+  return String(valeur).trim();
+}
+
+// Le texte contient-il le mot-clé (mots entiers, sans accents ni casse) ?
+function contient(texte, motCle) {
+  return ` ${normaliser(texte)} `.includes(` ${motCle} `);
+}
+
+// Textes des cellules situées à gauche, sur la même ligne
+function texteAGauche(sheet, adresse) {
+  const cell = sheet.cell(adresse);
+  const textes = [];
+  for (let colonne = 1; colonne < cell.columnNumber(); colonne++) {
+    const valeur = sheet.cell(cell.rowNumber(), colonne).value();
+    if (valeur !== null && valeur !== undefined) {
+      textes.push(typeof valeur === 'object' && valeur.text ? valeur.text() : String(valeur));
+    }
+  }
+  return textes.join(' ');
+}
+
+// Premier texte non vide au-dessus de la cellule, dans la même colonne
+function texteAuDessus(sheet, adresse, distanceMax = 6) {
+  const cell = sheet.cell(adresse);
+  for (let ligne = cell.rowNumber() - 1; ligne >= Math.max(1, cell.rowNumber() - distanceMax); ligne--) {
+    const texte = texteCellule(sheet, sheet.cell(ligne, cell.columnNumber()).address());
+    if (texte !== '') {
+      return texte;
+    }
+  }
+  return '';
+}
+
+// Mots significatifs d'un texte
+function mots(texte) {
+  return normaliser(texte).split(' ').filter(mot => mot.length > 3);
+}
+
+// Part des mots du critère présents dans le texte d'une ligne du modèle
+function similarite(motsCritere, texte) {
+  if (motsCritere.length === 0) {
+    return 0;
+  }
+  const motsLigne = new Set(mots(texte));
+  return motsCritere.filter(mot => motsLigne.has(mot)).length / motsCritere.length;
+}
+
+function apercu(texte) {
+  const court = texte.replace(/\s+/g, ' ');
+  return court.length > 60 ? `${court.slice(0, 60)}…` : court;
+}
+
+function trouve(texte) {
+  return texte === '' ? 'cellule vide' : `trouvé « ${apercu(texte)} »`;
+}
+
+/**
+ * Vérifie chaque adresse du mapping dans le modèle Excel
+ * @param {string} modeleFile - Chemin du modèle GRILLE_E6.xlsx
+ * @param {Object} mapping - Le mapping de l'option (mapping.json)
+ * @returns {Promise<Object>} { erreurs: [texte], verifications: nombre de cellules vérifiées }
+ */
+async function validerModele(modeleFile, mapping) {
+  const erreurs = [];
+  let verifications = 0;
+
+  let workbook;
+  try {
+    workbook = await XlsxPopulate.fromDataAsync(await fs.readFile(modeleFile));
+  } catch (error) {
+    return { erreurs: [`Modèle introuvable ou illisible : ${modeleFile}`], verifications };
+  }
+
+  // Onglets présents (les vérifications des onglets absents sont sautées)
+  const onglets = {};
+  for (const [cle, nom] of Object.entries(mapping.sheetNames || {})) {
+    const sheet = workbook.sheet(nom);
+    if (sheet) {
+      onglets[cle] = sheet;
+    } else {
+      erreurs.push(`Onglet « ${nom} » (${cle}) absent du modèle`);
+    }
+  }
+
+  // Vérifier une cellule : la fonction de contrôle renvoie null, ou ce qui a été trouvé à la place
+  const verifier = (cle, adresse, description, attendu, controle) => {
+    const sheet = onglets[cle];
+    if (!sheet || !adresse) return;
+    verifications++;
+    let probleme;
+    try {
+      probleme = controle(sheet, adresse);
+    } catch (error) {
+      probleme = `adresse invalide (${error.message})`;
+    }
+    if (probleme !== null) {
+      erreurs.push(`${mapping.sheetNames[cle]}!${adresse} (${description}) : attendu ${attendu} ; ${probleme}`);
+    }
+  };
+  const libelleAGauche = (motCle) => (sheet, adresse) => {
+    const texte = texteAGauche(sheet, adresse);
+    return contient(texte, motCle) ? null : trouve(texte);
+  };
+  const libelleAuDessus = (motCle) => (sheet, adresse) => {
+    const texte = texteAuDessus(sheet, adresse);
+    return contient(texte, motCle) ? null : trouve(texte);
+  };
+  const celluleVide = (sheet, adresse) => {
+    const texte = texteCellule(sheet, adresse);
+    return texte === '' ? null : trouve(texte);
+  };
+
+  // Identité : cellule vide dans le modèle, libellé à gauche
+  for (const [champ, cellules] of Object.entries(mapping.identite || {})) {
+    for (const [cle, adresse] of Object.entries(cellules)) {
+      verifier(cle, adresse, `identité ${champ}`, 'une cellule vide', celluleVide);
+      if (LIBELLES_IDENTITE[champ]) {
+        verifier(cle, adresse, `identité ${champ}`, `le libellé « ${LIBELLES_IDENTITE[champ]} » à gauche`,
+          libelleAGauche(LIBELLES_IDENTITE[champ]));
+      }
+    }
+  }
+
+  // Titre « SESSION 20xx »
+  for (const [cle, adresse] of Object.entries(mapping.titre_session || {})) {
+    verifier(cle, adresse, 'titre de session', 'le texte « SESSION »', (sheet, a) => {
+      const texte = texteCellule(sheet, a);
+      return contient(texte, 'session') ? null : trouve(texte);
+    });
+  }
+
+  // Niveaux : en-têtes au-dessus de chaque compétence
+  const niveaux = Object.values(mapping.niveaux || {}).filter(niveau => niveau.valeur > 0);
+
+  for (const semestre of SEMESTRES) {
+    const evaluation = mapping.evaluations && mapping.evaluations[semestre];
+    if (!evaluation) continue;
+
+    for (const [code, competence] of Object.entries(evaluation.competences)) {
+      if (competence.criteres.length === 0) continue;
+      const premiereLigne = Math.min(...competence.criteres.map(critere => critere.ligne));
+
+      verifier(semestre, `${COLONNE_CRITERES}${premiereLigne}`, `niveaux de ${code}`,
+        `les en-têtes ${niveaux.map(n => `« Niveau ${n.valeur} » en ${n.colonne}`).join(', ')}`,
+        (sheet) => {
+          for (let ligne = premiereLigne - 1; ligne >= Math.max(1, premiereLigne - 5); ligne--) {
+            if (niveaux.every(n => contient(texteCellule(sheet, `${n.colonne}${ligne}`), `niveau ${n.valeur}`))) {
+              return null;
+            }
+          }
+          return 'aucune ligne d\'en-têtes dans les 5 lignes au-dessus';
+        });
+
+      // Critères : le texte de la ligne indiquée doit être le plus proche de celui du mapping
+      // parmi les lignes voisines (un décalage d'une ligne est ainsi détecté)
+      for (const critere of competence.criteres) {
+        verifier(semestre, `${COLONNE_CRITERES}${critere.ligne}`, `critère ${critere.id}`,
+          `le texte « ${apercu(critere.texte)} »`, (sheet, adresse) => {
+            const motsCritere = mots(critere.texte);
+            const score = (ligne) => similarite(motsCritere, texteCellule(sheet, `${COLONNE_CRITERES}${ligne}`));
+            const scoreLigne = score(critere.ligne);
+            let meilleure = critere.ligne;
+            for (let ligne = Math.max(1, critere.ligne - 3); ligne <= critere.ligne + 3; ligne++) {
+              if (score(ligne) > score(meilleure)) meilleure = ligne;
+            }
+            if (scoreLigne >= SIMILARITE_MIN && meilleure === critere.ligne) {
+              return null;
+            }
+            const texte = trouve(texteCellule(sheet, adresse));
+            return meilleure === critere.ligne ? texte : `${texte} (texte le plus proche en ligne ${meilleure})`;
+          });
+      }
+    }
+  }
+
+  // Commentaire général : libellé « Commentaire » au-dessus
+  const commentaires = (mapping.commentaires && mapping.commentaires.commentaire_global) || {};
+  for (const [cle, adresse] of Object.entries(commentaires)) {
+    verifier(cle, adresse, 'commentaire général', 'le libellé « commentaire » au-dessus', libelleAuDessus('commentaire'));
+  }
+
+  // Bonus, note finale et note calculée : libellé à gauche
+  const libellesChamps = { bonus: 'bonus', note_finale: 'note proposee', note_calculee: 'note calculee' };
+  for (const [cle, champs] of Object.entries(mapping.champs_supplementaires || {})) {
+    for (const [champ, config] of Object.entries(champs)) {
+      if (!libellesChamps[champ]) continue;
+      verifier(cle, config.cellule, champ, `le libellé « ${libellesChamps[champ]} » à gauche`,
+        libelleAGauche(libellesChamps[champ]));
+    }
+  }
+
+  // Fiche récapitulative : notes des phases, note proposée, commentaires
+  const recap = mapping.recapitulatif || {};
+  for (const [semestre, adresse] of Object.entries(recap.notes || {})) {
+    const motCle = semestre.replace(/\d+$/, '');
+    verifier('recap', adresse, `note ${semestre}`, `le libellé « ${motCle} » à gauche`, libelleAGauche(motCle));
+  }
+  verifier('recap', recap.note_proposee, 'note proposée', 'le libellé « note proposee » à gauche', libelleAGauche('note proposee'));
+  verifier('recap', recap.commentaires, 'commentaires', 'le libellé « commentaires » au-dessus', libelleAuDessus('commentaires'));
+
+  // Membres du jury : sous le libellé « ... des membres du jury »
+  for (const [cle, membres] of Object.entries(mapping.jury_members || {})) {
+    for (const [membre, adresse] of Object.entries(membres)) {
+      verifier(cle, adresse, membre, 'le libellé « membres » au-dessus', libelleAuDessus('membres'));
+    }
+  }
+
+  return { erreurs, verifications };
+}
+
+/**
+ * Rapport lisible de la vérification d'une option
+ * @returns {string}
+ */
+function formaterRapport(option, modeleFile, { erreurs, verifications }) {
+  if (erreurs.length === 0) {
+    return `✅ Modèle ${option} (${path.basename(modeleFile)}) conforme au mapping : ${verifications} cellule(s) vérifiée(s)`;
+  }
+  return [
+    `❌ Modèle ${option} (${path.basename(modeleFile)}) : ${erreurs.length} incohérence(s) avec le mapping`,
+    ...erreurs.map(erreur => `   - ${erreur}`)
+  ].join('\n');
+}
+
+module.exports = { validerModele, formaterRapport };
+
+// Ligne de commande : vérifier le modèle de chaque option installée
+if (require.main === module) {
+  (async () => {
+    const configDir = path.join(__dirname, '../config');
+    const modelesDir = path.join(__dirname, '../modeles');
+    const options = JSON.parse(await fs.readFile(path.join(configDir, 'options.json'), 'utf-8'));
+    let valide = true;
+
+    for (const [code, option] of Object.entries(options)) {
+      let mapping;
+      try {
+        mapping = JSON.parse(await fs.readFile(path.join(configDir, option.mapping), 'utf-8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          console.log(`⚠️  Option ${code} ignorée : ${option.mapping} absent de config/`);
+          continue;
+        }
+        throw error;
+      }
+      const modeleFile = path.join(modelesDir, option.modele);
+      const rapport = await validerModele(modeleFile, mapping);
+      console.log(formaterRapport(code, modeleFile, rapport));
+      valide = valide && rapport.erreurs.length === 0;
+    }
+
+    process.exit(valide ? 0 : 1);
+  })().catch(error => {
+    console.error('Erreur:', error.message);
+    process.exit(1);
+  });
+}
@@ -31,7 +31,7 @@ function addLogoutButton(user) {
     userInfo.id = 'user-info';
     userInfo.style.cssText = 'position: absolute; top: 1rem; right: 1rem; font-size: 0.875rem;';
     userInfo.innerHTML = `
-      <span style="opacity: 0.9;">Connecté en tant que <strong>${escapeHtml(user.username)}</strong> (${escapeHtml(user.role)})</span>
+      <span style="opacity: 0.9;">Connecté en tant que <strong>${escapeHtml(user.nomComplet || user.username)}</strong> (${escapeHtml(user.role)})</span>
       <button id="btn-logout" class="btn btn-secondary" style="margin-left: 1rem; padding: 0.375rem 0.75rem; font-size: 0.875rem;">Déconnexion</button>
     `;
     header.appendChild(userInfo);
@@ -61,11 +61,13 @@ document.addEventListener('DOMContentLoaded', async () => {
   window.currentUser = await checkAuth();
   if (window.currentUser) {
     // Si l'utilisateur doit changer son mot de passe (ex: après réinitialisation
-    // par l'admin), l'y forcer avant d'accéder à toute autre page
+    // par l'admin) ou activer la double authentification (obligatoire pour les
+    // administrateurs), l'y forcer avant d'accéder à toute autre page
     const onChangePasswordPage =
       window.location.pathname === '/change-password' ||
       window.location.pathname === '/change-password.html';
-    if (window.currentUser.mustChangePassword && !onChangePasswordPage) {
+    const actionRequise = window.currentUser.mustChangePassword || window.currentUser.totpAConfigurer;
+    if (actionRequise && !onChangePasswordPage) {
       window.location.href = '/change-password';
       return;
     }
@@ -2,6 +2,9 @@
 const API_BASE = window.API_BASE;
 const showMessage = window.showMessage;
 
+// Utilisateur connecté (GET /api/auth/me)
+let utilisateur = null;
+
 // Afficher les informations de l'utilisateur
 async function displayUserInfo() {
   try {
@@ -12,6 +15,7 @@ async function displayUserInfo() {
     if (response.ok) {
       const data = await response.json();
       const user = data.user;
+      utilisateur = user;
       document.getElementById('user-info').textContent =
         `Connecté en tant que: ${user.username} (${user.role})`;
     }
@@ -20,6 +24,27 @@ async function displayUserInfo() {
   }
 }
 
+// Règles de mot de passe fixées par le serveur (GET /api/password-policy)
+let passwordPolicy = null;
+
+async function loadPasswordPolicy() {
+  try {
+    const response = await fetchWithCsrf(`${API_BASE}/password-policy`, {
+      credentials: 'include'
+    });
+    if (!response.ok) return;
+
+    passwordPolicy = await response.json();
+    document.getElementById('password-policy').innerHTML = passwordPolicy.description
+      .map(regle => `<li>${escapeHtml(regle)}</li>`)
+      .join('');
+    document.getElementById('new-password').minLength = passwordPolicy.longueurMin;
+    document.getElementById('confirm-password').minLength = passwordPolicy.longueurMin;
+  } catch (error) {
+    console.error('Erreur lors du chargement des règles de mot de passe:', error);
+  }
+}
+
 // Gérer la soumission du formulaire
 document.getElementById('change-password-form').addEventListener('submit', async (e) => {
   e.preventDefault();
@@ -34,9 +59,9 @@ document.getElementById('change-password-form').addEventListener('submit', async
     return;
   }
 
-  // Vérifier la longueur minimale
-  if (newPassword.length < 6) {
-    showMessage('Le nouveau mot de passe doit contenir au moins 6 caractères', 'error');
+  // Vérifier la longueur minimale (complexité et réutilisation sont vérifiées par le serveur)
+  if (passwordPolicy && newPassword.length < passwordPolicy.longueurMin) {
+    showMessage(`Le nouveau mot de passe doit contenir au moins ${passwordPolicy.longueurMin} caractères`, 'error');
     return;
   }
 
@@ -72,6 +97,13 @@ document.getElementById('change-password-form').addEventListener('submit', async
       // Réinitialiser le formulaire
       document.getElementById('change-password-form').reset();
 
+      // Double authentification obligatoire et pas encore activée : rester sur la page
+      if (utilisateur && utilisateur.totpAConfigurer) {
+        utilisateur.mustChangePassword = false;
+        loadTotp();
+        return;
+      }
+
       // Rediriger vers la page d'accueil après 2 secondes
       setTimeout(() => {
         window.location.href = '/';
@@ -88,7 +120,165 @@ document.getElementById('change-password-form').addEventListener('submit', async
   }
 });
 
+// ===== Double authentification (TOTP) =====
+
+function afficherBlocTotp(id, visible) {
+  document.getElementById(id).style.display = visible ? '' : 'none';
+}
+
+// État de la double authentification du compte (GET /api/2fa)
+async function loadTotp() {
+  try {
+    const response = await fetchWithCsrf(`${API_BASE}/2fa`, {
+      credentials: 'include'
+    });
+    // 403 : mot de passe à changer d'abord
+    if (!response.ok) return;
+
+    const etat = await response.json();
+    const statut = document.getElementById('totp-status');
+    if (etat.active) {
+      statut.textContent = `✅ Activée le ${new Date(etat.activeLe).toLocaleDateString('fr-FR')} — ` +
+        `${etat.codesSecoursRestants} code(s) de secours restant(s)`;
+    } else if (etat.obligatoire) {
+      statut.textContent = '⚠️ Obligatoire pour les administrateurs : activez-la pour accéder à l\'application.';
+      showMessage('La double authentification est obligatoire pour les administrateurs : activez-la pour continuer', 'info');
+    } else {
+      statut.textContent = 'Non activée';
+    }
+
+    afficherBlocTotp('totp-card', true);
+    afficherBlocTotp('totp-inactive', !etat.active);
+    afficherBlocTotp('totp-enrolement', false);
+    afficherBlocTotp('totp-active', etat.active);
+    // Une fois imposée, la double authentification ne peut plus être désactivée
+    afficherBlocTotp('totp-desactivation-form', etat.active && !etat.obligatoire);
+  } catch (error) {
+    console.error('Erreur lors du chargement de la double authentification:', error);
+  }
+}
+
+function afficherCodesSecours(codes) {
+  document.getElementById('totp-codes-liste').innerHTML = codes
+    .map(code => `<li>${escapeHtml(code)}</li>`)
+    .join('');
+  afficherBlocTotp('totp-codes-secours', true);
+}
+
+// Générer le secret et le QR code à scanner
+document.getElementById('btn-totp-enrolement').addEventListener('click', async () => {
+  try {
+    const response = await fetchWithCsrf(`${API_BASE}/2fa/enrolement`, {
+      method: 'POST',
+      credentials: 'include'
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Erreur lors de l\'activation');
+    }
+
+    // QR code SVG généré par le serveur
+    document.getElementById('totp-qr').innerHTML = data.qrCode;
+    document.getElementById('totp-secret').textContent = data.secret.match(/.{1,4}/g).join(' ');
+    afficherBlocTotp('totp-inactive', false);
+    afficherBlocTotp('totp-enrolement', true);
+    document.getElementById('totp-activation-code').focus();
+  } catch (error) {
+    console.error('Erreur:', error);
+    showMessage(error.message, 'error');
+  }
+});
+
+// Confirmer l'activation avec un premier code
+document.getElementById('totp-activation-form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  try {
+    const response = await fetchWithCsrf(`${API_BASE}/2fa/activer`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ code: document.getElementById('totp-activation-code').value.trim() })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Erreur lors de l\'activation');
+    }
+
+    e.target.reset();
+    document.getElementById('totp-qr').innerHTML = '';
+    if (utilisateur) utilisateur.totpAConfigurer = false;
+    showMessage('Double authentification activée', 'success');
+    afficherCodesSecours(data.codesSecours);
+    await loadTotp();
+  } catch (error) {
+    console.error('Erreur:', error);
+    showMessage(error.message, 'error');
+  }
+});
+
+// Remplacer les codes de secours
+document.getElementById('totp-codes-form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  try {
+    const response = await fetchWithCsrf(`${API_BASE}/2fa/codes-secours`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ code: document.getElementById('totp-codes-code').value.trim() })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Erreur lors du renouvellement des codes');
+    }
+
+    e.target.reset();
+    showMessage('Nouveaux codes de secours générés', 'success');
+    afficherCodesSecours(data.codesSecours);
+    await loadTotp();
+  } catch (error) {
+    console.error('Erreur:', error);
+    showMessage(error.message, 'error');
+  }
+});
+
+// Désactiver la double authentification
+document.getElementById('totp-desactivation-form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  if (!confirm('Désactiver la double authentification ? Le mot de passe suffira de nouveau pour se connecter.')) {
+    return;
+  }
+
+  try {
+    const response = await fetchWithCsrf(`${API_BASE}/2fa/desactiver`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({
+        password: document.getElementById('totp-desactivation-password').value,
+        code: document.getElementById('totp-desactivation-code').value.trim()
+      })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Erreur lors de la désactivation');
+    }
+
+    e.target.reset();
+    afficherBlocTotp('totp-codes-secours', false);
+    showMessage(data.message, 'success');
+    await loadTotp();
+  } catch (error) {
+    console.error('Erreur:', error);
+    showMessage(error.message, 'error');
+  }
+});
+
 // Initialisation
 document.addEventListener('DOMContentLoaded', () => {
   displayUserInfo();
+  loadPasswordPolicy();
+  loadTotp();
 });
@@ -6,22 +6,40 @@ let currentEleve = null;
 let currentMapping = null;
 let currentSemestre = null;
 let observablesData = null;
+let observablesVersion = null;
+
+// Version de l'évaluation sur laquelle le formulaire a été chargé (contrôle de concurrence)
+let baseRevision = 0;
+let baseData = {};
+let pendingConflict = null;
 
 // Récupérer l'ID de l'élève depuis l'URL
 const eleveId = window.location.pathname.split('/').pop();
 
-// Charger les observables depuis l'API
-async function loadObservables() {
+// Charger les observables de la version de grille affichée depuis l'API
+async function loadObservables(version) {
+  if (observablesData && observablesVersion === version) {
+    return;
+  }
   try {
-    const response = await fetchWithCsrf(`${API_BASE}/observables`);
+    const option = encodeURIComponent(currentEleve.option);
+    const response = await fetchWithCsrf(`${API_BASE}/observables?option=${option}&version=${version}`);
     if (!response.ok) throw new Error('Observables non trouvés');
     observablesData = await response.json();
+    observablesVersion = version;
   } catch (error) {
     console.error('Erreur lors du chargement des observables:', error);
     observablesData = null;
   }
 }
 
+// Version de la grille avec laquelle l'évaluation d'une phase a été saisie
+// (undefined si elle n'a pas encore été saisie : la version en vigueur s'applique)
+function getGrilleVersion(semestre) {
+  const versions = currentEleve.evaluationVersions || {};
+  return versions[semestre] ? versions[semestre].grille : undefined;
+}
+
 // Charger les informations de l'élève
 async function loadEleve() {
   try {
@@ -30,7 +48,7 @@ async function loadEleve() {
 
     currentEleve = await response.json();
     document.getElementById('eleve-info').textContent =
-      `${currentEleve.prenom} ${currentEleve.nom} - ${currentEleve.promotion || currentEleve.classe || ''}`;
+      `${currentEleve.prenom} ${currentEleve.nom} - ${currentEleve.promotion || currentEleve.classe || ''} (option ${currentEleve.option})`;
 
     // Vérifier si le fichier Excel existe
     checkExcelFile();
@@ -70,7 +88,12 @@ async function loadEvaluationMapping(semestre) {
       return;
     }
 
-    const response = await fetchWithCsrf(`${API_BASE}/mapping/evaluation/${semestre}`);
+    // Grille de l'option de l'élève (IR, ER), dans la version de l'évaluation déjà saisie
+    const option = encodeURIComponent(currentEleve.option);
+    const version = getGrilleVersion(semestre);
+    const response = await fetchWithCsrf(
+      `${API_BASE}/mapping/evaluation/${semestre}?option=${option}${version ? `&version=${version}` : ''}`
+    );
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({ error: 'Erreur inconnue' }));
       throw new Error(errorData.error || 'Mapping non trouvé');
@@ -78,12 +101,20 @@ async function loadEvaluationMapping(semestre) {
 
     currentMapping = await response.json();
     currentSemestre = semestre;
+    await loadObservables(currentMapping.version);
+    resetEvaluationBase();
+    hideConflict();
+    hideRemoteChange();
 
     // Afficher le formulaire d'évaluation
     displayEvaluationForm();
 
     // Charger les données existantes si disponibles
     loadExistingData();
+    updateNoteCalculee();
+
+    // Afficher l'historique des modifications de cette évaluation
+    loadHistory();
   } catch (error) {
     console.error('Erreur:', error);
     showMessage(error.message || 'Erreur lors du chargement du mapping', 'error');
@@ -97,7 +128,7 @@ function displayEvaluationForm() {
   const title = document.getElementById('evaluation-title');
   const competencesContainer = document.getElementById('competences-container');
 
-  title.textContent = `Grille d'évaluation - ${currentMapping.nom}`;
+  title.textContent = `Grille d'évaluation - ${currentMapping.nom} (grille version ${currentMapping.version})`;
   competencesContainer.innerHTML = '';
 
   // Générer les sections de compétences
@@ -282,7 +313,7 @@ function createChampsSupplementairesSection(champsData) {
       <label for="note_calculee">${escapeHtml(champsData.note_calculee.label)}:</label>
       <input type="text" id="note_calculee" name="note_calculee" readonly value="--" placeholder="Calculée automatiquement">
       <small style="color: #78350f; display: block; margin-top: 0.25rem; font-style: italic;">
-        La note sera affichée automatiquement après avoir finalisé l'évaluation.
+        La note est calculée automatiquement dès que tous les critères sont renseignés.
       </small>
     `;
     container.appendChild(noteCalculeeDiv);
@@ -312,29 +343,15 @@ function createChampsSupplementairesSection(champsData) {
   return section;
 }
 
-// Charger la note calculée depuis l'Excel
-async function loadNoteCalculee() {
-  if (!currentMapping.champs_supplementaires || !currentMapping.champs_supplementaires.note_calculee) {
+// Calculer la note à partir du formulaire (même moteur que le serveur, voir grading.js)
+function updateNoteCalculee() {
+  const noteCalculeeElem = document.getElementById('note_calculee');
+  if (!noteCalculeeElem || !currentMapping) {
     return;
   }
 
-  try {
-    const url = `${API_BASE}/eleves/${eleveId}/note-calculee/${currentSemestre}`;
-    const response = await fetchWithCsrf(url);
-
-    if (!response.ok) {
-      return;
-    }
-
-    const result = await response.json();
-    const noteCalculeeElem = document.getElementById('note_calculee');
-
-    if (noteCalculeeElem && result.note_calculee !== null && result.note_calculee !== undefined) {
-      noteCalculeeElem.value = result.note_calculee;
-    }
-  } catch (error) {
-    console.error('Erreur lors du chargement de la note calculée:', error);
-  }
+  const resultat = GradingEngine.calculerNote(currentMapping, collectFormData());
+  noteCalculeeElem.value = resultat.complet ? resultat.note : '--';
 }
 
 // Charger les données existantes
@@ -343,40 +360,31 @@ function loadExistingData() {
     return;
   }
 
-  const data = currentEleve.evaluations[currentSemestre];
+  fillEvaluationForm(currentEleve.evaluations[currentSemestre]);
 
-  // Remplir les critères
-  Object.keys(data).forEach(key => {
-    if (key === 'commentaireGeneral') {
-      const elem = document.getElementById('commentaire-general');
-      if (elem) elem.value = data[key] || '';
-      return;
-    }
-
-    if (key === 'bonus') {
-      const elem = document.getElementById('bonus');
-      if (elem) elem.value = data[key] || 0;
-      return;
-    }
+  showMessage('Données existantes chargées', 'info');
+}
 
-    if (key === 'note_finale') {
-      const elem = document.getElementById('note_finale');
-      if (elem) elem.value = data[key] || '';
-      return;
-    }
+// Remplir le formulaire avec des données d'évaluation (les critères absents sont décochés)
+function fillEvaluationForm(data) {
+  for (const compData of Object.values(currentMapping.competences)) {
+    compData.criteres.forEach(critere => {
+      const critereData = data[critere.id];
+      const niveau = critereData && critereData.niveau !== undefined ? critereData.niveau : null;
+      document.querySelectorAll(`input[name="${critere.id}"]`).forEach(radio => {
+        radio.checked = niveau !== null && parseInt(radio.value) === niveau;
+      });
+    });
+  }
 
-    const critereData = data[key];
-    if (critereData && critereData.niveau !== undefined) {
-      // Remplir le niveau
-      const radio = document.querySelector(`input[name="${key}_niveau"][value="${critereData.niveau}"]`);
-      if (radio) radio.checked = true;
-    }
-  });
+  const commentaireElem = document.getElementById('commentaire-general');
+  if (commentaireElem) commentaireElem.value = data.commentaireGeneral || '';
 
-  // Charger la note calculée depuis l'Excel
-  loadNoteCalculee();
+  const bonusElem = document.getElementById('bonus');
+  if (bonusElem) bonusElem.value = data.bonus || 0;
 
-  showMessage('Données existantes chargées', 'info');
+  const noteFinalElem = document.getElementById('note_finale');
+  if (noteFinalElem) noteFinalElem.value = data.note_finale || '';
 }
 
 // Collecter les données du formulaire
@@ -414,6 +422,194 @@ function collectFormData() {
   return data;
 }
 
+// Mémoriser la version enregistrée de l'évaluation affichée
+function resetEvaluationBase() {
+  const evaluations = currentEleve.evaluations || {};
+  const versions = currentEleve.evaluationVersions || {};
+  baseData = JSON.parse(JSON.stringify(evaluations[currentSemestre] || {}));
+  baseRevision = versions[currentSemestre] ? versions[currentSemestre].revision : 0;
+}
+
+// Valeur comparable d'un champ (niveau pour un critère)
+function fieldValue(value) {
+  if (value && typeof value === 'object') {
+    return value.niveau === undefined ? null : value.niveau;
+  }
+  return value === undefined || value === '' ? null : value;
+}
+
+// Libellé d'un champ d'évaluation pour l'affichage du conflit
+function fieldLabel(champ) {
+  for (const [compCode, compData] of Object.entries(currentMapping.competences)) {
+    const critere = compData.criteres.find(c => c.id === champ);
+    if (critere) {
+      return `${compCode} - ${critere.texte}`;
+    }
+  }
+  const labels = {
+    commentaireGeneral: 'Commentaire général',
+    bonus: 'Bonus',
+    note_finale: 'Note finale'
+  };
+  return labels[champ] || champ;
+}
+
+// Libellé d'une valeur (niveau du mapping pour un critère)
+function valueLabel(champ, value) {
+  if (value === null) {
+    return 'Non renseigné';
+  }
+  const niveau = currentMapping.niveaux[`niveau_${value}`];
+  if (!['commentaireGeneral', 'bonus', 'note_finale'].includes(champ) && niveau) {
+    return niveau.label;
+  }
+  return String(value);
+}
+
+// Envoyer l'évaluation avec la révision de base ; renvoie false en cas de conflit
+async function submitEvaluation(data) {
+  const response = await fetchWithCsrf(`${API_BASE}/eleves/${eleveId}/evaluations`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      semestre: currentSemestre,
+      data: data,
+      revision: baseRevision,
+      grille: currentMapping.version
+    })
+  });
+
+  if (response.status === 409) {
+    const conflict = await response.json();
+    // Grille changée (migration) : les critères affichés ne sont plus ceux de l'évaluation
+    if (conflict.grille) {
+      throw new Error(conflict.error);
+    }
+    showConflict(conflict, data);
+    return false;
+  }
+
+  if (!response.ok) throw new Error('Erreur lors de la sauvegarde');
+
+  const result = await response.json();
+  baseRevision = result.revision;
+  baseData = JSON.parse(JSON.stringify(data));
+  hideConflict();
+  hideRemoteChange();
+  loadHistory();
+  return true;
+}
+
+// Charger l'historique des modifications de l'évaluation affichée
+async function loadHistory() {
+  const container = document.getElementById('history-container');
+  try {
+    const response = await fetchWithCsrf(`${API_BASE}/eleves/${eleveId}/history?semestre=${currentSemestre}`);
+    if (!response.ok) throw new Error('Historique non disponible');
+
+    const entries = await response.json();
+    renderHistoryTimeline(container, entries, { fieldLabel, valueLabel });
+  } catch (error) {
+    console.error('Erreur lors du chargement de l\'historique:', error);
+    container.innerHTML = '<p style="color: #e53e3e; font-style: italic;">Impossible de charger l\'historique.</p>';
+  }
+}
+
+// Afficher le conflit et proposer une fusion critère par critère.
+// Par défaut, on garde ma valeur si je l'ai modifiée, sinon la valeur enregistrée.
+function showConflict(conflict, mine) {
+  pendingConflict = { ...conflict, mine };
+
+  const container = document.getElementById('conflict-container');
+  const auteur = conflict.updatedBy ? escapeHtml(conflict.updatedBy) : 'un autre utilisateur';
+  const date = conflict.updatedAt ? ` le ${escapeHtml(new Date(conflict.updatedAt).toLocaleString('fr-FR'))}` : '';
+
+  const rows = conflict.diff.map(item => {
+    const userChanged = fieldValue(mine[item.champ]) !== fieldValue(baseData[item.champ]);
+    const name = `merge_${escapeHtml(item.champ)}`;
+    return `
+      <tr style="border-bottom: 1px solid #e2e8f0;">
+        <td style="padding: 0.5rem;">${escapeHtml(fieldLabel(item.champ))}</td>
+        <td style="padding: 0.5rem;">
+          <label><input type="radio" name="${name}" value="current" ${userChanged ? '' : 'checked'}>
+            ${escapeHtml(valueLabel(item.champ, item.actuel))}</label>
+        </td>
+        <td style="padding: 0.5rem;">
+          <label><input type="radio" name="${name}" value="mine" ${userChanged ? 'checked' : ''}>
+            ${escapeHtml(valueLabel(item.champ, item.propose))}</label>
+        </td>
+      </tr>
+    `;
+  }).join('');
+
+  container.innerHTML = `
+    <h3 style="color: #c53030; margin-bottom: 0.5rem;">⚠️ Conflit de modification</h3>
+    <p style="margin-bottom: 1rem;">
+      Cette évaluation a été enregistrée par ${auteur}${date} après l'ouverture de cette page.
+      Choisissez pour chaque critère la valeur à conserver.
+    </p>
+    <table style="width: 100%; border-collapse: collapse; margin-bottom: 1rem;">
+      <thead>
+        <tr style="background: #f7fafc; border-bottom: 2px solid #e2e8f0;">
+          <th style="padding: 0.5rem; text-align: left;">Critère</th>
+          <th style="padding: 0.5rem; text-align: left;">Version enregistrée</th>
+          <th style="padding: 0.5rem; text-align: left;">Ma version</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${rows || '<tr><td colspan="3" style="padding: 0.5rem;">Aucune différence sur les critères.</td></tr>'}
+      </tbody>
+    </table>
+    <button type="button" id="btn-merge-conflict" class="btn btn-primary">Appliquer la fusion</button>
+    <button type="button" id="btn-discard-conflict" class="btn btn-secondary">Reprendre la version enregistrée</button>
+  `;
+
+  document.getElementById('btn-merge-conflict').addEventListener('click', applyConflictMerge);
+  document.getElementById('btn-discard-conflict').addEventListener('click', discardLocalChanges);
+
+  container.classList.remove('hidden');
+  container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+function hideConflict() {
+  pendingConflict = null;
+  const container = document.getElementById('conflict-container');
+  if (container) {
+    container.classList.add('hidden');
+    container.innerHTML = '';
+  }
+}
+
+// Repartir de la version enregistrée sur le serveur
+function adoptServerVersion(data) {
+  baseRevision = pendingConflict.revision;
+  baseData = JSON.parse(JSON.stringify(pendingConflict.current));
+  fillEvaluationForm(data);
+  updateNoteCalculee();
+  hideConflict();
+  hideRemoteChange();
+}
+
+// Fusionner la version enregistrée avec les choix faits critère par critère
+function applyConflictMerge() {
+  const merged = JSON.parse(JSON.stringify(pendingConflict.current));
+
+  pendingConflict.diff.forEach(item => {
+    const choice = document.querySelector(`input[name="merge_${item.champ}"]:checked`);
+    if (choice && choice.value === 'mine') {
+      merged[item.champ] = pendingConflict.mine[item.champ];
+    }
+  });
+
+  adoptServerVersion(merged);
+  showMessage('Fusion appliquée : vérifiez la grille puis enregistrez', 'info');
+}
+
+function discardLocalChanges() {
+  adoptServerVersion(pendingConflict.current);
+  showMessage('Version enregistrée rechargée', 'info');
+}
+
 // Sauvegarder en brouillon
 async function saveDraft() {
   const btn = document.getElementById('btn-save-draft');
@@ -424,25 +620,19 @@ async function saveDraft() {
   const data = collectFormData();
 
   try {
-    const response = await fetchWithCsrf(`${API_BASE}/eleves/${eleveId}/evaluations`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        semestre: currentSemestre,
-        data: data
-      })
-    });
-
-    if (!response.ok) throw new Error('Erreur lors de la sauvegarde');
+    const saved = await submitEvaluation(data);
+    if (!saved) {
+      showMessage('Conflit : l\'évaluation a été modifiée entre-temps, rien n\'a été enregistré', 'error');
+      return;
+    }
 
-    const result = await response.json();
     showMessage('Brouillon sauvegardé avec succès', 'success');
 
     // Recharger l'élève pour mettre à jour les données
     await loadEleve();
   } catch (error) {
     console.error('Erreur:', error);
-    showMessage('Erreur lors de la sauvegarde du brouillon', 'error');
+    showMessage(error.message || 'Erreur lors de la sauvegarde du brouillon', 'error');
   } finally {
     btn.disabled = false;
     btn.innerHTML = originalText;
@@ -502,17 +692,12 @@ async function finalize() {
   const data = collectFormData();
 
   try {
-    // Sauvegarder les données
-    const saveResponse = await fetchWithCsrf(`${API_BASE}/eleves/${eleveId}/evaluations`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        semestre: currentSemestre,
-        data: data
-      })
-    });
-
-    if (!saveResponse.ok) throw new Error('Erreur lors de la sauvegarde');
+    // Sauvegarder les données (la finalisation est interrompue en cas de conflit)
+    const saved = await submitEvaluation(data);
+    if (!saved) {
+      showMessage('Conflit : l\'évaluation a été modifiée entre-temps, finalisation annulée', 'error');
+      return;
+    }
 
     // Remplir le fichier Excel
     const excelResponse = await fetchWithCsrf(`${API_BASE}/eleves/${eleveId}/remplir-excel`, {
@@ -528,14 +713,18 @@ async function finalize() {
       throw new Error(error.error || 'Erreur lors du remplissage Excel');
     }
 
-    const result = await excelResponse.json();
+    // Le remplissage est mis en file d'attente : suivre son avancement
+    const job = await excelResponse.json();
+    await window.waitForJob(job, (etat) => {
+      btn.innerHTML = `<span class="loading"></span> ${window.escapeHtml(window.describeJobProgress(etat))}`;
+    });
     showMessage('Évaluation finalisée et Excel rempli avec succès !', 'success');
 
     // Activer le bouton de téléchargement
     document.getElementById('btn-download').disabled = false;
 
-    // Rafraîchir la note calculée depuis l'Excel
-    await loadNoteCalculee();
+    // Rafraîchir la note calculée
+    updateNoteCalculee();
 
     // Recharger l'élève
     await loadEleve();
@@ -564,6 +753,10 @@ document.getElementById('semestre-select').addEventListener('change', (e) => {
   }
 });
 
+// Recalculer la note à chaque modification de la grille ou du bonus
+document.getElementById('competences-container').addEventListener('change', updateNoteCalculee);
+document.getElementById('competences-container').addEventListener('input', updateNoteCalculee);
+
 // Événements des boutons
 document.getElementById('btn-save-draft').addEventListener('click', saveDraft);
 document.getElementById('btn-finalize').addEventListener('click', finalize);
@@ -610,16 +803,60 @@ async function filterEvaluationOptions() {
   }
 }
 
+// Avertissement persistant : l'élève affiché a été modifié depuis une autre page
+function showRemoteChange(message) {
+  const container = document.getElementById('remote-change-container');
+  container.innerHTML = `<strong>⚠️ ${escapeHtml(message)}</strong>`;
+  container.classList.remove('hidden');
+}
+
+function hideRemoteChange() {
+  const container = document.getElementById('remote-change-container');
+  container.classList.add('hidden');
+  container.innerHTML = '';
+}
+
+// Suivre les modifications faites par les autres utilisateurs sur cet élève
+function subscribeEleveEvents() {
+  window.subscribeEvents({
+    evaluation: (event) => {
+      if (String(event.eleveId) !== eleveId || !currentSemestre || event.semestre !== currentSemestre) return;
+      if (event.grille && event.grille !== currentMapping.version) {
+        showRemoteChange(`Cette évaluation vient d'être reportée sur la version ${event.grille} de la grille par ${event.par}. Rechargez la page avant de continuer la saisie.`);
+        return;
+      }
+      if (event.revision <= baseRevision || event.par === window.currentUser?.username) return;
+      showRemoteChange(`Cette évaluation vient d'être modifiée par ${event.par} (révision ${event.revision}). Vos modifications seront comparées à cette version lors du prochain enregistrement.`);
+    },
+    eleve: (event) => {
+      if (String(event.eleveId) !== eleveId) return;
+      if (event.action === 'supprime') {
+        showRemoteChange(`Cet élève vient d'être supprimé par ${event.par} : la saisie ne pourra pas être enregistrée.`);
+      }
+    },
+    verrouillage: (event) => {
+      if (!currentEleve || event.juryId !== currentEleve.jury) return;
+      if (window.currentUser?.role !== 'admin') return;
+      const lock = event.lockData || {};
+      if (lock.isLocked && !lock.unlockedEarly && lock.endDate && new Date(lock.endDate) > new Date()) {
+        const fin = new Date(lock.endDate).toLocaleString('fr-FR');
+        showRemoteChange(`Le jury de cet élève a défini une période de verrouillage jusqu'au ${fin} : les enregistrements seront refusés pendant cette période.`);
+      } else {
+        hideRemoteChange();
+        showMessage('Le verrouillage du jury de cet élève a été levé', 'info');
+      }
+    }
+  });
+}
+
 // Initialisation
 document.addEventListener('DOMContentLoaded', async () => {
-  // Charger les observables en premier
-  await loadObservables();
-
   // Filtrer immédiatement les options selon le rôle
   filterEvaluationOptions();
 
-  // Charger les données de l'élève
+  // Charger les données de l'élève (les observables suivent la grille de chaque phase)
   await loadEleve();
+  subscribeEleveEvents();
 
   // Pré-sélectionner le semestre depuis l'URL si présent
   const urlParams = new URLSearchParams(window.location.search);
@@ -0,0 +1,172 @@
+/**
+ * Moteur de calcul des notes E6, partagé par le serveur et les pages
+ * (chargé par <script> côté navigateur, par require() côté Node).
+ *
+ * Reproduit la formule de la grille GRILLE_E6.xlsx à partir de mapping.json :
+ * - chaque critère vaut les points de son niveau (niveaux.niveau_N.points)
+ * - total d'une compétence = Σ (poids du critère × points)
+ * - note = Σ (poids de la compétence × total) × note_sur / points max + bonus
+ * - la note n'est calculée que si tous les critères sont renseignés
+ *   (l'Excel affiche alors « croix à reprendre »)
+ *
+ * Calcule aussi la note récapitulative (moyenne pondérée des notes finales
+ * des phases) selon mapping.note_recapitulative.
+ */
+const GradingEngine = (() => {
+  // Arrondir à un nombre de décimales
+  function arrondir(valeur, decimales = 2) {
+    const facteur = Math.pow(10, decimales);
+    return Math.round(valeur * facteur) / facteur;
+  }
+
+  /**
+   * Arrondit une valeur à un pas donné (0.01, 0.5...)
+   * @param {number} valeur - La valeur à arrondir
+   * @param {number} pas - Le pas d'arrondi
+   * @param {string} mode - 'plus_proche', 'superieur' ou 'inferieur'
+   * @returns {number} La valeur arrondie
+   */
+  function arrondirAuPas(valeur, pas = 0.01, mode = 'plus_proche') {
+    const fonctions = { plus_proche: Math.round, superieur: Math.ceil, inferieur: Math.floor };
+    const arrondi = fonctions[mode] || Math.round;
+    // Le petit epsilon compense les erreurs de représentation (ex. 2.675 / 0.01 = 267.49999...)
+    const epsilon = mode === 'superieur' ? -1e-9 : 1e-9;
+    return arrondi(valeur / pas + epsilon) * pas;
+  }
+
+  // Nombre de décimales à afficher pour un pas d'arrondi
+  function decimalesDuPas(pas = 0.01) {
+    const texte = String(pas);
+    return texte.includes('.') ? texte.split('.')[1].length : 0;
+  }
+
+  /**
+   * Extrait la grille d'une évaluation depuis le mapping complet
+   * @param {Object} mapping - Le contenu de mapping.json
+   * @param {string} semestre - stage, revue1, revue2, revue3 ou soutenance
+   * @returns {Object|null} { competences, niveaux, notation, champs_supplementaires }
+   */
+  function grilleDepuisMapping(mapping, semestre) {
+    if (!mapping || !mapping.evaluations || !mapping.evaluations[semestre]) {
+      return null;
+    }
+    return {
+      competences: mapping.evaluations[semestre].competences,
+      niveaux: mapping.niveaux,
+      notation: mapping.notation,
+      champs_supplementaires: mapping.champs_supplementaires
+        ? mapping.champs_supplementaires[semestre]
+        : undefined
+    };
+  }
+
+  /**
+   * Calcule la note d'une évaluation
+   * @param {Object} grille - { competences, niveaux, notation } (voir grilleDepuisMapping)
+   * @param {Object} evalData - Les données enregistrées (evaluations[semestre])
+   * @returns {Object} { note, complet, manquants, bonus, competences }
+   */
+  function calculerNote(grille, evalData) {
+    const data = evalData || {};
+    const notation = grille.notation || { note_sur: 20, decimales: 2 };
+    const points = Object.values(grille.niveaux)
+      .map(niveau => niveau.points)
+      .filter(p => typeof p === 'number');
+    const pointsMax = points.length > 0 ? Math.max(...points) : 0;
+
+    const competences = {};
+    const manquants = [];
+    let somme = 0;
+
+    for (const [code, competence] of Object.entries(grille.competences)) {
+      let total = 0;
+
+      competence.criteres.forEach(critere => {
+        const critereData = data[critere.id];
+        const niveau = critereData ? grille.niveaux[`niveau_${critereData.niveau}`] : null;
+
+        if (!niveau || typeof niveau.points !== 'number') {
+          manquants.push(critere.id);
+          return;
+        }
+        total += (critere.poids || 0) * niveau.points;
+      });
+
+      competences[code] = {
+        poids: competence.poids || 0,
+        total: arrondir(total, notation.decimales)
+      };
+      somme += (competence.poids || 0) * total;
+    }
+
+    const bonus = parseFloat(data.bonus) || 0;
+    const complet = manquants.length === 0 && pointsMax > 0;
+    const note = complet
+      ? arrondir(somme * notation.note_sur / pointsMax + bonus, notation.decimales)
+      : null;
+
+    return { note, complet, manquants, bonus, competences };
+  }
+
+  /**
+   * Calcule la note récapitulative à partir des notes finales des phases
+   * @param {Object} config - mapping.note_recapitulative : { phases: [{ semestre, label, coefficient }], arrondi }
+   * @param {Object} evaluations - Les évaluations de l'élève (eleve.evaluations)
+   * @returns {Object} { note, complet, manquants, notes }
+   */
+  function calculerNoteRecap(config, evaluations) {
+    const notes = {};
+    const manquants = [];
+    let somme = 0;
+    let totalCoefficients = 0;
+
+    config.phases.forEach(phase => {
+      const evalData = evaluations ? evaluations[phase.semestre] : null;
+      const note = evalData && evalData.note_finale !== undefined && evalData.note_finale !== null
+        ? parseFloat(evalData.note_finale)
+        : null;
+      notes[phase.semestre] = note === null || isNaN(note) ? null : note;
+
+      if (phase.coefficient > 0) {
+        if (notes[phase.semestre] === null) {
+          manquants.push(phase.semestre);
+        } else {
+          somme += notes[phase.semestre] * phase.coefficient;
+        }
+        totalCoefficients += phase.coefficient;
+      }
+    });
+
+    const complet = manquants.length === 0 && totalCoefficients > 0;
+    const arrondi = config.arrondi || {};
+    const pas = arrondi.pas || 0.01;
+    const note = complet
+      ? arrondir(arrondirAuPas(somme / totalCoefficients, pas, arrondi.mode), decimalesDuPas(pas))
+      : null;
+
+    return { note, complet, manquants, notes };
+  }
+
+  // Texte de la formule, ex. « (Stage × 1 + Soutenance × 3) / 4 »
+  function decrireFormuleRecap(config) {
+    const phases = config.phases.filter(phase => phase.coefficient > 0);
+    const total = phases.reduce((sum, phase) => sum + phase.coefficient, 0);
+    return `(${phases.map(phase => `${phase.label} × ${phase.coefficient}`).join(' + ')}) / ${total}`;
+  }
+
+  return {
+    arrondir,
+    arrondirAuPas,
+    decimalesDuPas,
+    grilleDepuisMapping,
+    calculerNote,
+    calculerNoteRecap,
+    decrireFormuleRecap
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GradingEngine;
+} else {
+  window.GradingEngine = GradingEngine;
+}
@@ -0,0 +1,487 @@
+// Éditeur des grilles d'évaluation (administrateur)
+// Utilise les fonctions communes depuis utils.js
+const API_BASE = window.API_BASE;
+const showMessage = window.showMessage;
+const escapeHtml = window.escapeHtml;
+
+const ORIGINES = {
+  installation: 'Fournie avec l\'application',
+  editeur: 'Éditeur',
+  restauration: 'Restauration'
+};
+
+// Grille en cours de modification : { option, version, mapping, observables }
+let grille = null;
+// Critères de la version chargée. Les évaluations déjà saisies restent rattachées à cette
+// version : renommer ou supprimer un critère demande ensuite de les migrer (voir plus bas).
+let criteresExistants = new Set();
+let currentSemestre = 'stage';
+// Évaluations à reporter sur la grille en vigueur, par phase et version d'origine
+let migration = null;
+
+const PHASES = {
+  stage: 'Stage',
+  revue1: 'Revue 1',
+  revue2: 'Revue 2',
+  revue3: 'Revue 3',
+  soutenance: 'Soutenance'
+};
+
+function copie(objet) {
+  return JSON.parse(JSON.stringify(objet));
+}
+
+// Charger les options installées
+async function loadOptions() {
+  try {
+    const response = await fetchWithCsrf(`${API_BASE}/options`);
+    if (!response.ok) throw new Error('Erreur lors du chargement des options');
+
+    const options = (await response.json()).filter(option => option.disponible);
+    document.getElementById('grille-option').innerHTML = options
+      .map(option => `<option value="${escapeHtml(option.code)}">${escapeHtml(option.code)} - ${escapeHtml(option.label)}</option>`)
+      .join('');
+    await loadGrille();
+  } catch (error) {
+    console.error('Erreur:', error);
+    showMessage(error.message, 'error');
+  }
+}
+
+// Charger la grille en vigueur de l'option choisie
+async function loadGrille() {
+  const option = document.getElementById('grille-option').value;
+  if (!option) return;
+
+  try {
+    const response = await fetchWithCsrf(`${API_BASE}/options/${encodeURIComponent(option)}/grille`);
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Erreur lors du chargement de la grille');
+    }
+
+    const record = await response.json();
+    grille = {
+      option,
+      version: record.version,
+      mapping: copie(record.mapping),
+      observables: copie(record.observables || {})
+    };
+    criteresExistants = new Set();
+    Object.entries(grille.mapping.evaluations || {}).forEach(([semestre, evaluation]) => {
+      Object.values(evaluation.competences).forEach(competence => {
+        competence.criteres.forEach(critere => criteresExistants.add(`${semestre}:${critere.id}`));
+      });
+    });
+
+    document.getElementById('grille-version-info').innerHTML = `
+      Version en vigueur : <strong>${record.version}</strong>
+      · ${escapeHtml(new Date(record.date).toLocaleString('fr-FR'))} · ${escapeHtml(record.auteur)}
+      ${record.commentaire ? `<br><em>${escapeHtml(record.commentaire)}</em>` : ''}
+    `;
+    document.getElementById('grille-erreurs').innerHTML = '';
+    displayNiveaux();
+    displayCompetences();
+    await loadMigration();
+    await loadVersions();
+  } catch (error) {
+    console.error('Erreur:', error);
+    showMessage(error.message, 'error');
+  }
+}
+
+// Libellés des niveaux (communs à toutes les phases)
+function displayNiveaux() {
+  const niveaux = Object.entries(grille.mapping.niveaux)
+    .sort(([, a], [, b]) => a.valeur - b.valeur);
+
+  document.getElementById('grille-niveaux').innerHTML = `
+    <table>
+      <thead><tr><th>Niveau</th><th>Colonne</th><th>Points</th><th>Libellé</th></tr></thead>
+      <tbody>
+        ${niveaux.map(([cle, niveau]) => `
+          <tr>
+            <td>${niveau.valeur}</td>
+            <td>${escapeHtml(niveau.colonne)}</td>
+            <td>${niveau.points === undefined ? '-' : niveau.points}</td>
+            <td><input type="text" maxlength="100" value="${escapeHtml(niveau.label)}" data-niveau="${escapeHtml(cle)}"></td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+// Compétences et critères de la phase choisie
+function displayCompetences() {
+  const container = document.getElementById('grille-competences');
+  const evaluation = grille.mapping.evaluations[currentSemestre];
+  if (!evaluation) {
+    container.innerHTML = '<p style="color: #718096; font-style: italic;">Aucune grille pour cette phase.</p>';
+    return;
+  }
+  const observables = grille.observables[currentSemestre] || {};
+
+  container.innerHTML = Object.entries(evaluation.competences).map(([code, competence]) => {
+    const criteres = competence.criteres.map((critere, index) => {
+      const existant = criteresExistants.has(`${currentSemestre}:${critere.id}`);
+      return `
+        <tr>
+          <td style="width: 150px;">
+            <input type="text" value="${escapeHtml(critere.id)}" data-comp="${escapeHtml(code)}" data-index="${index}" data-field="id"
+              ${existant ? '' : 'placeholder="ex. c01_rapport"'}>
+          </td>
+          <td>
+            <textarea rows="2" maxlength="1000" data-comp="${escapeHtml(code)}" data-index="${index}" data-field="texte">${escapeHtml(critere.texte)}</textarea>
+            <textarea rows="2" placeholder="Observables (un par ligne)" data-comp="${escapeHtml(code)}" data-index="${index}" data-field="observables"
+              style="margin-top: 0.25rem; font-size: 0.85rem;">${escapeHtml((observables[critere.id] || []).join('\n'))}</textarea>
+          </td>
+          <td style="width: 80px;"><input type="number" min="1" step="1" value="${critere.ligne}" data-comp="${escapeHtml(code)}" data-index="${index}" data-field="ligne"></td>
+          <td style="width: 80px;"><input type="number" min="0" step="0.05" value="${critere.poids}" data-comp="${escapeHtml(code)}" data-index="${index}" data-field="poids"></td>
+          <td style="width: 50px;">
+            <button class="btn btn-danger btn-sm" data-action="delete-critere" data-comp="${escapeHtml(code)}" data-index="${index}" title="Supprimer le critère">🗑️</button>
+          </td>
+        </tr>
+      `;
+    }).join('');
+
+    return `
+      <div style="border: 1px solid #e2e8f0; border-radius: 8px; padding: 1rem; margin-bottom: 1rem;">
+        <div style="display: flex; gap: 0.5rem; align-items: flex-end; margin-bottom: 0.75rem;">
+          <strong style="min-width: 50px;">${escapeHtml(code)}</strong>
+          <div class="form-group" style="margin: 0; flex: 1;">
+            <label>Nom de la compétence</label>
+            <input type="text" maxlength="200" value="${escapeHtml(competence.nom)}" data-comp="${escapeHtml(code)}" data-field="nom">
+          </div>
+          <div class="form-group" style="margin: 0; width: 100px;">
+            <label>Poids</label>
+            <input type="number" min="0" step="0.05" value="${competence.poids}" data-comp="${escapeHtml(code)}" data-field="poids">
+          </div>
+          <button class="btn btn-danger btn-sm" data-action="delete-competence" data-comp="${escapeHtml(code)}">🗑️ Supprimer</button>
+        </div>
+        <table style="font-size: 0.9rem;">
+          <thead><tr><th>Identifiant</th><th>Critère et observables</th><th>Ligne</th><th>Poids</th><th></th></tr></thead>
+          <tbody>${criteres}</tbody>
+        </table>
+        <button class="btn btn-secondary btn-sm" data-action="add-critere" data-comp="${escapeHtml(code)}" style="margin-top: 0.5rem;">+ Ajouter un critère</button>
+      </div>
+    `;
+  }).join('');
+}
+
+// Reporter une saisie dans la grille en cours de modification
+function updateField(target) {
+  if (target.dataset.niveau) {
+    grille.mapping.niveaux[target.dataset.niveau].label = target.value;
+    return;
+  }
+
+  const competence = grille.mapping.evaluations[currentSemestre].competences[target.dataset.comp];
+  const field = target.dataset.field;
+  if (!competence || !field) return;
+
+  if (target.dataset.index === undefined) {
+    competence[field] = field === 'poids' ? parseFloat(target.value) : target.value;
+    return;
+  }
+
+  const critere = competence.criteres[parseInt(target.dataset.index)];
+  if (field === 'observables') {
+    const liste = target.value.split('\n').map(ligne => ligne.trim()).filter(Boolean);
+    grille.observables[currentSemestre] = grille.observables[currentSemestre] || {};
+    if (liste.length > 0) {
+      grille.observables[currentSemestre][critere.id] = liste;
+    } else {
+      delete grille.observables[currentSemestre][critere.id];
+    }
+  } else if (field === 'id') {
+    // Les observables suivent le critère renommé
+    const observables = grille.observables[currentSemestre];
+    if (observables && observables[critere.id]) {
+      observables[target.value] = observables[critere.id];
+      delete observables[critere.id];
+    }
+    critere.id = target.value.trim();
+  } else if (field === 'ligne') {
+    critere.ligne = parseInt(target.value);
+  } else if (field === 'poids') {
+    critere.poids = parseFloat(target.value);
+  } else {
+    critere[field] = target.value;
+  }
+}
+
+function addCompetence() {
+  const code = prompt('Code de la nouvelle compétence (ex. C05) :');
+  if (!code) return;
+  const evaluation = grille.mapping.evaluations[currentSemestre];
+  const cle = code.trim().toUpperCase();
+  if (evaluation.competences[cle]) {
+    showMessage(`La compétence ${cle} existe déjà dans cette phase`, 'error');
+    return;
+  }
+  evaluation.competences[cle] = { nom: '', poids: 0, criteres: [] };
+  displayCompetences();
+}
+
+function handleAction(el) {
+  const evaluation = grille.mapping.evaluations[currentSemestre];
+  const competence = evaluation.competences[el.dataset.comp];
+
+  switch (el.dataset.action) {
+    case 'add-critere':
+      competence.criteres.push({ id: '', texte: '', ligne: null, poids: 0 });
+      displayCompetences();
+      break;
+    case 'delete-critere': {
+      const critere = competence.criteres[parseInt(el.dataset.index)];
+      if (criteresExistants.has(`${currentSemestre}:${critere.id}`) &&
+          !confirm('Les évaluations déjà saisies garderont ce critère jusqu\'à leur migration vers la nouvelle version. Supprimer le critère ?')) {
+        return;
+      }
+      competence.criteres.splice(parseInt(el.dataset.index), 1);
+      if (grille.observables[currentSemestre]) {
+        delete grille.observables[currentSemestre][critere.id];
+      }
+      displayCompetences();
+      break;
+    }
+    case 'delete-competence':
+      if (!confirm(`Supprimer la compétence ${el.dataset.comp} et ses critères ?`)) return;
+      delete evaluation.competences[el.dataset.comp];
+      displayCompetences();
+      break;
+    case 'restore-version':
+      restoreVersion(el.dataset.version);
+      break;
+    case 'migrer':
+      migrerGroupe(parseInt(el.dataset.groupe));
+      break;
+  }
+}
+
+// Enregistrer la grille comme nouvelle version
+async function saveGrille() {
+  const btn = document.getElementById('btn-save-grille');
+  const erreursContainer = document.getElementById('grille-erreurs');
+  const originalText = btn.textContent;
+  btn.disabled = true;
+  btn.innerHTML = '<span class="loading"></span> Vérification...';
+  erreursContainer.innerHTML = '';
+
+  try {
+    const response = await fetchWithCsrf(`${API_BASE}/options/${encodeURIComponent(grille.option)}/grille`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        mapping: grille.mapping,
+        observables: grille.observables,
+        commentaire: document.getElementById('grille-commentaire').value,
+        version: grille.version
+      })
+    });
+
+    const result = await response.json();
+    if (!response.ok) {
+      if (result.erreurs) {
+        erreursContainer.innerHTML = `
+          <ul style="color: #e53e3e; margin: 0 0 1rem 1rem;">
+            ${result.erreurs.map(erreur => `<li>${escapeHtml(erreur)}</li>`).join('')}
+          </ul>
+        `;
+      }
+      throw new Error(result.error || 'Erreur lors de l\'enregistrement de la grille');
+    }
+
+    showMessage(result.message, 'success');
+    document.getElementById('grille-commentaire').value = '';
+    await loadGrille();
+  } catch (error) {
+    console.error('Erreur:', error);
+    showMessage(error.message, 'error');
+  } finally {
+    btn.disabled = false;
+    btn.textContent = originalText;
+  }
+}
+
+// Évaluations saisies avec une version antérieure de la grille
+async function loadMigration() {
+  const container = document.getElementById('grille-migration');
+  try {
+    const response = await fetchWithCsrf(`${API_BASE}/options/${encodeURIComponent(grille.option)}/grille/migration`);
+    if (!response.ok) throw new Error('Erreur lors du chargement des évaluations à migrer');
+
+    migration = await response.json();
+    if (migration.groupes.length === 0) {
+      container.innerHTML = '<p style="color: #718096; font-style: italic;">Toutes les évaluations utilisent la grille en vigueur.</p>';
+      return;
+    }
+
+    container.innerHTML = migration.groupes.map((groupe, index) => {
+      const options = (propose) => [
+        `<option value="">— Niveau abandonné —</option>`,
+        ...groupe.cibles.map(cible => `
+          <option value="${escapeHtml(cible.id)}" ${cible.id === propose ? 'selected' : ''}>
+            ${escapeHtml(cible.competence)} · ${escapeHtml(cible.id)} - ${escapeHtml(cible.texte.slice(0, 80))}
+          </option>
+        `)
+      ].join('');
+
+      return `
+        <div style="border: 1px solid #e2e8f0; border-radius: 8px; padding: 1rem; margin-bottom: 1rem;">
+          <strong>${escapeHtml(PHASES[groupe.semestre] || groupe.semestre)}</strong> :
+          ${groupe.evaluations} évaluation(s) saisie(s) avec la version ${groupe.depuis}
+          <table style="font-size: 0.9rem; margin-top: 0.5rem;">
+            <thead><tr><th>Critère de la version ${groupe.depuis}</th><th>Critère de la version ${migration.version}</th></tr></thead>
+            <tbody>
+              ${groupe.criteres.map(critere => `
+                <tr>
+                  <td>${escapeHtml(critere.competence)} · ${escapeHtml(critere.id)} - ${escapeHtml(critere.texte)}</td>
+                  <td><select data-groupe="${index}" data-ancien="${escapeHtml(critere.id)}">${options(critere.propose)}</select></td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+          <button class="btn btn-primary btn-sm" data-action="migrer" data-groupe="${index}" style="margin-top: 0.5rem;">
+            Reporter sur la version ${migration.version}
+          </button>
+        </div>
+      `;
+    }).join('');
+  } catch (error) {
+    console.error('Erreur:', error);
+    container.innerHTML = `<p style="color: #e53e3e;">${escapeHtml(error.message)}</p>`;
+  }
+}
+
+async function migrerGroupe(index) {
+  const groupe = migration.groupes[index];
+  const correspondances = {};
+  document.querySelectorAll(`#grille-migration select[data-groupe="${index}"]`).forEach(select => {
+    correspondances[select.dataset.ancien] = select.value || null;
+  });
+
+  const abandonnes = Object.values(correspondances).filter(cible => cible === null).length;
+  const avertissement = abandonnes > 0 ? `\n${abandonnes} critère(s) sans correspondance : leurs niveaux seront abandonnés.` : '';
+  if (!confirm(`Reporter ${groupe.evaluations} évaluation(s) de la phase ${PHASES[groupe.semestre]} sur la version ${migration.version} ?${avertissement}`)) {
+    return;
+  }
+
+  try {
+    const response = await fetchWithCsrf(`${API_BASE}/options/${encodeURIComponent(grille.option)}/grille/migration`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        semestre: groupe.semestre,
+        depuis: groupe.depuis,
+        version: migration.version,
+        correspondances
+      })
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.error || 'Erreur lors de la migration');
+    }
+
+    let details = result.abandons.length > 0
+      ? ` (niveaux abandonnés pour ${result.abandons.map(a => a.eleve).join(', ')})`
+      : '';
+    if (result.verrouilles.length > 0) {
+      details += `. Jury en période de verrouillage, à reporter plus tard : ${result.verrouilles.map(v => v.eleve).join(', ')}`;
+    }
+    showMessage(result.message + details, result.verrouilles.length > 0 ? 'info' : 'success');
+    await loadMigration();
+  } catch (error) {
+    console.error('Erreur:', error);
+    showMessage(error.message, 'error');
+  }
+}
+
+// Versions de la grille
+async function loadVersions() {
+  const container = document.getElementById('grille-versions');
+  try {
+    const response = await fetchWithCsrf(`${API_BASE}/options/${encodeURIComponent(grille.option)}/grille/versions`);
+    if (!response.ok) throw new Error('Erreur lors du chargement des versions');
+
+    const versions = await response.json();
+    container.innerHTML = `
+      <table>
+        <thead><tr><th>Version</th><th>Date</th><th>Auteur</th><th>Origine</th><th>Commentaire</th><th></th></tr></thead>
+        <tbody>
+          ${versions.map(version => `
+            <tr>
+              <td><strong>${version.version}</strong></td>
+              <td>${escapeHtml(new Date(version.date).toLocaleString('fr-FR'))}</td>
+              <td>${escapeHtml(version.auteur)}</td>
+              <td>${escapeHtml(ORIGINES[version.origine] || version.origine)}</td>
+              <td>${escapeHtml(version.commentaire)}</td>
+              <td>
+                ${version.version === grille.version
+                  ? '<span class="badge success">En vigueur</span>'
+                  : `<button class="btn btn-secondary btn-sm" data-action="restore-version" data-version="${version.version}">♻️ Restaurer</button>`}
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  } catch (error) {
+    console.error('Erreur:', error);
+    container.innerHTML = `<p style="color: #e53e3e;">${escapeHtml(error.message)}</p>`;
+  }
+}
+
+async function restoreVersion(version) {
+  if (!confirm(`Remettre en vigueur la version ${version} ? Les modifications non enregistrées seront perdues.`)) {
+    return;
+  }
+
+  try {
+    const response = await fetchWithCsrf(`${API_BASE}/options/${encodeURIComponent(grille.option)}/grille/versions/${version}/restaurer`, {
+      method: 'POST'
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.erreurs ? `${result.error} : ${result.erreurs.join(' · ')}` : result.error);
+    }
+
+    showMessage(result.message, 'success');
+    await loadGrille();
+  } catch (error) {
+    console.error('Erreur:', error);
+    showMessage(error.message || 'Erreur lors de la restauration', 'error');
+  }
+}
+
+// Délégation d'événements (compatible CSP sans 'unsafe-inline')
+function setupGrillesEvents() {
+  document.getElementById('grille-option').addEventListener('change', loadGrille);
+  document.getElementById('grille-semestre').addEventListener('change', (e) => {
+    currentSemestre = e.target.value;
+    displayCompetences();
+  });
+  document.getElementById('btn-add-competence').addEventListener('click', addCompetence);
+  document.getElementById('btn-save-grille').addEventListener('click', saveGrille);
+
+  ['grille-niveaux', 'grille-competences'].forEach(id => {
+    document.getElementById(id).addEventListener('input', (e) => {
+      if (grille && (e.target.dataset.field || e.target.dataset.niveau)) {
+        updateField(e.target);
+      }
+    });
+  });
+
+  document.addEventListener('click', (e) => {
+    const el = e.target.closest('[data-action]');
+    if (el && grille) {
+      handleAction(el);
+    }
+  });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  setupGrillesEvents();
+  loadOptions();
+});
@@ -2,7 +2,27 @@
 const API_BASE = window.API_BASE;
 const showMessage = window.showMessage;
 
-document.getElementById('login-form').addEventListener('submit', async (e) => {
+const loginForm = document.getElementById('login-form');
+const totpForm = document.getElementById('totp-form');
+
+// Session ouverte : rediriger vers la bonne page
+function terminerConnexion(data) {
+  if (data.codesSecoursRestants !== undefined) {
+    showMessage(`Code de secours utilisé : il vous en reste ${data.codesSecoursRestants}`, 'info');
+  } else {
+    showMessage('Connexion réussie...', 'success');
+  }
+
+  // Si un changement de mot de passe est imposé (ex: après réinitialisation par
+  // l'admin ou changement de jury), ou si la double authentification doit être
+  // configurée, rediriger vers la page du compte
+  const destination = data.mustChangePassword || data.totpAConfigurer ? '/change-password' : '/';
+  setTimeout(() => {
+    window.location.href = destination;
+  }, data.codesSecoursRestants !== undefined ? 2500 : 500);
+}
+
+loginForm.addEventListener('submit', async (e) => {
   e.preventDefault();
 
   const username = document.getElementById('username').value.trim();
@@ -13,7 +33,7 @@ document.getElementById('login-form').addEventListener('submit', async (e) => {
     return;
   }
 
-  const submitBtn = document.querySelector('button[type="submit"]');
+  const submitBtn = loginForm.querySelector('button[type="submit"]');
   const originalText = submitBtn.textContent;
   submitBtn.disabled = true;
   submitBtn.innerHTML = '<span class="loading"></span> Connexion...';
@@ -31,19 +51,76 @@ document.getElementById('login-form').addEventListener('submit', async (e) => {
       throw new Error(data.error || 'Erreur de connexion');
     }
 
-    showMessage('Connexion réussie...', 'success');
+    // Compte protégé par la double authentification : demander le code
+    if (data.totpRequis) {
+      document.getElementById('message-container').innerHTML = '';
+      loginForm.style.display = 'none';
+      totpForm.style.display = '';
+      document.getElementById('totp-code').focus();
+      return;
+    }
+
+    terminerConnexion(data);
+  } catch (error) {
+    console.error('Erreur:', error);
+    showMessage(error.message || 'Erreur de connexion', 'error');
+  } finally {
+    submitBtn.disabled = false;
+    submitBtn.innerHTML = originalText;
+  }
+});
+
+totpForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  const code = document.getElementById('totp-code').value.trim();
+  if (!code) {
+    showMessage('Veuillez saisir le code', 'error');
+    return;
+  }
+
+  const submitBtn = totpForm.querySelector('button[type="submit"]');
+  const originalText = submitBtn.textContent;
+  submitBtn.disabled = true;
+  submitBtn.innerHTML = '<span class="loading"></span> Vérification...';
+
+  try {
+    const response = await fetch(`${API_BASE}/auth/login/totp`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ code })
+    });
 
-    // Si un changement de mot de passe est imposé (ex: après réinitialisation par
-    // l'admin ou changement de jury), rediriger vers la page de changement
-    const destination = data.mustChangePassword ? '/change-password' : '/';
-    setTimeout(() => {
-      window.location.href = destination;
-    }, 500);
+    const data = await response.json();
+
+    if (!response.ok) {
+      // Délai dépassé : recommencer depuis le mot de passe
+      if (data.secondFacteurExpire) {
+        annulerSecondFacteur();
+      }
+      throw new Error(data.error || 'Erreur de connexion');
+    }
+
+    terminerConnexion(data);
   } catch (error) {
     console.error('Erreur:', error);
     showMessage(error.message || 'Erreur de connexion', 'error');
+    document.getElementById('totp-code').value = '';
   } finally {
     submitBtn.disabled = false;
     submitBtn.innerHTML = originalText;
   }
 });
+
+function annulerSecondFacteur() {
+  totpForm.style.display = 'none';
+  totpForm.reset();
+  loginForm.style.display = '';
+  document.getElementById('password').value = '';
+  document.getElementById('password').focus();
+}
+
+document.getElementById('totp-cancel').addEventListener('click', () => {
+  document.getElementById('message-container').innerHTML = '';
+  annulerSecondFacteur();
+});
@@ -2,6 +2,7 @@
 const API_BASE = window.API_BASE;
 const showMessage = window.showMessage;
 const escapeHtml = window.escapeHtml;
+const getJuryName = window.getJuryName;
 
 // Fonction pour déterminer le statut d'un élève
 function getEleveStatus(eleve) {
@@ -176,6 +177,9 @@ function displayEleves(eleves) {
             <button class="action-item btn-telecharger" data-id="${eleve.id}" data-nom="${escapeHtml(eleve.nom)}" data-prenom="${escapeHtml(eleve.prenom)}">
               ⬇️ Télécharger Excel
             </button>
+            <button class="action-item btn-pdf" data-id="${eleve.id}">
+              🖨️ Télécharger PDF
+            </button>
             <div class="action-divider"></div>
             <button class="action-item btn-modifier" data-id="${eleve.id}">
               ✏️ Modifier
@@ -195,12 +199,11 @@ function displayEleves(eleves) {
       juryHTML = `
         <select class="jury-select" data-id="${eleve.id}" style="padding: 0.25rem 0.5rem; border: 1px solid #e2e8f0; border-radius: 4px;">
           <option value="">Non assigné</option>
-          <option value="jury1" ${eleve.jury === 'jury1' ? 'selected' : ''}>Jury 1</option>
-          <option value="jury2" ${eleve.jury === 'jury2' ? 'selected' : ''}>Jury 2</option>
+          ${buildJuryOptions(eleve.jury)}
         </select>
       `;
     } else {
-      juryHTML = eleve.jury ? `<span class="badge info">${eleve.jury === 'jury1' ? 'Jury 1' : 'Jury 2'}</span>` : '-';
+      juryHTML = eleve.jury ? `<span class="badge info">${escapeHtml(getJuryName(juries, eleve.jury))}</span>` : '-';
     }
 
     // Créer un dropdown pour le projet (éditable uniquement par admin)
@@ -245,7 +248,7 @@ function displayEleves(eleves) {
       row.innerHTML = `
         <td>${index + 1}</td>
         <td>${escapeHtml(eleve.nom)}</td>
-        <td>${escapeHtml(eleve.prenom)}</td>
+        <td>${escapeHtml(eleve.prenom)} <span class="badge info" title="Option">${escapeHtml(eleve.option)}</span></td>
         <td>${projetHTML}</td>
         <td>${juryHTML}</td>
         <td>${getEleveStatus(eleve)}</td>
@@ -256,7 +259,7 @@ function displayEleves(eleves) {
       row.innerHTML = `
         <td>${index + 1}</td>
         <td>${escapeHtml(eleve.nom)}</td>
-        <td>${escapeHtml(eleve.prenom)}</td>
+        <td>${escapeHtml(eleve.prenom)} <span class="badge info" title="Option">${escapeHtml(eleve.option)}</span></td>
         <td>${projetHTML}</td>
         <td style="display: none;">${juryHTML}</td>
         <td>${getEleveStatus(eleve)}</td>
@@ -282,22 +285,26 @@ async function genererExcel(eleveId) {
   btn.disabled = true;
   btn.innerHTML = '<span class="loading"></span> Génération...';
 
-  const etablissement = document.getElementById('etablissement').value;
-  const academie = document.getElementById('academie').value;
-  const session = document.getElementById('session').value;
-
   try {
+    // L'identité (établissement, académie, session) est lue par le serveur dans sa configuration
     const response = await fetchWithCsrf(`${API_BASE}/eleves/${eleveId}/generer-excel-complet`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       credentials: 'include',
-      body: JSON.stringify({ etablissement, academie, session })
+      body: JSON.stringify({})
     });
 
-    if (!response.ok) throw new Error('Erreur lors de la génération');
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Erreur lors de la génération');
+    }
 
-    const result = await response.json();
-    showMessage(result.message + ' (Version optimisée - économie de RAM)', 'success');
+    // La génération est mise en file d'attente : suivre son avancement
+    const job = await response.json();
+    await window.waitForJob(job, (etat) => {
+      btn.innerHTML = `<span class="loading"></span> ${escapeHtml(window.describeJobProgress(etat))}`;
+    });
+    showMessage('Fichier Excel complet généré avec succès (Version optimisée - économie de RAM)', 'success');
 
     // Activer le bouton de téléchargement
     const downloadBtn = document.querySelector(`[data-id="${eleveId}"].btn-telecharger`);
@@ -306,7 +313,7 @@ async function genererExcel(eleveId) {
     }
   } catch (error) {
     console.error('Erreur:', error);
-    showMessage('Erreur lors de la génération du fichier Excel', 'error');
+    showMessage(error.message || 'Erreur lors de la génération du fichier Excel', 'error');
   } finally {
     btn.disabled = false;
     btn.innerHTML = originalText;
@@ -446,6 +453,14 @@ function attachEventListeners() {
     });
   });
 
+  // Boutons "Télécharger PDF"
+  document.querySelectorAll('.btn-pdf').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      const eleveId = e.target.closest('.btn-pdf').dataset.id;
+      window.location.href = `${API_BASE}/eleves/${eleveId}/pdf`;
+    });
+  });
+
   // Boutons "Modifier"
   document.querySelectorAll('.btn-modifier').forEach(btn => {
     btn.addEventListener('click', (e) => {
@@ -485,38 +500,101 @@ function attachEventListeners() {
   });
 }
 
-// Charger établissement, académie et session depuis localStorage
-function loadSettings() {
+// Charger établissement et académie depuis le serveur (GET /api/config)
+async function loadSettings() {
+  try {
+    const config = await window.loadEtablissementConfig();
+    document.getElementById('etablissement').value = config.etablissement;
+    document.getElementById('academie').value = config.academie;
+
+    await migrateLocalSettings(config);
+  } catch (error) {
+    console.error('Erreur:', error);
+    showMessage('Erreur lors du chargement de la configuration établissement', 'error');
+  }
+}
+
+// Reprise de l'ancienne configuration enregistrée dans le navigateur (localStorage) :
+// envoyée au serveur si celui-ci n'en a pas encore, puis supprimée du navigateur
+async function migrateLocalSettings(config) {
   const etablissement = localStorage.getItem('etablissement');
   const academie = localStorage.getItem('academie');
-  const session = localStorage.getItem('session');
+  const isAdmin = window.currentUser && window.currentUser.role === 'admin';
 
-  if (etablissement) {
-    document.getElementById('etablissement').value = etablissement;
-  }
-  if (academie) {
-    document.getElementById('academie').value = academie;
+  const configuredOnServer = Boolean(config.etablissement || config.academie);
+
+  if (!configuredOnServer) {
+    if (!isAdmin || !etablissement || !academie) return;
+    await putConfig(etablissement, academie);
+    showMessage('Configuration établissement reprise depuis ce navigateur', 'info');
   }
-  if (session) {
-    document.getElementById('session').value = session;
-  } else {
-    // Par défaut, utiliser l'année courante
-    document.getElementById('session').value = new Date().getFullYear().toString();
+
+  ['etablissement', 'academie', 'session'].forEach(key => localStorage.removeItem(key));
+}
+
+// Enregistrer la configuration sur le serveur et mettre à jour les champs cachés
+async function putConfig(etablissement, academie) {
+  const response = await fetchWithCsrf(`${API_BASE}/config`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    credentials: 'include',
+    body: JSON.stringify({ etablissement, academie })
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || 'Erreur lors de l\'enregistrement de la configuration');
   }
+
+  const result = await response.json();
+  document.getElementById('etablissement').value = result.etablissement;
+  document.getElementById('academie').value = result.academie;
+  window.resetEtablissementConfig();
+  return result;
 }
 
 // Ouvrir le modal de configuration
 function openConfigModal() {
-  // Charger les valeurs actuelles depuis localStorage
-  const etablissement = localStorage.getItem('etablissement') || '';
-  const academie = localStorage.getItem('academie') || '';
-  const session = localStorage.getItem('session') || new Date().getFullYear().toString();
-
-  document.getElementById('modal-etablissement').value = etablissement;
-  document.getElementById('modal-academie').value = academie;
-  document.getElementById('modal-session').value = session;
+  document.getElementById('modal-etablissement').value = document.getElementById('etablissement').value;
+  document.getElementById('modal-academie').value = document.getElementById('academie').value;
 
   document.getElementById('modal-manage-config').classList.remove('hidden');
+  loadConfigHistory();
+}
+
+// Afficher le journal des modifications de la configuration
+async function loadConfigHistory() {
+  const container = document.getElementById('config-history');
+  try {
+    const response = await fetchWithCsrf(`${API_BASE}/config/history`, {
+      credentials: 'include'
+    });
+    if (!response.ok) throw new Error('Erreur lors du chargement du journal');
+
+    const entries = await response.json();
+    if (entries.length === 0) {
+      container.innerHTML = '<p style="color: #718096; font-style: italic;">Aucune modification enregistrée.</p>';
+      return;
+    }
+
+    const labels = { etablissement: 'Établissement', academie: 'Académie' };
+    container.innerHTML = entries.map(entry => `
+      <div style="border-left: 3px solid #667eea; padding: 0.25rem 0 0.5rem 1rem; margin-bottom: 0.5rem;">
+        <div style="font-weight: 600;">
+          ${escapeHtml(new Date(entry.timestamp).toLocaleString('fr-FR'))} · ${escapeHtml(entry.user)}
+        </div>
+        <ul style="margin: 0.25rem 0 0 1rem;">
+          ${entry.changes.map(change => `
+            <li><strong>${escapeHtml(labels[change.champ] || change.champ)}</strong> :
+              ${escapeHtml(change.avant || 'Non renseigné')} → ${escapeHtml(change.apres)}</li>
+          `).join('')}
+        </ul>
+      </div>
+    `).join('');
+  } catch (error) {
+    console.error('Erreur:', error);
+    container.innerHTML = '<p style="color: #e53e3e;">Impossible de charger le journal des modifications.</p>';
+  }
 }
 
 // Fermer le modal de configuration
@@ -525,33 +603,702 @@ function closeConfigModal() {
 }
 
 // Sauvegarder la configuration
-function saveConfig() {
+async function saveConfig() {
   const etablissement = document.getElementById('modal-etablissement').value.trim();
   const academie = document.getElementById('modal-academie').value.trim();
-  const session = document.getElementById('modal-session').value.trim();
 
-  if (!etablissement || !academie || !session) {
+  if (!etablissement || !academie) {
     showMessage('Tous les champs sont obligatoires', 'error');
     return;
   }
 
-  if (!/^\d{4}$/.test(session)) {
-    showMessage('La session doit être une année sur 4 chiffres (ex: 2025)', 'error');
+  try {
+    await putConfig(etablissement, academie);
+    window.displayEtablissementInfo();
+    showMessage('Configuration enregistrée avec succès', 'success');
+    closeConfigModal();
+  } catch (error) {
+    console.error('Erreur:', error);
+    showMessage(error.message || 'Erreur lors de l\'enregistrement de la configuration', 'error');
+  }
+}
+
+// ========== GESTION DES SESSIONS D'EXAMEN ==========
+
+let sessionsInfo = null;
+
+// Charger les sessions : session courante, archives et session consultée
+async function loadSessions() {
+  try {
+    const response = await fetchWithCsrf(`${API_BASE}/sessions`, {
+      credentials: 'include'
+    });
+    if (!response.ok) throw new Error('Erreur lors du chargement des sessions');
+
+    sessionsInfo = await response.json();
+    document.getElementById('session').value = sessionsInfo.consultee;
+    displaySessions();
+  } catch (error) {
+    console.error('Erreur:', error);
+    showMessage('Erreur lors du chargement des sessions', 'error');
+  }
+}
+
+// Afficher le sélecteur de session (admin) et le bandeau de lecture seule
+function displaySessions() {
+  const isAdmin = window.currentUser && window.currentUser.role === 'admin';
+  const select = document.getElementById('session-select');
+  const banner = document.getElementById('session-banner');
+
+  if (select && isAdmin) {
+    const archives = [...sessionsInfo.archives].sort((a, b) => b.annee - a.annee);
+    select.innerHTML = `
+      <option value="${sessionsInfo.courante.annee}">Session ${sessionsInfo.courante.annee} (en cours)</option>
+      ${archives.map(archive => `<option value="${archive.annee}">Session ${archive.annee} (archivée)</option>`).join('')}
+    `;
+    select.value = sessionsInfo.consultee;
+    select.classList.remove('hidden');
+  }
+
+  if (banner) {
+    banner.textContent = `📦 Session ${sessionsInfo.consultee} archivée : consultation en lecture seule.`;
+    banner.classList.toggle('hidden', !sessionsInfo.lectureSeule);
+  }
+
+  // Pas d'ajout d'élève dans une session archivée
+  if (sessionsInfo.lectureSeule) {
+    document.getElementById('btn-add-eleve')?.style.setProperty('display', 'none');
+    document.getElementById('btn-import-eleves')?.style.setProperty('display', 'none');
+    document.getElementById('btn-import-grille')?.style.setProperty('display', 'none');
+    document.getElementById('btn-manage-grilles')?.style.setProperty('display', 'none');
+    document.getElementById('btn-excel-lot')?.style.setProperty('display', 'none');
+    // Revenir à la session courante avant d'en ouvrir une nouvelle
+    document.getElementById('btn-new-session')?.style.setProperty('display', 'none');
+  }
+}
+
+// Consulter une autre session (la page est rechargée avec les données de cette session)
+async function switchSession(annee) {
+  try {
+    const response = await fetchWithCsrf(`${API_BASE}/sessions/consulter`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ annee: parseInt(annee) })
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Erreur lors du changement de session');
+    }
+
+    window.location.reload();
+  } catch (error) {
+    console.error('Erreur:', error);
+    showMessage(error.message || 'Erreur lors du changement de session', 'error');
+  }
+}
+
+function openNewSessionModal() {
+  if (!sessionsInfo) return;
+  document.getElementById('session-courante-label').textContent = sessionsInfo.courante.annee;
+  document.getElementById('modal-session-annee').value = sessionsInfo.courante.annee + 1;
+  document.getElementById('modal-session-projets').checked = true;
+  document.getElementById('modal-session-membres').checked = false;
+  document.getElementById('modal-new-session').classList.remove('hidden');
+}
+
+function closeNewSessionModal() {
+  document.getElementById('modal-new-session').classList.add('hidden');
+}
+
+// Archiver la session courante et ouvrir la nouvelle session
+async function createSession() {
+  const annee = parseInt(document.getElementById('modal-session-annee').value);
+  const reprendreProjets = document.getElementById('modal-session-projets').checked;
+  const reprendreMembresJury = document.getElementById('modal-session-membres').checked;
+
+  if (!annee || annee <= sessionsInfo.courante.annee) {
+    showMessage(`L'année doit être postérieure à ${sessionsInfo.courante.annee}`, 'error');
+    return;
+  }
+
+  if (!confirm(`Archiver la session ${sessionsInfo.courante.annee} et ouvrir la session ${annee} ?\n\nLa liste des élèves de la nouvelle session sera vide.`)) {
+    return;
+  }
+
+  const btn = document.getElementById('btn-create-session');
+  const originalText = btn.textContent;
+  btn.disabled = true;
+  btn.innerHTML = '<span class="loading"></span> Archivage...';
+
+  try {
+    const response = await fetchWithCsrf(`${API_BASE}/sessions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ annee, reprendreProjets, reprendreMembresJury })
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Erreur lors de l\'ouverture de la session');
+    }
+
+    window.location.reload();
+  } catch (error) {
+    console.error('Erreur:', error);
+    showMessage(error.message || 'Erreur lors de l\'ouverture de la session', 'error');
+    btn.disabled = false;
+    btn.innerHTML = originalText;
+  }
+}
+
+// ========== IMPORT DES ÉLÈVES ==========
+
+// Champs de l'élève proposés dans la correspondance des colonnes
+const IMPORT_CHAMPS = [
+  { champ: 'nom', label: 'Nom *' },
+  { champ: 'prenom', label: 'Prénom *' },
+  { champ: 'numero', label: 'Numéro *' },
+  { champ: 'promotion', label: 'Promotion/Classe *' },
+  { champ: 'option', label: 'Option' },
+  { champ: 'jury', label: 'Jury' },
+  { champ: 'projet', label: 'Projet' }
+];
+
+// Fichier analysé : { colonnes, lignes, correspondance }
+let importData = null;
+
+function openImportModal() {
+  importData = null;
+  document.getElementById('import-fichier').value = '';
+  document.getElementById('import-etape-correspondance').classList.add('hidden');
+  document.getElementById('btn-confirm-import').disabled = true;
+  document.getElementById('modal-import-eleves').classList.remove('hidden');
+}
+
+function closeImportModal() {
+  document.getElementById('modal-import-eleves').classList.add('hidden');
+  importData = null;
+}
+
+// Envoyer le fichier au serveur pour lecture et correspondance proposée
+async function analyseImportFile(inputElement) {
+  const file = inputElement.files[0];
+  if (!file) return;
+
+  if (file.size > 2 * 1024 * 1024) { // 2 MB max
+    showMessage('Le fichier est trop volumineux (max 2 MB)', 'error');
+    inputElement.value = '';
     return;
   }
 
-  // Sauvegarder dans localStorage
-  localStorage.setItem('etablissement', etablissement);
-  localStorage.setItem('academie', academie);
-  localStorage.setItem('session', session);
+  const formData = new FormData();
+  formData.append('fichier', file);
 
-  // Mettre à jour les champs cachés
-  document.getElementById('etablissement').value = etablissement;
-  document.getElementById('academie').value = academie;
-  document.getElementById('session').value = session;
+  try {
+    const response = await fetchWithCsrf(`${API_BASE}/eleves/import/analyse`, {
+      method: 'POST',
+      credentials: 'include',
+      body: formData
+    });
 
-  showMessage('Configuration enregistrée avec succès', 'success');
-  closeConfigModal();
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Erreur lors de la lecture du fichier');
+    }
+
+    importData = await response.json();
+    displayImportCorrespondance();
+    document.getElementById('import-etape-correspondance').classList.remove('hidden');
+    await previewImport();
+  } catch (error) {
+    console.error('Erreur:', error);
+    showMessage(error.message || 'Erreur lors de la lecture du fichier', 'error');
+    inputElement.value = '';
+  }
+}
+
+// Afficher un sélecteur de colonne par champ de l'élève
+function displayImportCorrespondance() {
+  const container = document.getElementById('import-correspondance');
+  const options = importData.colonnes
+    .map((colonne, index) => `<option value="${index}">${escapeHtml(colonne)}</option>`)
+    .join('');
+
+  container.innerHTML = IMPORT_CHAMPS.map(({ champ, label }) => `
+    <div class="form-group" style="margin: 0;">
+      <label for="import-col-${champ}">${escapeHtml(label)}</label>
+      <select id="import-col-${champ}" data-champ="${champ}">
+        <option value="">— Ignorer —</option>
+        ${options}
+      </select>
+    </div>
+  `).join('');
+
+  IMPORT_CHAMPS.forEach(({ champ }) => {
+    const index = importData.correspondance[champ];
+    document.getElementById(`import-col-${champ}`).value = index === null || index === undefined ? '' : String(index);
+  });
+}
+
+// Construire les lignes à envoyer d'après la correspondance choisie
+function buildImportRows() {
+  const colonnes = {};
+  IMPORT_CHAMPS.forEach(({ champ }) => {
+    const value = document.getElementById(`import-col-${champ}`).value;
+    colonnes[champ] = value === '' ? null : parseInt(value);
+  });
+
+  return importData.lignes.map((cellules, index) => {
+    const row = { ligne: index + 2 }; // Ligne du fichier (l'en-tête est la ligne 1)
+    IMPORT_CHAMPS.forEach(({ champ }) => {
+      row[champ] = colonnes[champ] === null ? '' : cellules[colonnes[champ]];
+    });
+    return row;
+  });
+}
+
+// Vérifier l'import sans rien enregistrer et afficher l'aperçu
+async function previewImport() {
+  if (!importData) return;
+  const btnConfirm = document.getElementById('btn-confirm-import');
+  btnConfirm.disabled = true;
+
+  try {
+    const response = await fetchWithCsrf(`${API_BASE}/eleves/import`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ eleves: buildImportRows(), simulation: true })
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Erreur lors de la vérification de l\'import');
+    }
+
+    const result = await response.json();
+    displayImportPreview(result.rapport);
+
+    const resume = document.getElementById('import-resume');
+    resume.className = `message ${result.erreurs > 0 ? 'error' : 'info'}`;
+    resume.textContent = `${result.aCreer} élève(s) à créer · ${result.doublons} doublon(s) ignoré(s) · ${result.erreurs} ligne(s) en erreur`;
+    btnConfirm.disabled = result.erreurs > 0 || result.aCreer === 0;
+  } catch (error) {
+    console.error('Erreur:', error);
+    showMessage(error.message || 'Erreur lors de la vérification de l\'import', 'error');
+  }
+}
+
+function displayImportPreview(rapport) {
+  const container = document.getElementById('import-apercu');
+  const rows = rapport.map(item => {
+    let statut;
+    let fond = '';
+    if (item.erreurs.length > 0) {
+      statut = `<span style="color: #e53e3e;">❌ ${escapeHtml(item.erreurs.join(' · '))}</span>`;
+      fond = 'background: #fff5f5;';
+    } else if (item.doublon) {
+      statut = `<span style="color: #d69e2e;">⚠️ Ignoré : ${escapeHtml(item.doublon)}</span>`;
+      fond = 'background: #fffff0;';
+    } else {
+      statut = '<span style="color: #38a169;">✓ À créer</span>';
+    }
+
+    const projet = projets.find(p => p.id === item.eleve.projetId);
+    return `
+      <tr style="${fond}">
+        <td>${item.ligne}</td>
+        <td>${escapeHtml(item.eleve.numero)}</td>
+        <td>${escapeHtml(item.eleve.nom)}</td>
+        <td>${escapeHtml(item.eleve.prenom)}</td>
+        <td>${escapeHtml(item.eleve.promotion)}</td>
+        <td>${escapeHtml(item.eleve.option)}</td>
+        <td>${escapeHtml(getJuryName(juries, item.eleve.jury))}</td>
+        <td>${escapeHtml(projet ? projet.nom : '')}</td>
+        <td>${statut}</td>
+      </tr>
+    `;
+  }).join('');
+
+  container.innerHTML = `
+    <table style="font-size: 0.85rem;">
+      <thead>
+        <tr>
+          <th>Ligne</th><th>N°</th><th>Nom</th><th>Prénom</th><th>Promotion</th>
+          <th>Option</th><th>Jury</th><th>Projet</th><th>Statut</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
+// Enregistrer les élèves (une seule transaction côté serveur)
+async function confirmImport() {
+  if (!importData) return;
+
+  const btn = document.getElementById('btn-confirm-import');
+  const originalText = btn.textContent;
+  btn.disabled = true;
+  btn.innerHTML = '<span class="loading"></span> Import...';
+
+  try {
+    const response = await fetchWithCsrf(`${API_BASE}/eleves/import`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ eleves: buildImportRows(), simulation: false })
+    });
+
+    const result = await response.json();
+    if (!response.ok) {
+      if (result.rapport) {
+        displayImportPreview(result.rapport);
+      }
+      throw new Error(result.error || 'Erreur lors de l\'import des élèves');
+    }
+
+    closeImportModal();
+    showMessage(`${result.crees} élève(s) importé(s), ${result.ignores} doublon(s) ignoré(s)`, 'success');
+    await loadEleves();
+  } catch (error) {
+    console.error('Erreur:', error);
+    showMessage(error.message || 'Erreur lors de l\'import des élèves', 'error');
+    btn.disabled = false;
+  } finally {
+    btn.textContent = originalText;
+  }
+}
+
+// ========== IMPORT D'UNE GRILLE REMPLIE ==========
+
+// Analyse en cours : { eleve, identite, phases, avertissements, mapping }
+let grilleData = null;
+
+function openGrilleModal() {
+  grilleData = null;
+  const options = [...allEleves]
+    .sort((a, b) => `${a.nom} ${a.prenom}`.localeCompare(`${b.nom} ${b.prenom}`, 'fr'))
+    .map(e => `<option value="${e.id}">${escapeHtml(`${e.nom} ${e.prenom}`)}${e.numero ? ` (${escapeHtml(e.numero)})` : ''}</option>`)
+    .join('');
+  document.getElementById('grille-eleve').innerHTML =
+    `<option value="">Reconnaître d'après l'identité du fichier</option>${options}`;
+  document.getElementById('grille-fichier').value = '';
+  document.getElementById('grille-resultat').classList.add('hidden');
+  document.getElementById('btn-confirm-grille').disabled = true;
+  document.getElementById('modal-import-grille').classList.remove('hidden');
+}
+
+function closeGrilleModal() {
+  document.getElementById('modal-import-grille').classList.add('hidden');
+  grilleData = null;
+}
+
+// Envoyer la grille au serveur pour lecture et comparaison avec les évaluations enregistrées
+async function analyseGrille() {
+  const file = document.getElementById('grille-fichier').files[0];
+  const btn = document.getElementById('btn-confirm-grille');
+  grilleData = null;
+  btn.disabled = true;
+  document.getElementById('grille-resultat').classList.add('hidden');
+  if (!file) return;
+
+  if (file.size > 5 * 1024 * 1024) { // 5 MB max
+    showMessage('Le fichier est trop volumineux (max 5 MB)', 'error');
+    return;
+  }
+
+  const formData = new FormData();
+  formData.append('fichier', file);
+  const eleveId = document.getElementById('grille-eleve').value;
+  if (eleveId) {
+    formData.append('eleveId', eleveId);
+  }
+
+  try {
+    const response = await fetchWithCsrf(`${API_BASE}/evaluations/import-grille/analyse`, {
+      method: 'POST',
+      credentials: 'include',
+      body: formData
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Erreur lors de la lecture de la grille');
+    }
+
+    const analyse = await response.json();
+
+    // Libellés des critères et des niveaux de la grille de chaque évaluation de l'élève
+    const mappingResponse = await fetch(`${API_BASE}/eleves/${analyse.eleve.id}/mapping`, {
+      credentials: 'include'
+    });
+    if (!mappingResponse.ok) {
+      throw new Error('Erreur lors du chargement du mapping');
+    }
+
+    grilleData = { ...analyse, mapping: await mappingResponse.json() };
+    displayGrilleAnalyse();
+  } catch (error) {
+    console.error('Erreur:', error);
+    showMessage(error.message || 'Erreur lors de la lecture de la grille', 'error');
+  }
+}
+
+// Libellé d'un champ d'évaluation d'une phase
+function grilleFieldLabel(semestre, champ) {
+  const evaluation = grilleData.mapping.evaluations[semestre];
+  for (const [compCode, compData] of Object.entries(evaluation ? evaluation.competences : {})) {
+    const critere = compData.criteres.find(c => c.id === champ);
+    if (critere) {
+      return `${compCode} - ${critere.texte}`;
+    }
+  }
+  return HISTORY_FIELD_LABELS[champ] || champ;
+}
+
+// Libellé d'une valeur (niveau du mapping pour un critère)
+function grilleValueLabel(champ, value) {
+  if (value === null) {
+    return 'Non renseigné';
+  }
+  const niveau = grilleData.mapping.niveaux[`niveau_${value}`];
+  if (!['commentaireGeneral', 'bonus', 'note_finale'].includes(champ) && niveau) {
+    return niveau.label;
+  }
+  return String(value);
+}
+
+// Afficher, pour chaque phase lue, les différences avec l'évaluation enregistrée
+function displayGrilleAnalyse() {
+  const { eleve, phases, avertissements } = grilleData;
+  const container = document.getElementById('grille-resultat');
+
+  const alertes = avertissements.length === 0 ? '' : `
+    <ul style="color: #d69e2e; margin: 0 0 1rem 1rem;">
+      ${avertissements.map(a => `<li>⚠️ ${escapeHtml(a)}</li>`).join('')}
+    </ul>
+  `;
+
+  const blocs = phases.map(phase => {
+    const lignes = phase.diff.map(item => `
+      <tr>
+        <td>${escapeHtml(grilleFieldLabel(phase.semestre, item.champ))}</td>
+        <td>${escapeHtml(grilleValueLabel(item.champ, item.actuel))}</td>
+        <td>${escapeHtml(grilleValueLabel(item.champ, item.propose))}</td>
+      </tr>
+    `).join('');
+    const detail = phase.diff.length === 0
+      ? '<p style="color: #718096; font-style: italic;">Identique à l\'évaluation enregistrée.</p>'
+      : `
+        <table style="font-size: 0.85rem;">
+          <thead><tr><th>Champ</th><th>Enregistré</th><th>Fichier</th></tr></thead>
+          <tbody>${lignes}</tbody>
+        </table>
+      `;
+
+    return `
+      <div style="margin-bottom: 1rem;">
+        <label style="font-weight: 600;">
+          <input type="checkbox" class="grille-phase" value="${escapeHtml(phase.semestre)}" ${phase.diff.length > 0 ? 'checked' : ''}>
+          ${escapeHtml(HISTORY_PHASE_LABELS[phase.semestre] || phase.semestre)}
+          <span style="color: #718096; font-weight: normal;">(${phase.diff.length} modification(s))</span>
+        </label>
+        ${detail}
+      </div>
+    `;
+  }).join('');
+
+  container.innerHTML = `
+    <h4 style="margin: 1rem 0 0.5rem;">
+      ${escapeHtml(`${eleve.nom} ${eleve.prenom}`)}${eleve.numero ? ` (${escapeHtml(eleve.numero)})` : ''}
+    </h4>
+    ${alertes}
+    ${phases.length === 0 ? '<p style="color: #718096; font-style: italic;">Aucune évaluation renseignée dans ce fichier.</p>' : blocs}
+  `;
+  container.classList.remove('hidden');
+  updateGrilleConfirm();
+}
+
+function updateGrilleConfirm() {
+  document.getElementById('btn-confirm-grille').disabled =
+    !grilleData || document.querySelectorAll('.grille-phase:checked').length === 0;
+}
+
+// Enregistrer les phases cochées (toutes ou aucune côté serveur)
+async function confirmGrille() {
+  if (!grilleData) return;
+
+  const semestres = [...document.querySelectorAll('.grille-phase:checked')].map(input => input.value);
+  const phases = grilleData.phases
+    .filter(phase => semestres.includes(phase.semestre))
+    .map(({ semestre, data, revision, grille }) => ({ semestre, data, revision, grille }));
+
+  const btn = document.getElementById('btn-confirm-grille');
+  const originalText = btn.textContent;
+  btn.disabled = true;
+  btn.innerHTML = '<span class="loading"></span> Import...';
+
+  try {
+    const response = await fetchWithCsrf(`${API_BASE}/eleves/${grilleData.eleve.id}/import-grille`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ phases })
+    });
+
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.error || 'Erreur lors de l\'import des évaluations');
+    }
+
+    closeGrilleModal();
+    showMessage(result.message, 'success');
+    await loadEleves();
+  } catch (error) {
+    console.error('Erreur:', error);
+    showMessage(error.message || 'Erreur lors de l\'import des évaluations', 'error');
+    btn.disabled = false;
+  } finally {
+    btn.textContent = originalText;
+  }
+}
+
+// ========== GÉNÉRATION EXCEL PAR LOT ==========
+
+// Lot en cours de suivi
+let currentLotId = null;
+
+function openExcelLotModal() {
+  const juryOptions = juries
+    .filter(j => !j.archived)
+    .map(j => `<option value="${escapeHtml(j.id)}">${escapeHtml(j.nom)}</option>`)
+    .join('');
+  const projetOptions = projets
+    .map(p => `<option value="${escapeHtml(p.id)}">${escapeHtml(p.nom)}</option>`)
+    .join('');
+  const promotions = [...new Set(allEleves.map(e => e.promotion).filter(Boolean))].sort();
+  const promotionOptions = promotions
+    .map(p => `<option value="${escapeHtml(p)}">${escapeHtml(p)}</option>`)
+    .join('');
+
+  document.getElementById('lot-jury').innerHTML = `<option value="">Tous les jurys</option>${juryOptions}`;
+  document.getElementById('lot-projet').innerHTML = `<option value="">Tous les projets</option>${projetOptions}`;
+  document.getElementById('lot-promotion').innerHTML = `<option value="">Toutes les promotions</option>${promotionOptions}`;
+
+  // Réafficher le lot en cours s'il y en a un
+  if (!currentLotId) {
+    document.getElementById('lot-progression').classList.add('hidden');
+    document.getElementById('btn-download-lot').classList.add('hidden');
+    document.getElementById('btn-start-lot').disabled = false;
+  }
+  document.getElementById('modal-excel-lot').classList.remove('hidden');
+}
+
+function closeExcelLotModal() {
+  // Le suivi continue en arrière-plan si la génération n'est pas terminée
+  document.getElementById('modal-excel-lot').classList.add('hidden');
+}
+
+// Lancer la génération du lot
+async function startExcelLot() {
+  const btn = document.getElementById('btn-start-lot');
+  btn.disabled = true;
+
+  try {
+    const response = await fetchWithCsrf(`${API_BASE}/excel/lots`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({
+        jury: document.getElementById('lot-jury').value,
+        projet: document.getElementById('lot-projet').value,
+        promotion: document.getElementById('lot-promotion').value
+      })
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Erreur lors du lancement de la génération');
+    }
+
+    const lot = await response.json();
+    currentLotId = lot.id;
+    document.getElementById('btn-download-lot').classList.add('hidden');
+    document.getElementById('lot-progression').classList.remove('hidden');
+    displayExcelLot(lot);
+    setTimeout(pollExcelLot, 1000);
+  } catch (error) {
+    console.error('Erreur:', error);
+    showMessage(error.message || 'Erreur lors du lancement de la génération', 'error');
+    btn.disabled = false;
+  }
+}
+
+// Suivre l'avancement du lot jusqu'à la fin
+async function pollExcelLot() {
+  if (!currentLotId) return;
+
+  try {
+    const response = await fetchWithCsrf(`${API_BASE}/excel/lots/${currentLotId}`);
+    if (!response.ok) {
+      throw new Error('Lot introuvable (serveur redémarré ?)');
+    }
+
+    const lot = await response.json();
+    displayExcelLot(lot);
+
+    if (lot.statut === 'en_cours') {
+      setTimeout(pollExcelLot, 1000);
+      return;
+    }
+
+    document.getElementById('btn-start-lot').disabled = false;
+    if (lot.fichiers > 0) {
+      document.getElementById('btn-download-lot').classList.remove('hidden');
+    }
+    showMessage(`Génération terminée : ${lot.fichiers}/${lot.total} fichier(s)`, lot.erreurs.length > 0 ? 'info' : 'success');
+  } catch (error) {
+    console.error('Erreur:', error);
+    showMessage(error.message, 'error');
+    currentLotId = null;
+    document.getElementById('btn-start-lot').disabled = false;
+  }
+}
+
+function displayExcelLot(lot) {
+  const pourcentage = lot.total > 0 ? Math.round(lot.traites * 100 / lot.total) : 0;
+  document.getElementById('lot-barre').style.width = `${pourcentage}%`;
+
+  let statut = `${lot.traites}/${lot.total} élève(s) traité(s)`;
+  if (lot.statut === 'termine') {
+    statut = `Terminé : ${lot.fichiers}/${lot.total} fichier(s) généré(s)`;
+  } else if (lot.statut === 'erreur') {
+    statut = 'La génération a été interrompue';
+  }
+  document.getElementById('lot-statut').textContent = statut;
+
+  document.getElementById('lot-erreurs').innerHTML = lot.erreurs
+    .map(e => `<li>${escapeHtml(e.eleve)} : ${escapeHtml(e.error)}</li>`)
+    .join('');
+}
+
+function downloadExcelLot() {
+  if (!currentLotId) return;
+  window.location.href = `${API_BASE}/excel/lots/${currentLotId}/zip`;
+}
+
+// Télécharger les grilles PDF des élèves correspondant aux critères (un seul fichier à imprimer)
+function downloadPdfLot() {
+  const params = new URLSearchParams();
+  ['jury', 'projet', 'promotion'].forEach(critere => {
+    const value = document.getElementById(`lot-${critere}`).value;
+    if (value) params.set(critere, value);
+  });
+  window.location.href = `${API_BASE}/grilles/pdf?${params.toString()}`;
 }
 
 // ========== GESTION DU MODAL CHANGEMENT DE MOT DE PASSE ==========
@@ -808,6 +1555,8 @@ async function deleteCahierChargesFromModal(projetId, projetNom) {
 
 // Gestion du modal (ajout)
 function openModal() {
+  populateOptionSelect(document.getElementById('new-option'), '');
+  populateJurySelect(document.getElementById('new-jury'), '');
   document.getElementById('modal-add-eleve').classList.remove('hidden');
 }
 
@@ -835,7 +1584,8 @@ function openEditModal(eleveId) {
   document.getElementById('edit-prenom').value = eleve.prenom || '';
   document.getElementById('edit-promotion').value = eleve.promotion || '';
   document.getElementById('edit-numero').value = eleve.numero || '';
-  document.getElementById('edit-jury').value = eleve.jury || '';
+  populateOptionSelect(document.getElementById('edit-option'), eleve.option);
+  populateJurySelect(document.getElementById('edit-jury'), eleve.jury || '');
 
   document.getElementById('modal-edit-eleve').classList.remove('hidden');
 }
@@ -851,6 +1601,7 @@ async function addEleve() {
   const prenom = document.getElementById('new-prenom').value.trim();
   const promotion = document.getElementById('new-promotion').value.trim();
   const numero = document.getElementById('new-numero').value.trim();
+  const option = document.getElementById('new-option').value;
   const jury = document.getElementById('new-jury').value;
 
   if (!nom || !prenom || !promotion || !numero) {
@@ -868,7 +1619,7 @@ async function addEleve() {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       credentials: 'include',
-      body: JSON.stringify({ nom, prenom, promotion, numero, jury })
+      body: JSON.stringify({ nom, prenom, promotion, numero, option, jury })
     });
 
     if (!response.ok) {
@@ -896,6 +1647,7 @@ async function editEleve() {
   const prenom = document.getElementById('edit-prenom').value.trim();
   const promotion = document.getElementById('edit-promotion').value.trim();
   const numero = document.getElementById('edit-numero').value.trim();
+  const option = document.getElementById('edit-option').value;
   const jury = document.getElementById('edit-jury').value;
 
   if (!nom || !prenom || !promotion || !numero) {
@@ -913,7 +1665,7 @@ async function editEleve() {
       method: 'PATCH',
       headers: { 'Content-Type': 'application/json' },
       credentials: 'include',
-      body: JSON.stringify({ nom, prenom, promotion, numero, jury })
+      body: JSON.stringify({ nom, prenom, promotion, numero, option, jury })
     });
 
     if (!response.ok) {
@@ -934,11 +1686,9 @@ async function editEleve() {
   }
 }
 
-// Variables globales pour les jurys
-let juryMembers = {
-  jury1: [],
-  jury2: []
-};
+// Variables globales pour les jurys (registre + membres indexés par id de jury)
+let juries = [];
+let juryMembers = {};
 
 // Variable globale pour les projets
 let projets = [];
@@ -946,49 +1696,249 @@ let projets = [];
 // Variable globale pour stocker tous les élèves
 let allEleves = [];
 
+// Options BTS CIEL (IR, ER) et disponibilité de leurs grilles
+let cielOptions = [];
+
 // Charger les projets
 async function loadProjets() {
   try {
     const response = await fetchWithCsrf(`${API_BASE}/projets`, {
       credentials: 'include'
     });
-    if (response.ok) {
-      projets = await response.json();
+    if (response.ok) {
+      projets = await response.json();
+    }
+  } catch (error) {
+    console.error('Erreur lors du chargement des projets:', error);
+  }
+}
+
+// Charger les options BTS CIEL
+async function loadOptions() {
+  try {
+    const response = await fetchWithCsrf(`${API_BASE}/options`, {
+      credentials: 'include'
+    });
+    if (response.ok) {
+      cielOptions = await response.json();
+    }
+  } catch (error) {
+    console.error('Erreur lors du chargement des options:', error);
+  }
+}
+
+// Peupler un sélecteur d'option : seules les options dont les grilles sont installées
+// sont proposées, plus l'option actuelle de l'élève
+function populateOptionSelect(select, selectedCode) {
+  if (!select) return;
+  const defaut = cielOptions.find(option => option.defaut);
+  const selected = selectedCode || (defaut ? defaut.code : '');
+
+  select.innerHTML = cielOptions
+    .filter(option => option.disponible || option.code === selected)
+    .map(option => `
+      <option value="${escapeHtml(option.code)}">${escapeHtml(option.code)} - ${escapeHtml(option.label)}</option>
+    `).join('');
+  select.value = selected;
+}
+
+// Charger le registre des jurys
+async function loadJuries() {
+  try {
+    const response = await fetchWithCsrf(`${API_BASE}/juries`, {
+      credentials: 'include'
+    });
+    if (response.ok) {
+      juries = await response.json();
+    }
+  } catch (error) {
+    console.error('Erreur lors du chargement des jurys:', error);
+  }
+}
+
+// Construire les options d'un sélecteur de jury : jurys actifs, plus le jury
+// actuellement sélectionné s'il a été archivé entre-temps
+function buildJuryOptions(selectedId) {
+  return juries
+    .filter(jury => !jury.archived || jury.id === selectedId)
+    .map(jury => `
+      <option value="${escapeHtml(jury.id)}" ${jury.id === selectedId ? 'selected' : ''}>${escapeHtml(jury.nom)}${jury.archived ? ' (archivé)' : ''}</option>
+    `).join('');
+}
+
+// Peupler un sélecteur de jury des modals élève
+function populateJurySelect(select, selectedId) {
+  if (!select) return;
+  select.innerHTML = `<option value="">-- Non assigné --</option>${buildJuryOptions(selectedId)}`;
+  select.value = selectedId || '';
+}
+
+// Peupler le filtre de jury avec les jurys du registre
+function populateJuryFilter() {
+  const filterSelect = document.getElementById('filter-jury');
+  if (!filterSelect) return;
+
+  const currentValue = filterSelect.value;
+
+  filterSelect.innerHTML = `
+    <option value="">Tous</option>
+    ${juries.map(jury => `<option value="${escapeHtml(jury.id)}">${escapeHtml(jury.nom)}${jury.archived ? ' (archivé)' : ''}</option>`).join('')}
+    <option value="unassigned">Non assigné</option>
+  `;
+
+  // Restaurer la valeur sélectionnée si elle existe toujours
+  if (Array.from(filterSelect.options).some(opt => opt.value === currentValue)) {
+    filterSelect.value = currentValue;
+  }
+}
+
+// Recharger le registre des jurys et rafraîchir tout ce qui en dépend
+async function refreshJuries() {
+  await loadJuries();
+  displayJuryMembers();
+  populateJuryFilter();
+  applyFilters();
+}
+
+// Charger les membres des jurys
+async function loadJuryMembers() {
+  try {
+    const response = await fetchWithCsrf(`${API_BASE}/jury-members`, {
+      credentials: 'include'
+    });
+    if (response.ok) {
+      juryMembers = await response.json();
+    }
+  } catch (error) {
+    console.error('Erreur lors du chargement des membres du jury:', error);
+  }
+}
+
+// Ouvrir le modal de gestion des jurys
+function openJuryModal() {
+  document.getElementById('modal-manage-jury').classList.remove('hidden');
+  displayJuryMembers();
+}
+
+// Fermer le modal de gestion des jurys
+function closeJuryModal() {
+  document.getElementById('modal-manage-jury').classList.add('hidden');
+}
+
+// Afficher les membres des jurys (un bloc par jury actif, puis les jurys archivés)
+function displayJuryMembers() {
+  const container = document.getElementById('juries-container');
+  if (!container) return;
+
+  const activeJuries = juries.filter(jury => !jury.archived);
+  const archivedJuries = juries.filter(jury => jury.archived);
+
+  let html = activeJuries.length === 0
+    ? '<p style="color: #718096; font-style: italic;">Aucun jury actif</p>'
+    : activeJuries.map((jury, index) => `
+      ${index > 0 ? '<hr style="margin: 2rem 0; border: none; border-top: 1px solid #e2e8f0;">' : ''}
+      <div class="jury-section">
+        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 1rem;">
+          <h4 style="color: #667eea; margin: 0;">${escapeHtml(jury.nom)}</h4>
+          <div>
+            <button class="btn btn-secondary btn-sm" data-action="rename-jury" data-jury="${escapeHtml(jury.id)}">✏️ Renommer</button>
+            <button class="btn btn-danger btn-sm" data-action="archive-jury" data-jury="${escapeHtml(jury.id)}">📦 Archiver</button>
+          </div>
+        </div>
+        <div id="${escapeHtml(jury.id)}-members"></div>
+        <button class="btn btn-secondary btn-sm" data-action="add-member" data-jury="${escapeHtml(jury.id)}" style="margin-top: 0.5rem;">+ Ajouter un membre</button>
+      </div>
+    `).join('');
+
+  if (archivedJuries.length > 0) {
+    html += `
+      <hr style="margin: 2rem 0; border: none; border-top: 1px solid #e2e8f0;">
+      <h4 style="color: #718096; margin-bottom: 1rem;">Jurys archivés</h4>
+      ${archivedJuries.map(jury => `
+        <div style="display: flex; justify-content: space-between; align-items: center; padding: 0.5rem 0.75rem; background: #f7fafc; border-radius: 6px; margin-bottom: 0.5rem;">
+          <span style="color: #718096;">${escapeHtml(jury.nom)}</span>
+          <button class="btn btn-secondary btn-sm" data-action="restore-jury" data-jury="${escapeHtml(jury.id)}">♻️ Restaurer</button>
+        </div>
+      `).join('')}
+    `;
+  }
+
+  container.innerHTML = html;
+  activeJuries.forEach(jury => displayJuryList(jury.id));
+}
+
+// Créer un nouveau jury
+async function createJury() {
+  const nom = prompt('Nom du nouveau jury:', `Jury ${juries.length + 1}`);
+  if (!nom || nom.trim() === '') return;
+
+  try {
+    const response = await fetchWithCsrf(`${API_BASE}/juries`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ nom: nom.trim() })
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Erreur lors de la création');
     }
+
+    const jury = await response.json();
+    juryMembers[jury.id] = [];
+    showMessage(`${jury.nom} créé avec succès`, 'success');
+    await refreshJuries();
   } catch (error) {
-    console.error('Erreur lors du chargement des projets:', error);
+    console.error('Erreur:', error);
+    showMessage(error.message || 'Erreur lors de la création du jury', 'error');
   }
 }
 
-// Charger les membres des jurys
-async function loadJuryMembers() {
+// Renommer, archiver ou restaurer un jury
+async function updateJuryRegistry(juryId, changes, successMessage) {
   try {
-    const response = await fetchWithCsrf(`${API_BASE}/jury-members`, {
-      credentials: 'include'
+    const response = await fetchWithCsrf(`${API_BASE}/juries/${juryId}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify(changes)
     });
-    if (response.ok) {
-      juryMembers = await response.json();
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Erreur lors de la modification');
     }
+
+    showMessage(successMessage, 'success');
+    await refreshJuries();
   } catch (error) {
-    console.error('Erreur lors du chargement des membres du jury:', error);
+    console.error('Erreur:', error);
+    showMessage(error.message || 'Erreur lors de la modification du jury', 'error');
   }
 }
 
-// Ouvrir le modal de gestion des jurys
-function openJuryModal() {
-  document.getElementById('modal-manage-jury').classList.remove('hidden');
-  displayJuryMembers();
+function renameJury(juryId) {
+  const currentName = getJuryName(juries, juryId);
+  const nom = prompt('Nouveau nom du jury:', currentName);
+  if (!nom || nom.trim() === '' || nom.trim() === currentName) return;
+  updateJuryRegistry(juryId, { nom: nom.trim() }, 'Jury renommé avec succès');
 }
 
-// Fermer le modal de gestion des jurys
-function closeJuryModal() {
-  document.getElementById('modal-manage-jury').classList.add('hidden');
+function archiveJury(juryId) {
+  const nom = getJuryName(juries, juryId);
+  const assignedCount = allEleves.filter(eleve => eleve.jury === juryId).length;
+  const warning = assignedCount > 0
+    ? `\n\n${assignedCount} élève(s) restent affectés à ce jury : leurs évaluations sont conservées.`
+    : '';
+  if (!confirm(`Archiver le jury "${nom}" ?\n\nIl ne pourra plus être affecté à de nouveaux élèves.${warning}`)) {
+    return;
+  }
+  updateJuryRegistry(juryId, { archived: true }, `Jury "${nom}" archivé`);
 }
 
-// Afficher les membres des jurys
-function displayJuryMembers() {
-  displayJuryList('jury1');
-  displayJuryList('jury2');
+function restoreJury(juryId) {
+  updateJuryRegistry(juryId, { archived: false }, `Jury "${getJuryName(juries, juryId)}" restauré`);
 }
 
 // Afficher la liste d'un jury spécifique
@@ -1001,7 +1951,15 @@ function displayJuryList(juryId) {
     return;
   }
 
-  container.innerHTML = members.map((member, index) => `
+  // Les membres qui ont un compte personnel se modifient depuis « Gérer les utilisateurs »
+  container.innerHTML = members.map((member, index) => member.compte ? `
+    <div class="jury-member" style="display: grid; grid-template-columns: 1fr 1fr 1fr auto; gap: 0.5rem; margin-bottom: 0.5rem; padding: 0.75rem; background: #ebf4ff; border-radius: 6px; align-items: center;">
+      <span>${escapeHtml(member.nom)}</span>
+      <span>${escapeHtml(member.prenom)}</span>
+      <span>${escapeHtml(member.qualite || '-')}</span>
+      <span style="color: #667eea; font-size: 0.875rem;" title="Modifiable depuis « Gérer les utilisateurs »">👤 ${escapeHtml(member.compte)}</span>
+    </div>
+  ` : `
     <div class="jury-member" style="display: grid; grid-template-columns: 1fr 1fr 1fr auto; gap: 0.5rem; margin-bottom: 0.5rem; padding: 0.75rem; background: #f7fafc; border-radius: 6px;">
       <input type="text" placeholder="Nom" value="${escapeHtml(member.nom || '')}" data-jury="${escapeHtml(juryId)}" data-index="${index}" data-field="nom" class="jury-input" style="padding: 0.5rem; border: 1px solid #e2e8f0; border-radius: 4px;">
       <input type="text" placeholder="Prénom" value="${escapeHtml(member.prenom || '')}" data-jury="${escapeHtml(juryId)}" data-index="${index}" data-field="prenom" class="jury-input" style="padding: 0.5rem; border: 1px solid #e2e8f0; border-radius: 4px;">
@@ -1079,9 +2037,31 @@ async function saveJuryMembers() {
 // Ouvrir le modal de gestion des utilisateurs
 async function openUsersModal() {
   document.getElementById('modal-manage-users').classList.remove('hidden');
+  resetNewUserForm();
   await loadAndDisplayUsers();
 }
 
+// Réinitialiser le formulaire de création de compte
+function resetNewUserForm() {
+  document.getElementById('new-user-username').value = '';
+  document.getElementById('new-user-password').value = '';
+  document.getElementById('new-user-nom').value = '';
+  document.getElementById('new-user-prenom').value = '';
+  document.getElementById('new-user-qualite').value = '';
+  document.getElementById('new-user-role').value = 'jury';
+  document.getElementById('new-user-jury').innerHTML = buildJuryOptions();
+  updateNewUserJuryVisibility();
+}
+
+// Le jury n'est demandé que pour un compte jury
+function updateNewUserJuryVisibility() {
+  const isJury = document.getElementById('new-user-role').value === 'jury';
+  document.getElementById('new-user-jury-group').style.display = isJury ? '' : 'none';
+  document.querySelectorAll('.new-user-identity-required').forEach(el => {
+    el.style.display = isJury ? '' : 'none';
+  });
+}
+
 // Fermer le modal de gestion des utilisateurs
 function closeUsersModal() {
   document.getElementById('modal-manage-users').classList.add('hidden');
@@ -1115,36 +2095,226 @@ function displayUsers(users) {
     return;
   }
 
-  container.innerHTML = users.map(user => `
-    <div style="border: 1px solid #e2e8f0; border-radius: 8px; padding: 1rem; margin-bottom: 1rem;">
-      <div style="display: flex; justify-content: space-between; align-items: center;">
+  const currentUsername = window.currentUser?.username;
+
+  container.innerHTML = users.map(user => {
+    const isSelf = user.username === currentUsername;
+    const username = escapeHtml(user.username);
+    // Affectation : administrateur, ou jury du registre
+    const affectation = user.role === 'admin' ? 'admin' : `jury:${user.juryId || ''}`;
+    const jurysOptions = juries
+      .filter(jury => !jury.archived || jury.id === user.juryId)
+      .map(jury => `<option value="jury:${escapeHtml(jury.id)}">Jury : ${escapeHtml(jury.nom)}${jury.archived ? ' (archivé)' : ''}</option>`)
+      .join('');
+
+    return `
+    <div class="user-card" style="border: 1px solid #e2e8f0; border-radius: 8px; padding: 1rem; margin-bottom: 1rem; ${user.disabled ? 'opacity: 0.6;' : ''}">
+      <div style="display: flex; justify-content: space-between; align-items: center; gap: 1rem; flex-wrap: wrap;">
         <div>
-          <strong style="font-size: 1.1rem;">${escapeHtml(user.username)}</strong>
-          <span style="margin-left: 1rem; color: #667eea; font-weight: 500;">${escapeHtml(user.role)}</span>
-          ${user.juryId ? `<span style="margin-left: 0.5rem; color: #718096;">(${escapeHtml(user.juryId)})</span>` : ''}
+          <strong style="font-size: 1.1rem;">${username}</strong>
+          ${user.prenom || user.nom ? `<span style="margin-left: 0.5rem;">${escapeHtml(`${user.prenom} ${user.nom}`.trim())}</span>` : ''}
+          ${user.role === 'jury' && !user.prenom && !user.nom ? '<span style="margin-left: 0.5rem; color: #718096; font-style: italic;">compte partagé</span>' : ''}
+          ${isSelf ? '<span style="margin-left: 0.5rem; color: #718096;">(vous)</span>' : ''}
+          ${user.disabled ? '<span class="badge danger" style="margin-left: 0.5rem;">Désactivé</span>' : ''}
+          ${user.mustChangePassword ? '<span class="badge warning" style="margin-left: 0.5rem;">Mot de passe à définir</span>' : ''}
+          ${user.totp ? '<span class="badge success" style="margin-left: 0.5rem;" title="Double authentification activée">🔐 2FA</span>' : ''}
         </div>
-        <button
-          class="btn btn-secondary btn-sm"
-          data-action="reset-password" data-username="${escapeHtml(user.username)}"
-          ${user.username === 'admin' ? 'style="visibility: hidden;"' : ''}
-        >
+        <select data-action="change-affectation" data-username="${username}" data-current="${escapeHtml(affectation)}"
+          style="width: auto;" ${isSelf ? 'disabled' : ''}>
+          <option value="admin">Administrateur</option>
+          ${jurysOptions}
+        </select>
+      </div>
+      <div style="display: grid; grid-template-columns: 1fr 1fr 1fr auto; gap: 0.5rem; margin-top: 0.75rem;">
+        <input type="text" placeholder="Prénom" maxlength="100" value="${escapeHtml(user.prenom)}" data-identity="prenom" style="padding: 0.5rem; border: 1px solid #e2e8f0; border-radius: 4px;">
+        <input type="text" placeholder="Nom" maxlength="100" value="${escapeHtml(user.nom)}" data-identity="nom" style="padding: 0.5rem; border: 1px solid #e2e8f0; border-radius: 4px;">
+        <input type="text" placeholder="Qualité" maxlength="100" value="${escapeHtml(user.qualite)}" data-identity="qualite" style="padding: 0.5rem; border: 1px solid #e2e8f0; border-radius: 4px;">
+        <button class="btn btn-secondary btn-sm" data-action="save-identity" data-username="${username}">💾 Identité</button>
+      </div>
+      <div style="display: flex; gap: 0.5rem; margin-top: 0.75rem; flex-wrap: wrap;">
+        ${isSelf ? '' : `
+        <button class="btn btn-secondary btn-sm" data-action="reset-password" data-username="${username}">
           🔒 Réinitialiser mot de passe
         </button>
+        <button class="btn btn-secondary btn-sm" data-action="toggle-user" data-username="${username}" data-disabled="${user.disabled ? 'true' : 'false'}">
+          ${user.disabled ? '✅ Réactiver' : '⛔ Désactiver'}
+        </button>
+        ${user.totp ? `
+        <button class="btn btn-secondary btn-sm" data-action="reset-2fa" data-username="${username}">
+          🔐 Réinitialiser la 2FA
+        </button>` : ''}
+        <button class="btn btn-danger btn-sm" data-action="delete-user" data-username="${username}">
+          🗑️ Supprimer
+        </button>`}
       </div>
     </div>
-  `).join('');
+  `;
+  }).join('');
+
+  // Sélectionner l'affectation actuelle de chaque compte
+  container.querySelectorAll('[data-action="change-affectation"]').forEach(select => {
+    select.value = select.dataset.current;
+  });
 }
 
-// Réinitialiser le mot de passe d'un utilisateur
-async function resetUserPassword(username) {
-  const newPassword = prompt(`Entrez le nouveau mot de passe pour ${username}:\n(minimum 6 caractères)`);
+// Envoyer une modification de compte puis rafraîchir la liste
+async function patchUser(username, changes, successMessage) {
+  try {
+    const response = await fetchWithCsrf(`${API_BASE}/users/${encodeURIComponent(username)}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify(changes)
+    });
 
-  if (!newPassword) {
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Erreur lors de la modification');
+    }
+
+    showMessage(successMessage, 'success');
+  } catch (error) {
+    console.error('Erreur:', error);
+    showMessage(error.message || 'Erreur lors de la modification du compte', 'error');
+  }
+  await loadAndDisplayUsers();
+}
+
+// Créer un compte
+async function createUser() {
+  const username = document.getElementById('new-user-username').value.trim();
+  const password = document.getElementById('new-user-password').value;
+  const role = document.getElementById('new-user-role').value;
+  const juryId = role === 'jury' ? document.getElementById('new-user-jury').value : null;
+  const nom = document.getElementById('new-user-nom').value.trim();
+  const prenom = document.getElementById('new-user-prenom').value.trim();
+  const qualite = document.getElementById('new-user-qualite').value.trim();
+
+  if (!username || !password) {
+    showMessage('Nom d\'utilisateur et mot de passe requis', 'error');
+    return;
+  }
+  if (role === 'jury' && !juryId) {
+    showMessage('Choisissez le jury du compte', 'error');
+    return;
+  }
+  if (role === 'jury' && (!nom || !prenom)) {
+    showMessage('Le nom et le prénom sont requis pour un compte jury', 'error');
     return;
   }
 
-  if (newPassword.length < 6) {
-    showMessage('Le mot de passe doit contenir au moins 6 caractères', 'error');
+  try {
+    const response = await fetchWithCsrf(`${API_BASE}/users`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ username, password, role, juryId, nom, prenom, qualite })
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Erreur lors de la création');
+    }
+
+    showMessage(`Compte ${username} créé`, 'success');
+    resetNewUserForm();
+    await loadAndDisplayUsers();
+  } catch (error) {
+    console.error('Erreur:', error);
+    showMessage(error.message || 'Erreur lors de la création du compte', 'error');
+  }
+}
+
+// Changer le rôle ou le jury d'un compte
+function changeUserAffectation(select) {
+  const username = select.dataset.username;
+  const value = select.value;
+  const changes = value === 'admin'
+    ? { role: 'admin' }
+    : { role: 'jury', juryId: value.slice('jury:'.length) };
+
+  const label = select.options[select.selectedIndex].textContent;
+  if (!confirm(`Affecter ${username} : ${label} ?`)) {
+    select.value = select.dataset.current;
+    return;
+  }
+  patchUser(username, changes, `Affectation de ${username} modifiée`);
+}
+
+// Enregistrer le nom, le prénom et la qualité de la personne titulaire du compte
+function saveUserIdentity(button) {
+  const card = button.closest('.user-card');
+  const identity = {};
+  card.querySelectorAll('[data-identity]').forEach(input => {
+    identity[input.dataset.identity] = input.value.trim();
+  });
+  patchUser(button.dataset.username, identity, `Identité de ${button.dataset.username} enregistrée`);
+}
+
+// Désactiver ou réactiver un compte
+function toggleUser(username, isDisabled) {
+  const disable = !isDisabled;
+  if (disable && !confirm(`Désactiver le compte ${username} ?\n\nL'utilisateur sera déconnecté et ne pourra plus se connecter.`)) {
+    return;
+  }
+  patchUser(username, { disabled: disable }, disable ? `Compte ${username} désactivé` : `Compte ${username} réactivé`);
+}
+
+// Supprimer un compte
+async function deleteUser(username) {
+  if (!confirm(`Supprimer définitivement le compte ${username} ?\n\nLes évaluations déjà saisies sont conservées.`)) {
+    return;
+  }
+
+  try {
+    const response = await fetchWithCsrf(`${API_BASE}/users/${encodeURIComponent(username)}`, {
+      method: 'DELETE',
+      credentials: 'include'
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Erreur lors de la suppression');
+    }
+
+    showMessage(`Compte ${username} supprimé`, 'success');
+  } catch (error) {
+    console.error('Erreur:', error);
+    showMessage(error.message || 'Erreur lors de la suppression du compte', 'error');
+  }
+  await loadAndDisplayUsers();
+}
+
+// Réinitialiser la double authentification d'un utilisateur (téléphone perdu, plus de codes de secours)
+async function resetUserTotp(username) {
+  if (!confirm(`Réinitialiser la double authentification de ${username} ?\n\nSon mot de passe suffira pour se connecter ; il pourra ensuite la réactiver depuis son compte.`)) {
+    return;
+  }
+
+  try {
+    const response = await fetchWithCsrf(`${API_BASE}/users/${encodeURIComponent(username)}/2fa`, {
+      method: 'DELETE',
+      credentials: 'include'
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Erreur lors de la réinitialisation');
+    }
+
+    showMessage(`Double authentification de ${username} réinitialisée`, 'success');
+  } catch (error) {
+    console.error('Erreur:', error);
+    showMessage(error.message || 'Erreur lors de la réinitialisation de la double authentification', 'error');
+  }
+  await loadAndDisplayUsers();
+}
+
+// Réinitialiser le mot de passe d'un utilisateur
+async function resetUserPassword(username) {
+  const newPassword = prompt(`Entrez le mot de passe temporaire pour ${username}:\n(il devra le changer à sa prochaine connexion)`);
+
+  if (!newPassword) {
     return;
   }
 
@@ -1165,13 +2335,106 @@ async function resetUserPassword(username) {
       throw new Error(data.error || 'Erreur lors de la réinitialisation');
     }
 
-    showMessage(`Mot de passe réinitialisé pour ${username}`, 'success');
+    showMessage(data.message || `Mot de passe réinitialisé pour ${username}`, 'success');
   } catch (error) {
     console.error('Erreur:', error);
     showMessage(error.message || 'Erreur lors de la réinitialisation du mot de passe', 'error');
   }
 }
 
+// ========== CONNEXIONS ACTIVES ==========
+
+// Ouvrir le modal des connexions actives
+async function openConnexionsModal() {
+  document.getElementById('modal-manage-connexions').classList.remove('hidden');
+  await loadAndDisplayConnexions();
+}
+
+// Fermer le modal des connexions actives
+function closeConnexionsModal() {
+  document.getElementById('modal-manage-connexions').classList.add('hidden');
+}
+
+// Charger et afficher les connexions actives
+async function loadAndDisplayConnexions() {
+  const container = document.getElementById('connexions-list');
+  try {
+    const response = await fetchWithCsrf(`${API_BASE}/connexions`, {
+      credentials: 'include'
+    });
+
+    if (!response.ok) {
+      throw new Error('Erreur lors du chargement des connexions');
+    }
+
+    displayConnexions(await response.json());
+  } catch (error) {
+    console.error('Erreur:', error);
+    container.innerHTML = '<p style="color: #e53e3e; font-style: italic;">Impossible de charger les connexions.</p>';
+  }
+}
+
+// Afficher les connexions actives
+function displayConnexions(connexions) {
+  const container = document.getElementById('connexions-list');
+
+  if (connexions.length === 0) {
+    container.innerHTML = '<p style="text-align: center; color: #718096;">Aucune connexion active</p>';
+    return;
+  }
+
+  const formatDate = (date) => (date ? new Date(date).toLocaleString('fr-FR') : '-');
+
+  container.innerHTML = connexions.map(connexion => `
+    <div style="border: 1px solid #e2e8f0; border-radius: 8px; padding: 1rem; margin-bottom: 1rem; ${connexion.courante ? 'background: #f0fff4;' : ''}">
+      <div style="display: flex; justify-content: space-between; align-items: center; gap: 1rem;">
+        <div>
+          <strong style="font-size: 1.1rem;">${escapeHtml(connexion.username)}</strong>
+          ${connexion.nomComplet ? `<span style="margin-left: 0.5rem;">${escapeHtml(connexion.nomComplet)}</span>` : ''}
+          <span style="margin-left: 0.5rem; color: #667eea; font-weight: 500;">${escapeHtml(connexion.role)}</span>
+          ${connexion.juryId ? `<span style="margin-left: 0.5rem; color: #718096;">(${escapeHtml(getJuryName(juries, connexion.juryId))})</span>` : ''}
+          ${connexion.courante ? '<span class="badge success" style="margin-left: 0.5rem;">Cette session</span>' : ''}
+        </div>
+        ${connexion.courante ? '' : `
+        <button class="btn btn-danger btn-sm" data-action="revoke-connexion" data-id="${escapeHtml(connexion.id)}" data-username="${escapeHtml(connexion.username)}">
+          ⛔ Révoquer
+        </button>`}
+      </div>
+      <div style="color: #718096; font-size: 0.875rem; margin-top: 0.5rem;">
+        Adresse IP : ${escapeHtml(connexion.ip || '-')} ·
+        Connecté le ${escapeHtml(formatDate(connexion.debut))} ·
+        Dernière activité : ${escapeHtml(formatDate(connexion.derniereActivite))}
+      </div>
+      ${connexion.navigateur ? `<div style="color: #a0aec0; font-size: 0.75rem; margin-top: 0.25rem;">${escapeHtml(connexion.navigateur)}</div>` : ''}
+    </div>
+  `).join('');
+}
+
+// Révoquer une connexion
+async function revokeConnexion(id, username) {
+  if (!confirm(`Déconnecter cette session de ${username} ?`)) {
+    return;
+  }
+
+  try {
+    const response = await fetchWithCsrf(`${API_BASE}/connexions/${encodeURIComponent(id)}`, {
+      method: 'DELETE',
+      credentials: 'include'
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Erreur lors de la révocation');
+    }
+
+    showMessage(data.message, 'success');
+  } catch (error) {
+    console.error('Erreur:', error);
+    showMessage(error.message || 'Erreur lors de la révocation de la connexion', 'error');
+  }
+  await loadAndDisplayConnexions();
+}
+
 // Afficher les noms des membres du jury
 function displayJuryInfo() {
   const juryInfo = document.getElementById('jury-info');
@@ -1179,9 +2442,9 @@ function displayJuryInfo() {
 
   const juryId = window.currentUser.juryId;
   const members = juryMembers[juryId] || [];
+  const juryName = getJuryName(juries, juryId);
 
   if (members.length === 0) {
-    const juryName = juryId === 'jury1' ? 'Jury 1' : 'Jury 2';
     juryInfo.textContent = `👥 ${juryName}`;
   } else {
     // Formatter les noms des membres (Prénom Nom)
@@ -1194,7 +2457,6 @@ function displayJuryInfo() {
     if (memberNames) {
       juryInfo.textContent = `👥 ${memberNames}`;
     } else {
-      const juryName = juryId === 'jury1' ? 'Jury 1' : 'Jury 2';
       juryInfo.textContent = `👥 ${juryName}`;
     }
   }
@@ -1222,10 +2484,18 @@ function adaptUIForRole(userRole) {
 
       // Masquer les options admin uniquement
       document.getElementById('btn-manage-users')?.style.setProperty('display', 'none');
+      document.getElementById('btn-manage-connexions')?.style.setProperty('display', 'none');
       document.getElementById('btn-manage-jury')?.style.setProperty('display', 'none');
       document.getElementById('btn-manage-projets')?.style.setProperty('display', 'none');
       document.getElementById('btn-print-recap')?.style.setProperty('display', 'none');
+      document.getElementById('btn-export-xlsx')?.style.setProperty('display', 'none');
+      document.getElementById('btn-export-csv')?.style.setProperty('display', 'none');
       document.getElementById('btn-manage-config')?.style.setProperty('display', 'none');
+      document.getElementById('btn-manage-grilles')?.style.setProperty('display', 'none');
+      document.getElementById('btn-new-session')?.style.setProperty('display', 'none');
+      document.getElementById('btn-import-eleves')?.style.setProperty('display', 'none');
+      document.getElementById('btn-import-grille')?.style.setProperty('display', 'none');
+      document.getElementById('btn-excel-lot')?.style.setProperty('display', 'none');
 
       // Masquer le séparateur avant la configuration
       const dividers = adminDropdown.querySelectorAll('.action-divider');
@@ -1417,7 +2687,7 @@ function shouldLockAdminActionsForEleve(eleve) {
     return false;
   }
 
-  const eleveJury = eleve.jury; // 'jury1' ou 'jury2'
+  const eleveJury = eleve.jury; // identifiant du jury (registre /api/juries)
   if (!eleveJury) {
     return false;
   }
@@ -1439,6 +2709,47 @@ function shouldLockAdminActionsForEleve(eleve) {
   return now >= start && now <= end;
 }
 
+// ========== MISES À JOUR EN TEMPS RÉEL ==========
+
+let reloadElevesTimer = null;
+let eventsConnected = false;
+
+// Recharger la liste une seule fois pour une rafale d'événements (import, migration...)
+function scheduleElevesReload() {
+  clearTimeout(reloadElevesTimer);
+  reloadElevesTimer = setTimeout(loadEleves, 300);
+}
+
+function subscribeListEvents() {
+  window.subscribeEvents({
+    // Reconnexion après une coupure : des événements ont pu être manqués
+    connecte: async () => {
+      if (eventsConnected) {
+        if (window.currentUser && window.currentUser.role === 'admin') {
+          await loadLockState();
+        }
+        await loadProjets();
+        scheduleElevesReload();
+      }
+      eventsConnected = true;
+    },
+    eleve: scheduleElevesReload,
+    evaluation: scheduleElevesReload,
+    recapitulatif: scheduleElevesReload,
+    verrouillage: async () => {
+      await loadLockState();
+      if (!document.getElementById('modal-manage-lock').classList.contains('hidden')) {
+        displayLockStatus(currentLockState);
+      }
+      scheduleElevesReload();
+    },
+    projet: async () => {
+      await loadProjets();
+      scheduleElevesReload();
+    }
+  });
+}
+
 // Fonctions de gestion du modal verrouillage
 function openLockModal() {
   document.getElementById('modal-manage-lock').classList.remove('hidden');
@@ -1477,11 +2788,56 @@ function setupModalDelegation() {
     });
   }
 
+  const juriesContainer = document.getElementById('juries-container');
+  if (juriesContainer) {
+    juriesContainer.addEventListener('click', (e) => {
+      const el = e.target.closest('[data-action]');
+      if (!el) return;
+      const juryId = el.dataset.jury;
+      switch (el.dataset.action) {
+        case 'add-member':
+          addJuryMember(juryId);
+          break;
+        case 'rename-jury':
+          renameJury(juryId);
+          break;
+        case 'archive-jury':
+          archiveJury(juryId);
+          break;
+        case 'restore-jury':
+          restoreJury(juryId);
+          break;
+      }
+    });
+  }
+
   const usersList = document.getElementById('users-list');
   if (usersList) {
     usersList.addEventListener('click', (e) => {
-      const el = e.target.closest('[data-action="reset-password"]');
-      if (el) resetUserPassword(el.dataset.username);
+      const el = e.target.closest('button[data-action]');
+      if (!el) return;
+      const username = el.dataset.username;
+      switch (el.dataset.action) {
+        case 'reset-password':
+          resetUserPassword(username);
+          break;
+        case 'toggle-user':
+          toggleUser(username, el.dataset.disabled === 'true');
+          break;
+        case 'delete-user':
+          deleteUser(username);
+          break;
+        case 'reset-2fa':
+          resetUserTotp(username);
+          break;
+        case 'save-identity':
+          saveUserIdentity(el);
+          break;
+      }
+    });
+    usersList.addEventListener('change', (e) => {
+      const select = e.target.closest('[data-action="change-affectation"]');
+      if (select) changeUserAffectation(select);
     });
   }
 }
@@ -1491,9 +2847,13 @@ document.addEventListener('DOMContentLoaded', async () => {
   await new Promise(resolve => setTimeout(resolve, 100));
 
   setupModalDelegation();
-  loadSettings();
+  await loadSettings();
+  await loadSessions();
   await loadProjets();
+  await loadOptions();
+  await loadJuries();
   await loadJuryMembers();
+  populateJuryFilter();
 
   // Adapter l'UI selon le rôle (après avoir chargé les membres du jury)
   if (window.currentUser) {
@@ -1503,23 +2863,13 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Pour l'admin: charger l'état du verrouillage AVANT de charger les élèves
   if (window.currentUser && window.currentUser.role === 'admin') {
     await loadLockState();
-
-    // Rafraîchir l'état du verrouillage toutes les 10 secondes
-    setInterval(async () => {
-      const previousState = JSON.stringify(currentLockState);
-      await loadLockState();
-      const newState = JSON.stringify(currentLockState);
-
-      // Si l'état a changé, recharger les élèves pour mettre à jour l'affichage
-      if (previousState !== newState) {
-        console.log('Lock state changed, reloading students...');
-        loadEleves();
-      }
-    }, 10000); // Vérifier toutes les 10 secondes
   }
 
   loadEleves();
 
+  // Mises à jour en temps réel (verrouillage, élèves, évaluations, projets)
+  subscribeListEvents();
+
   // Gestion du menu dropdown d'administration
   const adminMenuBtn = document.getElementById('btn-admin-menu');
   const adminDropdown = document.getElementById('admin-dropdown');
@@ -1539,7 +2889,8 @@ document.addEventListener('DOMContentLoaded', async () => {
     adminDropdown.addEventListener('click', (e) => {
       // Ne pas stopper la propagation si c'est un lien ou un bouton de redirection
       const target = e.target;
-      if (target.id === 'btn-manage-projets' || target.id === 'btn-change-password') {
+      if (target.id === 'btn-manage-projets' || target.id === 'btn-change-password' || target.id === 'btn-manage-grilles' ||
+          target.id === 'btn-double-authentification') {
         // Laisser le clic se propager et la redirection se faire
         // Le dropdown se fermera automatiquement car la page change
         return;
@@ -1555,6 +2906,11 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Événement du bouton "Changer mon mot de passe" (modal)
   document.getElementById('btn-change-password')?.addEventListener('click', openPasswordModal);
 
+  // Double authentification : page du compte
+  document.getElementById('btn-double-authentification')?.addEventListener('click', () => {
+    window.location.href = '/change-password';
+  });
+
   // Événements du modal élève (ajout)
   document.getElementById('btn-add-eleve')?.addEventListener('click', openModal);
   document.getElementById('btn-close-modal')?.addEventListener('click', closeModal);
@@ -1597,8 +2953,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   document.getElementById('btn-close-jury-modal')?.addEventListener('click', closeJuryModal);
   document.getElementById('btn-cancel-jury-modal')?.addEventListener('click', closeJuryModal);
   document.getElementById('btn-save-jury')?.addEventListener('click', saveJuryMembers);
-  document.getElementById('btn-add-jury1-member')?.addEventListener('click', () => addJuryMember('jury1'));
-  document.getElementById('btn-add-jury2-member')?.addEventListener('click', () => addJuryMember('jury2'));
+  document.getElementById('btn-add-jury')?.addEventListener('click', createJury);
 
   // Fermer le modal jury en cliquant en dehors
   document.getElementById('modal-manage-jury')?.addEventListener('click', (e) => {
@@ -1611,6 +2966,23 @@ document.addEventListener('DOMContentLoaded', async () => {
   document.getElementById('btn-manage-users')?.addEventListener('click', openUsersModal);
   document.getElementById('btn-close-users-modal')?.addEventListener('click', closeUsersModal);
   document.getElementById('btn-cancel-users-modal')?.addEventListener('click', closeUsersModal);
+  document.getElementById('btn-create-user')?.addEventListener('click', createUser);
+  document.getElementById('new-user-role')?.addEventListener('change', updateNewUserJuryVisibility);
+
+  // Événements du modal des connexions actives
+  document.getElementById('btn-manage-connexions')?.addEventListener('click', openConnexionsModal);
+  document.getElementById('btn-close-connexions-modal')?.addEventListener('click', closeConnexionsModal);
+  document.getElementById('btn-cancel-connexions-modal')?.addEventListener('click', closeConnexionsModal);
+  document.getElementById('btn-refresh-connexions')?.addEventListener('click', loadAndDisplayConnexions);
+  document.getElementById('modal-manage-connexions')?.addEventListener('click', (e) => {
+    if (e.target.id === 'modal-manage-connexions') {
+      closeConnexionsModal();
+    }
+  });
+  document.getElementById('connexions-list')?.addEventListener('click', (e) => {
+    const el = e.target.closest('[data-action="revoke-connexion"]');
+    if (el) revokeConnexion(el.dataset.id, el.dataset.username);
+  });
 
   // Fermer le modal utilisateurs en cliquant en dehors
   document.getElementById('modal-manage-users')?.addEventListener('click', (e) => {
@@ -1621,6 +2993,18 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   // Événements du modal configuration
   document.getElementById('btn-manage-config')?.addEventListener('click', openConfigModal);
+
+  // Événement du bouton "Grilles d'évaluation" (page dédiée)
+  document.getElementById('btn-manage-grilles')?.addEventListener('click', () => {
+    window.location.href = '/grilles';
+  });
+
+  // Événements des sessions d'examen
+  document.getElementById('session-select')?.addEventListener('change', (e) => switchSession(e.target.value));
+  document.getElementById('btn-new-session')?.addEventListener('click', openNewSessionModal);
+  document.getElementById('btn-close-session-modal')?.addEventListener('click', closeNewSessionModal);
+  document.getElementById('btn-cancel-session-modal')?.addEventListener('click', closeNewSessionModal);
+  document.getElementById('btn-create-session')?.addEventListener('click', createSession);
   document.getElementById('btn-close-config-modal')?.addEventListener('click', closeConfigModal);
   document.getElementById('btn-cancel-config-modal')?.addEventListener('click', closeConfigModal);
   document.getElementById('btn-save-config')?.addEventListener('click', saveConfig);
@@ -1632,6 +3016,31 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   });
 
+  // Événements de l'import des élèves
+  document.getElementById('btn-import-eleves')?.addEventListener('click', openImportModal);
+  document.getElementById('btn-close-import-modal')?.addEventListener('click', closeImportModal);
+  document.getElementById('btn-cancel-import-modal')?.addEventListener('click', closeImportModal);
+  document.getElementById('btn-confirm-import')?.addEventListener('click', confirmImport);
+  document.getElementById('import-fichier')?.addEventListener('change', (e) => analyseImportFile(e.target));
+  document.getElementById('import-correspondance')?.addEventListener('change', previewImport);
+
+  // Événements de l'import d'une grille remplie
+  document.getElementById('btn-import-grille')?.addEventListener('click', openGrilleModal);
+  document.getElementById('btn-close-grille-modal')?.addEventListener('click', closeGrilleModal);
+  document.getElementById('btn-cancel-grille-modal')?.addEventListener('click', closeGrilleModal);
+  document.getElementById('btn-confirm-grille')?.addEventListener('click', confirmGrille);
+  document.getElementById('grille-fichier')?.addEventListener('change', analyseGrille);
+  document.getElementById('grille-eleve')?.addEventListener('change', analyseGrille);
+  document.getElementById('grille-resultat')?.addEventListener('change', updateGrilleConfirm);
+
+  // Événements de la génération Excel par lot
+  document.getElementById('btn-excel-lot')?.addEventListener('click', openExcelLotModal);
+  document.getElementById('btn-close-lot-modal')?.addEventListener('click', closeExcelLotModal);
+  document.getElementById('btn-cancel-lot-modal')?.addEventListener('click', closeExcelLotModal);
+  document.getElementById('btn-start-lot')?.addEventListener('click', startExcelLot);
+  document.getElementById('btn-download-lot')?.addEventListener('click', downloadExcelLot);
+  document.getElementById('btn-pdf-lot')?.addEventListener('click', downloadPdfLot);
+
   // Événements du modal changement de mot de passe
   document.getElementById('btn-close-password-modal')?.addEventListener('click', closePasswordModal);
   document.getElementById('btn-cancel-password-modal')?.addEventListener('click', closePasswordModal);
@@ -1681,6 +3090,14 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   // Événement pour le bouton d'impression du tableau récapitulatif
   document.getElementById('btn-print-recap')?.addEventListener('click', printRecapitulatif);
+
+  // Export des résultats de la cohorte (session consultée)
+  document.getElementById('btn-export-xlsx')?.addEventListener('click', () => {
+    window.location.href = `${API_BASE}/exports/cohort?format=xlsx`;
+  });
+  document.getElementById('btn-export-csv')?.addEventListener('click', () => {
+    window.location.href = `${API_BASE}/exports/cohort?format=csv`;
+  });
 });
 
 // Fonction pour imprimer le tableau récapitulatif de la classe
@@ -1696,31 +3113,16 @@ async function printRecapitulatif() {
     // Vérifier si un jury est en train d'évaluer (verrouillage actif)
     if (currentLockState && currentLockState.lockData) {
       const now = new Date();
-      let lockActive = false;
-
-      // Vérifier jury1
-      if (currentLockState.lockData.jury1) {
-        const jury1Lock = currentLockState.lockData.jury1;
-        if (jury1Lock.isLocked && !jury1Lock.unlockedEarly) {
-          const start = new Date(jury1Lock.startDate);
-          const end = new Date(jury1Lock.endDate);
-          if (now >= start && now <= end) {
-            lockActive = true;
-          }
-        }
-      }
 
-      // Vérifier jury2
-      if (currentLockState.lockData.jury2) {
-        const jury2Lock = currentLockState.lockData.jury2;
-        if (jury2Lock.isLocked && !jury2Lock.unlockedEarly) {
-          const start = new Date(jury2Lock.startDate);
-          const end = new Date(jury2Lock.endDate);
-          if (now >= start && now <= end) {
-            lockActive = true;
-          }
+      // Vérifier chaque jury du registre
+      const lockActive = Object.values(currentLockState.lockData).some(juryLock => {
+        if (!juryLock || !juryLock.isLocked || juryLock.unlockedEarly) {
+          return false;
         }
-      }
+        const start = new Date(juryLock.startDate);
+        const end = new Date(juryLock.endDate);
+        return now >= start && now <= end;
+      });
 
       if (lockActive) {
         showMessage('Impossible d\'imprimer le tableau récapitulatif : un jury est actuellement en train d\'évaluer.', 'error');
@@ -1737,7 +3139,7 @@ async function printRecapitulatif() {
     const session = document.getElementById('session').value || new Date().getFullYear();
 
     // Récupérer les membres des jurys
-    let juryMembers = { jury1: [], jury2: [] };
+    let juryMembers = {};
     try {
       const juryResponse = await window.fetchWithCsrf(`${API_BASE}/jury-members`, {
         credentials: 'include'
@@ -1751,6 +3153,14 @@ async function printRecapitulatif() {
       console.error('Erreur lors de la récupération des jurys:', error);
     }
 
+    // Récupérer la configuration de la note récapitulative (phases, coefficients, arrondi)
+    const mappingResponse = await window.fetchWithCsrf(`${API_BASE}/mapping`);
+    if (!mappingResponse.ok) {
+      throw new Error('Configuration de la note récapitulative indisponible');
+    }
+    const recapConfig = (await mappingResponse.json()).note_recapitulative;
+    const decimales = GradingEngine.decimalesDuPas(recapConfig.arrondi ? recapConfig.arrondi.pas : 0.01);
+
     // Récupérer les notes depuis les évaluations
     function getNote(eleve, phase) {
       if (!eleve.evaluations || !eleve.evaluations[phase]) {
@@ -1759,21 +3169,15 @@ async function printRecapitulatif() {
       return eleve.evaluations[phase].note_finale;
     }
 
-    // Récupérer la note proposée ou calculer la moyenne
+    // Récupérer la note proposée ou la note récapitulative calculée par le serveur
     function getMoyenne(eleve) {
       // Priorité à la note proposée au jury
       if (eleve.recapitulatif && eleve.recapitulatif.note_proposee != null) {
-        return parseFloat(eleve.recapitulatif.note_proposee).toFixed(2);
+        return parseFloat(eleve.recapitulatif.note_proposee).toFixed(decimales);
       }
 
-      // Sinon, calculer la moyenne
-      const noteStage = parseFloat(getNote(eleve, 'stage')) || 0;
-      const noteRevue3 = parseFloat(getNote(eleve, 'revue3')) || 0;
-      const noteSoutenance = parseFloat(getNote(eleve, 'soutenance')) || 0;
-
-      // Formule: (Stage×1 + Revue3×3 + Soutenance×3) / 7
-      const moyenne = (noteStage * 1 + noteRevue3 * 3 + noteSoutenance * 3) / 7;
-      return moyenne > 0 ? moyenne.toFixed(2) : '--';
+      const recap = eleve.note_recapitulative;
+      return recap && recap.complet ? recap.note.toFixed(decimales) : '--';
     }
 
     // Construire le HTML pour l'impression
@@ -1916,9 +3320,9 @@ async function printRecapitulatif() {
               <th class="num-col">N°</th>
               <th class="text-left nom-col">NOM</th>
               <th class="text-left prenom-col">PRÉNOM</th>
-              <th class="note-col">Stage<br>(×1)</th>
-              <th class="note-col">Revue 3<br>(×3)</th>
-              <th class="note-col">Soutenance<br>(×3)</th>
+              ${recapConfig.phases.map(phase => `
+                <th class="note-col">${escapeHtmlFunc(phase.label)}<br>(×${escapeHtmlFunc(String(phase.coefficient))})</th>
+              `).join('')}
               <th class="moyenne-col">Moyenne<br>/20</th>
             </tr>
           </thead>
@@ -1934,9 +3338,7 @@ async function printRecapitulatif() {
 
     // Ajouter chaque élève au tableau
     sortedEleves.forEach((eleve, index) => {
-      const noteStage = getNote(eleve, 'stage') || '--';
-      const noteRevue3 = getNote(eleve, 'revue3') || '--';
-      const noteSoutenance = getNote(eleve, 'soutenance') || '--';
+      const notesPhases = recapConfig.phases.map(phase => getNote(eleve, phase.semestre) || '--');
       const moyenne = getMoyenne(eleve);
 
       printHTML += `
@@ -1944,9 +3346,7 @@ async function printRecapitulatif() {
           <td>${index + 1}</td>
           <td class="text-left">${escapeHtmlFunc(eleve.nom || '')}</td>
           <td class="text-left">${escapeHtmlFunc(eleve.prenom || '')}</td>
-          <td>${noteStage}</td>
-          <td>${noteRevue3}</td>
-          <td>${noteSoutenance}</td>
+          ${notesPhases.map(note => `<td>${escapeHtmlFunc(String(note))}</td>`).join('')}
           <td><strong>${moyenne}</strong></td>
         </tr>
       `;
@@ -1961,24 +3361,19 @@ async function printRecapitulatif() {
           <div class="signatures-container">
     `;
 
-    // Collecter tous les membres valides des deux jurys
+    // Collecter les membres valides des jurys actifs (et des jurys archivés
+    // qui ont encore des élèves dans la liste)
     const allMembers = [];
+    const printedJuries = juries.filter(jury =>
+      !jury.archived || allEleves.some(eleve => eleve.jury === jury.id));
 
-    if (juryMembers.jury1) {
-      juryMembers.jury1.forEach(m => {
-        if (m.nom && m.prenom) {
-          allMembers.push({ ...m, jury: 'Jury 1' });
-        }
-      });
-    }
-
-    if (juryMembers.jury2) {
-      juryMembers.jury2.forEach(m => {
+    printedJuries.forEach(jury => {
+      (juryMembers[jury.id] || []).forEach(m => {
         if (m.nom && m.prenom) {
-          allMembers.push({ ...m, jury: 'Jury 2' });
+          allMembers.push({ ...m, jury: jury.nom });
         }
       });
-    }
+    });
 
     // Ajouter chaque membre sur la même ligne
     allMembers.forEach(member => {
@@ -1987,7 +3382,7 @@ async function printRecapitulatif() {
           <div class="signature-line"></div>
           <div class="member-info">
             <div class="member-name">${escapeHtmlFunc(member.prenom)} ${escapeHtmlFunc(member.nom)}</div>
-            <div class="member-qualite">${escapeHtmlFunc(member.qualite || '')} - ${member.jury}</div>
+            <div class="member-qualite">${escapeHtmlFunc(member.qualite || '')} - ${escapeHtmlFunc(member.jury)}</div>
           </div>
         </div>
       `;
@@ -1998,7 +3393,7 @@ async function printRecapitulatif() {
         </div>
 
         <div class="footer">
-          <p>Formule de calcul : Moyenne = (Note Stage × 1 + Note Revue 3 × 3 + Note Soutenance × 3) / 7</p>
+          <p>Formule de calcul : Moyenne = ${escapeHtmlFunc(GradingEngine.decrireFormuleRecap(recapConfig))}</p>
           <p>Document généré le ${new Date().toLocaleDateString('fr-FR')} à ${new Date().toLocaleTimeString('fr-FR')}</p>
         </div>
       </body>
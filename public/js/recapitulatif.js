@@ -3,7 +3,9 @@ const API_BASE = window.API_BASE;
 const showMessage = window.showMessage;
 
 let currentEleve = null;
-let juryMembers = { jury1: [], jury2: [] };
+let juries = [];
+let juryMembers = {};
+let gradingMapping = null;
 
 // Récupérer l'ID de l'élève depuis l'URL
 const eleveId = window.location.pathname.split('/').pop();
@@ -16,9 +18,10 @@ async function loadEleve() {
 
     currentEleve = await response.json();
     document.getElementById('eleve-info').textContent =
-      `${currentEleve.prenom} ${currentEleve.nom} - ${currentEleve.promotion || currentEleve.classe || ''}`;
+      `${currentEleve.prenom} ${currentEleve.nom} - ${currentEleve.promotion || currentEleve.classe || ''} (option ${currentEleve.option})`;
 
     // Charger les notes des évaluations
+    await loadGradingMapping();
     await loadNotesEvaluations();
 
     // Charger les membres du jury
@@ -30,6 +33,9 @@ async function loadEleve() {
     // Charger les données du récapitulatif
     loadRecapData();
 
+    // Afficher l'historique des modifications
+    loadHistory();
+
     // Vérifier si le fichier Excel existe
     checkExcelFile();
   } catch (error) {
@@ -50,48 +56,88 @@ async function checkExcelFile() {
   }
 }
 
-// Charger les notes finales des 3 évaluations principales
+// Charger le mapping de l'élève (chaque phase dans la version de grille de son évaluation),
+// utilisé par le moteur de calcul des notes (grading.js)
+async function loadGradingMapping() {
+  if (gradingMapping) {
+    return;
+  }
+  try {
+    const response = await fetchWithCsrf(`${API_BASE}/eleves/${currentEleve.id}/mapping`);
+    if (response.ok) {
+      gradingMapping = await response.json();
+    }
+  } catch (error) {
+    console.error('Erreur lors du chargement du mapping:', error);
+  }
+}
+
+// Note calculée d'une évaluation (null si la grille est incomplète)
+function getNoteCalculee(semestre, evalData) {
+  const grille = GradingEngine.grilleDepuisMapping(gradingMapping, semestre);
+  if (!grille) {
+    return null;
+  }
+  return GradingEngine.calculerNote(grille, evalData).note;
+}
+
+// Afficher les notes finales des phases retenues pour la note récapitulative
+// (phases, coefficients et formule issus de mapping.note_recapitulative)
 async function loadNotesEvaluations() {
-  const evaluations = {
-    stage: { noteElem: 'note-stage', statutElem: 'statut-stage' },
-    revue3: { noteElem: 'note-revue3', statutElem: 'statut-revue3' },
-    soutenance: { noteElem: 'note-soutenance', statutElem: 'statut-soutenance' }
-  };
+  const tbody = document.getElementById('recap-phases');
+  const config = gradingMapping ? gradingMapping.note_recapitulative : null;
+
+  if (!config) {
+    tbody.innerHTML = '<tr><td colspan="4">Configuration de la note récapitulative indisponible</td></tr>';
+    return;
+  }
 
-  for (const [semestre, config] of Object.entries(evaluations)) {
-    const noteElem = document.getElementById(config.noteElem);
-    const statutElem = document.getElementById(config.statutElem);
+  tbody.innerHTML = config.phases.map(phase => {
+    const evalData = currentEleve.evaluations ? currentEleve.evaluations[phase.semestre] : null;
+    let note = '--';
+    let statut = '<span class="badge warning">Non évalué</span>';
 
-    if (currentEleve.evaluations && currentEleve.evaluations[semestre]) {
-      const evalData = currentEleve.evaluations[semestre];
+    if (evalData) {
+      const noteCalculee = getNoteCalculee(phase.semestre, evalData);
+      const noteCalculeeHtml = noteCalculee !== null
+        ? ` <small style="color: #718096;">Note calculée : ${escapeHtml(String(noteCalculee))}</small>`
+        : '';
 
       // Vérifier si une note finale a été proposée
       if (evalData.note_finale !== undefined && evalData.note_finale !== null) {
-        noteElem.textContent = evalData.note_finale;
-        statutElem.innerHTML = '<span class="badge success">Finalisé</span>';
+        note = escapeHtml(String(evalData.note_finale));
+        statut = '<span class="badge success">Finalisé</span>' + noteCalculeeHtml;
       } else {
-        noteElem.textContent = '--';
-        statutElem.innerHTML = '<span class="badge warning">Non finalisé</span>';
+        statut = '<span class="badge warning">Non finalisé</span>' + noteCalculeeHtml;
       }
-    } else {
-      noteElem.textContent = '--';
-      statutElem.innerHTML = '<span class="badge warning">Non évalué</span>';
     }
-  }
 
-  // Calculer la note récapitulative
+    return `
+      <tr>
+        <td>${escapeHtml(phase.label)}</td>
+        <td class="text-center">${escapeHtml(String(phase.coefficient))}</td>
+        <td class="text-center">${note}</td>
+        <td>${statut}</td>
+      </tr>
+    `;
+  }).join('');
+
+  document.getElementById('formule-recap').textContent =
+    `Formule: ${GradingEngine.decrireFormuleRecap(config)}`;
+
+  // Afficher la note récapitulative calculée par le serveur
   calculerNoteRecap();
 }
 
-// Calculer la note récapitulative
+// Afficher la note récapitulative (calculée côté serveur, voir GET /api/eleves/:id)
 function calculerNoteRecap() {
-  const noteStage = parseFloat(document.getElementById('note-stage').textContent);
-  const noteRevue3 = parseFloat(document.getElementById('note-revue3').textContent);
-  const noteSoutenance = parseFloat(document.getElementById('note-soutenance').textContent);
+  const recap = currentEleve.note_recapitulative;
+  const pas = gradingMapping && gradingMapping.note_recapitulative.arrondi
+    ? gradingMapping.note_recapitulative.arrondi.pas
+    : 0.01;
 
-  if (!isNaN(noteStage) && !isNaN(noteRevue3) && !isNaN(noteSoutenance)) {
-    const noteCalculee = (noteStage * 1 + noteRevue3 * 3 + noteSoutenance * 3) / 7;
-    document.getElementById('note-calculee-recap').value = noteCalculee.toFixed(2);
+  if (recap && recap.complet) {
+    document.getElementById('note-calculee-recap').value = recap.note.toFixed(GradingEngine.decimalesDuPas(pas));
   } else {
     document.getElementById('note-calculee-recap').value = '--';
   }
@@ -116,6 +162,20 @@ function loadRecapData() {
   }
 }
 
+// Charger l'historique des modifications (évaluations et récapitulatif)
+async function loadHistory() {
+  const container = document.getElementById('history-container');
+  try {
+    const response = await fetchWithCsrf(`${API_BASE}/eleves/${eleveId}/history`);
+    if (!response.ok) throw new Error('Historique non disponible');
+
+    renderHistoryTimeline(container, await response.json());
+  } catch (error) {
+    console.error('Erreur lors du chargement de l\'historique:', error);
+    container.innerHTML = '<p style="color: #e53e3e; font-style: italic;">Impossible de charger l\'historique.</p>';
+  }
+}
+
 // Sauvegarder les données du récapitulatif
 async function saveRecap() {
   const btn = document.getElementById('btn-save-recap');
@@ -138,6 +198,7 @@ async function saveRecap() {
     if (!response.ok) throw new Error('Erreur lors de la sauvegarde');
 
     showMessage('Récapitulatif sauvegardé avec succès', 'success');
+    hideRemoteChange();
 
     // Recharger l'élève
     await loadEleve();
@@ -174,16 +235,11 @@ async function generateCompleteExcel() {
     if (!saveResponse.ok) throw new Error('Erreur lors de la sauvegarde');
 
     // Générer l'Excel complet en UNE SEULE opération (identité + évaluations + récap)
-    const excelData = {
-      academie: localStorage.getItem('academie') || '',
-      etablissement: localStorage.getItem('etablissement') || '',
-      session: localStorage.getItem('session') || ''
-    };
-
+    // L'identité (établissement, académie, session) vient de la configuration du serveur
     const excelResponse = await fetchWithCsrf(`${API_BASE}/eleves/${eleveId}/generer-excel-complet`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(excelData)
+      body: JSON.stringify({})
     });
 
     if (!excelResponse.ok) {
@@ -191,7 +247,11 @@ async function generateCompleteExcel() {
       throw new Error(error.error || 'Erreur lors de la génération Excel');
     }
 
-    const result = await excelResponse.json();
+    // La génération est mise en file d'attente : suivre son avancement
+    const job = await excelResponse.json();
+    await window.waitForJob(job, (etat) => {
+      btn.innerHTML = `<span class="loading"></span> ${window.escapeHtml(window.describeJobProgress(etat))}`;
+    });
 
     showMessage('✅ Excel complet généré avec succès ! (Version optimisée - économie de RAM)', 'success');
 
@@ -215,9 +275,16 @@ function downloadExcel() {
   window.location.href = `${API_BASE}/download/${filename}`;
 }
 
-// Charger les membres des jurys
+// Charger le registre des jurys et les membres des jurys
 async function loadJuryMembers() {
   try {
+    const juriesResponse = await fetchWithCsrf(`${API_BASE}/juries`, {
+      credentials: 'include'
+    });
+    if (juriesResponse.ok) {
+      juries = await juriesResponse.json();
+    }
+
     const response = await fetchWithCsrf(`${API_BASE}/jury-members`, {
       credentials: 'include'
     });
@@ -273,7 +340,7 @@ function displayJuryMembers() {
       </tbody>
     </table>
     <p style="margin-top: 1rem; color: #667eea; font-weight: 500;">
-      Jury assigné: ${currentEleve.jury === 'jury1' ? 'Jury 1' : 'Jury 2'}
+      Jury assigné: ${escapeHtml(getJuryName(juries, currentEleve.jury))}
     </p>
   `;
 }
@@ -306,11 +373,60 @@ document.getElementById('btn-save-recap').addEventListener('click', saveRecap);
 document.getElementById('btn-generer-excel-optimise').addEventListener('click', generateCompleteExcel);
 document.getElementById('btn-download').addEventListener('click', downloadExcel);
 
-// Note: Les paramètres établissement, académie et session sont désormais
-// gérés centralement dans la configuration établissement (localStorage)
+// Note: Les paramètres établissement, académie et session sont gérés côté serveur
+// (GET /api/config), communs à tous les navigateurs
+
+// Avertissement persistant : l'élève affiché a été modifié depuis une autre page
+function showRemoteChange(message) {
+  const container = document.getElementById('remote-change-container');
+  container.innerHTML = `<strong>⚠️ ${escapeHtml(message)}</strong>`;
+  container.classList.remove('hidden');
+}
+
+function hideRemoteChange() {
+  const container = document.getElementById('remote-change-container');
+  container.classList.add('hidden');
+  container.innerHTML = '';
+}
+
+// Mettre à jour les notes des phases sans toucher à la saisie du récapitulatif en cours
+async function refreshNotesEvaluations() {
+  try {
+    const response = await fetchWithCsrf(`${API_BASE}/eleves/${eleveId}`);
+    if (!response.ok) return;
+
+    currentEleve = await response.json();
+    await loadGradingMapping();
+    await loadNotesEvaluations();
+    loadHistory();
+  } catch (error) {
+    console.error('Erreur lors de la mise à jour des notes:', error);
+  }
+}
+
+// Suivre les modifications faites par les autres utilisateurs sur cet élève
+function subscribeEleveEvents() {
+  window.subscribeEvents({
+    evaluation: (event) => {
+      if (String(event.eleveId) !== eleveId) return;
+      refreshNotesEvaluations();
+    },
+    recapitulatif: (event) => {
+      if (String(event.eleveId) !== eleveId || event.par === window.currentUser?.username) return;
+      showRemoteChange(`Le récapitulatif vient d'être modifié par ${event.par}. Enregistrer maintenant remplacerait ses modifications : rechargez la page pour les voir.`);
+    },
+    eleve: (event) => {
+      if (String(event.eleveId) !== eleveId) return;
+      if (event.action === 'supprime') {
+        showRemoteChange(`Cet élève vient d'être supprimé par ${event.par}.`);
+      }
+    }
+  });
+}
 
 // Initialisation
 document.addEventListener('DOMContentLoaded', async () => {
   await adaptUIForRole();
   loadEleve();
+  subscribeEleveEvents();
 });
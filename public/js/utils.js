@@ -47,3 +47,184 @@ window.escapeHtml = function(text) {
     .replace(/"/g, '&quot;')
     .replace(/'/g, '&#39;');
 };
+
+/**
+ * Retourne le libellé d'un jury à partir de son identifiant
+ * @param {Array} juries - La liste des jurys (GET /api/juries)
+ * @param {string} juryId - L'identifiant du jury
+ * @returns {string} Le nom du jury, ou l'identifiant s'il est inconnu
+ */
+window.getJuryName = function(juries, juryId) {
+  if (!juryId) return '';
+  const jury = (juries || []).find(j => j.id === juryId);
+  return jury ? jury.nom : juryId;
+};
+
+// Libellés par défaut des phases et des champs de l'historique
+const HISTORY_PHASE_LABELS = {
+  stage: 'Stage',
+  revue1: 'Revue 1',
+  revue2: 'Revue 2',
+  revue3: 'Revue 3',
+  soutenance: 'Soutenance'
+};
+
+const HISTORY_FIELD_LABELS = {
+  commentaireGeneral: 'Commentaire général',
+  bonus: 'Bonus',
+  note_finale: 'Note finale',
+  note_proposee: 'Note proposée',
+  commentaires: 'Commentaires'
+};
+
+/**
+ * Affiche l'historique des modifications sous forme de frise chronologique
+ * @param {HTMLElement} container - L'élément dans lequel afficher la frise
+ * @param {Array} entries - Les révisions (GET /api/eleves/:id/history)
+ * @param {Object} options - fieldLabel(champ) et valueLabel(champ, valeur) facultatifs
+ */
+window.renderHistoryTimeline = function(container, entries, options = {}) {
+  const fieldLabel = options.fieldLabel || (champ => HISTORY_FIELD_LABELS[champ] || champ);
+  const valueLabel = options.valueLabel || ((champ, value) => (value === null ? 'Non renseigné' : String(value)));
+
+  if (!entries || entries.length === 0) {
+    container.innerHTML = '<p style="color: #718096; font-style: italic;">Aucune modification enregistrée.</p>';
+    return;
+  }
+
+  container.innerHTML = entries.map(entry => {
+    const phase = entry.type === 'recapitulatif'
+      ? 'Récapitulatif'
+      : (HISTORY_PHASE_LABELS[entry.semestre] || entry.semestre);
+    const revision = entry.revision ? ` · révision ${entry.revision}` : '';
+    const changes = entry.changes.length === 0
+      ? '<li style="color: #718096;">Enregistrement sans modification</li>'
+      : entry.changes.map(change => `
+          <li>
+            <strong>${window.escapeHtml(fieldLabel(change.champ))}</strong> :
+            ${window.escapeHtml(valueLabel(change.champ, change.avant))} → ${window.escapeHtml(valueLabel(change.champ, change.apres))}
+          </li>
+        `).join('');
+
+    return `
+      <div style="border-left: 3px solid #667eea; padding: 0.25rem 0 0.75rem 1rem; margin-bottom: 0.5rem;">
+        <div style="font-weight: 600;">
+          ${window.escapeHtml(new Date(entry.timestamp).toLocaleString('fr-FR'))} · ${window.escapeHtml(entry.auteur ? `${entry.auteur} (${entry.user})` : entry.user)}
+        </div>
+        <div style="color: #718096; font-size: 0.9rem;">${window.escapeHtml(phase)}${revision}</div>
+        <ul style="margin: 0.5rem 0 0 1rem;">${changes}</ul>
+      </div>
+    `;
+  }).join('');
+};
+
+/**
+ * Libellé d'avancement d'une tâche Excel de la file d'attente
+ * @param {Object} job - La tâche (réponse 202 ou GET /api/jobs/:id)
+ * @returns {string} Ex. « En file d'attente (position 2)... » ou « Excel : 40 % »
+ */
+window.describeJobProgress = function(job) {
+  if (job.statut === 'en_attente') {
+    return job.position > 0 ? `En file d'attente (position ${job.position})...` : 'En file d\'attente...';
+  }
+  return job.progression > 0 ? `Excel : ${job.progression} %` : 'Excel en cours...';
+};
+
+/**
+ * Suit une tâche Excel jusqu'à sa fin (interrogation de GET /api/jobs/:id chaque seconde)
+ * @param {Object} job - La tâche renvoyée par le serveur (réponse 202)
+ * @param {Function} onProgress - Appelée avec la tâche à chaque interrogation
+ * @returns {Promise<Object>} Le résultat de la tâche ; rejetée si la tâche a échoué
+ */
+window.waitForJob = async function(job, onProgress = () => {}) {
+  let current = job;
+  onProgress(current);
+
+  while (current.statut === 'en_attente' || current.statut === 'en_cours') {
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    const response = await window.fetchWithCsrf(`${window.API_BASE}/jobs/${job.jobId}`);
+    if (!response.ok) {
+      throw new Error('Tâche Excel introuvable');
+    }
+    current = await response.json();
+    onProgress(current);
+  }
+
+  if (current.statut === 'erreur') {
+    throw new Error(current.erreur || 'Erreur lors du traitement Excel');
+  }
+  return current.resultat;
+};
+
+/**
+ * S'abonne aux modifications diffusées par le serveur (GET /api/events, Server-Sent Events)
+ * Le navigateur rétablit la connexion s'il la perd ; l'événement « connecte » est alors
+ * reçu de nouveau, ce qui permet de recharger les données affichées.
+ * @param {Object} handlers - { type: (donnees) => void } : connecte, eleve, evaluation,
+ *   recapitulatif, verrouillage, projet
+ * @returns {EventSource|null} La connexion (null si le navigateur ne gère pas SSE)
+ */
+window.subscribeEvents = function(handlers) {
+  if (!window.EventSource) {
+    return null;
+  }
+  const source = new EventSource(`${window.API_BASE}/events`);
+  Object.entries(handlers).forEach(([type, handler]) => {
+    source.addEventListener(type, (event) => {
+      try {
+        handler(JSON.parse(event.data));
+      } catch (error) {
+        console.error(`Erreur lors du traitement de l'événement ${type}:`, error);
+      }
+    });
+  });
+  return source;
+};
+
+// Configuration de l'établissement, chargée une seule fois par page
+let etablissementConfigPromise = null;
+
+/**
+ * Charge la configuration de l'établissement (GET /api/config)
+ * @returns {Promise<Object>} { etablissement, academie, session, modifiePar, modifieLe }
+ */
+window.loadEtablissementConfig = function() {
+  if (!etablissementConfigPromise) {
+    etablissementConfigPromise = window.fetchWithCsrf(`${window.API_BASE}/config`)
+      .then(response => {
+        if (!response.ok) throw new Error('Configuration établissement indisponible');
+        return response.json();
+      })
+      .catch(error => {
+        etablissementConfigPromise = null;
+        throw error;
+      });
+  }
+  return etablissementConfigPromise;
+};
+
+// Oublier la configuration chargée (après une modification)
+window.resetEtablissementConfig = function() {
+  etablissementConfigPromise = null;
+};
+
+/**
+ * Affiche « Établissement - Académie - Session » dans l'en-tête (#etablissement-info)
+ */
+window.displayEtablissementInfo = async function() {
+  const info = document.getElementById('etablissement-info');
+  if (!info) return;
+
+  try {
+    const config = await window.loadEtablissementConfig();
+    info.textContent = [config.etablissement, config.academie, `Session ${config.session}`]
+      .filter(Boolean)
+      .join(' - ');
+  } catch (error) {
+    console.error('Erreur lors du chargement de la configuration établissement:', error);
+  }
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+  window.displayEtablissementInfo();
+});